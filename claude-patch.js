@@ -0,0 +1,830 @@
+#!/usr/bin/env node
+
+/**
+ * claude-patch: run any subset of the Claude Code patches in one pass
+ *
+ * Commands:
+ * - apply    detect + apply the selected patches (default)
+ * - status   show the target's version and which selected patches are applied / applicable /
+ *            unsupported on this version / drifted (pattern missing on a supported version)
+ * - restore  restore the target from its backup, or revert only some patches (`--patch IDS`)
+ * - list     list the available patches
+ * - watch    re-apply the patches whenever Claude Code is updated (see `lib/auto-reapply.js`)
+ * - hook     print a shell hook that runs `watch --once` before every `claude` launch
+ * - discover propose updated patterns for patches whose pattern a new release broke, by aligning
+ *            the regions they patch in the last supported bundle (`--from`) with the new one
+ *            (see `lib/pattern-discovery.js`)
+ * - extract  dump the JS modules embedded in a native binary to `--dir`, with their names and
+ *            offsets (see `lib/embedded-js.js`)
+ * - inject   put the edited modules from an `extract` directory back into the native binary
+ *
+ * The target is resolved once, read once, every selected patch runs against the same in-memory
+ * copy, and the result is written once (with a single backup and a single macOS re-sign).
+ * Applied patches are recorded in the target's patch journal (see `lib/backup-store.js`).
+ * `--verify` smoke-launches the written target and puts the pre-patch file back if it does not
+ * start (see `lib/smoke-verify.js`). Writing commands hold the target's lock and refuse to touch a
+ * target Claude Code is running from, unless `--force` (see `lib/target-lock.js`).
+ *
+ * `~/.claude/patches.json` (see `lib/patch-profile.js`) sets the default patch set and options.
+ * `--all-versions` runs the command once per native version in ~/.local/share/claude/versions.
+ * `--json` prints one machine-readable result per run; exit codes are listed in README.md.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  resolveClaudeTarget,
+  listNativeVersionTargets,
+  printTargetNotFound,
+  describeTargetKind,
+  readTarget,
+  restoreFromBackup,
+  shellQuotePosix,
+  backupPathFor,
+  EXIT_CODES,
+  createReporter,
+  APPLY_STATUS,
+  reportedStatus,
+} = require('./lib/patch-engine');
+const {
+  loadPatches,
+  parsePatchIdList,
+  selectPatches,
+  reportPatchStatus,
+  applyPatchesToTarget,
+  PATCH_STATE,
+} = require('./lib/patch-registry');
+const {
+  LEGACY_BACKUP_SUFFIXES,
+  readJournal,
+  revertPatches,
+  restoreOriginal,
+} = require('./lib/backup-store');
+const {
+  watchLogPathFor,
+  reapplyChangedTargets,
+  takePendingNotices,
+  formatNotice,
+  shellHookSnippet,
+} = require('./lib/auto-reapply');
+const { loadProfile, loadSigningSettings } = require('./lib/patch-profile');
+const { signPatchedTarget, printSigningResult } = require('./lib/code-signing');
+const { detectClaudeVersion, describeVersionDetection } = require('./lib/version-detect');
+const { discoverPatch, displayText } = require('./lib/pattern-discovery');
+const { describeSmokeLaunch } = require('./lib/smoke-verify');
+const { claimTarget } = require('./lib/target-lock');
+const { extractEmbeddedModules, createInjectPatch, MANIFEST_NAME } = require('./lib/embedded-js');
+
+const COMMANDS = ['apply', 'status', 'restore', 'list', 'watch', 'hook', 'discover', 'extract', 'inject'];
+// Commands that work on the target's embedded modules instead of the selected patches.
+const MODULE_COMMANDS = ['extract', 'inject'];
+
+const DISCOVERY_LABELS = {
+  unchanged: '✅ unchanged',
+  aligned: '✅ aligned',
+  unaligned: '❌ not aligned',
+};
+const DISCOVERY_PREVIEW_LENGTH = 240;
+
+const STATUS_LABELS = {
+  [APPLY_STATUS.patched]: '✅ patched',
+  [APPLY_STATUS.alreadyPatched]: '⚠️  already patched',
+  [APPLY_STATUS.notFound]: '❌ pattern not found',
+  [APPLY_STATUS.skipped]: 'ℹ️  skipped',
+  failed: '❌ failed',
+};
+
+const STATE_LABELS = {
+  [PATCH_STATE.applied]: '✅ applied',
+  [PATCH_STATE.applicable]: '🔧 applicable (not applied yet)',
+  [PATCH_STATE.unsupportedVersion]: '⛔ unsupported version',
+  [PATCH_STATE.patternDrifted]: '❌ pattern drifted (supported version, pattern not found)',
+  [PATCH_STATE.skipped]: 'ℹ️  skipped',
+  [PATCH_STATE.failed]: '❌ failed',
+};
+
+function printHelp() {
+  console.log('Claude Code patcher');
+  console.log('===================\n');
+  console.log('Usage: node claude-patch.js [command] [options]\n');
+  console.log('Commands:');
+  console.log('  apply        Apply the selected patches (default)');
+  console.log('  status       Show the Claude Code version and, per patch: applied, applicable,');
+  console.log('               unsupported version or pattern drifted');
+  console.log('  restore      Restore the target from backup (or revert single patches with --patch)');
+  console.log('  list         List available patches');
+  console.log('  watch        Re-apply the selected patches whenever Claude Code is updated');
+  console.log('  hook         Print a shell hook that runs `watch --once` before every `claude` launch');
+  console.log('  discover     Propose updated patterns for patches a new release broke (needs --from)');
+  console.log('  extract      Write the JS modules embedded in a native binary to --dir, with their offsets');
+  console.log('  inject       Put the edited modules from an extract --dir back into the native binary\n');
+  console.log('Options:');
+  console.log('  --only IDS      Only run these patches (comma-separated ids)');
+  console.log('  --except IDS    Run every patch except these (comma-separated ids)');
+  console.log('  --patch IDS     restore: revert only these patches, keeping the others applied');
+  console.log('  --dry-run       Preview changes without writing anything');
+  console.log('  --verify        apply/watch/hook/inject: run the patched `claude --version` in a temp HOME and');
+  console.log('                  restore the pre-patch file if it does not start');
+  console.log('  --force         apply/restore/watch/hook/inject: write even while Claude Code is running from the target');
+  console.log('  --file PATH     Patch a specific cli.js file or native claude binary (skip auto-detection)');
+  console.log('  --all-versions  Run against every native version in ~/.local/share/claude/versions');
+  console.log('  --verbose       Print each patch\'s detailed output');
+  console.log('  --json          Print a single JSON result instead of progress messages');
+  console.log('  --once          watch: check once, re-apply if needed, print pending notices and exit');
+  console.log('  --interval SEC  watch: seconds between checks (default: 30)');
+  console.log('  --quiet         Only print errors and re-apply notices');
+  console.log('  --no-profile    Ignore ~/.claude/patches.json (see README: Patch Profile)');
+  console.log('  --from PATH     discover: the last bundle the patches supported (an unpatched copy)');
+  console.log('  --dir PATH      extract: directory to write the modules to; inject: directory to read them from');
+  console.log('  --help, -h      Show this help message\n');
+  console.log('Examples:');
+  console.log('  node claude-patch.js list');
+  console.log('  node claude-patch.js apply --only thinking,background-format');
+  console.log('  node claude-patch.js apply --except subagent-models --dry-run');
+  console.log('  node claude-patch.js apply --verify');
+  console.log('  node claude-patch.js status --file /path/to/claude');
+  console.log('  node claude-patch.js status --json');
+  console.log('  node claude-patch.js apply --all-versions');
+  console.log('  node claude-patch.js watch --except subagent-models');
+  console.log('  node claude-patch.js hook >> ~/.zshrc');
+  console.log('  node claude-patch.js restore --patch background-format');
+  console.log('  node claude-patch.js discover --from ~/claude-2.1.204 --only thinking');
+  console.log('  node claude-patch.js extract --dir ~/claude-modules');
+  console.log('  node claude-patch.js inject --dir ~/claude-modules --verify');
+  console.log('  node claude-patch.js restore');
+}
+
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    only: [],
+    except: [],
+    revert: [],
+    isDryRun: false,
+    isVerify: false,
+    isForce: false,
+    isVerbose: false,
+    isJson: false,
+    allVersions: false,
+    once: false,
+    interval: 30,
+    isQuiet: false,
+    useProfile: true,
+    patchOptions: {},
+    showHelp: false,
+    filePath: null,
+    fromPath: null,
+    dirPath: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const name = eq >= 0 ? arg.slice(0, eq) : arg;
+    const takeValue = () => {
+      const value = eq >= 0 ? arg.slice(eq + 1) : argv[++i];
+      if (!value) throw new Error(`${name} requires a value`);
+      return value;
+    };
+
+    switch (name) {
+      case '--only':
+        options.only.push(...parsePatchIdList(takeValue()));
+        break;
+      case '--except':
+        options.except.push(...parsePatchIdList(takeValue()));
+        break;
+      case '--patch':
+        options.revert.push(...parsePatchIdList(takeValue()));
+        break;
+      case '--file':
+        options.filePath = takeValue();
+        break;
+      case '--from':
+        options.fromPath = takeValue();
+        break;
+      case '--dir':
+        options.dirPath = takeValue();
+        break;
+      case '--dry-run':
+        options.isDryRun = true;
+        break;
+      case '--verify':
+        options.isVerify = true;
+        break;
+      case '--force':
+        options.isForce = true;
+        break;
+      case '--verbose':
+        options.isVerbose = true;
+        break;
+      case '--json':
+        options.isJson = true;
+        break;
+      case '--all-versions':
+        options.allVersions = true;
+        break;
+      case '--once':
+        options.once = true;
+        break;
+      case '--interval':
+        options.interval = Number(takeValue());
+        if (!(options.interval > 0)) throw new Error('--interval must be a positive number of seconds');
+        break;
+      case '--quiet':
+        options.isQuiet = true;
+        break;
+      case '--no-profile':
+        options.useProfile = false;
+        break;
+      case '--help':
+      case '-h':
+        options.showHelp = true;
+        break;
+      default:
+        if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+        if (options.command) throw new Error(`Unexpected argument: ${arg}`);
+        if (!COMMANDS.includes(arg)) throw new Error(`Unknown command: ${arg} (expected one of: ${COMMANDS.join(', ')})`);
+        options.command = arg;
+    }
+  }
+
+  options.command = options.command || 'apply';
+  if (options.revert.length > 0 && options.command !== 'restore') {
+    throw new Error('--patch is only valid with the restore command');
+  }
+  if (options.allVersions && options.filePath) {
+    throw new Error('--all-versions cannot be combined with --file');
+  }
+  if (options.command === 'watch' && options.isJson && !options.once) {
+    throw new Error('--json with watch requires --once');
+  }
+  if (options.command === 'discover' && !options.fromPath) {
+    throw new Error('discover requires --from PATH (the last bundle the patches supported)');
+  }
+  if (options.fromPath && options.command !== 'discover') {
+    throw new Error('--from is only valid with the discover command');
+  }
+  if (MODULE_COMMANDS.includes(options.command) && !options.dirPath) {
+    throw new Error(`${options.command} requires --dir PATH`);
+  }
+  if (options.dirPath && !MODULE_COMMANDS.includes(options.command)) {
+    throw new Error('--dir is only valid with the extract and inject commands');
+  }
+  if (options.isVerify && !['apply', 'watch', 'hook', 'inject'].includes(options.command)) {
+    throw new Error('--verify is only valid with the apply, watch, hook and inject commands');
+  }
+  if (options.isForce && !['apply', 'restore', 'watch', 'hook', 'inject'].includes(options.command)) {
+    throw new Error('--force is only valid with the apply, restore, watch, hook and inject commands');
+  }
+  if (options.isVerify && options.isDryRun) {
+    throw new Error('--verify cannot be combined with --dry-run (nothing is written to verify)');
+  }
+  if (options.isDryRun && options.command === 'extract') {
+    throw new Error('--dry-run cannot be combined with extract (it only writes to --dir)');
+  }
+  if (options.allVersions && ['discover', ...MODULE_COMMANDS].includes(options.command)) {
+    throw new Error(`--all-versions cannot be combined with ${options.command}`);
+  }
+  return options;
+}
+
+const MAX_PRINTED_EDITS = 5;
+
+// The byte ranges a patch touched, in the target as each edit found it (see `trackEdits()`).
+function describeEdits(edits) {
+  return edits.map(edit => ({
+    offset: edit.offset,
+    length: edit.original.length,
+    replacementLength: edit.replacement.length,
+    label: edit.label,
+  }));
+}
+
+function printPatchResults(patches, results, reporter) {
+  const width = Math.max(...patches.map(patch => patch.id.length));
+  for (const result of results) {
+    const label = STATUS_LABELS[result.status] || result.status;
+    const detail = result.error || result.reason ? ` (${result.error || result.reason})` : '';
+    reporter.log(`  ${result.id.padEnd(width)}  ${label}${detail}`);
+    const touched = result.edits ? describeEdits(result.edits) : [];
+    for (const edit of touched.slice(0, MAX_PRINTED_EDITS)) {
+      const resized = edit.replacementLength !== edit.length ? ` -> ${edit.replacementLength} bytes` : '';
+      const editLabel = edit.label ? ` ${edit.label}` : '';
+      reporter.log(`  ${''.padEnd(width)}    bytes ${edit.offset}-${edit.offset + edit.length}${resized}${editLabel}`);
+    }
+    if (touched.length > MAX_PRINTED_EDITS) {
+      reporter.log(`  ${''.padEnd(width)}    ... ${touched.length - MAX_PRINTED_EDITS} more (see --json)`);
+    }
+  }
+  reporter.log('');
+}
+
+function listPatches(patches, reporter) {
+  reporter.set({
+    patches: patches.map(patch => ({ id: patch.id, description: patch.description, versions: patch.versions || null })),
+  });
+  const width = Math.max(...patches.map(patch => patch.id.length));
+  reporter.log('Available patches:\n');
+  for (const patch of patches) {
+    reporter.log(`  ${patch.id.padEnd(width)}  ${patch.description}`);
+  }
+}
+
+// The edit records are for the patch journal; `--json` results only get the ranges they touched.
+function describeResults(results, dryRun) {
+  return results.map(({ edits, ...result }) => ({
+    ...result,
+    status: reportedStatus(result.status, dryRun),
+    ...(edits ? { touched: describeEdits(edits) } : {}),
+  }));
+}
+
+function resolveTargetOrExit(filePath, reporter) {
+  const { target, attempted } = resolveClaudeTarget({ filePath });
+  if (!target) {
+    printTargetNotFound(attempted, reporter.error);
+    reporter.set({ attempted }).exit(EXIT_CODES.targetNotFound, 'Could not find Claude Code installation');
+  }
+  reporter.setTarget(target);
+  if (!fs.existsSync(target.path)) {
+    reporter.error(`❌ File not found: ${target.path}`);
+    reporter.exit(EXIT_CODES.targetNotFound, `File not found: ${target.path}`);
+  }
+
+  reporter.log(`Target: ${target.path}`);
+  reporter.log(`Installation type: ${describeTargetKind(target.kind)}\n`);
+  return target;
+}
+
+// Each `run*()` returns `[exitCode, errorMessage]` for `reporter.exit()`.
+function runRestore(target, options, reporter) {
+  const verb = options.isDryRun ? 'Would revert' : 'Reverted';
+
+  if (options.revert.length > 0) {
+    const { reverted, remaining, backupPath } = revertPatches(target, options.revert, { dryRun: options.isDryRun });
+    reporter.set({ backupPath, restore: { mode: 'journal', reverted, remaining } });
+    reporter.log(`✅ ${verb}: ${reverted.join(', ')} (original kept at ${backupPath})`);
+    reporter.log(`   Still applied: ${remaining.join(', ') || 'none'}`);
+    // The remaining patches leave a modified binary, written without a signature.
+    if (!options.isDryRun && remaining.length > 0) {
+      const signed = signPatchedTarget(target, { signing: options.signing });
+      reporter.set({ signing: signed });
+      printSigningResult(signed, target, { signing: options.signing, output: reporter });
+    }
+    return [EXIT_CODES.ok];
+  }
+
+  if (readJournal(target.path)) {
+    const { reverted, backupPath } = restoreOriginal(target, { dryRun: options.isDryRun });
+    reporter.set({ backupPath, restore: { mode: 'journal', reverted, remaining: [] } });
+    reporter.log(`✅ ${options.isDryRun ? 'Would restore' : 'Restored'} original from: ${backupPath}`);
+    reporter.log(`   ${verb}: ${reverted.join(', ') || 'none'}`);
+    return [EXIT_CODES.ok];
+  }
+
+  // No journal: fall back to the legacy whole-file backups (shared `.backup` first).
+  for (const suffix of LEGACY_BACKUP_SUFFIXES) {
+    const restoredFrom = restoreFromBackup(target.path, { suffix, dryRun: options.isDryRun });
+    if (restoredFrom) {
+      reporter.set({ backupPath: restoredFrom, restore: { mode: 'legacy' } });
+      reporter.log(`✅ ${options.isDryRun ? 'Would restore' : 'Restored'} from backup: ${restoredFrom}`);
+      return [EXIT_CODES.ok];
+    }
+  }
+
+  reporter.error(`❌ Backup not found: ${backupPathFor(target.path)}`);
+  return [EXIT_CODES.restoreFailed, `Backup not found: ${backupPathFor(target.path)}`];
+}
+
+function runStatus(target, patches, ctx, reporter) {
+  const content = readTarget(target);
+  const versionDetection = detectClaudeVersion(target, content);
+  const { version } = versionDetection;
+  reporter.set({ version, versionDetection });
+  reporter.log(`Claude Code version: ${describeVersionDetection(versionDetection)}`);
+  reporter.log(`Detected via: ${target.method}\n`);
+
+  const results = reportPatchStatus(content, patches, { ...ctx, version });
+  reporter.set({ patches: results });
+  const width = Math.max(...patches.map(patch => patch.id.length));
+  for (const result of results) {
+    const detail = result.error || result.reason ? ` (${result.error || result.reason})` : '';
+    reporter.log(`  ${result.id.padEnd(width)}  ${STATE_LABELS[result.state]}${detail}`);
+  }
+  reporter.log('');
+
+  const failed = results.filter(result => result.state === PATCH_STATE.failed).map(result => result.id);
+  return failed.length > 0 ? [EXIT_CODES.patchFailed, `Detection failed: ${failed.join(', ')}`] : [EXIT_CODES.ok];
+}
+
+// A patch that threw outranks a missing pattern; both still let the other patches be written.
+function applyExitCode(results) {
+  const idsWith = status => results.filter(result => result.status === status).map(result => result.id);
+  const failed = idsWith('failed');
+  if (failed.length > 0) return [EXIT_CODES.patchFailed, `Patch failed: ${failed.join(', ')}`];
+  const notFound = idsWith(APPLY_STATUS.notFound);
+  if (notFound.length > 0) return [EXIT_CODES.patternNotFound, `Patch pattern not found: ${notFound.join(', ')}`];
+  return [EXIT_CODES.ok];
+}
+
+function runApply(target, patches, options, ctx, reporter) {
+  if (options.isDryRun) reporter.log('Mode: dry-run (no files will be modified)\n');
+
+  const applied = applyPatchesToTarget(target, patches, {
+    ctx,
+    dryRun: options.isDryRun,
+    verify: options.isVerify,
+    signing: options.signing,
+    output: reporter,
+  });
+  const { version, versionDetection, results, backupPath, created, signing, verification } = applied;
+  reporter.set({ version, versionDetection, patches: describeResults(results, options.isDryRun), backupPath, signing, verification });
+  reporter.log(`Claude Code version: ${describeVersionDetection(versionDetection)}\n`);
+  printPatchResults(patches, results, reporter);
+
+  const patchedIds = results.filter(result => result.status === APPLY_STATUS.patched).map(result => result.id);
+  const outcome = applyExitCode(results);
+
+  if (patchedIds.length === 0) {
+    reporter.log(outcome[0] !== EXIT_CODES.ok ? '❌ Nothing was patched.' : '✅ Nothing to do - selected patches are already applied.');
+    return outcome;
+  }
+
+  if (options.isDryRun) {
+    reporter.log(`✅ Would apply: ${patchedIds.join(', ')}`);
+    return outcome;
+  }
+
+  reporter.log(`✅ ${created ? 'Backup created' : 'Backup already exists'}: ${backupPath}`);
+  reporter.log(`✅ Patched file written (${patchedIds.join(', ')})`);
+  printSigningResult(signing, target, { signing: options.signing, output: reporter });
+  if (verification && !verification.ok) {
+    reporter.error(`❌ Verification failed: ${describeSmokeLaunch(verification)}`);
+    reporter.error('↩️  Restored the pre-patch file and patch journal.');
+    return [EXIT_CODES.verifyFailed, `Verification failed: ${verification.reason}`];
+  }
+  if (verification) reporter.log(`✅ Verified: ${describeSmokeLaunch(verification)}`);
+  reporter.log('\nNext: restart Claude Code for the changes to take effect.');
+  return outcome;
+}
+
+function preview(text, verbose) {
+  if (verbose || text.length <= DISCOVERY_PREVIEW_LENGTH) return JSON.stringify(text);
+  return `${JSON.stringify(text.slice(0, DISCOVERY_PREVIEW_LENGTH))}... (${text.length} chars, --verbose for all)`;
+}
+
+function printDiscovery(discovery, kind, verbose, reporter) {
+  for (const region of discovery.regions) {
+    reporter.log(`  • ${region.label} (old offset ${region.oldOffset})`);
+    const anchors = region.anchors.map(anchor => `${anchor.text} (${anchor.distance >= 0 ? '+' : ''}${anchor.distance})`);
+    reporter.log(`    anchors:     ${anchors.length > 0 ? anchors.join(', ') : 'none'}`);
+    const renames = region.captures.map(capture => `${capture.old}→${capture.new}`).join(', ');
+    const where = region.status === 'unaligned' ? `predicted offset ${region.offset}` : `offset ${region.offset}`;
+    reporter.log(`    result:      ${DISCOVERY_LABELS[region.status]} at ${where}${renames ? ` (renamed ${renames})` : ''}`);
+    if (region.search !== null) {
+      reporter.log(`    search:      ${preview(displayText(region.search, kind), verbose)}`);
+      if (region.replacement !== null) {
+        reporter.log(`    replacement: ${preview(displayText(region.replacement, kind), verbose)}`);
+      }
+      reporter.log(`    regex:       ${preview(region.regex, verbose)}`);
+    }
+    if (region.unmapped.length > 0) reporter.log(`    unmapped:    ${region.unmapped.join(', ')} (check the replacement by hand)`);
+    if (region.note) reporter.log(`    note:        ${region.note}`);
+  }
+  reporter.log('');
+}
+
+// `discover`: align the regions each patch rewrites in the `--from` bundle with `target`.
+function runDiscover(target, patches, options, ctx, reporter) {
+  const { target: oldTarget } = resolveClaudeTarget({ filePath: options.fromPath });
+  if (!oldTarget) {
+    reporter.error(`❌ Not a Claude Code bundle: ${options.fromPath}`);
+    return [EXIT_CODES.targetNotFound, `Not a Claude Code bundle: ${options.fromPath}`];
+  }
+
+  const oldContent = readTarget(oldTarget);
+  const newContent = readTarget(target);
+  const oldVersion = detectClaudeVersion(oldTarget, oldContent);
+  const newVersion = detectClaudeVersion(target, newContent);
+  reporter.set({
+    from: { path: oldTarget.path, kind: oldTarget.kind, version: oldVersion.version },
+    version: newVersion.version,
+    versionDetection: newVersion,
+  });
+  reporter.log(`From: ${oldTarget.path} (${describeVersionDetection(oldVersion)})`);
+  reporter.log(`To:   ${target.path} (${describeVersionDetection(newVersion)})\n`);
+
+  const oldCtx = { ...ctx, kind: oldTarget.kind, version: oldVersion.version };
+  const newCtx = { ...ctx, version: newVersion.version };
+  const results = [];
+  for (const patch of patches) {
+    const patchOptions = (ctx.patchOptions && ctx.patchOptions[patch.id]) || {};
+    const discovery = discoverPatch(patch, {
+      oldContent,
+      newContent,
+      oldCtx: { ...oldCtx, options: patchOptions },
+      newCtx: { ...newCtx, options: patchOptions },
+    });
+    results.push(discovery);
+
+    reporter.log(`🔎 ${patch.id} (new bundle: ${discovery.newStatus})`);
+    if (discovery.regions.length === 0) {
+      const reason = discovery.oldReason ? `: ${discovery.oldReason}` : '';
+      const hint =
+        discovery.oldStatus === APPLY_STATUS.alreadyPatched
+          ? 'pass an unpatched copy (e.g. from its .backups directory)'
+          : '--from must be a version the patch supports';
+      reporter.log(`  ❌ The patch does not apply to the --from bundle (${discovery.oldStatus}${reason}); ${hint}.\n`);
+      continue;
+    }
+    printDiscovery(discovery, target.kind, options.isVerbose, reporter);
+  }
+  reporter.set({ patches: results });
+
+  const failed = results
+    .filter(result => result.regions.length === 0 || result.regions.some(region => region.status === 'unaligned'))
+    .map(result => result.id);
+  if (failed.length > 0) return [EXIT_CODES.patternNotFound, `Could not align: ${failed.join(', ')}`];
+  reporter.log('✅ Every patched region was found. Review the proposals before updating the patches.');
+  return [EXIT_CODES.ok];
+}
+
+// `extract`: write the embedded modules to `--dir` (see `lib/embedded-js.js`).
+function runExtract(target, options, reporter) {
+  if (target.kind !== 'native-binary') {
+    reporter.error('❌ extract only works on native binaries; cli.js is already plain JavaScript.');
+    return [EXIT_CODES.error, 'extract only works on native binaries'];
+  }
+  const content = readTarget(target);
+  const { version } = detectClaudeVersion(target, content);
+  const dir = path.resolve(options.dirPath);
+  const manifest = extractEmbeddedModules(content, dir, { source: { path: target.path, version } });
+  reporter.set({ version, extract: { dir, manifest: path.join(dir, MANIFEST_NAME), modules: manifest.modules } });
+
+  if (options.isVerbose) {
+    const width = Math.max(...manifest.modules.map(entry => String(entry.offset).length));
+    for (const entry of manifest.modules) {
+      reporter.log(`  ${String(entry.offset).padStart(width)}  ${String(entry.length).padStart(10)}  ${entry.name} -> ${entry.file}`);
+    }
+    reporter.log('');
+  }
+  const bytes = manifest.modules.reduce((sum, entry) => sum + entry.length, 0);
+  reporter.log(`✅ Extracted ${manifest.modules.length} modules (${bytes} bytes) to ${dir}`);
+  reporter.log(`   Entry point: ${manifest.entryPoint}`);
+  reporter.log(`   Names and offsets: ${path.join(dir, MANIFEST_NAME)}`);
+  reporter.log(`\nNext: edit the files, then run: node claude-patch.js inject --dir ${shellQuotePosix(dir)}`);
+  return [EXIT_CODES.ok];
+}
+
+// Runs the selected command against one target; errors become `[exitCode, message]` as well.
+// apply, restore and inject hold the target's lock while they run (dry runs write nothing and skip it).
+function runCommand(target, patches, options, reporter) {
+  const ctx = {
+    kind: target.kind,
+    log: options.isVerbose ? reporter.log : () => {},
+    patchOptions: options.patchOptions,
+  };
+  let release = () => {};
+  if (!options.isDryRun && ['apply', 'restore', 'inject'].includes(options.command)) {
+    try {
+      release = claimTarget(target, { force: options.isForce, output: reporter });
+    } catch (error) {
+      reporter.error(`❌ ${error.message}`);
+      return [EXIT_CODES.targetBusy, error.message];
+    }
+  }
+  try {
+    if (options.command === 'restore') return runRestore(target, options, reporter);
+    if (options.command === 'status') return runStatus(target, patches, ctx, reporter);
+    if (options.command === 'discover') return runDiscover(target, patches, options, ctx, reporter);
+    if (options.command === 'extract') return runExtract(target, options, reporter);
+    if (options.command === 'inject') return runApply(target, [createInjectPatch(path.resolve(options.dirPath))], options, ctx, reporter);
+    return runApply(target, patches, options, ctx, reporter);
+  } catch (error) {
+    reporter.error(`❌ Error: ${error.message}`);
+    return [options.command === 'restore' ? EXIT_CODES.restoreFailed : EXIT_CODES.error, error.message];
+  } finally {
+    release();
+  }
+}
+
+// One row per version; apply/status show each patch's status/state, restore the reverted patches.
+function printVersionTable(patches, results, command, reporter) {
+  const cell = (result, patchId) => {
+    if (command === 'restore') {
+      const reverted = (result.restore && result.restore.reverted) || [];
+      return reverted.includes(patchId) ? 'reverted' : '-';
+    }
+    const entry = (result.patches || []).find(patchResult => patchResult.id === patchId);
+    if (!entry) return '-';
+    return command === 'status' ? entry.state : entry.status;
+  };
+
+  const header = ['Version', ...patches.map(patch => patch.id), 'Result'];
+  // The versions directory names each binary after its version.
+  const rows = results.map(result => [
+    path.basename(result.target.path),
+    ...patches.map(patch => cell(result, patch.id)),
+    result.ok ? '✅ ok' : `❌ ${result.error.code}`,
+  ]);
+  const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+  const format = row => `  ${row.map((value, col) => value.padEnd(widths[col])).join('  ')}`.trimEnd();
+
+  reporter.log('Summary:\n');
+  reporter.log(format(header));
+  reporter.log(format(widths.map(width => '-'.repeat(width))));
+  for (const row of rows) reporter.log(format(row));
+  reporter.log('');
+}
+
+// `--all-versions`: run the command against every binary in ~/.local/share/claude/versions. Each
+// version gets its own backup, journal and version-specific rules; one failing version does not
+// stop the others, and the run exits with the highest exit code of any version.
+function runAllVersions(patches, options, reporter) {
+  const targets = listNativeVersionTargets();
+  if (targets.length === 0) {
+    reporter.error('❌ No native Claude Code versions found in ~/.local/share/claude/versions');
+    reporter.exit(EXIT_CODES.targetNotFound, 'No native Claude Code versions found');
+  }
+
+  const results = targets.map(target => {
+    const versionReporter = createReporter({ json: reporter.json, command: options.command });
+    versionReporter.setTarget(target);
+    reporter.log(`── ${path.basename(target.path)} (${target.path}) ──\n`);
+    versionReporter.finish(...runCommand(target, patches, options, versionReporter));
+    reporter.log('');
+    const { command, dryRun, ...result } = versionReporter.result;
+    return result;
+  });
+
+  reporter.set({ targets: results });
+  printVersionTable(patches, results, options.command, reporter);
+
+  const failed = results.filter(result => !result.ok);
+  if (failed.length === 0) reporter.exit(EXIT_CODES.ok);
+  const exitCode = Math.max(...failed.map(result => result.exitCode));
+  const failedVersions = failed.map(result => path.basename(result.target.path));
+  reporter.exit(exitCode, `${failed.length} of ${results.length} versions failed: ${failedVersions.join(', ')}`);
+}
+
+// The patch profile (~/.claude/patches.json) picks the default patch set and each patch's options;
+// `--only` replaces its selection and `--except` narrows it.
+function resolvePatchSet(options) {
+  const available = loadPatches();
+  const selected = selectPatches(available, options);
+  const profile = options.useProfile ? loadProfile(available) : null;
+  if (!profile) return { patches: selected, patchOptions: {}, signing: {}, profilePath: null };
+
+  const patches = options.only.length > 0 ? selected : selected.filter(patch => profile.enabled.has(patch.id));
+  return { patches, patchOptions: profile.options, signing: profile.signing, profilePath: profile.path };
+}
+
+// --only / --except / --no-profile as command-line arguments, so the hook re-applies the same patch set.
+function selectionArgs(options) {
+  const args = options.useProfile ? [] : ['--no-profile'];
+  if (options.isVerify) args.push('--verify');
+  if (options.isForce) args.push('--force');
+  if (options.only.length > 0) args.push('--only', options.only.join(','));
+  if (options.except.length > 0) args.push('--except', options.except.join(','));
+  return args;
+}
+
+function watchExitCode(entries) {
+  const errors = entries.filter(entry => entry.error).map(entry => entry.path);
+  if (errors.length > 0) return [EXIT_CODES.patchFailed, `Re-apply failed: ${errors.join(', ')}`];
+  const problems = entries.filter(entry => entry.problems.length > 0).map(entry => entry.path);
+  if (problems.length > 0) return [EXIT_CODES.patternNotFound, `Some patches did not apply: ${problems.join(', ')}`];
+  return [EXIT_CODES.ok];
+}
+
+function runWatch(options, reporter) {
+  const homeDir = os.homedir();
+  // Re-read the profile on every pass, so edits to it apply without restarting the watcher.
+  const pass = () => {
+    const { patches, patchOptions, signing } = resolvePatchSet(options);
+    const ctx = { log: options.isVerbose ? reporter.log : () => {}, patchOptions };
+    return reapplyChangedTargets({
+      homeDir,
+      patches,
+      ctx,
+      verify: options.isVerify,
+      signing,
+      force: options.isForce,
+      output: reporter,
+    });
+  };
+
+  if (options.once) {
+    let entries;
+    try {
+      entries = pass();
+    } catch (error) {
+      reporter.fail(EXIT_CODES.error, error.message);
+    }
+    const notices = takePendingNotices(homeDir);
+    reporter.set({ targets: entries, notices });
+    if (!reporter.json) {
+      for (const notice of notices) console.log(formatNotice(notice));
+    }
+    reporter.exit(...watchExitCode(entries));
+  }
+
+  reporter.log(`👀 Watching for Claude Code updates every ${options.interval}s (Ctrl+C to stop)`);
+  reporter.log(`   Log: ${watchLogPathFor(homeDir)}\n`);
+  const tick = () => {
+    try {
+      for (const entry of pass()) reporter.log(formatNotice(entry) || `✅ ${entry.path}: already patched`);
+    } catch (error) {
+      reporter.error(`❌ Error: ${error.message}`);
+    }
+  };
+  tick();
+  setInterval(tick, options.interval * 1000);
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    // `--json` may come after the bad argument, so look for it directly.
+    const reporter = createReporter({ json: argv.includes('--json') });
+    reporter.error(`❌ Error: ${error.message}`);
+    reporter.error('Run with --help for usage.');
+    reporter.exit(EXIT_CODES.usage, error.message);
+  }
+
+  if (options.showHelp) {
+    printHelp();
+    process.exit(0);
+  }
+
+  if (options.command === 'hook') {
+    console.log(shellHookSnippet(path.resolve(__filename), selectionArgs(options)));
+    process.exit(0);
+  }
+
+  const reporter = createReporter({ json: options.isJson, quiet: options.isQuiet, command: options.command });
+  reporter.set({ dryRun: options.isDryRun });
+
+  if (options.command === 'list') {
+    let available;
+    try {
+      available = selectPatches(loadPatches(), options);
+    } catch (error) {
+      reporter.fail(EXIT_CODES.usage, error.message);
+    }
+    listPatches(available, reporter);
+    reporter.exit(EXIT_CODES.ok);
+  }
+
+  if (MODULE_COMMANDS.includes(options.command)) {
+    try {
+      options.signing = options.useProfile ? loadSigningSettings() : {};
+    } catch (error) {
+      reporter.fail(EXIT_CODES.usage, error.message);
+    }
+    reporter.log('Claude Code patcher');
+    reporter.log('===================\n');
+    const target = resolveTargetOrExit(options.filePath, reporter);
+    reporter.exit(...runCommand(target, [], options, reporter));
+  }
+
+  let patches;
+  let profilePath;
+  try {
+    ({ patches, patchOptions: options.patchOptions, signing: options.signing, profilePath } = resolvePatchSet(options));
+  } catch (error) {
+    reporter.fail(EXIT_CODES.usage, error.message);
+  }
+  reporter.set({ profile: profilePath });
+
+  reporter.log('Claude Code patcher');
+  reporter.log('===================\n');
+  if (profilePath && options.command !== 'restore') reporter.log(`Profile: ${profilePath}`);
+
+  if (options.command !== 'restore' && patches.length === 0) {
+    reporter.error('❌ No patches selected (check --only / --except and ~/.claude/patches.json).');
+    reporter.exit(EXIT_CODES.usage, 'No patches selected');
+  }
+  if (options.command !== 'restore') {
+    reporter.log(`Patches: ${patches.map(patch => patch.id).join(', ')}\n`);
+  }
+
+  if (options.command === 'watch') {
+    runWatch(options, reporter);
+    return;
+  }
+
+  if (options.allVersions) {
+    runAllVersions(patches, options, reporter);
+  }
+
+  const target = resolveTargetOrExit(options.filePath, reporter);
+  reporter.exit(...runCommand(target, patches, options, reporter));
+}
+
+main();
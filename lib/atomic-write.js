@@ -0,0 +1,139 @@
+/**
+ * Crash-safe file replacement.
+ *
+ * Writing a 200 MB native binary in place leaves a truncated executable behind if the process is
+ * interrupted or the disk fills up halfway. `writeFileAtomic()` writes to a temp file next to the
+ * target instead, fsyncs it, gives it the target's mode bits, owner and extended attributes, and
+ * only then renames it over the target, so the target is always either the old or the new file.
+ * Symlinks are followed: the file they point to is replaced, the link stays.
+ *
+ * Failures throw an Error whose message says what went wrong in plain words (permission denied,
+ * read-only file system, disk full, ...); the target is never touched and the temp file is removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const DEFAULT_MODE = 0o644;
+
+const ERROR_REASONS = {
+  EACCES: 'permission denied',
+  EPERM: 'operation not permitted',
+  EROFS: 'read-only file system',
+  ENOSPC: 'no space left on device',
+  EDQUOT: 'disk quota exceeded',
+  ENOENT: 'no such directory',
+};
+
+function describeWriteError(filePath, error) {
+  const reason = ERROR_REASONS[error.code] || error.message;
+  const fix =
+    error.code === 'EACCES' || error.code === 'EPERM'
+      ? ` (the directory ${path.dirname(filePath)} must be writable; re-run as the user that owns the install, or with sudo)`
+      : '';
+  return new Error(`Cannot write ${filePath}: ${reason}${fix}. The file was not changed.`);
+}
+
+// Copy the extended attributes of `from` onto `to`, as far as the platform tools allow (quarantine
+// and provenance flags on macOS, labels on Linux). Attributes the user may not set are left out.
+function copyExtendedAttributes(from, to) {
+  try {
+    if (process.platform === 'darwin') {
+      const names = execFileSync('xattr', [from], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      for (const name of names.split('\n').filter(Boolean)) {
+        try {
+          const value = execFileSync('xattr', ['-px', name, from], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+          execFileSync('xattr', ['-wx', name, value.replace(/\s+/g, ''), to], { stdio: 'ignore' });
+        } catch {
+          // Protected attribute; the rest are still copied.
+        }
+      }
+    } else if (process.platform === 'linux') {
+      execFileSync('cp', ['--attributes-only', '--preserve=xattr', from, to], { stdio: 'ignore' });
+    }
+  } catch {
+    // No xattr support on this file system, or no tool to copy them with.
+  }
+}
+
+// A temp file in the target's directory (rename is only atomic within one file system).
+function tempPathFor(filePath) {
+  const suffix = `${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${suffix}`);
+}
+
+/**
+ * Replace `filePath` with `data` (a Buffer, or a string in `encoding`) atomically. A new file gets
+ * mode 0644; an existing one keeps its mode bits, owner and extended attributes.
+ */
+function writeFileAtomic(filePath, data, { encoding = 'utf8' } = {}) {
+  let realPath = filePath;
+  try {
+    realPath = fs.realpathSync(filePath);
+  } catch {
+    // Not there yet: create it.
+  }
+  const existing = fs.existsSync(realPath) ? fs.statSync(realPath) : null;
+  const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, encoding);
+  const tempPath = tempPathFor(realPath);
+
+  let fd = null;
+  try {
+    fd = fs.openSync(tempPath, 'wx', DEFAULT_MODE);
+    for (let offset = 0; offset < bytes.length; ) {
+      offset += fs.writeSync(fd, bytes, offset, bytes.length - offset);
+    }
+    if (existing) {
+      fs.fchmodSync(fd, existing.mode & 0o7777);
+      const owned = typeof process.getuid !== 'function' || (existing.uid === process.getuid() && existing.gid === process.getgid());
+      if (!owned) fs.fchownSync(fd, existing.uid, existing.gid);
+    }
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+
+    if (existing) copyExtendedAttributes(realPath, tempPath);
+    fs.renameSync(tempPath, realPath);
+  } catch (error) {
+    if (fd !== null) fs.closeSync(fd);
+    fs.rmSync(tempPath, { force: true });
+    throw describeWriteError(realPath, error);
+  }
+
+  // Persist the rename itself; not every platform can fsync a directory.
+  try {
+    const dirFd = fs.openSync(path.dirname(realPath), 'r');
+    try {
+      fs.fsyncSync(dirFd);
+    } finally {
+      fs.closeSync(dirFd);
+    }
+  } catch {
+    // Best effort.
+  }
+}
+
+/**
+ * Throw the same error `writeFileAtomic()` would if `filePath` cannot be replaced because its
+ * directory is not writable. Lets a caller refuse before it records a write that cannot happen.
+ */
+function assertReplaceable(filePath) {
+  let realPath = filePath;
+  try {
+    realPath = fs.realpathSync(filePath);
+  } catch {
+    // Checked below through its directory.
+  }
+  try {
+    fs.accessSync(path.dirname(realPath), fs.constants.W_OK);
+  } catch (error) {
+    throw describeWriteError(realPath, error);
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  assertReplaceable,
+};
@@ -0,0 +1,230 @@
+/**
+ * Auto-reapply: put the patches back after `claude update` replaces the patched files.
+ *
+ * `claude-patch.js watch` polls the resolved Claude Code target plus every binary in
+ * `~/.local/share/claude/versions`. Each file is remembered by `{ size, mtimeMs }`; a file that is
+ * new or changed since the last scan gets the configured patch set re-applied. Every re-apply is
+ * appended to `~/.claude/patch-watch.log` and queued as a notice, which the shell hook
+ * (`claude-patch.js hook`) prints the next time `claude` is launched:
+ *
+ *   ~/.claude/patch-watch.json
+ *   {
+ *     "version": 1,
+ *     "files": { "/path/to/claude": { "size": 123, "mtimeMs": 1700000000000 } },
+ *     "busy": { "/path/to/other": { "size": 456, "mtimeMs": 1700000000000 } },
+ *     "notices": [{ "time": "...", "path": "...", "version": "2.1.205", "patched": ["thinking"], "problems": [] }]
+ *   }
+ *
+ * `busy` remembers files that could not be claimed (locked, or Claude Code running from them): they
+ * are retried on every pass but reported once per fingerprint. The state file is replaced
+ * atomically, since the hook and a running `watch` may write it at the same time.
+ *
+ * Everything takes a `homeDir`, so a temp HOME with fixture files is enough to exercise it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { APPLY_STATUS, resolveClaudeTarget, listNativeVersionTargets, shellQuotePosix } = require('./patch-engine');
+const { applyPatchesToTarget } = require('./patch-registry');
+const { printSigningResult } = require('./code-signing');
+const { claimTarget } = require('./target-lock');
+const { writeFileAtomic } = require('./atomic-write');
+
+const WATCH_STATE_FORMAT_VERSION = 1;
+
+function watchStatePathFor(homeDir) {
+  return path.join(homeDir, '.claude', 'patch-watch.json');
+}
+
+function watchLogPathFor(homeDir) {
+  return path.join(homeDir, '.claude', 'patch-watch.log');
+}
+
+function readWatchState(homeDir) {
+  const statePath = watchStatePathFor(homeDir);
+  const empty = { version: WATCH_STATE_FORMAT_VERSION, files: {}, busy: {}, notices: [] };
+  if (!fs.existsSync(statePath)) return empty;
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Corrupt watch state ${statePath}: ${error.message}`);
+  }
+  if (!state || state.version !== WATCH_STATE_FORMAT_VERSION) {
+    throw new Error(`Unsupported watch state format: ${statePath}`);
+  }
+  return { ...empty, ...state };
+}
+
+function writeWatchState(homeDir, state) {
+  const statePath = watchStatePathFor(homeDir);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  writeFileAtomic(statePath, `${JSON.stringify(state, null, 2)}\n`);
+}
+
+function appendWatchLog(homeDir, line) {
+  const logPath = watchLogPathFor(homeDir);
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  fs.appendFileSync(logPath, `${new Date().toISOString()}  ${line}\n`);
+}
+
+function fingerprint(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return { size: stat.size, mtimeMs: stat.mtimeMs };
+  } catch {
+    return null;
+  }
+}
+
+function sameFingerprint(a, b) {
+  return Boolean(a && b && a.size === b.size && a.mtimeMs === b.mtimeMs);
+}
+
+// The auto-detected target plus every native version, de-duplicated (~/.local/bin/claude usually
+// resolves to one of the versions).
+function listWatchedTargets(homeDir) {
+  const targets = [];
+  const seen = new Set();
+  const add = target => {
+    if (!target || seen.has(target.path)) return;
+    seen.add(target.path);
+    targets.push(target);
+  };
+
+  add(resolveClaudeTarget({ homeDir }).target);
+  for (const target of listNativeVersionTargets(homeDir)) add(target);
+  return targets;
+}
+
+/**
+ * One watcher pass: re-apply `patches` to every watched file that is new or changed since the last
+ * pass, log it and queue a notice for the next `claude` launch. Returns one entry per re-applied
+ * file: `{ path, version, patched, problems, error? }`. With `verify`, a re-apply whose result does
+ * not start is rolled back and reported as an error (see `applyPatchesToTarget()`), and every
+ * written native binary is re-signed as `signing` (the profile's section) asks.
+ * A target that is locked by another patcher or that Claude Code is running from (unless `force`)
+ * is reported as an error and retried on the next pass; it is logged and queued as a notice only
+ * the first time, until the file changes again.
+ */
+function reapplyChangedTargets({
+  homeDir = os.homedir(),
+  patches,
+  ctx = {},
+  verify = false,
+  force = false,
+  signing = {},
+  output = console,
+} = {}) {
+  const state = readWatchState(homeDir);
+  const entries = [];
+
+  for (const target of listWatchedTargets(homeDir)) {
+    const before = fingerprint(target.path);
+    if (!before || sameFingerprint(state.files[target.path], before)) continue;
+
+    const entry = { path: target.path, version: null, patched: [], problems: [] };
+    let release = null;
+    try {
+      release = claimTarget(target, { force, output });
+      const { version, results, signing: signed, verification } = applyPatchesToTarget(target, patches, {
+        ctx: { ...ctx, homeDir },
+        verify,
+        signing,
+        output,
+      });
+      entry.version = version;
+      printSigningResult(signed, target, { signing, output });
+      if (verification && !verification.ok) {
+        entry.error = `the patched file did not start (${verification.reason}); restored the unpatched file`;
+      } else {
+        for (const result of results) {
+          if (result.status === APPLY_STATUS.patched) entry.patched.push(result.id);
+          if (result.status === APPLY_STATUS.notFound || result.status === 'failed') {
+            entry.problems.push(`${result.id}: ${result.error || result.status}`);
+          }
+        }
+      }
+    } catch (error) {
+      entry.error = error.message;
+    } finally {
+      if (release) release();
+    }
+
+    // Remember the file as written, so our own write does not trigger the next pass. A busy target
+    // was not looked at yet, so it stays unknown.
+    const reported = !release && sameFingerprint(state.busy[target.path], before);
+    if (release) {
+      state.files[target.path] = fingerprint(target.path);
+      delete state.busy[target.path];
+    } else {
+      state.busy[target.path] = before;
+    }
+    entries.push(entry);
+    if (reported) continue;
+
+    const summary = entry.error
+      ? `error: ${entry.error}`
+      : `patched: ${entry.patched.join(', ') || 'none'}${entry.problems.length ? `; problems: ${entry.problems.join(', ')}` : ''}`;
+    appendWatchLog(homeDir, `${target.path}  ${entry.version || 'unknown version'}  ${summary}`);
+
+    // Files that were already fully patched are not news.
+    if (entry.patched.length > 0 || entry.problems.length > 0 || entry.error) {
+      state.notices.push({ time: new Date().toISOString(), ...entry });
+    }
+  }
+
+  writeWatchState(homeDir, state);
+  return entries;
+}
+
+// Return and clear the notices queued since the last launch.
+function takePendingNotices(homeDir = os.homedir()) {
+  const state = readWatchState(homeDir);
+  if (state.notices.length === 0) return [];
+  const notices = state.notices;
+  writeWatchState(homeDir, { ...state, notices: [] });
+  return notices;
+}
+
+function formatNotice(notice) {
+  const where = `${notice.version ? `Claude Code ${notice.version}` : 'Claude Code'} (${notice.path})`;
+  if (notice.error) return `⚠️  claude-patch: could not re-apply patches to ${where}: ${notice.error}`;
+  const lines = [];
+  if (notice.patched.length > 0) {
+    lines.push(`🔁 claude-patch: re-applied ${notice.patched.join(', ')} to ${where} after an update`);
+  }
+  if (notice.problems.length > 0) {
+    lines.push(`⚠️  claude-patch: some patches did not apply to ${where}: ${notice.problems.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Shell snippet for ~/.bashrc / ~/.zshrc: before every `claude` launch, re-apply the patches if the
+ * install changed and print any pending notices. `args` are passed through (e.g. `--except ...`).
+ */
+function shellHookSnippet(scriptPath, args = []) {
+  const command = ['node', shellQuotePosix(scriptPath), 'watch', '--once', '--quiet', ...args.map(shellQuotePosix)].join(' ');
+  return [
+    '# claude-code-patches: re-apply patches after `claude update`',
+    'claude() {',
+    `  ${command}`,
+    '  command claude "$@"',
+    '}',
+  ].join('\n');
+}
+
+module.exports = {
+  watchStatePathFor,
+  watchLogPathFor,
+  readWatchState,
+  listWatchedTargets,
+  reapplyChangedTargets,
+  takePendingNotices,
+  formatNotice,
+  shellHookSnippet,
+};
@@ -0,0 +1,542 @@
+/**
+ * Hash-keyed backup store + reversible per-patch journal.
+ *
+ * The pristine target is stored once under `${target}.backups/<sha256>` (a safety net for manual
+ * restores), and a sidecar journal (`${target}.patch-journal.json`) records every replacement the
+ * patches made as a byte-range undo record:
+ *
+ *   {
+ *     "version": 2,
+ *     "target": "/path/to/cli.js",
+ *     "originalHash": "<sha256 of the pristine target>",
+ *     "originalVersion": "<VERSION tag of the pristine target, e.g. 2.1.204>",
+ *     "currentHash": "<sha256 of the target as last written by a patcher>",
+ *     "patches": [{ "id": "thinking", "appliedAt": "2026-01-01T00:00:00.000Z" }, ...],
+ *     "edits": [{ "patch": "thinking", "label": "...", "offset": 1234, "original": "<base64>", "replacement": "<base64>" }, ...],
+ *     "signature": { "method": "adhoc", "hash": "<sha256 of the signed target>", "edits": [...] }
+ *   }
+ *
+ * Edit offsets are byte offsets into the current target and never overlap, so any subset of
+ * patches can be undone in any order by swapping their `replacement` bytes back to `original`.
+ * When a patch rewrites bytes another patch already changed, the two edits are merged and the
+ * patches are marked `entangledWith` each other: they can only be reverted together.
+ *
+ * `signature` is what re-signing the written target changed (see ./code-signing), as edits on top of
+ * the `currentHash` content. While the target matches its `hash`, the patchers and restores take
+ * those edits off first (`readTargetForPatching()`), so the journal's edits still line up.
+ *
+ * A journal only applies while the target hash matches `currentHash`; if the target changed
+ * underneath (e.g. `claude update`) it is stale and restore refuses to use it. The next apply then
+ * starts a new journal and discards the backups that belonged to the old one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { readTarget, readVersionTag } = require('./patch-engine');
+const { writeFileAtomic, assertReplaceable } = require('./atomic-write');
+
+const JOURNAL_FORMAT_VERSION = 2;
+
+// Whole-file backups written by older versions of the patchers (`--restore` still falls back to them).
+const LEGACY_BACKUP_SUFFIXES = ['.backup', '.subagent-models.backup'];
+
+function backupDirFor(targetPath) {
+  return `${targetPath}.backups`;
+}
+
+function journalPathFor(targetPath) {
+  return `${targetPath}.patch-journal.json`;
+}
+
+// Bytes exactly as `writeTarget()` would write them.
+function contentBytes(content, kind) {
+  if (Buffer.isBuffer(content)) return content;
+  return Buffer.from(content, kind === 'native-binary' ? 'latin1' : 'utf8');
+}
+
+function hashContent(content, kind) {
+  return crypto.createHash('sha256').update(contentBytes(content, kind)).digest('hex');
+}
+
+function readJournal(targetPath) {
+  const journalPath = journalPathFor(targetPath);
+  if (!fs.existsSync(journalPath)) return null;
+
+  let journal;
+  try {
+    journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Corrupt patch journal ${journalPath}: ${error.message}`);
+  }
+  if (
+    !journal ||
+    journal.version !== JOURNAL_FORMAT_VERSION ||
+    !Array.isArray(journal.patches) ||
+    !Array.isArray(journal.edits)
+  ) {
+    throw new Error(`Unsupported patch journal format: ${journalPath}`);
+  }
+  return journal;
+}
+
+function writeJournal(targetPath, journal) {
+  writeFileAtomic(journalPathFor(targetPath), `${JSON.stringify(journal, null, 2)}\n`);
+}
+
+function removeJournal(targetPath) {
+  fs.rmSync(journalPathFor(targetPath), { force: true });
+}
+
+function originalBackupPath(targetPath, hash) {
+  return path.join(backupDirFor(targetPath), hash);
+}
+
+// Store the pristine bytes under their hash (never overwritten: same hash, same bytes).
+function storeOriginal(targetPath, content, kind) {
+  const hash = hashContent(content, kind);
+  const backupPath = originalBackupPath(targetPath, hash);
+  if (fs.existsSync(backupPath)) return { hash, backupPath, created: false };
+
+  fs.mkdirSync(backupDirFor(targetPath), { recursive: true });
+  // Atomic: a truncated backup would be trusted forever, since existing backups are never rewritten.
+  writeFileAtomic(backupPath, contentBytes(content, kind));
+  return { hash, backupPath, created: true };
+}
+
+/**
+ * Remove backups that no longer describe the target, so they can never be restored over it:
+ * originals under `${target}.backups/` other than `keepHash`, and legacy whole-file backups taken
+ * from a different Claude Code version than `version`. Returns `[{ path, version }]`.
+ */
+function rotateStaleBackups(targetPath, { keepHash, version }) {
+  const removed = [];
+
+  const backupDir = backupDirFor(targetPath);
+  const storedHashes = fs.existsSync(backupDir) ? fs.readdirSync(backupDir) : [];
+  for (const hash of storedHashes) {
+    if (hash === keepHash) continue;
+    const backupPath = path.join(backupDir, hash);
+    removed.push({ path: backupPath, version: readVersionTag(fs.readFileSync(backupPath)) });
+    fs.rmSync(backupPath, { force: true });
+  }
+
+  for (const suffix of LEGACY_BACKUP_SUFFIXES) {
+    const backupPath = `${targetPath}${suffix}`;
+    if (!fs.existsSync(backupPath)) continue;
+    const backupVersion = readVersionTag(fs.readFileSync(backupPath));
+    if (!backupVersion || !version || backupVersion === version) continue;
+    removed.push({ path: backupPath, version: backupVersion });
+    fs.rmSync(backupPath, { force: true });
+  }
+
+  return removed;
+}
+
+function encodeEdit(edit) {
+  return {
+    patch: edit.patch,
+    label: edit.label,
+    offset: edit.offset,
+    original: edit.original.toString('base64'),
+    replacement: edit.replacement.toString('base64'),
+  };
+}
+
+function decodeEdit(record) {
+  return {
+    patch: record.patch,
+    label: record.label,
+    offset: record.offset,
+    original: Buffer.from(record.original, 'base64'),
+    replacement: Buffer.from(record.replacement, 'base64'),
+  };
+}
+
+// Drop the bytes an edit leaves unchanged at either end, so undo records stay minimal.
+function trimEdit(edit) {
+  const { original, replacement } = edit;
+  let head = 0;
+  while (head < original.length && head < replacement.length && original[head] === replacement[head]) head++;
+  let tail = 0;
+  while (
+    tail < original.length - head &&
+    tail < replacement.length - head &&
+    original[original.length - 1 - tail] === replacement[replacement.length - 1 - tail]
+  ) {
+    tail++;
+  }
+  return {
+    ...edit,
+    offset: edit.offset + head,
+    original: original.subarray(head, original.length - tail),
+    replacement: replacement.subarray(head, replacement.length - tail),
+  };
+}
+
+// One edit covering everything between the first and last differing byte (used when a patch made
+// changes the edit log did not see).
+function diffEdit(before, after, patch) {
+  return trimEdit({ patch, label: 'whole-file diff', offset: 0, original: before, replacement: after });
+}
+
+// The byte ranges that differ between `before` and `after` as edits (runs less than 64 bytes apart
+// merged, a length change as one edit at the end). For changes confined to a few places, such as a
+// re-signed header and signature blob, this stays far smaller than one `diffEdit()`.
+function diffRanges(before, after, label) {
+  const CHUNK = 65536;
+  const GAP = 64;
+  const common = Math.min(before.length, after.length);
+  const edits = [];
+  let run = null;
+  const close = end => {
+    edits.push({
+      patch: null,
+      label,
+      offset: run.start,
+      original: before.subarray(run.start, end.before),
+      replacement: after.subarray(run.start, end.after),
+    });
+    run = null;
+  };
+
+  for (let chunk = 0; chunk < common; chunk += CHUNK) {
+    const chunkEnd = Math.min(chunk + CHUNK, common);
+    if (before.subarray(chunk, chunkEnd).equals(after.subarray(chunk, chunkEnd))) continue;
+    for (let i = chunk; i < chunkEnd; i++) {
+      if (before[i] === after[i]) continue;
+      if (run && i - run.last > GAP) close({ before: run.last + 1, after: run.last + 1 });
+      if (!run) run = { start: i, last: i };
+      run.last = i;
+    }
+  }
+  if (before.length !== after.length) {
+    if (run && common - run.last > GAP) close({ before: run.last + 1, after: run.last + 1 });
+    if (!run) run = { start: common };
+    close({ before: before.length, after: after.length });
+  } else if (run) {
+    close({ before: run.last + 1, after: run.last + 1 });
+  }
+  return edits;
+}
+
+// `content` with the recorded `signature` edits taken off again, or null if they do not match.
+function removeSignature(content, signature) {
+  let out = content;
+  for (const edit of signature.edits.map(decodeEdit).sort((a, b) => b.offset - a.offset)) {
+    const end = edit.offset + edit.replacement.length;
+    if (!out.subarray(edit.offset, end).equals(edit.replacement)) return null;
+    out = Buffer.concat([out.subarray(0, edit.offset), edit.original, out.subarray(end)]);
+  }
+  return out;
+}
+
+function entangle(entries, a, b) {
+  for (const [from, to] of [[a, b], [b, a]]) {
+    const entry = entries.find(candidate => candidate.id === from);
+    if (!entry) continue;
+    entry.entangledWith = Array.from(new Set([...(entry.entangledWith || []), to]));
+  }
+}
+
+/**
+ * Apply the sequential edits `ops` to `bytes`, folding each one into `records` (undo records in
+ * current-content coordinates, sorted by offset). Returns the edited bytes, or null if an edit does
+ * not match the content it claims to replace.
+ */
+function foldEdits(bytes, records, ops, entries) {
+  let content = Buffer.from(bytes);
+
+  for (const rawOp of ops) {
+    const op = trimEdit(rawOp);
+    const opEnd = op.offset + op.original.length;
+    if (opEnd > content.length || !content.subarray(op.offset, opEnd).equals(op.original)) return null;
+    if (op.original.length === 0 && op.replacement.length === 0) continue;
+
+    const delta = op.replacement.length - op.original.length;
+    const overlapping = records.filter(record => {
+      const recordEnd = record.offset + record.replacement.length;
+      return record.offset < opEnd && op.offset < recordEnd;
+    });
+
+    let record = op;
+    if (overlapping.length > 0) {
+      // Merge into one record spanning the union, in the coordinates before this edit.
+      const start = Math.min(op.offset, ...overlapping.map(r => r.offset));
+      const end = Math.max(opEnd, ...overlapping.map(r => r.offset + r.replacement.length));
+      const originalParts = [];
+      let cursor = start;
+      for (const r of overlapping) {
+        originalParts.push(content.subarray(cursor, r.offset), r.original);
+        cursor = r.offset + r.replacement.length;
+      }
+      originalParts.push(content.subarray(cursor, end));
+
+      record = {
+        patch: op.patch,
+        label: Array.from(new Set([...overlapping.map(r => r.label), op.label])).join('; '),
+        offset: start,
+        original: Buffer.concat(originalParts),
+        replacement: Buffer.concat([content.subarray(start, op.offset), op.replacement, content.subarray(opEnd, end)]),
+      };
+      for (const r of overlapping) {
+        if (r.patch !== op.patch) entangle(entries, r.patch, op.patch);
+      }
+    }
+
+    for (const r of records) {
+      if (r.offset >= opEnd && !overlapping.includes(r)) r.offset += delta;
+    }
+    records.splice(0, records.length, ...records.filter(r => !overlapping.includes(r)), record);
+    records.sort((a, b) => a.offset - b.offset);
+
+    content =
+      delta === 0
+        ? (op.replacement.copy(content, op.offset), content)
+        : Buffer.concat([content.subarray(0, op.offset), op.replacement, content.subarray(opEnd)]);
+  }
+
+  return content;
+}
+
+/**
+ * Record that `patches` (`[{ id, edits }]`, edits from `trackEdits()`) turned `before` into `after`.
+ *
+ * If the journal still describes `before` (the target was last written by a patcher), the new
+ * patches are appended to it. Otherwise `before` is treated as a new pristine original.
+ * Patches whose edits do not reproduce `after` are recorded as a single whole-file diff.
+ */
+function recordAppliedPatches(target, { before, after, patches, log = () => {} }) {
+  // Do not journal a write that cannot happen.
+  assertReplaceable(target.path);
+  const beforeBytes = contentBytes(before, target.kind);
+  const afterBytes = contentBytes(after, target.kind);
+  const beforeHash = hashContent(beforeBytes);
+  let journal = null;
+  try {
+    journal = readJournal(target.path);
+  } catch {
+    journal = null;
+  }
+
+  let backupPath;
+  let created = false;
+  if (journal && journal.currentHash === beforeHash) {
+    backupPath = originalBackupPath(target.path, journal.originalHash);
+  } else {
+    const stored = storeOriginal(target.path, beforeBytes, target.kind);
+    backupPath = stored.backupPath;
+    created = stored.created;
+    const originalVersion = readVersionTag(beforeBytes);
+    for (const stale of rotateStaleBackups(target.path, { keepHash: stored.hash, version: originalVersion })) {
+      log(`🗑️  Discarded stale backup${stale.version ? ` from ${stale.version}` : ''}: ${stale.path}`);
+    }
+    journal = {
+      version: JOURNAL_FORMAT_VERSION,
+      target: target.path,
+      originalHash: stored.hash,
+      originalVersion,
+      currentHash: null,
+      patches: [],
+      edits: [],
+    };
+  }
+
+  const appliedAt = new Date().toISOString();
+  for (const { id } of patches) {
+    if (!journal.patches.some(entry => entry.id === id)) journal.patches.push({ id, appliedAt });
+  }
+
+  const ops = patches.flatMap(({ id, edits = [] }) => edits.map(edit => ({ ...edit, patch: id, label: edit.label || id })));
+  let records = journal.edits.map(decodeEdit);
+  const folded = foldEdits(beforeBytes, records, ops, journal.patches);
+  if (!folded || !folded.equals(afterBytes)) {
+    records = journal.edits.map(decodeEdit);
+    const [first, ...rest] = patches.map(({ id }) => id);
+    for (const id of rest) entangle(journal.patches, first, id);
+    foldEdits(beforeBytes, records, [diffEdit(beforeBytes, afterBytes, first)], journal.patches);
+  }
+
+  journal.edits = records.map(encodeEdit);
+  journal.currentHash = hashContent(afterBytes);
+  delete journal.signature;
+  writeJournal(target.path, journal);
+
+  return { backupPath, created, journal };
+}
+
+/**
+ * Record that re-signing turned `before` (the content the journal describes) into `after`, the
+ * target as it is now. Returns false, recording nothing, when the journal does not describe `before`.
+ */
+function recordSignature(target, { before, after, method }) {
+  const journal = readJournal(target.path);
+  if (!journal || journal.currentHash !== hashContent(before)) return false;
+  if (before.equals(after)) {
+    delete journal.signature;
+  } else {
+    const edits = diffRanges(before, after, `${method} signature`);
+    journal.signature = { method, hash: hashContent(after), edits: edits.map(encodeEdit) };
+  }
+  writeJournal(target.path, journal);
+  return true;
+}
+
+// `content` as the journal describes it: with the recorded re-signing taken off, when the target
+// is still as the signing step left it.
+function withoutRecordedSignature(content, journal) {
+  if (!journal || !journal.signature || hashContent(content) !== journal.signature.hash) return content;
+  return removeSignature(content, journal.signature) || content;
+}
+
+/**
+ * `readTarget()` for patchers: a native binary comes back without the signature the last patcher
+ * run added (see `recordSignature()`), so new patches are journaled against the content the
+ * journal describes. The signing step runs again after the write.
+ */
+function readTargetForPatching(target) {
+  const content = readTarget(target);
+  if (target.kind !== 'native-binary') return content;
+  let journal = null;
+  try {
+    journal = readJournal(target.path);
+  } catch {
+    journal = null;
+  }
+  return withoutRecordedSignature(content, journal);
+}
+
+// Journal for a target that is still exactly as the patchers left it (re-signing taken off, see
+// `recordSignature()`), or an error explaining why not.
+function loadCurrentJournal(target) {
+  const journal = readJournal(target.path);
+  if (!journal) throw new Error(`No patch journal found for ${target.path}`);
+
+  const content = withoutRecordedSignature(fs.readFileSync(target.path), journal);
+  if (hashContent(content) !== journal.currentHash) {
+    const currentVersion = readVersionTag(content);
+    if (journal.originalVersion && currentVersion && journal.originalVersion !== currentVersion) {
+      throw new Error(
+        `Claude Code was updated (${journal.originalVersion} -> ${currentVersion}) since the patches were applied; ` +
+          `the patch journal and backup belong to ${journal.originalVersion} and restoring them would downgrade ` +
+          'the install. Nothing to restore: the update already replaced the patched file.'
+      );
+    }
+    throw new Error(
+      `${target.path} changed since patches were applied (updated or modified by another tool); ` +
+        'refusing to use the stale patch journal'
+    );
+  }
+  return { journal, content };
+}
+
+/**
+ * Revert `patchIds` only, by undoing their edits in place; every other journaled patch stays applied.
+ * A target that still has patches applied is written without its signature; re-sign it afterwards
+ * (see `signPatchedTarget()` in ./code-signing).
+ * Returns `{ reverted, remaining, backupPath }`.
+ */
+function revertPatches(target, patchIds, { dryRun = false } = {}) {
+  const { journal, content } = loadCurrentJournal(target);
+
+  const applied = journal.patches.map(entry => entry.id);
+  const notApplied = patchIds.filter(id => !applied.includes(id));
+  if (notApplied.length > 0) {
+    throw new Error(`Not recorded as applied: ${notApplied.join(', ')} (applied: ${applied.join(', ') || 'none'})`);
+  }
+  for (const entry of journal.patches) {
+    if (!patchIds.includes(entry.id)) continue;
+    const missing = (entry.entangledWith || []).filter(id => applied.includes(id) && !patchIds.includes(id));
+    if (missing.length > 0) {
+      throw new Error(`${entry.id} changed the same code as ${missing.join(', ')}; revert them together`);
+    }
+  }
+
+  let records = journal.edits.map(decodeEdit);
+  let out = content;
+  for (const record of [...records].filter(r => patchIds.includes(r.patch)).sort((a, b) => b.offset - a.offset)) {
+    const recordEnd = record.offset + record.replacement.length;
+    if (!out.subarray(record.offset, recordEnd).equals(record.replacement)) {
+      throw new Error(`Patch journal does not match ${target.path} (${record.patch}: ${record.label})`);
+    }
+    out = Buffer.concat([out.subarray(0, record.offset), record.original, out.subarray(recordEnd)]);
+    const delta = record.original.length - record.replacement.length;
+    for (const r of records) {
+      if (r !== record && r.offset >= recordEnd) r.offset += delta;
+    }
+    records = records.filter(r => r !== record);
+  }
+
+  const remaining = journal.patches.filter(entry => !patchIds.includes(entry.id));
+  const backupPath = originalBackupPath(target.path, journal.originalHash);
+  if (remaining.length === 0 && hashContent(out) !== journal.originalHash) {
+    throw new Error(`Undoing the patch journal did not reproduce the original; restore it from ${backupPath}`);
+  }
+
+  if (!dryRun) {
+    writeFileAtomic(target.path, out);
+    if (remaining.length === 0) {
+      removeJournal(target.path);
+    } else {
+      const { signature: _signature, ...unsigned } = journal;
+      writeJournal(target.path, {
+        ...unsigned,
+        currentHash: hashContent(out),
+        patches: remaining.map(entry => {
+          const entangledWith = (entry.entangledWith || []).filter(id => !patchIds.includes(id));
+          const { entangledWith: _previous, ...rest } = entry;
+          return entangledWith.length > 0 ? { ...rest, entangledWith } : rest;
+        }),
+        edits: records.map(encodeEdit),
+      });
+    }
+  }
+
+  return { reverted: patchIds, remaining: remaining.map(entry => entry.id), backupPath };
+}
+
+// The target's bytes and journal as they are right now, so a write that turns out not to work (see
+// `--verify`) can be undone exactly, journal included.
+function snapshotTarget(target) {
+  const journalPath = journalPathFor(target.path);
+  return {
+    content: fs.readFileSync(target.path),
+    journal: fs.existsSync(journalPath) ? fs.readFileSync(journalPath) : null,
+  };
+}
+
+function restoreSnapshot(target, snapshot) {
+  writeFileAtomic(target.path, snapshot.content);
+  if (snapshot.journal) writeFileAtomic(journalPathFor(target.path), snapshot.journal);
+  else removeJournal(target.path);
+}
+
+// Undo every journaled patch. Returns the pristine backup path and the reverted patch ids.
+function restoreOriginal(target, { dryRun = false } = {}) {
+  const journal = readJournal(target.path);
+  if (!journal) throw new Error(`No patch journal found for ${target.path}`);
+  const { reverted, backupPath } = revertPatches(
+    target,
+    journal.patches.map(entry => entry.id),
+    { dryRun }
+  );
+  return { backupPath, reverted };
+}
+
+module.exports = {
+  LEGACY_BACKUP_SUFFIXES,
+  backupDirFor,
+  journalPathFor,
+  hashContent,
+  readJournal,
+  storeOriginal,
+  rotateStaleBackups,
+  recordAppliedPatches,
+  recordSignature,
+  readTargetForPatching,
+  revertPatches,
+  restoreOriginal,
+  snapshotTarget,
+  restoreSnapshot,
+};
@@ -0,0 +1,491 @@
+/**
+ * Reader/writer for Bun standalone executables (`bun build --compile`), the format of the native
+ * Claude Code binaries.
+ *
+ * Bun embeds the bundled sources as a module graph:
+ *
+ *   [module data ...][module records][Offsets]["\n---- Bun! ----\n"]
+ *
+ * - `Offsets` is `{ byteCount: u64, modules: StringPointer, entryPointId: u32, ... }`; newer Bun
+ *   releases add an exec-argv StringPointer and flags (24 or 32 bytes in all)
+ * - a StringPointer is `{ offset: u32, length: u32 }`, relative to the start of the module data
+ * - a module record is a run of StringPointers (name, contents, sourcemap, bytecode, ...) followed
+ *   by four one-byte enums (encoding, loader, module format, side); the count of pointers grew
+ *   across Bun releases, so the record size is inferred from the records themselves
+ *
+ * The graph lives in one of three places:
+ * - ELF: the `.bun` section, `[u64 length][graph]`, at the end of the last writable PT_LOAD segment
+ * - Mach-O: the `__BUN,__bun` section, with the same `[u64 length][graph]` framing
+ * - older Bun releases: appended to the executable, followed by a u64 byte count
+ *
+ * `spliceStandaloneModule()` replaces a byte range inside one module's contents with bytes of any
+ * length and re-emits the executable with corrected offsets: pointers behind the range move, the
+ * framing and section sizes follow, and when the section outgrows its padding everything behind
+ * its segment moves by whole pages (ELF non-alloc sections and section headers, Mach-O segments
+ * such as `__LINKEDIT` and every load command offset into them). Mach-O code signatures are moved
+ * along but no longer match; the signing step (see ./code-signing) re-signs on macOS.
+ *
+ * Only 64-bit little-endian images are handled. Anything else reads as "no module graph" (null).
+ */
+
+const TRAILER = Buffer.from('\n---- Bun! ----\n', 'latin1');
+const OFFSETS_SIZES = [32, 24];
+// `n` StringPointers + 4 enum bytes, newest layout first.
+const RECORD_SIZES = [52, 44, 36, 28];
+const RECORD_ENUMS = ['encoding', 'loader', 'moduleFormat', 'side'];
+// The virtual root Bun prefixes module names with (also stripped by ./embedded-js for file names).
+const MODULE_NAME_RE = /^(?:\/\$bunfs\/|B:\/~BUN\/|compiled:\/\/)/;
+
+const ELF_MAGIC = Buffer.from([0x7f, 0x45, 0x4c, 0x46]);
+const PT_LOAD = 1;
+const SHT_NOBITS = 8;
+const SHF_ALLOC = 0x2;
+const ELF_MIN_PAGE = 0x1000;
+
+const MH_MAGIC_64 = 0xfeedfacf;
+const CPU_TYPE_ARM64 = 0x0100000c;
+const LC_SEGMENT_64 = 0x19;
+// Load commands holding u32 file offsets (into __LINKEDIT), by command: byte positions of the offsets.
+const MACHO_OFFSET_FIELDS = new Map([
+  [0x02, [8, 16]], // LC_SYMTAB: symoff, stroff
+  [0x0b, [32, 40, 48, 56, 64, 72]], // LC_DYSYMTAB: tocoff, modtaboff, extrefsymoff, indirectsymoff, extreloff, locreloff
+  [0x22, [8, 16, 24, 32, 40]], // LC_DYLD_INFO: rebase, bind, weak bind, lazy bind, export
+  [0x80000022, [8, 16, 24, 32, 40]], // LC_DYLD_INFO_ONLY
+  [0x1d, [8]], // LC_CODE_SIGNATURE
+  [0x1e, [8]], // LC_SEGMENT_SPLIT_INFO
+  [0x26, [8]], // LC_FUNCTION_STARTS
+  [0x29, [8]], // LC_DATA_IN_CODE
+  [0x2b, [8]], // LC_DYLIB_CODE_SIGN_DRS
+  [0x2e, [8]], // LC_LINKER_OPTIMIZATION_HINT
+  [0x36, [8]], // LC_ATOM_INFO
+  [0x80000033, [8]], // LC_DYLD_EXPORTS_TRIE
+  [0x80000034, [8]], // LC_DYLD_CHAINED_FIXUPS
+]);
+
+function readU64(buf, pos) {
+  return Number(buf.readBigUInt64LE(pos));
+}
+
+function u32Bytes(value) {
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32LE(value);
+  return bytes;
+}
+
+function u64Bytes(value) {
+  const bytes = Buffer.alloc(8);
+  bytes.writeBigUInt64LE(BigInt(value));
+  return bytes;
+}
+
+function alignUp(value, alignment) {
+  return Math.ceil(value / alignment) * alignment;
+}
+
+function readPointer(buf, pos) {
+  return { offset: buf.readUInt32LE(pos), length: buf.readUInt32LE(pos + 4) };
+}
+
+function writePointer(buf, pos, pointer) {
+  buf.writeUInt32LE(pointer.offset, pos);
+  buf.writeUInt32LE(pointer.length, pos + 4);
+}
+
+function cString(buf, start, length) {
+  const raw = buf.subarray(start, start + length);
+  const nul = raw.indexOf(0);
+  return raw.toString('latin1', 0, nul < 0 ? raw.length : nul);
+}
+
+// `.bun` in a 64-bit little-endian ELF image: `{ format, sectionOffset, sectionSize, ... }` or null.
+function findElfSection(buf) {
+  if (buf.length < 64 || !buf.subarray(0, 4).equals(ELF_MAGIC) || buf[4] !== 2 || buf[5] !== 1) return null;
+  const phoff = readU64(buf, 0x20);
+  const shoff = readU64(buf, 0x28);
+  const phentsize = buf.readUInt16LE(0x36);
+  const phnum = buf.readUInt16LE(0x38);
+  const shentsize = buf.readUInt16LE(0x3a);
+  const shnum = buf.readUInt16LE(0x3c);
+  const shstrndx = buf.readUInt16LE(0x3e);
+  if (shoff === 0 || shoff + shnum * shentsize > buf.length || phoff + phnum * phentsize > buf.length) return null;
+  if (shstrndx >= shnum) return null;
+
+  const sections = [];
+  for (let i = 0; i < shnum; i++) {
+    const pos = shoff + i * shentsize;
+    sections.push({
+      header: pos,
+      nameIndex: buf.readUInt32LE(pos),
+      type: buf.readUInt32LE(pos + 4),
+      flags: readU64(buf, pos + 8),
+      addr: readU64(buf, pos + 16),
+      offset: readU64(buf, pos + 24),
+      size: readU64(buf, pos + 32),
+    });
+  }
+  const names = sections[shstrndx];
+  const bun = sections.find(section => cString(buf, names.offset + section.nameIndex, names.size - section.nameIndex) === '.bun');
+  if (!bun || bun.type === SHT_NOBITS || bun.offset + bun.size > buf.length) return null;
+
+  const segments = [];
+  for (let i = 0; i < phnum; i++) {
+    const pos = phoff + i * phentsize;
+    segments.push({
+      header: pos,
+      type: buf.readUInt32LE(pos),
+      offset: readU64(buf, pos + 8),
+      vaddr: readU64(buf, pos + 16),
+      filesz: readU64(buf, pos + 32),
+      memsz: readU64(buf, pos + 40),
+      align: readU64(buf, pos + 48),
+    });
+  }
+  const segment = segments.find(
+    candidate => candidate.type === PT_LOAD && candidate.offset <= bun.offset && bun.offset + bun.size <= candidate.offset + candidate.filesz
+  );
+  if (!segment) return null;
+
+  return { format: 'elf', sectionOffset: bun.offset, sectionSize: bun.size, section: bun, segment, sections, segments, shoff };
+}
+
+// `__BUN,__bun` in a thin 64-bit little-endian Mach-O image, or null.
+function findMachoSection(buf) {
+  if (buf.length < 32 || buf.readUInt32LE(0) !== MH_MAGIC_64) return null;
+  const cputype = buf.readUInt32LE(4);
+  const ncmds = buf.readUInt32LE(16);
+  const commands = [];
+  const segments = [];
+  let pos = 32;
+  for (let i = 0; i < ncmds; i++) {
+    if (pos + 8 > buf.length) return null;
+    const cmd = buf.readUInt32LE(pos);
+    const cmdsize = buf.readUInt32LE(pos + 4);
+    if (cmdsize < 8 || pos + cmdsize > buf.length) return null;
+    commands.push({ cmd, pos });
+    if (cmd === LC_SEGMENT_64) {
+      const sections = [];
+      for (let s = 0; s < buf.readUInt32LE(pos + 64); s++) {
+        const sect = pos + 72 + s * 80;
+        sections.push({ header: sect, name: cString(buf, sect, 16), offset: buf.readUInt32LE(sect + 48), size: readU64(buf, sect + 40) });
+      }
+      segments.push({
+        header: pos,
+        name: cString(buf, pos + 8, 16),
+        vmaddr: readU64(buf, pos + 24),
+        vmsize: readU64(buf, pos + 32),
+        fileoff: readU64(buf, pos + 40),
+        filesize: readU64(buf, pos + 48),
+        sections,
+      });
+    }
+    pos += cmdsize;
+  }
+
+  const segment = segments.find(candidate => candidate.name === '__BUN');
+  const section = segment && segment.sections.find(candidate => candidate.name === '__bun');
+  if (!section || section.offset + section.size > buf.length) return null;
+
+  return {
+    format: 'macho',
+    sectionOffset: section.offset,
+    sectionSize: section.size,
+    section,
+    segment,
+    segments,
+    commands,
+    pageSize: cputype === CPU_TYPE_ARM64 ? 0x4000 : 0x1000,
+  };
+}
+
+// Where the graph's bytes are: `{ container, rawStart, rawEnd }` (`rawStart` null when only the
+// Offsets struct can tell where the data starts).
+function findGraphBytes(buf) {
+  const container = findElfSection(buf) || findMachoSection(buf);
+  if (container) {
+    if (container.sectionSize < 8) return null;
+    const length = readU64(buf, container.sectionOffset);
+    const rawStart = container.sectionOffset + 8;
+    if (rawStart + length > container.sectionOffset + container.sectionSize) return null;
+    return { container, rawStart, rawEnd: rawStart + length };
+  }
+
+  if (buf.length < 8 + TRAILER.length) return null;
+  return { container: { format: 'appended' }, rawStart: null, rawEnd: buf.length - 8 };
+}
+
+// The module records at `recordsStart`, if `recordSize` describes them.
+function readRecords(buf, dataStart, byteCount, recordsStart, recordsLength, recordSize) {
+  if (recordsLength === 0 || recordsLength % recordSize !== 0) return null;
+  const pointerCount = (recordSize - RECORD_ENUMS.length) / 8;
+  const modules = [];
+  for (let index = 0; index < recordsLength / recordSize; index++) {
+    const record = recordsStart + index * recordSize;
+    const pointers = [];
+    for (let p = 0; p < pointerCount; p++) {
+      const pointer = readPointer(buf, record + p * 8);
+      if (pointer.offset + pointer.length > byteCount) return null;
+      pointers.push(pointer);
+    }
+    const [name, contents] = pointers;
+    const moduleName = buf.toString('latin1', dataStart + name.offset, dataStart + name.offset + name.length);
+    if (!MODULE_NAME_RE.test(moduleName)) return null;
+
+    const entry = {
+      index,
+      name: moduleName,
+      contents: { start: dataStart + contents.offset, end: dataStart + contents.offset + contents.length },
+    };
+    RECORD_ENUMS.forEach((field, i) => {
+      entry[field] = buf[record + pointerCount * 8 + i];
+    });
+    modules.push(entry);
+  }
+  return modules;
+}
+
+/**
+ * The module graph embedded in `buf` (a whole executable), or null when there is none:
+ *
+ *   {
+ *     format: 'elf' | 'macho' | 'appended',
+ *     dataStart, byteCount,        // file offset and length of the module data
+ *     entryPointId,                // index of the entry module
+ *     modules: [{ index, name, contents: { start, end }, encoding, loader, moduleFormat, side }],
+ *     ...                          // layout details for `spliceStandaloneModule()`
+ *   }
+ *
+ * `contents` are file offsets into `buf`.
+ */
+function readStandaloneGraph(buf) {
+  if (!Buffer.isBuffer(buf)) return null;
+  const bytes = findGraphBytes(buf);
+  if (!bytes) return null;
+  const trailerStart = bytes.rawEnd - TRAILER.length;
+  if (trailerStart < 0 || !buf.subarray(trailerStart, bytes.rawEnd).equals(TRAILER)) return null;
+
+  for (const offsetsSize of OFFSETS_SIZES) {
+    const offsetsStart = trailerStart - offsetsSize;
+    if (offsetsStart < 0) continue;
+    const byteCount = readU64(buf, offsetsStart);
+    const dataStart = offsetsStart - byteCount;
+    if (dataStart < 0 || (bytes.rawStart !== null && dataStart !== bytes.rawStart)) continue;
+
+    const modulesPointer = readPointer(buf, offsetsStart + 8);
+    if (modulesPointer.offset + modulesPointer.length > byteCount) continue;
+    const recordsStart = dataStart + modulesPointer.offset;
+    for (const recordSize of RECORD_SIZES) {
+      const modules = readRecords(buf, dataStart, byteCount, recordsStart, modulesPointer.length, recordSize);
+      if (!modules) continue;
+      return {
+        format: bytes.container.format,
+        dataStart,
+        byteCount,
+        entryPointId: buf.readUInt32LE(offsetsStart + 16),
+        modules,
+        recordsStart,
+        recordSize,
+        offsetsStart,
+        offsetsSize,
+        container: bytes.container,
+      };
+    }
+  }
+  return null;
+}
+
+// The module whose contents hold the bytes `start`..`end`, or null.
+function findModuleContaining(graph, start, end) {
+  return graph.modules.find(entry => entry.contents.start <= start && end <= entry.contents.end) || null;
+}
+
+// Sequential edits over a Buffer, recorded like `trackEdits()` records them. `buf` is never mutated.
+function createEditor(buf) {
+  const editor = { content: buf, edits: [] };
+  editor.splice = (start, end, bytes) => {
+    const original = Buffer.from(editor.content.subarray(start, end));
+    editor.content = Buffer.concat([editor.content.subarray(0, start), bytes, editor.content.subarray(end)]);
+    editor.edits.push({ offset: start, original, replacement: Buffer.from(bytes) });
+  };
+  editor.write = (offset, bytes) => {
+    const original = Buffer.from(editor.content.subarray(offset, offset + bytes.length));
+    if (original.equals(bytes)) return;
+    if (editor.content === buf) editor.content = Buffer.from(buf);
+    bytes.copy(editor.content, offset);
+    editor.edits.push({ offset, original, replacement: Buffer.from(bytes) });
+  };
+  return editor;
+}
+
+// ELF: after `growth` bytes were inserted at the end of the `.bun` segment, move what follows it in
+// the file and extend the segment. `moved(pos)` maps a position in the input to the output.
+function growElfSegment(editor, container, roomEnd, growth, moved) {
+  const { segment, section, sections, segments } = container;
+  const segmentEnd = segment.vaddr + segment.memsz;
+  if (segment.memsz !== segment.filesz) throw new Error('the .bun segment has a zero-filled tail');
+  for (const other of sections) {
+    if (other === section || !(other.flags & SHF_ALLOC)) continue;
+    if (other.addr >= section.addr + section.size && other.addr < segmentEnd) {
+      throw new Error('the .bun section is not at the end of its segment');
+    }
+    if (other.type !== SHT_NOBITS && other.offset >= roomEnd) throw new Error('a loaded section follows the .bun segment');
+  }
+  for (const other of segments) {
+    if (other === segment || other.type !== PT_LOAD || other.memsz === 0) continue;
+    if (other.offset >= roomEnd && other.filesz > 0) throw new Error('a loadable segment follows the .bun segment');
+    if (other.vaddr < segmentEnd + growth && segmentEnd < other.vaddr + other.memsz) {
+      throw new Error('no address space after the .bun segment');
+    }
+  }
+
+  editor.write(moved(segment.header) + 32, u64Bytes(segment.filesz + growth));
+  editor.write(moved(segment.header) + 40, u64Bytes(segment.memsz + growth));
+  for (const other of segments) {
+    if (other !== segment && other.offset >= roomEnd) editor.write(moved(other.header) + 8, u64Bytes(other.offset + growth));
+  }
+  for (const other of sections) {
+    if (other.offset >= roomEnd) editor.write(moved(other.header) + 24, u64Bytes(other.offset + growth));
+  }
+  if (container.shoff >= roomEnd) editor.write(0x28, u64Bytes(container.shoff + growth));
+}
+
+// Mach-O: after `growth` bytes were inserted at the end of `__BUN`, move the segments behind it
+// (in the file and in memory) and every load command offset into them.
+function growMachoSegment(editor, container, roomEnd, growth) {
+  const { segment, segments, commands } = container;
+  const segmentEnd = segment.vmaddr + segment.vmsize;
+  const moved = segments.filter(other => other !== segment && other.fileoff >= roomEnd && other.filesize > 0);
+  for (const other of segments) {
+    if (other === segment || moved.includes(other) || other.vmsize === 0) continue;
+    if (other.vmaddr < segmentEnd + growth && segmentEnd <= other.vmaddr) {
+      throw new Error(`segment ${other.name} is in the way of __BUN`);
+    }
+  }
+
+  editor.write(segment.header + 32, u64Bytes(segment.vmsize + growth));
+  editor.write(segment.header + 48, u64Bytes(segment.filesize + growth));
+  for (const other of moved) {
+    editor.write(other.header + 24, u64Bytes(other.vmaddr + growth));
+    editor.write(other.header + 40, u64Bytes(other.fileoff + growth));
+    for (const sect of other.sections) {
+      editor.write(sect.header + 32, u64Bytes(readU64(editor.content, sect.header + 32) + growth));
+      for (const field of [48, 56]) {
+        const value = editor.content.readUInt32LE(sect.header + field);
+        if (value !== 0) editor.write(sect.header + field, u32Bytes(value + growth));
+      }
+    }
+  }
+  for (const { cmd, pos } of commands) {
+    for (const field of MACHO_OFFSET_FIELDS.get(cmd) || []) {
+      const value = editor.content.readUInt32LE(pos + field);
+      if (value >= roomEnd) editor.write(pos + field, u32Bytes(value + growth));
+    }
+  }
+}
+
+// Resize the section holding the graph by `delta` bytes (already spliced into its contents).
+function resizeSection(editor, graph, delta) {
+  const { container } = graph;
+  const sectionEnd = container.sectionOffset + container.sectionSize;
+  const segmentEnd =
+    container.format === 'elf'
+      ? container.segment.offset + container.segment.filesz
+      : container.segment.fileoff + container.segment.filesize;
+  // The section may only take over the zero padding up to the next thing in the file.
+  const roomEnd = Math.min(
+    segmentEnd,
+    ...(container.format === 'elf' ? container.sections : container.segment.sections)
+      .filter(other => other !== container.section && other.type !== SHT_NOBITS && other.offset >= sectionEnd)
+      .map(other => other.offset)
+  );
+  const slack = roomEnd - sectionEnd;
+  const pageSize = container.format === 'elf' ? Math.max(container.segment.align, ELF_MIN_PAGE) : container.pageSize;
+  const growth = delta <= slack ? 0 : alignUp(delta - slack, pageSize);
+  if (growth > 0 && roomEnd < segmentEnd) throw new Error('the module graph section is not at the end of its segment');
+
+  // Section end after the splice: pad (or give back padding) so what follows moves by `growth`.
+  const padAt = sectionEnd + delta;
+  const padding = growth - delta;
+  if (padding > 0) {
+    editor.splice(padAt, padAt, Buffer.alloc(padding));
+  } else if (padding < 0) {
+    if (!editor.content.subarray(padAt, padAt - padding).every(byte => byte === 0)) {
+      throw new Error('the module graph section is not followed by padding');
+    }
+    editor.splice(padAt, padAt - padding, Buffer.alloc(0));
+  }
+
+  // Section headers may sit behind the section (ELF keeps them at the end of the file).
+  const moved = pos => (pos >= roomEnd ? pos + growth : pos);
+  const size = container.sectionSize + delta;
+  if (container.format === 'elf') {
+    editor.write(moved(container.section.header) + 32, u64Bytes(size));
+    if (growth > 0) growElfSegment(editor, container, roomEnd, growth, moved);
+  } else {
+    editor.write(container.section.header + 40, u64Bytes(size));
+    if (growth > 0) growMachoSegment(editor, container, roomEnd, growth);
+  }
+}
+
+/**
+ * Replace bytes `start`..`end` of `buf` (inside one embedded module's contents) with `replacement`
+ * (a Buffer of any length) and re-emit the executable around it.
+ * Returns `{ content, edits }`: the new executable and the sequential `{ offset, original,
+ * replacement }` edits that turn `buf` into it. Throws when `buf` has no module graph, the range is
+ * not inside a module, or the layout leaves no room to grow.
+ */
+function spliceStandaloneModule(buf, start, end, replacement) {
+  const graph = readStandaloneGraph(buf);
+  if (!graph) throw new Error('no Bun module graph found (not a Bun standalone executable, or an unsupported layout)');
+  if (!(start < end) || !findModuleContaining(graph, start, end)) {
+    throw new Error(`bytes ${start}-${end} are not inside an embedded module`);
+  }
+
+  const delta = replacement.length - (end - start);
+  const relStart = start - graph.dataStart;
+  const relEnd = end - graph.dataStart;
+  const at = pos => (pos >= end ? pos + delta : pos);
+  const movePointer = pointer => {
+    if (pointer.length > 0 && pointer.offset <= relStart && relEnd <= pointer.offset + pointer.length) {
+      return { offset: pointer.offset, length: pointer.length + delta };
+    }
+    if (pointer.offset >= relEnd) return { offset: pointer.offset + delta, length: pointer.length };
+    if (pointer.offset + pointer.length <= relStart) return pointer;
+    throw new Error(`bytes ${start}-${end} straddle two embedded blobs`);
+  };
+
+  const editor = createEditor(buf);
+  editor.splice(start, end, replacement);
+
+  const recordsLength = graph.modules.length * graph.recordSize;
+  const records = Buffer.from(buf.subarray(graph.recordsStart, graph.recordsStart + recordsLength));
+  const pointerCount = (graph.recordSize - RECORD_ENUMS.length) / 8;
+  for (let pos = 0; pos < recordsLength; pos += graph.recordSize) {
+    for (let p = 0; p < pointerCount; p++) writePointer(records, pos + p * 8, movePointer(readPointer(records, pos + p * 8)));
+  }
+  editor.write(at(graph.recordsStart), records);
+
+  const offsets = Buffer.from(buf.subarray(graph.offsetsStart, graph.offsetsStart + graph.offsetsSize));
+  offsets.writeBigUInt64LE(BigInt(graph.byteCount + delta), 0);
+  writePointer(offsets, 8, movePointer(readPointer(offsets, 8)));
+  if (graph.offsetsSize >= 28) writePointer(offsets, 20, movePointer(readPointer(offsets, 20)));
+  editor.write(at(graph.offsetsStart), offsets);
+
+  if (graph.container.format === 'appended') {
+    const countAt = at(buf.length - 8);
+    editor.write(countAt, u64Bytes(readU64(buf, buf.length - 8) + delta));
+  } else {
+    const lengthAt = graph.container.sectionOffset;
+    editor.write(lengthAt, u64Bytes(readU64(buf, lengthAt) + delta));
+    resizeSection(editor, graph, delta);
+  }
+
+  return { content: editor.content, edits: editor.edits };
+}
+
+module.exports = {
+  STANDALONE_TRAILER: TRAILER,
+  MODULE_NAME_RE,
+  readStandaloneGraph,
+  findModuleContaining,
+  spliceStandaloneModule,
+};
@@ -0,0 +1,297 @@
+/**
+ * Re-signing patched native binaries.
+ *
+ * Patching a native binary invalidates its code signature. After every write the signing step
+ * (`signPatchedTarget()`) picks a signer for the binary's format and the `signing` settings of the
+ * patch profile (see ./patch-profile), runs it, verifies the result and records what it changed in
+ * the patch journal (see `recordSignature()` in ./backup-store), so restores still line up:
+ *
+ *   method     format   signer
+ *   adhoc      Mach-O   `codesign --force --deep --sign -` (macOS only)
+ *   identity   Mach-O   `codesign --force --sign <signing.identity>` (macOS only)
+ *   strip      Mach-O   `codesign --remove-signature` (macOS only)
+ *              PE       drops the Authenticode certificate table and fixes the header checksum
+ *   none       any      leaves the binary as written
+ *
+ * `auto` (the default) is `adhoc` for Mach-O and `strip` for PE. There is no signtool support, so
+ * `adhoc` and `identity` fail for PE binaries (`claude.exe`) instead of quietly stripping them; ELF
+ * binaries carry no signature. Every run returns `{ format, method, status, verified, reason }`,
+ * with `status` one of SIGNING_STATUS.
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+const { shellQuotePosix } = require('./patch-engine');
+const { writeFileAtomic } = require('./atomic-write');
+const { readJournal, hashContent, recordSignature } = require('./backup-store');
+
+const SIGNING_METHODS = ['auto', 'adhoc', 'identity', 'strip', 'none'];
+
+const SIGNING_STATUS = {
+  signed: 'signed',
+  stripped: 'stripped',
+  notNeeded: 'not-needed',
+  skipped: 'skipped',
+  failed: 'failed',
+};
+
+const PE_SECURITY_DIRECTORY = 4;
+
+// 'macho', 'pe', 'elf' or null, from the magic bytes.
+function executableFormat(buf) {
+  if (buf.length < 4) return null;
+  if (buf[0] === 0x7f && buf.toString('latin1', 1, 4) === 'ELF') return 'elf';
+  if (buf[0] === 0x4d && buf[1] === 0x5a) return 'pe';
+  const magic = buf.readUInt32BE(0);
+  if ([0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe, 0xcafebabe].includes(magic)) return 'macho';
+  return null;
+}
+
+// The PE headers' checksum field and security (Authenticode) directory entry, or null when `buf`
+// is not a PE image.
+function readPeHeaders(buf) {
+  if (buf.length < 0x40) return null;
+  const pe = buf.readUInt32LE(0x3c);
+  if (pe + 24 > buf.length || buf.toString('latin1', pe, pe + 4) !== 'PE\0\0') return null;
+
+  const optional = pe + 24;
+  const magic = buf.readUInt16LE(optional);
+  if (magic !== 0x10b && magic !== 0x20b) return null;
+  const is64 = magic === 0x20b;
+  const directoryCount = buf.readUInt32LE(optional + (is64 ? 108 : 92));
+  if (directoryCount <= PE_SECURITY_DIRECTORY) return { checksumOffset: optional + 64, securityEntry: null };
+
+  const securityEntry = optional + (is64 ? 112 : 96) + PE_SECURITY_DIRECTORY * 8;
+  return { checksumOffset: optional + 64, securityEntry };
+}
+
+// The certificate table of a PE image as `{ offset, size }` (the directory holds a file offset),
+// or null when it carries none.
+function findPeSignature(buf) {
+  const headers = readPeHeaders(buf);
+  if (!headers || headers.securityEntry === null) return null;
+  const offset = buf.readUInt32LE(headers.securityEntry);
+  const size = buf.readUInt32LE(headers.securityEntry + 4);
+  return size > 0 ? { offset, size } : null;
+}
+
+// The PE header checksum (imagehlp's CheckSumMappedFile): 16-bit one's complement sum of the file
+// with the checksum field left out, plus the file length.
+function peChecksum(buf, checksumOffset) {
+  let sum = 0;
+  for (let i = 0; i < buf.length; i += 2) {
+    if (i === checksumOffset || i === checksumOffset + 2) continue;
+    sum += i + 1 < buf.length ? buf.readUInt16LE(i) : buf[i];
+    sum = (sum & 0xffff) + (sum >>> 16);
+  }
+  return ((sum & 0xffff) + (sum >>> 16) + buf.length) >>> 0;
+}
+
+/**
+ * `buf` without its Authenticode signature: the security directory entry is cleared and the
+ * certificate table, which signing appends at the end of the file, is cut off. A non-zero header
+ * checksum is recomputed. Returns `buf` itself when there is no signature.
+ */
+function stripPeSignature(buf) {
+  const signature = findPeSignature(buf);
+  if (!signature) return buf;
+  const { checksumOffset, securityEntry } = readPeHeaders(buf);
+
+  const atEnd = signature.offset + signature.size === buf.length;
+  const out = Buffer.from(atEnd ? buf.subarray(0, signature.offset) : buf);
+  out.fill(0, securityEntry, securityEntry + 8);
+  if (out.readUInt32LE(checksumOffset) !== 0) out.writeUInt32LE(peChecksum(out, checksumOffset), checksumOffset);
+  return out;
+}
+
+// True when `buf` is a PE image without a signature whose header checksum, if set, matches.
+function isStrippedPe(buf) {
+  const headers = readPeHeaders(buf);
+  if (!headers || findPeSignature(buf)) return false;
+  const checksum = buf.readUInt32LE(headers.checksumOffset);
+  return checksum === 0 || checksum === peChecksum(buf, headers.checksumOffset);
+}
+
+function runTool(command, args) {
+  return execFileSync(command, args, { stdio: ['ignore', 'pipe', 'pipe'], encoding: 'utf8' });
+}
+
+// The tool's stderr (or message) from a failed `run()`, on one line.
+function describeToolError(error) {
+  const stderr = error.stderr ? String(error.stderr).trim() : '';
+  return (stderr || error.message).split('\n')[0];
+}
+
+function codesignArgs(method, identity, filePath) {
+  if (method === 'adhoc') return ['--force', '--deep', '--sign', '-', filePath];
+  if (method === 'identity') return ['--force', '--sign', identity, filePath];
+  return ['--remove-signature', filePath];
+}
+
+// The codesign command `signTarget()` runs, for manual retries.
+function describeCodesignCommand(method, identity, filePath) {
+  const quote = arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : shellQuotePosix(arg));
+  return ['codesign', ...codesignArgs(method, identity, filePath)].map(quote).join(' ');
+}
+
+const SIGNERS = {
+  codesign: {
+    sign(filePath, { method, identity, run }) {
+      run('codesign', codesignArgs(method, identity, filePath));
+    },
+    // `--remove-signature` is verified by codesign refusing the file as unsigned.
+    verify(filePath, { method, run }) {
+      try {
+        run('codesign', ['--verify', '--strict', filePath]);
+        return method !== 'strip';
+      } catch (error) {
+        return method === 'strip' && /not signed at all/.test(describeToolError(error));
+      }
+    },
+  },
+  'pe-strip': {
+    sign(filePath) {
+      const content = fs.readFileSync(filePath);
+      const stripped = stripPeSignature(content);
+      if (stripped !== content) writeFileAtomic(filePath, stripped, { encoding: 'latin1' });
+    },
+    verify(filePath) {
+      return isStrippedPe(fs.readFileSync(filePath));
+    },
+  },
+};
+
+/**
+ * What `signTarget()` will do for a binary of `format`: `{ method, signer }` with a SIGNERS key,
+ * or `{ method, status, reason }` when there is nothing to run.
+ */
+function planSigning(format, { method = 'auto', identity, platform = process.platform } = {}) {
+  if (method === 'none') return { method, status: SIGNING_STATUS.skipped, reason: 'signing.method is "none"' };
+  if (format === 'pe') {
+    if (method === 'auto' || method === 'strip') return { method: 'strip', signer: 'pe-strip' };
+    const reason = `signing.method "${method}" does not apply to PE binaries (use "strip", "auto" or "none")`;
+    return { method, status: SIGNING_STATUS.failed, reason };
+  }
+  if (format !== 'macho') {
+    const name = format ? format.toUpperCase() : 'Unknown';
+    return { method, status: SIGNING_STATUS.notNeeded, reason: `${name} binaries are not signed` };
+  }
+  const resolved = method === 'auto' ? 'adhoc' : method;
+  if (resolved === 'identity' && !identity) {
+    return { method: resolved, status: SIGNING_STATUS.failed, reason: 'signing.identity is not set in the profile' };
+  }
+  if (platform !== 'darwin') {
+    return { method: resolved, status: SIGNING_STATUS.skipped, reason: 'codesign is only available on macOS' };
+  }
+  return { method: resolved, signer: 'codesign' };
+}
+
+function readExecutableFormat(filePath) {
+  const header = Buffer.alloc(4096);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    return executableFormat(header.subarray(0, fs.readSync(fd, header, 0, header.length, 0)));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Re-sign (or strip) the native binary at `target.path` as `signing` (`{ method, identity }`, from
+ * the patch profile) asks, then verify it. Returns `{ format, method, status, verified, reason }`,
+ * or null for cli.js targets. `platform` and `run(command, args)` are for tests.
+ */
+function signTarget(target, { signing = {}, platform = process.platform, run = runTool } = {}) {
+  if (target.kind !== 'native-binary') return null;
+
+  const format = readExecutableFormat(target.path);
+  const plan = planSigning(format, { method: signing.method, identity: signing.identity, platform });
+  if (!plan.signer) return { format, method: plan.method, status: plan.status, verified: false, reason: plan.reason };
+
+  const options = { method: plan.method, identity: signing.identity, run };
+  const signer = SIGNERS[plan.signer];
+  const done = plan.method === 'strip' ? SIGNING_STATUS.stripped : SIGNING_STATUS.signed;
+  try {
+    signer.sign(target.path, options);
+  } catch (error) {
+    return { format, method: plan.method, status: SIGNING_STATUS.failed, verified: false, reason: describeToolError(error) };
+  }
+  if (!signer.verify(target.path, options)) {
+    return { format, method: plan.method, status: SIGNING_STATUS.failed, verified: false, reason: 'the signature did not verify' };
+  }
+  return { format, method: plan.method, status: done, verified: true, reason: null };
+}
+
+const METHOD_LABELS = {
+  adhoc: 'ad-hoc signed',
+  identity: 'signed with the profile identity',
+  strip: 'invalidated signature removed',
+};
+
+// One line for the patch report, e.g. "ad-hoc signed (verified)".
+function describeSigning(signing) {
+  if (signing.status === SIGNING_STATUS.signed || signing.status === SIGNING_STATUS.stripped) {
+    return `${METHOD_LABELS[signing.method]} (verified)`;
+  }
+  if (signing.status === SIGNING_STATUS.notNeeded) return `not needed (${signing.reason})`;
+  return `${signing.status === SIGNING_STATUS.failed ? `${signing.method} failed` : 'skipped'}: ${signing.reason}`;
+}
+
+/**
+ * The signing step after a patcher wrote `target`: `signTarget()`, then the change it made is
+ * recorded in the patch journal. Returns the `signTarget()` result; nothing is printed, so the
+ * caller reports it in order with its other results (see `printSigningResult()`).
+ */
+function signPatchedTarget(target, { signing = {}, platform, run } = {}) {
+  if (target.kind !== 'native-binary') return null;
+
+  // Only read the whole binary when a signer will change it and there is a journal to tell.
+  const plan = planSigning(readExecutableFormat(target.path), { ...signing, platform });
+  let journal = null;
+  try {
+    journal = plan.signer ? readJournal(target.path) : null;
+  } catch {
+    journal = null;
+  }
+  const before = journal ? fs.readFileSync(target.path) : null;
+  const result = signTarget(target, { signing, platform, run });
+  if (before && hashContent(before) === journal.currentHash) {
+    recordSignature(target, { before, after: fs.readFileSync(target.path), method: result.method });
+  }
+  return result;
+}
+
+/**
+ * Print a `signPatchedTarget()` result for `target` to `output` (anything with `log()` / `error()`):
+ * a line per outcome, plus the codesign command to retry by hand when a Mach-O signature failed.
+ * `signing` is the profile's section the step ran with. Prints nothing for null (cli.js targets).
+ */
+function printSigningResult(result, target, { signing = {}, output = console } = {}) {
+  if (!result) return;
+  if (result.status === SIGNING_STATUS.signed || result.status === SIGNING_STATUS.stripped) {
+    output.log(`✅ Signing: ${describeSigning(result)}`);
+  } else if (result.status === SIGNING_STATUS.skipped && result.method !== 'none') {
+    output.error(`⚠️  Signing: ${describeSigning(result)}. Re-sign the binary on a Mac before running it there.`);
+  } else if (result.status === SIGNING_STATUS.failed) {
+    output.error(`⚠️  Signing: ${describeSigning(result)}. The patched binary may be killed when executed.`);
+    if (result.format === 'macho' && (result.method !== 'identity' || signing.identity)) {
+      output.error('   You can try manually:');
+      output.error(`   ${describeCodesignCommand(result.method, signing.identity, target.path)}`);
+    }
+  }
+}
+
+module.exports = {
+  SIGNING_METHODS,
+  SIGNING_STATUS,
+  executableFormat,
+  findPeSignature,
+  peChecksum,
+  stripPeSignature,
+  planSigning,
+  signTarget,
+  describeSigning,
+  signPatchedTarget,
+  printSigningResult,
+};
@@ -0,0 +1,178 @@
+/**
+ * Embedded-JS extraction and re-injection for native installs (`claude-patch.js extract` / `inject`).
+ *
+ * `extract` writes every module of a native binary's Bun module graph (see ./bun-standalone) to a
+ * directory, one file per module (`/$bunfs/root/cli` becomes `root/cli.js`), plus `modules.json`:
+ * each module's name, file, byte range in the binary and the sha256 of its contents.
+ *
+ * `inject` puts the edited files back. A file that is not longer than its module is padded with
+ * spaces, as patches are; a longer one repacks the module graph. Modules are matched by name, and
+ * a module whose current contents are neither the extracted ones nor the injected ones is refused:
+ * the binary was updated or patched since the extract. Injecting runs as the `inject` patch through
+ * the normal apply path, so it gets the backup, journal entry (`restore --patch inject`), syntax
+ * check and target lock every patch gets.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { APPLY_STATUS, definePatch, replaceNativeRange } = require('./patch-engine');
+const { MODULE_NAME_RE, readStandaloneGraph } = require('./bun-standalone');
+
+const MANIFEST_NAME = 'modules.json';
+const MANIFEST_FORMAT_VERSION = 1;
+const INJECT_PATCH_ID = 'inject';
+
+function sha256(bytes) {
+  return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+// `/$bunfs/root/cli` -> `root/cli.js`: relative, without `.` / `..` segments, `.js` when the
+// module name has no extension.
+function moduleFileName(name) {
+  const segments = name
+    .replace(MODULE_NAME_RE, '')
+    .split(/[\\/]+/)
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+  if (segments.length === 0) throw new Error(`Cannot map embedded module "${name}" to a file name`);
+  const file = segments.join('/');
+  return path.extname(file) ? file : `${file}.js`;
+}
+
+function readGraphOrThrow(content) {
+  const graph = Buffer.isBuffer(content) ? readStandaloneGraph(content) : null;
+  if (!graph) {
+    throw new Error('No Bun module graph found; extract and inject only work on native binaries built with `bun build --compile`');
+  }
+  return graph;
+}
+
+/**
+ * Write the modules embedded in `content` (a native binary) to `dir`, plus `modules.json`.
+ * `source` (`{ path, version }`) is recorded in the manifest. Returns the manifest.
+ */
+function extractEmbeddedModules(content, dir, { source = {} } = {}) {
+  const graph = readGraphOrThrow(content);
+  const files = new Map();
+  const modules = graph.modules.map(entry => {
+    const file = moduleFileName(entry.name);
+    if (files.has(file)) throw new Error(`Embedded modules "${files.get(file)}" and "${entry.name}" map to the same file ${file}`);
+    files.set(file, entry.name);
+    const { start, end } = entry.contents;
+    return {
+      index: entry.index,
+      name: entry.name,
+      file,
+      offset: start,
+      length: end - start,
+      sha256: sha256(content.subarray(start, end)),
+      loader: entry.loader,
+      encoding: entry.encoding,
+    };
+  });
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const entry of modules) {
+    const filePath = path.join(dir, entry.file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content.subarray(entry.offset, entry.offset + entry.length));
+  }
+
+  const manifest = {
+    version: MANIFEST_FORMAT_VERSION,
+    source: { path: source.path || null, version: source.version || null },
+    format: graph.format,
+    entryPoint: graph.modules[graph.entryPointId] ? graph.modules[graph.entryPointId].name : null,
+    modules,
+  };
+  fs.writeFileSync(path.join(dir, MANIFEST_NAME), `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+function readExtractManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_NAME);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error(`${dir} is not an extract directory (no ${MANIFEST_NAME})`);
+    throw new Error(`Cannot read ${manifestPath}: ${error.message}`);
+  }
+  if (!manifest || manifest.version !== MANIFEST_FORMAT_VERSION || !Array.isArray(manifest.modules)) {
+    throw new Error(`Unsupported extract manifest: ${manifestPath}`);
+  }
+  return manifest;
+}
+
+// True when `current` is `edited`, as injected before: padded with spaces if it was shorter.
+function isInjected(current, edited) {
+  if (current.length < edited.length || !current.subarray(0, edited.length).equals(edited)) return false;
+  return current.subarray(edited.length).every(byte => byte === 0x20);
+}
+
+/**
+ * Put the edited module files from `dir` (written by `extractEmbeddedModules()`) back into
+ * `content`. Missing files are skipped. Returns `{ content, injected, alreadyInjected }`:
+ * `injected` lists `{ name, file, from, to }` (module lengths in bytes), `alreadyInjected` the
+ * names of modules that already hold their edited version.
+ */
+function injectEmbeddedModules(content, dir) {
+  const manifest = readExtractManifest(dir);
+  let out = content;
+  const injected = [];
+  const alreadyInjected = [];
+
+  // Last module first: growing a module only moves the bytes behind it.
+  for (const entry of [...manifest.modules].sort((a, b) => b.offset - a.offset)) {
+    const filePath = path.join(dir, entry.file);
+    if (!fs.existsSync(filePath)) continue;
+    const edited = fs.readFileSync(filePath);
+
+    const embedded = readGraphOrThrow(out).modules.find(candidate => candidate.name === entry.name);
+    if (!embedded) throw new Error(`Embedded module ${entry.name} (${entry.file}) is not in this binary`);
+    const { start, end } = embedded.contents;
+    const current = out.subarray(start, end);
+    if (sha256(current) !== entry.sha256) {
+      if (isInjected(current, edited)) {
+        alreadyInjected.push(entry.name);
+        continue;
+      }
+      throw new Error(`${entry.name} changed since it was extracted (the binary was updated or patched); extract it again`);
+    }
+    if (current.equals(edited)) continue;
+
+    out = replaceNativeRange(out, start, end, edited, `${INJECT_PATCH_ID} ${entry.file}`);
+    injected.push({ name: entry.name, file: entry.file, from: current.length, to: edited.length });
+  }
+
+  return { content: out, injected: injected.reverse(), alreadyInjected };
+}
+
+// The `inject` patch: `injectEmbeddedModules()` from `dir` as a patch for `applyPatchesToTarget()`.
+function createInjectPatch(dir) {
+  return definePatch({
+    id: INJECT_PATCH_ID,
+    description: `Inject the edited modules from ${dir}`,
+    apply(content, ctx) {
+      if (ctx.kind !== 'native-binary') throw new Error('inject only works on native binaries');
+      const { content: out, injected, alreadyInjected } = injectEmbeddedModules(content, dir);
+      if (injected.length > 0) {
+        const steps = injected.map(entry => `${entry.file} (${entry.from} -> ${entry.to} bytes)`);
+        return { status: APPLY_STATUS.patched, content: out, steps };
+      }
+      if (alreadyInjected.length > 0) return { status: APPLY_STATUS.alreadyPatched, content };
+      return { status: APPLY_STATUS.skipped, content, reason: 'no module differs from the extracted copy' };
+    },
+  });
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  INJECT_PATCH_ID,
+  moduleFileName,
+  extractEmbeddedModules,
+  readExtractManifest,
+  injectEmbeddedModules,
+  createInjectPatch,
+};
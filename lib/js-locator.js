@@ -0,0 +1,272 @@
+/**
+ * Structural locator for minified JavaScript bundles.
+ *
+ * Regexes with `[\s\S]{0,1600}?` windows can run past the construct they are meant to patch. The
+ * scanner here walks the source like a tokenizer: it skips string, template and regex literals and
+ * comments, and tracks ()/[]/{} nesting. That is enough to answer questions like "the
+ * `case"thinking":` branch of this switch" or "the object literal containing
+ * `key:"npm-deprecation-warning"`" with exact spans.
+ *
+ * Spans are `{ start, end }` offsets (end exclusive) into the searched text. Native binaries are
+ * searched as latin1 text (1 byte per character, or pass the Buffer), so their spans are byte
+ * offsets. Every scan starts from a position the caller knows is code, never inside a literal.
+ */
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = new Set([')', ']', '}']);
+const TEMPLATE_EXPRESSION = '${';
+
+// After these words a `/` starts a regex literal, after any other identifier it divides.
+const REGEX_AFTER_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await',
+]);
+
+const DEFAULT_MAX_DISTANCE = 5000;
+const DEFAULT_MAX_SPAN = 100000;
+
+function asText(content) {
+  return Buffer.isBuffer(content) ? content.toString('latin1') : content;
+}
+
+function isIdentChar(ch) {
+  return ch !== undefined && /[\w$]/.test(ch);
+}
+
+function isWhitespace(ch) {
+  return ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t' || ch === '\f' || ch === '\v';
+}
+
+// Index just past the quoted string starting at `start`.
+function skipQuoted(text, start, limit) {
+  const quote = text[start];
+  for (let i = start + 1; i < limit; i++) {
+    const ch = text[i];
+    if (ch === '\\') i++;
+    else if (ch === quote || ch === '\n') return i + 1;
+  }
+  return limit;
+}
+
+// Template text from `start` (just past a backtick or a `}` closing `${...}`) up to and including
+// the closing backtick, or up to and including the next `${`. Returns `{ index, expression }`.
+function skipTemplateText(text, start, limit) {
+  for (let i = start; i < limit; i++) {
+    const ch = text[i];
+    if (ch === '\\') i++;
+    else if (ch === '`') return { index: i + 1, expression: false };
+    else if (ch === '$' && text[i + 1] === '{') return { index: i + 2, expression: true };
+  }
+  return { index: limit, expression: false };
+}
+
+// Index just past the regex literal (including flags) starting at `start`.
+function skipRegex(text, start, limit) {
+  let inClass = false;
+  for (let i = start + 1; i < limit; i++) {
+    const ch = text[i];
+    if (ch === '\\') i++;
+    else if (ch === '\n') return i;
+    else if (inClass) inClass = ch !== ']';
+    else if (ch === '[') inClass = true;
+    else if (ch === '/') {
+      let end = i + 1;
+      while (end < limit && isIdentChar(text[end])) end++;
+      return end;
+    }
+  }
+  return limit;
+}
+
+function regexAllowedAfter(previous) {
+  if (previous === null) return true;
+  if (previous.kind === 'word') return REGEX_AFTER_KEYWORDS.has(previous.value);
+  if (previous.kind === 'literal') return false;
+  return !CLOSERS.has(previous.value);
+}
+
+/**
+ * Walk the code starting at `start` and call `visit(index, token, depth)` for every token outside
+ * literals and comments: identifiers / keywords / numbers as whole words, everything else one
+ * character at a time. `depth` is the bracket nesting relative to `start`: an opening bracket is
+ * visited at the depth outside it and its closing bracket at the same depth, so a closer that
+ * leaves the starting level is visited at depth -1. Template `${...}` expressions count as
+ * brackets. Scanning stops when `visit` returns true (returns that index) or at `limit` (returns -1).
+ */
+function scanJs(content, start, visit, { limit } = {}) {
+  const text = asText(content);
+  const end = Math.min(limit === undefined ? text.length : limit, text.length);
+  const stack = [];
+  let depth = 0;
+  let previous = null;
+  let i = start;
+
+  while (i < end) {
+    const ch = text[i];
+
+    if (isWhitespace(ch)) {
+      i++;
+    } else if (ch === '"' || ch === "'") {
+      i = skipQuoted(text, i, end);
+      previous = { kind: 'literal' };
+    } else if (ch === '`') {
+      const chunk = skipTemplateText(text, i + 1, end);
+      if (chunk.expression) {
+        stack.push(TEMPLATE_EXPRESSION);
+        depth++;
+      }
+      i = chunk.index;
+      previous = chunk.expression ? { kind: 'punct', value: '{' } : { kind: 'literal' };
+    } else if (ch === '/' && text[i + 1] === '/') {
+      const lineEnd = text.indexOf('\n', i);
+      i = lineEnd < 0 || lineEnd > end ? end : lineEnd;
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const commentEnd = text.indexOf('*/', i + 2);
+      i = commentEnd < 0 || commentEnd > end ? end : commentEnd + 2;
+    } else if (ch === '/' && regexAllowedAfter(previous)) {
+      i = skipRegex(text, i, end);
+      previous = { kind: 'literal' };
+    } else if (isIdentChar(ch)) {
+      let wordEnd = i + 1;
+      while (wordEnd < end && isIdentChar(text[wordEnd])) wordEnd++;
+      const word = text.slice(i, wordEnd);
+      if (visit(i, word, depth) === true) return i;
+      i = wordEnd;
+      previous = { kind: 'word', value: word };
+    } else if (ch === '}' && stack[stack.length - 1] === TEMPLATE_EXPRESSION) {
+      stack.pop();
+      depth--;
+      const chunk = skipTemplateText(text, i + 1, end);
+      if (chunk.expression) {
+        stack.push(TEMPLATE_EXPRESSION);
+        depth++;
+      }
+      i = chunk.index;
+      previous = chunk.expression ? { kind: 'punct', value: '{' } : { kind: 'literal' };
+    } else {
+      if (CLOSERS.has(ch)) {
+        if (stack.length > 0) stack.pop();
+        depth--;
+      }
+      if (visit(i, ch, depth) === true) return i;
+      if (OPENERS[ch]) {
+        stack.push(ch);
+        depth++;
+      }
+      i++;
+      previous = { kind: 'punct', value: ch };
+    }
+  }
+  return -1;
+}
+
+/**
+ * Index of the bracket closing the `(`, `[` or `{` at `openIndex`, or -1 when it is not closed
+ * (within `maxSpan` characters) or is closed by a bracket of another kind.
+ */
+function findMatchingBracket(content, openIndex, { maxSpan = DEFAULT_MAX_SPAN } = {}) {
+  const text = asText(content);
+  const closer = OPENERS[text[openIndex]];
+  if (!closer) return -1;
+  const close = scanJs(text, openIndex, (i, token, depth) => i > openIndex && depth === 0 && CLOSERS.has(token), {
+    limit: openIndex + maxSpan,
+  });
+  return close >= 0 && text[close] === closer ? close : -1;
+}
+
+/**
+ * The innermost `open` bracket (`(`, `[` or `{`) within `maxDistance` characters before `index`
+ * whose span contains `index`, as `{ start, end }` (start at the opener, end past the closer).
+ * `index` must be a code position: a candidate whose scan does not reach it as a token (because the
+ * candidate sits inside a literal, say) is skipped.
+ */
+function findEnclosingBracket(content, index, open, { maxDistance = DEFAULT_MAX_DISTANCE, maxSpan = DEFAULT_MAX_SPAN } = {}) {
+  const text = asText(content);
+  if (!OPENERS[open]) throw new Error(`Not an opening bracket: ${open}`);
+  const floor = Math.max(0, index - maxDistance);
+
+  for (let candidate = text.lastIndexOf(open, index - 1); candidate >= floor; candidate = text.lastIndexOf(open, candidate - 1)) {
+    let reached = false;
+    const close = scanJs(
+      text,
+      candidate,
+      (i, token, depth) => {
+        if (i === index) reached = true;
+        return i > candidate && depth === 0 && CLOSERS.has(token);
+      },
+      { limit: candidate + maxSpan }
+    );
+    if (close >= index && reached && text[close] === OPENERS[open]) return { start: candidate, end: close + 1 };
+    if (candidate === 0) break;
+  }
+  return null;
+}
+
+/**
+ * Every `case<test>:` branch of a switch, e.g. `locateCaseBranches(text, '"thinking"')`, as
+ * `{ start, end, bodyStart }`: `start` at `case`, `bodyStart` past the colon and `end` at the next
+ * `case` / `default` of the same switch, at the switch's closing brace or at the end of the text.
+ * Branches longer than `maxLength` (usually a sign the label was not in code) are left out.
+ */
+function locateCaseBranches(content, test, { from = 0, maxLength = DEFAULT_MAX_SPAN } = {}) {
+  const text = asText(content);
+  const spans = [];
+
+  for (const needle of [`case${test}:`, `case ${test}:`]) {
+    for (let start = text.indexOf(needle, from); start >= 0; start = text.indexOf(needle, start + needle.length)) {
+      if (isIdentChar(text[start - 1])) continue;
+      const bodyStart = start + needle.length;
+      const limit = bodyStart + maxLength;
+      let end = scanJs(
+        text,
+        bodyStart,
+        (i, token, depth) => depth < 0 || (depth === 0 && (token === 'case' || token === 'default')),
+        { limit }
+      );
+      // A snippet may stop before the switch closes; the branch then runs to the end of the text.
+      if (end < 0 && limit >= text.length) end = text.length;
+      if (end >= 0) spans.push({ start, end, bodyStart });
+    }
+  }
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The innermost object literal containing the first occurrence of `needle` at or after `from`,
+ * as `{ start, end, needleIndex }`, or null. `needle` must start with code (e.g. `key:"..."`).
+ */
+function locateObjectLiteral(content, needle, { from = 0, maxDistance = DEFAULT_MAX_DISTANCE } = {}) {
+  const text = asText(content);
+  for (let index = text.indexOf(needle, from); index >= 0; index = text.indexOf(needle, index + needle.length)) {
+    const span = findEnclosingBracket(text, index, '{', { maxDistance });
+    if (span) return { ...span, needleIndex: index };
+  }
+  return null;
+}
+
+/**
+ * The call whose argument list directly contains `index`, as `{ start, end, openParen }`: `start`
+ * at the callee (an identifier or member chain like `a.b`), `end` past the closing paren.
+ * Returns null when the enclosing parens are not a call.
+ */
+function locateCallExpression(content, index, { maxDistance = DEFAULT_MAX_DISTANCE } = {}) {
+  const text = asText(content);
+  const parens = findEnclosingBracket(text, index, '(', { maxDistance });
+  if (!parens) return null;
+
+  let calleeEnd = parens.start;
+  while (calleeEnd > 0 && isWhitespace(text[calleeEnd - 1])) calleeEnd--;
+  let calleeStart = calleeEnd;
+  while (calleeStart > 0 && (isIdentChar(text[calleeStart - 1]) || text[calleeStart - 1] === '.')) calleeStart--;
+  if (calleeStart === calleeEnd || REGEX_AFTER_KEYWORDS.has(text.slice(calleeStart, calleeEnd))) return null;
+
+  return { start: calleeStart, end: parens.end, openParen: parens.start };
+}
+
+module.exports = {
+  scanJs,
+  findMatchingBracket,
+  findEnclosingBracket,
+  locateCaseBranches,
+  locateObjectLiteral,
+  locateCallExpression,
+};
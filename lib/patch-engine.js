@@ -0,0 +1,999 @@
+/**
+ * Shared patch engine for the Claude Code patchers.
+ *
+ * Every `patch-*.js` script uses this module for:
+ * - target resolution (npm/local `cli.js`, npm wrapper `bin/claude.exe`, native/binary installs)
+ * - reading the target into memory (utf8 string for cli.js, Buffer for native binaries)
+ * - replacement helpers for native/binary installs (length-preserving, or repacking the Bun module
+ *   graph when a replacement outgrows its match, see ./bun-standalone), confined to the embedded
+ *   JavaScript (see `findJsPayloadRegions()`)
+ * - edit tracking (byte-range records of every replacement, for the patch journal)
+ * - backup / restore
+ * - writing the patched target (re-signing native binaries is ./code-signing)
+ *
+ * Keep this module free of top-level side effects: it is required by every patcher.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { writeFileAtomic } = require('./atomic-write');
+const { readStandaloneGraph, spliceStandaloneModule } = require('./bun-standalone');
+
+const NPM_PACKAGE_DIR = ['@anthropic-ai', 'claude-code'];
+
+// Files inside the npm package that can be patched, in priority order.
+// Starting in 2.1.113 the npm package is a wrapper whose postinstall copies the
+// platform native binary into `bin/claude.exe` (on every platform, not just Windows).
+const NPM_PACKAGE_TARGET_FILES = [['cli.js'], ['bin', 'claude.exe']];
+
+// Where Claude Code gets installed, per platform, in detection order (first match wins).
+// Paths are templates: `~` is the home directory, `%NAME%` an environment variable (the path is
+// skipped while it is unset), `<node>` the directory of the running node and `<bin>` the directory
+// of the `claude` found on PATH. `npm` lists node_modules directories that may hold the npm package,
+// `npmRoot` / `lookup` are the commands asking npm / PATH, `native` and `versions` are the native
+// installer's launcher and versions directory.
+const INSTALL_LAYOUTS = {
+  posix: [
+    { method: 'local installation', npm: ['~/.claude/local/node_modules', '~/.config/claude/local/node_modules'] },
+    { method: 'npm root -g', npmRoot: 'npm root -g' },
+    // nvm / asdf / Homebrew: <prefix>/bin/node next to <prefix>/lib/node_modules.
+    { method: 'derived from process.execPath', npm: ['<node>/../lib/node_modules'] },
+    { method: 'command -v claude', lookup: 'command -v claude', npm: ['<bin>/../lib/node_modules'] },
+    { method: 'native/binary default paths', native: ['~/.local/bin/claude'], versions: '~/.local/share/claude/versions' },
+  ],
+  win32: [
+    { method: 'local installation', npm: ['~/.claude/local/node_modules', '~/.config/claude/local/node_modules'] },
+    { method: 'npm root -g', npmRoot: 'npm root -g' },
+    // The Windows Node installer (and nvm-windows) keeps global packages next to node.exe.
+    { method: 'derived from process.execPath', npm: ['<node>/node_modules'] },
+    // Default global directories of npm, nvm-windows, pnpm and Yarn (classic), for when npm is not on PATH.
+    {
+      method: 'Windows global package directories',
+      npm: [
+        '%APPDATA%/npm/node_modules',
+        '%NVM_SYMLINK%/node_modules',
+        '%LOCALAPPDATA%/pnpm/global/5/node_modules',
+        '%LOCALAPPDATA%/Yarn/Data/global/node_modules',
+      ],
+    },
+    // npm's shims (`claude`, `claude.cmd`, `claude.ps1`) sit next to the node_modules directory.
+    { method: 'where claude', lookup: 'where claude', npm: ['<bin>/node_modules'] },
+    { method: 'native/binary default paths', native: ['~/.local/bin/claude.exe'], versions: '~/.local/share/claude/versions' },
+  ],
+};
+
+// Files the patchers keep next to a target (`.backups` directories are skipped as directories).
+const PATCHER_SIDECAR_SUFFIXES = ['.backup', '.patch-journal.json', '.patch-lock', '.tmp'];
+
+// Helper function to safely execute shell commands
+function safeExec(command) {
+  try {
+    return execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
+}
+
+function shellQuotePosix(str) {
+  // Minimal safe quoting for POSIX shells (zsh/bash).
+  return `'${String(str).replace(/'/g, `'"'"'`)}'`;
+}
+
+function parseCommonArgs(argv) {
+  const fileArgIndex = argv.indexOf('--file');
+  const fileArgPath = fileArgIndex >= 0 ? argv[fileArgIndex + 1] || null : null;
+
+  return {
+    isDryRun: argv.includes('--dry-run'),
+    isRestore: argv.includes('--restore'),
+    isJson: argv.includes('--json'),
+    isForce: argv.includes('--force'),
+    showHelp: argv.includes('--help') || argv.includes('-h'),
+    fileArgMissing: fileArgIndex >= 0 && !fileArgPath,
+    fileArgPath,
+  };
+}
+
+function readFilePrefix(filePath, maxBytes = 4096, fsApi = fs) {
+  try {
+    const fd = fsApi.openSync(filePath, 'r');
+    try {
+      const buf = Buffer.allocUnsafe(maxBytes);
+      const bytesRead = fsApi.readSync(fd, buf, 0, maxBytes, 0);
+      if (bytesRead <= 0) return null;
+      return buf.subarray(0, bytesRead);
+    } finally {
+      fsApi.closeSync(fd);
+    }
+  } catch {
+    return null;
+  }
+}
+
+function detectClaudeTargetKind(filePath, fsApi = fs) {
+  if (filePath.endsWith('.js')) return 'js';
+
+  const prefix = readFilePrefix(filePath, 4096, fsApi);
+  if (!prefix) return 'unknown';
+
+  // Heuristic: NUL bytes in prefix usually means a binary (Mach-O/ELF/PE, etc.)
+  if (prefix.includes(0)) return 'native-binary';
+
+  // Detect common native binary headers.
+  // - ELF: 0x7F 'E' 'L' 'F'
+  if (
+    prefix.length >= 4 &&
+    prefix[0] === 0x7f &&
+    prefix[1] === 0x45 &&
+    prefix[2] === 0x4c &&
+    prefix[3] === 0x46
+  ) {
+    return 'native-binary';
+  }
+  // - PE/COFF: 'MZ'
+  if (prefix.length >= 2 && prefix[0] === 0x4d && prefix[1] === 0x5a) return 'native-binary';
+  // - Mach-O: FE ED FA CE / FE ED FA CF / CF FA ED FE / CA FE BA BE (fat)
+  if (prefix.length >= 4) {
+    const magic = prefix.readUInt32BE(0);
+    if (magic === 0xfeedface || magic === 0xfeedfacf || magic === 0xcffaedfe || magic === 0xcafebabe) {
+      return 'native-binary';
+    }
+  }
+
+  // If it starts with a shebang, treat as script (npm-installed cli.js wrappers sometimes omit .js).
+  const asUtf8 = prefix.toString('utf8');
+  if (asUtf8.startsWith('#!')) return 'js';
+
+  return 'unknown';
+}
+
+function parseVersionish(entry) {
+  const m = String(entry).match(/^v?(\d+)\.(\d+)(?:\.(\d+))?/);
+  if (!m) return null;
+  return { major: Number(m[1]), minor: Number(m[2]), patch: Number(m[3] || 0) };
+}
+
+function compareVersionishDesc(a, b) {
+  if (a.major !== b.major) return b.major - a.major;
+  if (a.minor !== b.minor) return b.minor - a.minor;
+  return b.patch - a.patch;
+}
+
+// Files in the native versions directory, newest version first.
+function listNativeVersionFiles(versionsDir, { fs: fsApi = fs, pathApi = path } = {}) {
+  const files = [];
+  try {
+    if (versionsDir && fsApi.existsSync(versionsDir)) {
+      const entries = fsApi
+        .readdirSync(versionsDir)
+        // Avoid accidentally patching backups created by the patchers or by users.
+        // Native installs often contain both `2.1.20` and `2.1.20.backup`, plus the patchers'
+        // `2.1.20.backups/`, `2.1.20.patch-journal.json` and `2.1.20.patch-lock` sidecars and the
+        // `.2.1.20.<id>.tmp` files of an interrupted write.
+        .filter(entry => !PATCHER_SIDECAR_SUFFIXES.some(suffix => String(entry).endsWith(suffix)))
+        .sort((a, b) => {
+          const va = parseVersionish(a);
+          const vb = parseVersionish(b);
+          if (va && vb) return compareVersionishDesc(va, vb);
+          if (va) return -1;
+          if (vb) return 1;
+          return a.localeCompare(b);
+        });
+
+      for (const entry of entries) {
+        const fullPath = pathApi.join(versionsDir, entry);
+        try {
+          if (fsApi.statSync(fullPath).isFile()) files.push(fullPath);
+        } catch {
+          // Ignore entries we can't stat
+        }
+      }
+    }
+  } catch {
+    // Ignore
+  }
+
+  return files;
+}
+
+function installLayoutsFor(platform) {
+  return platform === 'win32' ? INSTALL_LAYOUTS.win32 : INSTALL_LAYOUTS.posix;
+}
+
+function pathApiFor(platform) {
+  return platform === 'win32' ? path.win32 : path.posix;
+}
+
+function readEnvVar(env, name, platform) {
+  if (env[name] !== undefined || platform !== 'win32') return env[name];
+  // Windows environment variable names are case-insensitive (`AppData`, `APPDATA`).
+  const key = Object.keys(env).find(candidate => candidate.toUpperCase() === name.toUpperCase());
+  return key === undefined ? undefined : env[key];
+}
+
+/**
+ * Expand an `INSTALL_LAYOUTS` path template into a normalised path for `vars.platform` (separators,
+ * `..` segments, quotes around variable values), or null when a variable it uses is unset.
+ */
+function expandLayoutPath(template, vars) {
+  const dirs = { '~': vars.homeDir, '<node>': vars.nodeDir, '<bin>': vars.binDir };
+  let unset = false;
+  const expanded = template.replace(/^~|<node>|<bin>|%(\w+)%/g, (token, name) => {
+    const value = name ? readEnvVar(vars.env, name, vars.platform) : dirs[token];
+    if (!value) unset = true;
+    return value ? String(value).trim().replace(/^"(.*)"$/, '$1') : '';
+  });
+  return unset ? null : pathApiFor(vars.platform).normalize(expanded);
+}
+
+function getNativeCandidatePaths(homeDir, platform = process.platform) {
+  const vars = { platform, env: {}, homeDir };
+  const layout = installLayoutsFor(platform).find(entry => entry.native);
+  return [
+    ...layout.native.map(template => expandLayoutPath(template, vars)),
+    ...listNativeVersionFiles(expandLayoutPath(layout.versions, vars), { pathApi: pathApiFor(platform) }),
+  ];
+}
+
+/**
+ * Every installed native binary in `~/.local/share/claude/versions` (newest first), for
+ * `--all-versions`. The native updater switches between these, so each one is patched on its own.
+ */
+function listNativeVersionTargets(homeDir = os.homedir()) {
+  const layout = installLayoutsFor(process.platform).find(entry => entry.native);
+  return listNativeVersionFiles(expandLayoutPath(layout.versions, { platform: process.platform, env: {}, homeDir }))
+    .filter(filePath => detectClaudeTargetKind(filePath) === 'native-binary')
+    .map(filePath => ({ path: filePath, kind: 'native-binary', method: 'native versions directory' }));
+}
+
+function npmPackageTargetPaths(packageParentDir, pathApi = path) {
+  return NPM_PACKAGE_TARGET_FILES.map(segments => pathApi.join(packageParentDir, ...NPM_PACKAGE_DIR, ...segments));
+}
+
+/**
+ * Auto-detect the Claude Code installation (cli.js or native claude binary), trying the
+ * `INSTALL_LAYOUTS` of the platform in order.
+ *
+ * Returns `{ target, attempted }` where `target` is `{ path, kind, method }` or null,
+ * and `attempted` lists every `{ path, method }` that was checked (for error reporting).
+ * `platform`, `env`, `fs`, `exec` (runs a command, returns its trimmed stdout or null) and
+ * `execPath` default to the running process's, so other platforms' layouts can be tested anywhere.
+ */
+function resolveClaudeTarget(options = {}) {
+  const platform = options.platform || process.platform;
+  const env = options.env || process.env;
+  const fsApi = options.fs || fs;
+  const exec = options.exec || safeExec;
+  const pathApi = pathApiFor(platform);
+  const vars = {
+    platform,
+    env,
+    homeDir: options.homeDir || os.homedir(),
+    nodeDir: pathApi.dirname(options.execPath || process.execPath),
+  };
+  const attempted = [];
+
+  function checkPath(candidatePath, method) {
+    if (!candidatePath) return null;
+    attempted.push({ path: candidatePath, method });
+    try {
+      if (!fsApi.existsSync(candidatePath)) return null;
+      // Resolve symlinks for global npm installs
+      const real = fsApi.realpathSync(candidatePath);
+      const kind = detectClaudeTargetKind(real, fsApi);
+      if (kind === 'unknown') return null;
+      return { path: real, kind, method };
+    } catch {
+      const kind = detectClaudeTargetKind(candidatePath, fsApi);
+      if (kind === 'unknown') return null;
+      return { path: candidatePath, kind, method };
+    }
+  }
+
+  function firstPatchable(candidates, method) {
+    for (const candidate of candidates) {
+      const found = checkPath(candidate, method);
+      if (found && (found.kind === 'js' || found.kind === 'native-binary')) return found;
+    }
+    return null;
+  }
+
+  function npmCandidates(templates, extraVars = {}) {
+    return templates
+      .map(template => expandLayoutPath(template, { ...vars, ...extraVars }))
+      .filter(Boolean)
+      .flatMap(dir => npmPackageTargetPaths(dir, pathApi));
+  }
+
+  // A `claude` found on PATH: the package around an npm shim, or the binary itself.
+  function resolveFromPath(layout) {
+    const output = exec(layout.lookup);
+    const cliSuffix = pathApi.join(...NPM_PACKAGE_DIR, 'cli.js');
+    const comparable = str => (platform === 'win32' ? str.toLowerCase() : str);
+
+    // `where` lists every match, one per line.
+    for (const line of output ? output.split(/\r?\n/) : []) {
+      const onPath = line.trim();
+      if (!onPath) continue;
+      let realBinary = onPath;
+      try {
+        realBinary = fsApi.realpathSync(onPath);
+      } catch {
+        // ignore
+      }
+      realBinary = pathApi.normalize(realBinary);
+
+      // Some installs (e.g. nvs) symlink `claude` directly to `cli.js`.
+      if (comparable(realBinary).endsWith(comparable(cliSuffix))) {
+        const foundDirect = checkPath(realBinary, `${layout.method} (direct cli.js)`);
+        if (foundDirect && foundDirect.kind === 'js') return foundDirect;
+      }
+
+      // Try deriving the package from the shim's directory (see INSTALL_LAYOUTS)
+      const foundFromBin = firstPatchable(
+        npmCandidates(layout.npm, { binDir: pathApi.dirname(realBinary) }),
+        `${layout.method} (derived)`
+      );
+      if (foundFromBin) return foundFromBin;
+
+      // Otherwise patch the PATH entry itself if it's a native binary.
+      const foundNative = checkPath(realBinary, `${layout.method} (native)`);
+      if (foundNative && foundNative.kind === 'native-binary') return foundNative;
+    }
+    return null;
+  }
+
+  function resolveLayout(layout) {
+    if (layout.npmRoot) {
+      const npmGlobalRoot = exec(layout.npmRoot);
+      if (!npmGlobalRoot) return null;
+      return firstPatchable(npmPackageTargetPaths(pathApi.normalize(npmGlobalRoot), pathApi), layout.method);
+    }
+    if (layout.lookup) return resolveFromPath(layout);
+    if (layout.npm) return firstPatchable(npmCandidates(layout.npm), layout.method);
+
+    // Native installer: the launcher, then the versions it keeps (filenames are versions like 2.1.27).
+    const candidates = [
+      ...layout.native.map(template => expandLayoutPath(template, vars)),
+      ...listNativeVersionFiles(expandLayoutPath(layout.versions, vars), { fs: fsApi, pathApi }),
+    ];
+    for (const candidate of candidates) {
+      const found = checkPath(candidate, layout.method);
+      if (found && found.kind === 'native-binary') return found;
+    }
+    return null;
+  }
+
+  // Explicit override (skip auto-detection)
+  const overridePath = options.filePath || env.CLAUDE_CODE_CLI_PATH;
+  if (overridePath) {
+    const method = options.filePath ? '--file' : 'CLAUDE_CODE_CLI_PATH';
+    return { target: checkPath(pathApi.resolve(overridePath), method), attempted };
+  }
+
+  for (const layout of installLayoutsFor(platform)) {
+    const target = resolveLayout(layout);
+    if (target) return { target, attempted };
+  }
+  return { target: null, attempted };
+}
+
+function printTargetNotFound(attempted, print = console.error, platform = process.platform) {
+  print('❌ Error: Could not find Claude Code installation');
+  print('   Make sure `claude` is on PATH, or pass --file /path/to/cli.js (or native claude binary).\n');
+
+  if (attempted.length > 0) {
+    print('Searched using the following methods:\n');
+
+    // Group by method for cleaner output
+    const byMethod = {};
+    for (const { path: attemptedPath, method } of attempted) {
+      if (!byMethod[method]) byMethod[method] = [];
+      byMethod[method].push(attemptedPath);
+    }
+    for (const [method, paths] of Object.entries(byMethod)) {
+      print(`  [${method}]`);
+      for (const attemptedPath of paths) print(`    - ${attemptedPath}`);
+    }
+  }
+
+  print('\n💡 Troubleshooting:');
+  print('  1. Verify Claude Code is installed: claude --version');
+  print('  2. For local install: Check ~/.claude/local or ~/.config/claude/local');
+  print('  3. For global install: Ensure "npm install -g @anthropic-ai/claude-code" succeeded');
+  print('  4. Check that npm is in your PATH if using global install');
+  if (platform === 'win32') {
+    print('  5. For native/binary install: Check %USERPROFILE%\\.local\\bin and %USERPROFILE%\\.local\\share\\claude\\versions');
+    print('  6. Check what `where claude` finds, and %APPDATA%\\npm\\node_modules for the npm package');
+  } else {
+    print('  5. For native/binary install: Check ~/.local/bin/claude and ~/.local/share/claude/versions');
+  }
+}
+
+function describeTargetKind(kind) {
+  return kind === 'native-binary' ? 'native/binary' : 'npm/local (cli.js)';
+}
+
+// Process exit codes shared by every patcher (see "Exit Codes" in README.md). `--json` results
+// carry the same failure class as `error.code` (e.g. 'target-not-found').
+const EXIT_CODES = {
+  ok: 0,
+  error: 1, // unexpected failure
+  usage: 2, // invalid command-line arguments
+  targetNotFound: 3, // no Claude Code installation found, or the --file path does not exist
+  patternNotFound: 4, // patch pattern not found (the Claude Code build changed)
+  patchFailed: 5, // a patch threw or refused to write (e.g. native binary size would change)
+  restoreFailed: 6, // nothing to restore, or the backup / patch journal does not match the target
+  verifyFailed: 7, // --verify: the patched target did not start; the pre-patch file was put back
+  targetBusy: 8, // another patcher holds the target's lock, or claude is running from it (see --force)
+};
+
+function exitCodeName(exitCode) {
+  const name = Object.keys(EXIT_CODES).find(key => EXIT_CODES[key] === exitCode) || 'error';
+  return name.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+}
+
+/**
+ * Command-line output for the patchers.
+ *
+ * Without `--json`, `log()` / `error()` print the usual prose. With `--json` the prose is suppressed
+ * and `exit()` prints one JSON result instead: the fields collected with `set()` plus
+ * `{ ok, exitCode, error: { code, message } | null }`. `quiet` suppresses only `log()`.
+ */
+function createReporter({ json = false, quiet = false, command = null } = {}) {
+  const result = { ok: true, exitCode: EXIT_CODES.ok, command, error: null };
+
+  const reporter = {
+    json,
+    result,
+    log: (...args) => {
+      if (!json && !quiet) console.log(...args);
+    },
+    error: (...args) => {
+      if (!json) console.error(...args);
+    },
+    set(fields) {
+      Object.assign(result, fields);
+      return reporter;
+    },
+    setTarget(target) {
+      return reporter.set({ target: { path: target.path, kind: target.kind, method: target.method } });
+    },
+    // Record the outcome without exiting (for per-target reporters, see `--all-versions`).
+    finish(exitCode = EXIT_CODES.ok, message = null) {
+      result.ok = exitCode === EXIT_CODES.ok;
+      result.exitCode = exitCode;
+      result.error = result.ok ? null : { code: exitCodeName(exitCode), message };
+      return reporter;
+    },
+    exit(exitCode = EXIT_CODES.ok, message = null) {
+      reporter.finish(exitCode, message);
+      if (json) process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+      process.exit(exitCode);
+    },
+    // Print `❌ Error: <message>` (prose mode) and exit with `exitCode`.
+    fail(exitCode, message) {
+      reporter.error(`❌ Error: ${message}`);
+      return reporter.exit(exitCode, message);
+    },
+  };
+  return reporter;
+}
+
+// cli.js is read as a utf8 string; native binaries are read as a Buffer so
+// replacements can work on raw bytes without re-encoding the executable.
+function readTarget(target) {
+  if (target.kind === 'native-binary') return fs.readFileSync(target.path);
+  return fs.readFileSync(target.path, 'utf8');
+}
+
+// Replaces the target atomically (see `./atomic-write`): an interrupted write never leaves a
+// truncated executable behind.
+function writeTarget(target, content) {
+  writeFileAtomic(target.path, content, { encoding: target.kind === 'native-binary' ? 'latin1' : 'utf8' });
+}
+
+// Returns the first bundled `VERSION:"x.y.z"` tag, or null. Accepts cli.js strings and native Buffers.
+function readVersionTag(content) {
+  const needle = 'VERSION:"';
+  let idx = content.indexOf(needle);
+  while (idx >= 0) {
+    const start = idx + needle.length;
+    const tail = Buffer.isBuffer(content) ? content.toString('latin1', start, start + 32) : content.slice(start, start + 32);
+    const match = /^(\d+\.\d+\.\d+)"/.exec(tail);
+    if (match) return match[1];
+    idx = content.indexOf(needle, start);
+  }
+  return null;
+}
+
+function padRightSpaces(str, targetLength) {
+  if (str.length > targetLength) return null;
+  if (str.length === targetLength) return str;
+  return str + ' '.repeat(targetLength - str.length);
+}
+
+// Edit tracking for the patch journal's undo records.
+//
+// While `trackEdits(fn)` runs, the replacement helpers below report every replacement they make as
+// `{ offset, original, replacement, label }` (byte offset + Buffers). Edits are sequential: each
+// offset is relative to the content as it was right before that edit. Helpers only report edits
+// made to the whole target content, or, inside `mapNativePayload()`, to one payload region's text
+// (reported at the region's offset).
+let activeEditLog = null;
+// The payload region `mapNativePayload()` is running over: `{ content, start, end }`.
+let activeRegion = null;
+
+function trackEdits(fn) {
+  const previous = activeEditLog;
+  const edits = [];
+  activeEditLog = edits;
+  try {
+    return { result: fn(), edits };
+  } finally {
+    activeEditLog = previous;
+  }
+}
+
+// Detection must never show up in the edit log, even when it runs inside `trackEdits()`.
+function untrackedEdits(fn) {
+  const previous = activeEditLog;
+  activeEditLog = null;
+  try {
+    return fn();
+  } finally {
+    activeEditLog = previous;
+  }
+}
+
+function recordEdit(offset, original, replacement, label) {
+  if (!activeEditLog || original.equals(replacement)) return;
+  const base = activeRegion ? activeRegion.start : 0;
+  activeEditLog.push({ offset: base + offset, original, replacement, label: label || null });
+}
+
+// The match offset among a String#replace replacer's arguments.
+function matchOffset(args) {
+  const hasNamedGroups = typeof args[args.length - 1] === 'object' && args[args.length - 1] !== null;
+  return args[args.length - (hasNamedGroups ? 3 : 2)];
+}
+
+// True when the match at `index` lies entirely inside one of `spans` (see ./js-locator).
+function withinSpans(spans, index, length) {
+  return spans.some(span => index >= span.start && index + length <= span.end);
+}
+
+// Expands `$&`, `$1`..`$99`, `$<name>` and `$$` like String#replace does, for one match's
+// replacer arguments (match, ...groups, offset, string, [namedGroups]).
+function expandReplacement(template, args) {
+  const hasNamedGroups = typeof args[args.length - 1] === 'object' && args[args.length - 1] !== null;
+  const groups = args.slice(1, hasNamedGroups ? -3 : -2);
+  const named = hasNamedGroups ? args[args.length - 1] : {};
+
+  return template.replace(/\$(\$|&|<([^>]+)>|(\d{1,2}))/g, (token, kind, name, index) => {
+    if (kind === '$') return '$';
+    if (kind === '&') return args[0];
+    if (name !== undefined) return named[name] ?? '';
+    const n = Number(index);
+    if (n >= 1 && n <= groups.length) return groups[n - 1] ?? '';
+    return token;
+  });
+}
+
+// `String#replace` (or `replaceAll` with `all: true`) that also reports each replacement while
+// edits are tracked. `encoding` is how the string maps to target bytes: 'utf8' for cli.js,
+// 'latin1' for a decoded native binary.
+function replaceTracked(source, pattern, replacement, { label, encoding = 'utf8', all = false } = {}) {
+  const method = all ? 'replaceAll' : 'replace';
+  if (!activeEditLog) return source[method](pattern, replacement);
+
+  const matches = [];
+  const out = source[method](pattern, (...args) => {
+    const index = matchOffset(args);
+    const text = typeof replacement === 'function' ? String(replacement(...args)) : expandReplacement(replacement, args);
+    matches.push({ index, match: args[0], text });
+    return text;
+  });
+
+  let cursor = 0;
+  let byteOffset = 0;
+  let delta = 0;
+  for (const { index, match, text } of matches) {
+    byteOffset += Buffer.byteLength(source.slice(cursor, index), encoding);
+    cursor = index;
+    const original = Buffer.from(match, encoding);
+    const next = Buffer.from(text, encoding);
+    recordEdit(byteOffset + delta, original, next, label);
+    delta += next.length - original.length;
+  }
+  return out;
+}
+
+// `source.slice(0, start) + replacement + source.slice(end)`, reported while edits are tracked.
+function spliceTracked(source, start, end, replacement, { label, encoding = 'utf8' } = {}) {
+  if (activeEditLog) {
+    recordEdit(
+      Buffer.byteLength(source.slice(0, start), encoding),
+      Buffer.from(source.slice(start, end), encoding),
+      Buffer.from(replacement, encoding),
+      label
+    );
+  }
+  return source.slice(0, start) + replacement + source.slice(end);
+}
+
+// Replace bytes `start`..`end` of a native binary with the longer `replacement` (a Buffer) by
+// repacking the Bun module graph around it (see ./bun-standalone). Throws when the binary has no
+// module graph to repack, so the caller's "too large" error still applies to other binaries.
+function growNativeTracked(source, start, end, replacement, label) {
+  let grown;
+  try {
+    grown = spliceStandaloneModule(source, start, end, replacement);
+  } catch (error) {
+    throw new Error(
+      `Native/binary install patch too large for in-place replacement (${label}): ` +
+        `replacement bytes ${replacement.length} > original bytes ${end - start}, and the binary cannot be repacked (${error.message})`
+    );
+  }
+  grown.edits.forEach((edit, i) => {
+    recordEdit(edit.offset, edit.original, edit.replacement, i === 0 ? label : `${label} (module graph offsets)`);
+  });
+  return grown.content;
+}
+
+/**
+ * Apply `{ offset, length, replacement }` replacements that outgrow their match to the latin1 text
+ * of a native binary, through `growNativeTracked()`. Offsets are into `text`; every other edit must
+ * have kept its length. Returns the new latin1 text. Inside `mapNativePayload()`, `text` is one
+ * payload region: it is grown in place in the whole binary and the grown region is returned.
+ */
+function growNativeText(text, growths, label) {
+  if (growths.length === 0) return text;
+  const region = activeRegion;
+  const base = region ? region.start : 0;
+  let bytes = region
+    ? Buffer.concat([region.content.subarray(0, region.start), Buffer.from(text, 'latin1'), region.content.subarray(region.end)])
+    : Buffer.from(text, 'latin1');
+  let end = base + text.length;
+  // The repack reports whole-binary offsets.
+  activeRegion = null;
+  try {
+    // Last first: each repack only moves bytes behind the replacement it makes.
+    for (const growth of [...growths].sort((a, b) => b.offset - a.offset)) {
+      const replacement = Buffer.from(growth.replacement, 'latin1');
+      const start = base + growth.offset;
+      bytes = growNativeTracked(bytes, start, start + growth.length, replacement, label);
+      end += replacement.length - growth.length;
+    }
+  } finally {
+    activeRegion = region;
+  }
+  if (!region) return bytes.toString('latin1');
+  region.content = bytes;
+  region.end = end;
+  return bytes.toString('latin1', region.start, end);
+}
+
+// Bun loaders whose module contents are JavaScript source: jsx, js, ts, tsx. The other modules
+// are assets (files, text, native addons) that patch rules must not touch.
+const JS_MODULE_LOADERS = new Set([0, 1, 2, 3]);
+const VERSION_TAG = 'VERSION:"';
+
+/**
+ * The byte ranges of a native binary that hold its JavaScript, as `[{ start, end, name }]` in
+ * file order:
+ * - with a Bun module graph (see ./bun-standalone), the contents of every JS module (`name` is
+ *   the module's)
+ * - otherwise the NUL-free run of bytes from the bundle's first `VERSION:"` tag to its last
+ * - the whole binary when neither is found, so an unknown layout is searched as before
+ */
+function findJsPayloadRegions(buf) {
+  const graph = readStandaloneGraph(buf);
+  if (graph) {
+    return graph.modules
+      .filter(entry => JS_MODULE_LOADERS.has(entry.loader) && entry.contents.end > entry.contents.start)
+      .map(entry => ({ ...entry.contents, name: entry.name }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  const first = buf.indexOf(VERSION_TAG, 0, 'latin1');
+  if (first < 0) return [{ start: 0, end: buf.length, name: null }];
+  const last = buf.lastIndexOf(VERSION_TAG, buf.length, 'latin1');
+  const nul = buf.indexOf(0, last);
+  return [{ start: buf.lastIndexOf(0, first) + 1, end: nul < 0 ? buf.length : nul, name: null }];
+}
+
+/**
+ * Run `fn(text, region)` over the latin1 text of each JS payload region of a native binary (see
+ * `findJsPayloadRegions()`), last region first, and put the text it returns back in place. Inside
+ * `fn` the text helpers work as on a whole target: their edits are reported at the region's
+ * offset, and a replacement that grows repacks the module graph (see `growNativeText()`). So no
+ * match can reach into machine code, assets or the next module.
+ * Returns the new Buffer, or `buf` itself when nothing changed.
+ */
+function mapNativePayload(buf, fn) {
+  let out = buf;
+  for (const { start, end, name } of findJsPayloadRegions(buf).reverse()) {
+    const region = { content: out, start, end };
+    const text = out.toString('latin1', start, end);
+    const previous = activeRegion;
+    activeRegion = region;
+    let next;
+    try {
+      next = fn(text, { start, end, name });
+    } finally {
+      activeRegion = previous;
+    }
+    if (next.length !== region.end - region.start) {
+      throw new Error(
+        `Refusing to patch native/binary: the embedded JS at byte ${start} changed size (${region.end - start} -> ${next.length}).`
+      );
+    }
+    if (region.content === out && next === text) continue;
+    out = region.content === buf ? Buffer.from(buf) : region.content;
+    out.write(next, start, 'latin1');
+  }
+  return out;
+}
+
+// First occurrence of `needle` that lies entirely inside one of the sorted `regions`, or -1.
+function indexOfInRegions(buf, needle, regions) {
+  for (let idx = buf.indexOf(needle); idx >= 0; idx = buf.indexOf(needle, idx + 1)) {
+    const region = regions.find(candidate => candidate.end > idx);
+    if (!region) return -1;
+    if (idx >= region.start && idx + needle.length <= region.end) return idx;
+  }
+  return -1;
+}
+
+// Replace bytes `start`..`end` of a native binary with `replacement` (a Buffer): in place, padded
+// with spaces, or by repacking the Bun module graph when it is longer (see `growNativeTracked()`).
+function replaceNativeRange(source, start, end, replacement, label) {
+  if (replacement.length > end - start) return growNativeTracked(source, start, end, replacement, label);
+
+  const out = Buffer.from(source);
+  replacement.copy(out, start);
+  out.fill(0x20, start + replacement.length, end);
+  recordEdit(start, source.subarray(start, end), out.subarray(start, end), label);
+  return out;
+}
+
+// Replace the first occurrence of `search`.
+// - string source (cli.js): plain replacement, length may change
+// - Buffer source (native/binary): the first occurrence inside the JS payload (see
+//   `findJsPayloadRegions()`), replaced by `replaceNativeRange()`
+function replaceOnceExact(source, search, replacement, label) {
+  if (!Buffer.isBuffer(source)) return replaceTracked(source, search, replacement, { label });
+
+  const searchBuf = Buffer.from(search, 'utf8');
+  const idx = indexOfInRegions(source, searchBuf, findJsPayloadRegions(source));
+  if (idx < 0) return source;
+  return replaceNativeRange(source, idx, idx + searchBuf.length, Buffer.from(replacement, 'utf8'), label);
+}
+
+// Length-preserving regex replacement over a latin1-decoded native binary: shorter replacements
+// are padded with spaces, longer ones repack the Bun module graph (see `growNativeText()`). With
+// `spans`, matches that are not entirely inside one of them are left alone.
+function replaceRegexPreserveLengthNativeString(source, regex, replacer, label, { spans } = {}) {
+  if (typeof source !== 'string') {
+    throw new Error(`Expected string for native regex replacement (${label})`);
+  }
+
+  let replacedCount = 0;
+  const growths = [];
+  const out = replaceTracked(source, regex, (...args) => {
+    const match = args[0];
+    if (spans && !withinSpans(spans, matchOffset(args), match.length)) return match;
+    replacedCount += 1;
+    const replacement = typeof replacer === 'function' ? replacer(...args) : replacer;
+    if (typeof replacement !== 'string') {
+      throw new Error(`Unexpected non-string regex replacement for ${label}`);
+    }
+    const padded = padRightSpaces(replacement, match.length);
+    if (padded !== null) return padded;
+    growths.push({ offset: matchOffset(args), length: match.length, replacement });
+    return match;
+  }, { label, encoding: 'latin1' });
+
+  return { out: growNativeText(out, growths, label), replacedCount };
+}
+
+// Apply `{ regex, replacer, label, step, within? }` rules to cli.js source text. `within(text)`
+// returns the spans a match must lie inside (e.g. `locateCaseBranches()` from ./js-locator), so a
+// wide regex cannot run past the construct it patches; without it the whole text is searched.
+function applyJsRegexPatchRules(source, rules) {
+  let out = source;
+  const steps = [];
+
+  for (const rule of rules) {
+    const detectRegex = new RegExp(rule.regex.source, rule.regex.flags.replace(/g/g, ''));
+    if (!detectRegex.test(out)) continue;
+    if (!rule.within) {
+      out = replaceTracked(out, rule.regex, rule.replacer, { label: rule.label });
+      steps.push(rule.step);
+      continue;
+    }
+
+    // Scan every candidate, but keep the rule's own count: a non-global regex replaces one match.
+    const spans = rule.within(out);
+    const maxCount = rule.regex.global ? Infinity : 1;
+    let replacedCount = 0;
+    const regex = new RegExp(rule.regex.source, rule.regex.global ? rule.regex.flags : `${rule.regex.flags}g`);
+    out = replaceTracked(
+      out,
+      regex,
+      (...args) => {
+        const match = args[0];
+        if (replacedCount >= maxCount || !withinSpans(spans, matchOffset(args), match.length)) return match;
+        replacedCount += 1;
+        return typeof rule.replacer === 'function' ? rule.replacer(...args) : expandReplacement(rule.replacer, args);
+      },
+      { label: rule.label }
+    );
+    if (replacedCount > 0) steps.push(rule.step);
+  }
+
+  return { out, steps };
+}
+
+// True when `regex` matches somewhere entirely inside one of `spans`.
+function regexMatchesWithin(text, regex, spans) {
+  const scan = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+  for (const match of text.matchAll(scan)) {
+    if (withinSpans(spans, match.index, match[0].length)) return true;
+  }
+  return false;
+}
+
+// Apply `{ regex, replacer, label, step, within? }` rules to a native binary (length-preserving
+// unless a replacement grows, see `replaceRegexPreserveLengthNativeString()`). Rules run over each
+// JS payload region on its own (see `mapNativePayload()`), so `within(text)` sees one module at a
+// time and a match never spans two modules or the bytes between them.
+function applyNativeRegexPatchRules(sourceBuf, fnName, rules) {
+  if (!Buffer.isBuffer(sourceBuf)) {
+    throw new Error(`${fnName} expected a Buffer`);
+  }
+
+  let out = sourceBuf;
+  const steps = [];
+
+  for (const rule of rules) {
+    const flags = rule.regex.flags.includes('g') ? rule.regex.flags : `${rule.regex.flags}g`;
+    const regex = new RegExp(rule.regex.source, flags);
+    let total = 0;
+    out = mapNativePayload(out, text => {
+      const spans = rule.within ? rule.within(text) : undefined;
+      const { out: next, replacedCount } = replaceRegexPreserveLengthNativeString(text, regex, rule.replacer, rule.label, { spans });
+      total += replacedCount;
+      return next;
+    });
+    if (total > 0) {
+      steps.push(`${rule.step} x${total}`);
+    }
+  }
+
+  return { out, steps };
+}
+
+function backupPathFor(targetPath, suffix = '.backup') {
+  return `${targetPath}${suffix}`;
+}
+
+// Returns the backup path that was restored, or null if no backup exists.
+// Refuses (throws) when the backup was taken from a different Claude Code version than the target:
+// after `claude update`, copying it back would silently downgrade the install.
+function restoreFromBackup(targetPath, options = {}) {
+  const backupPath = backupPathFor(targetPath, options.suffix);
+  if (!fs.existsSync(backupPath)) return null;
+
+  const backupVersion = readVersionTag(fs.readFileSync(backupPath));
+  const targetVersion = readVersionTag(fs.readFileSync(targetPath));
+  if (backupVersion && targetVersion && backupVersion !== targetVersion) {
+    throw new Error(
+      `Backup ${backupPath} is from Claude Code ${backupVersion} but ${targetPath} is ${targetVersion}; ` +
+        'restoring it would downgrade the install. Re-apply the patches instead, or delete the stale backup.'
+    );
+  }
+
+  if (!options.dryRun) writeFileAtomic(targetPath, fs.readFileSync(backupPath));
+  return backupPath;
+}
+
+// Patch modules
+//
+// Every patch script exports a patch module built with `definePatch()` so `claude-patch.js` can run
+// any subset of patches against a single in-memory copy of the target:
+//
+//   { id, description, detect(content, ctx), apply(content, ctx) }
+//
+// - `content` is what `readTarget()` returned (utf8 string for cli.js, Buffer for native binaries)
+// - `ctx` is `{ kind, log, version, options }` plus optional patch-specific settings (e.g. `homeDir`)
+// - an optional `options` schema declares the settings a patch accepts in the patch profile
+//   (`~/.claude/patches.json`, see `lib/patch-profile.js`); they arrive as `ctx.options`
+// - an optional `versions` semver range lists the Claude Code versions with known patterns; the
+//   status report uses it to tell an unsupported version from a pattern that drifted
+// - `detect()` resolves to `{ status }`, one of the DETECT_STATUS values
+// - `apply()` resolves to `{ status, content }`, one of the APPLY_STATUS values; `content` is the
+//   patched copy (same type as the input) and the input is never mutated
+// - both may add `steps` (what matched) and `reason` (why a patch was skipped)
+// - `apply()` should edit through the tracked replacement helpers so the patch journal gets precise
+//   undo records; `detect()` always runs with edit tracking paused
+const DETECT_STATUS = {
+  applicable: 'applicable',
+  alreadyPatched: 'already-patched',
+  notFound: 'not-found',
+  skipped: 'skipped',
+};
+
+const APPLY_STATUS = {
+  patched: 'patched',
+  alreadyPatched: 'already-patched',
+  notFound: 'not-found',
+  skipped: 'skipped',
+};
+
+// Patches without a cheaper detector get one derived from a throwaway apply() run.
+function definePatch(spec) {
+  if (!spec || typeof spec.id !== 'string' || typeof spec.apply !== 'function') {
+    throw new Error('definePatch: a patch needs an `id` and an `apply(content, ctx)` function');
+  }
+
+  const detectFn =
+    typeof spec.detect === 'function'
+      ? spec.detect
+      : (content, ctx) => {
+          const { status, steps, reason } = spec.apply(content, ctx);
+          return { status: status === APPLY_STATUS.patched ? DETECT_STATUS.applicable : status, steps, reason };
+        };
+  const detect = (content, ctx) => untrackedEdits(() => detectFn(content, ctx));
+
+  return { ...spec, description: spec.description || '', detect };
+}
+
+// The `--json` status of an `apply()` result: a dry run writes nothing, so a patch it would apply
+// is `applicable` (as `detect()` says), never `patched`.
+function reportedStatus(status, dryRun) {
+  return dryRun && status === APPLY_STATUS.patched ? DETECT_STATUS.applicable : status;
+}
+
+module.exports = {
+  safeExec,
+  shellQuotePosix,
+  parseCommonArgs,
+  readFilePrefix,
+  detectClaudeTargetKind,
+  getNativeCandidatePaths,
+  listNativeVersionTargets,
+  resolveClaudeTarget,
+  printTargetNotFound,
+  describeTargetKind,
+  EXIT_CODES,
+  createReporter,
+  readTarget,
+  writeTarget,
+  readVersionTag,
+  padRightSpaces,
+  trackEdits,
+  untrackedEdits,
+  matchOffset,
+  expandReplacement,
+  replaceTracked,
+  spliceTracked,
+  growNativeText,
+  findJsPayloadRegions,
+  mapNativePayload,
+  replaceNativeRange,
+  replaceOnceExact,
+  replaceRegexPreserveLengthNativeString,
+  applyJsRegexPatchRules,
+  regexMatchesWithin,
+  applyNativeRegexPatchRules,
+  backupPathFor,
+  restoreFromBackup,
+  DETECT_STATUS,
+  APPLY_STATUS,
+  definePatch,
+  reportedStatus,
+};
@@ -0,0 +1,352 @@
+/**
+ * Declarative patch manifests.
+ *
+ * A manifest describes a patch as data instead of a hand-written script. Manifests live in
+ * `patches/` as `*.json` or `*.js` (CommonJS, `module.exports = { ... }`) files and are compiled
+ * into regular patch modules (see `definePatch()` in `./patch-engine`).
+ *
+ *   {
+ *     id: 'my-tweak',                      // unique patch id (lowercase, digits, dashes)
+ *     description: 'What the tweak does',
+ *     versions: '>=2.1.75',                 // optional semver range (see ./semver)
+ *     locate: { strategy: 'exact', text: '...' },
+ *     replacement: '...',
+ *     alreadyPatched: { strategy: 'exact', text: '...' },  // optional, or an array of locators
+ *   }
+ *
+ * Locate strategies:
+ * - exact:  `{ strategy: 'exact', text }`; `replacement` is a string. Every occurrence is replaced.
+ * - regex:  `{ strategy: 'regex', pattern, flags }`; `replacement` is a string (`$1` etc. allowed)
+ *           or, in `.js` manifests, a replacer function. Every match is replaced.
+ * - block:  `{ strategy: 'block', markers, start, end, includes }` finds a marker, walks back to
+ *           the `start` string and forward to the end of the `end` pattern (the same approach as
+ *           the background command notification patch). `replacement` is a list of
+ *           `{ pattern, flags, replacement }` rewrites applied inside every located block.
+ *
+ * Patterns may be RegExp objects (`.js` manifests) or strings (`.json` manifests).
+ * `alreadyPatched` uses the same locator shapes; it is only consulted when nothing was replaced.
+ *
+ * On native/binary targets locators only match inside the embedded JavaScript (see
+ * `mapNativePayload()` in ./patch-engine) and every replacement is padded with spaces to the
+ * original length. A replacement that would grow repacks the Bun module graph (see
+ * `growNativeText()`), and is rejected on binaries that have none.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  padRightSpaces,
+  growNativeText,
+  mapNativePayload,
+  readVersionTag,
+  matchOffset,
+  expandReplacement,
+  replaceTracked,
+  spliceTracked,
+  definePatch,
+  APPLY_STATUS,
+} = require('./patch-engine');
+const { satisfies, isValidRange } = require('./semver');
+
+const DEFAULT_MANIFEST_DIR = path.join(__dirname, '..', 'patches');
+const MANIFEST_EXTENSIONS = ['.json', '.js'];
+const LOCATE_STRATEGIES = ['exact', 'regex', 'block'];
+const PATCH_ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+function manifestError(source, field, message) {
+  return new Error(`${source}: ${field} ${message}`);
+}
+
+function toRegExp(value, flags, source, field) {
+  try {
+    if (value instanceof RegExp) {
+      return flags === undefined ? value : new RegExp(value.source, flags);
+    }
+    if (typeof value === 'string' && value.length > 0) return new RegExp(value, flags || '');
+  } catch (error) {
+    throw manifestError(source, field, `is not a valid regular expression (${error.message})`);
+  }
+  throw manifestError(source, field, 'must be a RegExp or a non-empty pattern string');
+}
+
+// Always search globally so one manifest patches every copy in the bundle.
+function withGlobalFlag(regex) {
+  return regex.flags.includes('g') ? regex : new RegExp(regex.source, `${regex.flags}g`);
+}
+
+function compileLocator(spec, source, field) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw manifestError(source, field, 'must be an object');
+  }
+  if (!LOCATE_STRATEGIES.includes(spec.strategy)) {
+    throw manifestError(source, `${field}.strategy`, `must be one of ${LOCATE_STRATEGIES.join(', ')}`);
+  }
+
+  if (spec.strategy === 'exact') {
+    if (typeof spec.text !== 'string' || spec.text.length === 0) {
+      throw manifestError(source, `${field}.text`, 'must be a non-empty string');
+    }
+    return { strategy: 'exact', text: spec.text };
+  }
+
+  if (spec.strategy === 'regex') {
+    const regex = toRegExp(spec.pattern, spec.flags, source, `${field}.pattern`);
+    return { strategy: 'regex', regex: withGlobalFlag(regex) };
+  }
+
+  if (!Array.isArray(spec.markers) || spec.markers.length === 0) {
+    throw manifestError(source, `${field}.markers`, 'must be a non-empty array of patterns');
+  }
+  const markers = spec.markers.map((marker, i) => {
+    const regex = toRegExp(marker, undefined, source, `${field}.markers[${i}]`);
+    return new RegExp(regex.source, regex.flags.replace('g', ''));
+  });
+  if (spec.start !== undefined && (typeof spec.start !== 'string' || spec.start.length === 0)) {
+    throw manifestError(source, `${field}.start`, 'must be a non-empty string');
+  }
+  const end = toRegExp(spec.end, undefined, source, `${field}.end`);
+  if (spec.includes !== undefined && typeof spec.includes !== 'string') {
+    throw manifestError(source, `${field}.includes`, 'must be a string');
+  }
+
+  return {
+    strategy: 'block',
+    markers,
+    start: spec.start || null,
+    end: new RegExp(end.source, end.flags.replace('g', '')),
+    includes: spec.includes || null,
+  };
+}
+
+function locateBlockByMarker(text, locator, markerRegex, startIndex) {
+  const match = markerRegex.exec(text.slice(startIndex));
+  if (!match) return null;
+
+  const markerIndex = startIndex + match.index;
+  const start = locator.start ? text.lastIndexOf(locator.start, markerIndex) : markerIndex;
+  if (start < 0) return null;
+
+  const endMatch = locator.end.exec(text.slice(markerIndex));
+  if (!endMatch) return null;
+
+  const end = markerIndex + endMatch.index + endMatch[0].length;
+  const block = text.slice(start, end);
+  if (locator.includes && !block.includes(locator.includes)) return null;
+
+  return { start, end, markerIndex, block };
+}
+
+// Earliest block (by marker position) at or after `startIndex`.
+function locateBlock(text, locator, startIndex = 0) {
+  let best = null;
+  for (const markerRegex of locator.markers) {
+    const located = locateBlockByMarker(text, locator, markerRegex, startIndex);
+    if (located && (!best || located.markerIndex < best.markerIndex)) best = located;
+  }
+  return best;
+}
+
+function isLocated(text, locator) {
+  if (locator.strategy === 'exact') return text.includes(locator.text);
+  if (locator.strategy === 'regex') return new RegExp(locator.regex.source, locator.regex.flags.replace('g', '')).test(text);
+  return locateBlock(text, locator) !== null;
+}
+
+function compileReplacement(manifest, locator, source) {
+  const { replacement } = manifest;
+
+  if (locator.strategy === 'exact') {
+    if (typeof replacement !== 'string') throw manifestError(source, 'replacement', 'must be a string');
+    return replacement;
+  }
+
+  if (locator.strategy === 'regex') {
+    if (typeof replacement !== 'string' && typeof replacement !== 'function') {
+      throw manifestError(source, 'replacement', 'must be a string or a replacer function');
+    }
+    return replacement;
+  }
+
+  if (!Array.isArray(replacement) || replacement.length === 0) {
+    throw manifestError(source, 'replacement', 'must be a non-empty array of { pattern, replacement } rewrites');
+  }
+  return replacement.map((rule, i) => {
+    const field = `replacement[${i}]`;
+    if (!rule || typeof rule !== 'object') throw manifestError(source, field, 'must be an object');
+    if (typeof rule.replacement !== 'string' && typeof rule.replacement !== 'function') {
+      throw manifestError(source, `${field}.replacement`, 'must be a string or a replacer function');
+    }
+    const regex = toRegExp(rule.pattern, rule.flags, source, `${field}.pattern`);
+    return { regex: withGlobalFlag(regex), replacement: rule.replacement };
+  });
+}
+
+// Native targets: pad `replacement` to the original length. One that would grow is queued in
+// `growths` for `growNativeText()` and the original text is kept until then.
+function fitReplacement(original, replacement, offset, { preserveLength, growths }) {
+  if (!preserveLength) return replacement;
+  const padded = padRightSpaces(replacement, original.length);
+  if (padded !== null) return padded;
+  growths.push({ offset, length: original.length, replacement });
+  return original;
+}
+
+function rewriteText(text, locator, replacement, { preserveLength, encoding, label }) {
+  const growths = [];
+  const fitting = { preserveLength, growths };
+  const finish = (out, count) => ({ out: preserveLength ? growNativeText(out, growths, label) : out, count });
+
+  if (locator.strategy === 'exact') {
+    let count = 0;
+    const out = replaceTracked(
+      text,
+      locator.text,
+      (match, offset) => {
+        count += 1;
+        return fitReplacement(match, replacement, offset, fitting);
+      },
+      { label, encoding, all: true }
+    );
+    return finish(out, count);
+  }
+
+  if (locator.strategy === 'regex') {
+    let count = 0;
+    const out = replaceTracked(
+      text,
+      locator.regex,
+      (...args) => {
+        count += 1;
+        const next = typeof replacement === 'function' ? replacement(...args) : expandReplacement(replacement, args);
+        return fitReplacement(args[0], next, matchOffset(args), fitting);
+      },
+      { label, encoding }
+    );
+    return finish(out, count);
+  }
+
+  let out = text;
+  let count = 0;
+  let cursor = 0;
+  while (true) {
+    const located = locateBlock(out, locator, cursor);
+    if (!located) break;
+
+    const rewritten = replacement.reduce((block, rule) => block.replace(rule.regex, rule.replacement), located.block);
+    if (rewritten === located.block) {
+      cursor = located.end;
+      continue;
+    }
+
+    const fitted = fitReplacement(located.block, rewritten, located.start, fitting);
+    out = spliceTracked(out, located.start, located.end, fitted, { label, encoding });
+    cursor = located.start + fitted.length;
+    count += 1;
+  }
+  return finish(out, count);
+}
+
+function compileManifest(manifest, source = '<manifest>') {
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw manifestError(source, 'manifest', 'must be an object');
+  }
+  if (typeof manifest.id !== 'string' || !PATCH_ID_RE.test(manifest.id)) {
+    throw manifestError(source, 'id', 'must be a lowercase id (letters, digits, dashes)');
+  }
+  if (manifest.description !== undefined && typeof manifest.description !== 'string') {
+    throw manifestError(source, 'description', 'must be a string');
+  }
+  if (manifest.versions !== undefined && (typeof manifest.versions !== 'string' || !isValidRange(manifest.versions))) {
+    throw manifestError(source, 'versions', `is not a valid version range: ${JSON.stringify(manifest.versions)}`);
+  }
+
+  const locator = compileLocator(manifest.locate, source, 'locate');
+  const replacement = compileReplacement(manifest, locator, source);
+  const alreadyPatchedSpecs =
+    manifest.alreadyPatched === undefined
+      ? []
+      : Array.isArray(manifest.alreadyPatched)
+        ? manifest.alreadyPatched
+        : [manifest.alreadyPatched];
+  const alreadyPatched = alreadyPatchedSpecs.map((spec, i) =>
+    compileLocator(spec, source, Array.isArray(manifest.alreadyPatched) ? `alreadyPatched[${i}]` : 'alreadyPatched')
+  );
+
+  return definePatch({
+    id: manifest.id,
+    description: manifest.description || '',
+    versions: manifest.versions || null,
+    source,
+    apply(content, ctx = {}) {
+      const isBuffer = Buffer.isBuffer(content);
+
+      // Unknown versions are not rejected: the locator itself is the real guard.
+      const version = ctx.version !== undefined ? ctx.version : readVersionTag(content);
+      if (manifest.versions && version && !satisfies(version, manifest.versions)) {
+        return {
+          status: APPLY_STATUS.skipped,
+          content,
+          reason: `version ${version} is outside ${manifest.versions}`,
+        };
+      }
+
+      const rewrite = text =>
+        rewriteText(text, locator, replacement, {
+          preserveLength: isBuffer || ctx.kind === 'native-binary',
+          encoding: isBuffer ? 'latin1' : 'utf8',
+          label: manifest.id,
+        });
+      let count = 0;
+      let next;
+      if (isBuffer) {
+        next = mapNativePayload(content, text => {
+          const rewritten = rewrite(text);
+          count += rewritten.count;
+          return rewritten.out;
+        });
+      } else {
+        ({ out: next, count } = rewrite(content));
+      }
+      if (count === 0) {
+        const text = isBuffer ? content.toString('latin1') : content;
+        const patched = alreadyPatched.some(spec => isLocated(text, spec));
+        return { status: patched ? APPLY_STATUS.alreadyPatched : APPLY_STATUS.notFound, content };
+      }
+
+      return { status: APPLY_STATUS.patched, content: next, steps: [`${manifest.id} x${count}`] };
+    },
+  });
+}
+
+function readManifestFile(filePath) {
+  if (filePath.endsWith('.json')) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`${filePath}: invalid JSON (${error.message})`);
+    }
+  }
+  return require(filePath);
+}
+
+function listManifestFiles(dir = DEFAULT_MANIFEST_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter(name => MANIFEST_EXTENSIONS.includes(path.extname(name)))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+function loadManifestPatches(dir = DEFAULT_MANIFEST_DIR) {
+  return listManifestFiles(dir).map(filePath => compileManifest(readManifestFile(filePath), filePath));
+}
+
+module.exports = {
+  DEFAULT_MANIFEST_DIR,
+  LOCATE_STRATEGIES,
+  compileManifest,
+  locateBlock,
+  listManifestFiles,
+  loadManifestPatches,
+};
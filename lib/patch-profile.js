@@ -0,0 +1,182 @@
+/**
+ * Persistent patch profile: `~/.claude/patches.json`.
+ *
+ * Lists which patches `claude-patch.js` (and the auto-reapply watcher) should run, and their
+ * options, so every run applies the same state without repeating command-line flags:
+ *
+ *   {
+ *     "patches": {
+ *       "thinking": true,
+ *       "background-format": false,
+ *       "npm-deprecation-warning": { "extraNotifications": ["some-notification-key"] },
+ *       "subagent-models": { "models": { "Plan": "sonnet", "Explore": "haiku" } }
+ *     },
+ *     "signing": { "method": "identity", "identity": "Developer ID Application: Me (TEAMID)" }
+ *   }
+ *
+ * Each entry is `true` / `false` or an object with an optional `enabled` flag plus the options the
+ * patch declares in its `options` schema (see `definePatch()`). Patches the profile does not
+ * mention stay enabled with their default options. `signing` picks how patched native binaries
+ * are re-signed (see ./code-signing); without it they are signed ad-hoc on macOS.
+ *
+ * Schemas are plain objects: `{ type: 'boolean' | 'string' | 'array' | 'object', description,
+ * enum?, items?, properties? }`. Objects only accept the listed `properties`.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SIGNING_METHODS } = require('./code-signing');
+
+const SIGNING_SCHEMA = {
+  type: 'object',
+  properties: {
+    method: { type: 'string', enum: SIGNING_METHODS },
+    identity: { type: 'string' },
+  },
+};
+
+function profilePathFor(homeDir = os.homedir()) {
+  return path.join(homeDir, '.claude', 'patches.json');
+}
+
+// `patches.subagent-models.models.Plan`-style paths; array items as `[0]`.
+function joinPath(parent, key) {
+  return typeof key === 'number' ? `${parent}[${key}]` : `${parent}.${key}`;
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function validateValue(value, schema, fieldPath, errors) {
+  const actual = describeType(value);
+  if (actual !== schema.type) {
+    errors.push(`${fieldPath}: expected ${schema.type}, got ${actual}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${fieldPath}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => validateValue(item, schema.items, joinPath(fieldPath, i), errors));
+  }
+  if (schema.type === 'object' && schema.properties) {
+    for (const [key, item] of Object.entries(value)) {
+      if (!schema.properties[key]) {
+        errors.push(`${joinPath(fieldPath, key)}: unknown field (expected one of: ${Object.keys(schema.properties).join(', ')})`);
+        continue;
+      }
+      validateValue(item, schema.properties[key], joinPath(fieldPath, key), errors);
+    }
+  }
+}
+
+function validateSigning(signing, errors) {
+  if (signing === undefined) return;
+  const before = errors.length;
+  validateValue(signing, SIGNING_SCHEMA, 'signing', errors);
+  if (errors.length === before && signing.method === 'identity' && !signing.identity) {
+    errors.push('signing.identity: required when signing.method is "identity"');
+  }
+}
+
+/**
+ * Check a parsed profile against the available patches. Returns a list of error messages, each
+ * starting with the offending field path (empty when the profile is valid).
+ */
+function validateProfile(profile, patches) {
+  const errors = [];
+  if (describeType(profile) !== 'object') {
+    return [`(root): expected object, got ${describeType(profile)}`];
+  }
+
+  for (const key of Object.keys(profile)) {
+    if (key !== 'patches' && key !== 'signing') errors.push(`${key}: unknown field (expected: patches, signing)`);
+  }
+  validateSigning(profile.signing, errors);
+  if (profile.patches === undefined) return errors;
+  if (describeType(profile.patches) !== 'object') {
+    errors.push(`patches: expected object, got ${describeType(profile.patches)}`);
+    return errors;
+  }
+
+  const byId = new Map(patches.map(patch => [patch.id, patch]));
+  for (const [id, entry] of Object.entries(profile.patches)) {
+    const fieldPath = joinPath('patches', id);
+    const patch = byId.get(id);
+    if (!patch) {
+      errors.push(`${fieldPath}: unknown patch id (available: ${[...byId.keys()].join(', ')})`);
+      continue;
+    }
+    if (typeof entry === 'boolean') continue;
+    if (describeType(entry) !== 'object') {
+      errors.push(`${fieldPath}: expected boolean or object, got ${describeType(entry)}`);
+      continue;
+    }
+
+    const schema = {
+      type: 'object',
+      properties: { enabled: { type: 'boolean' }, ...(patch.options || {}) },
+    };
+    validateValue(entry, schema, fieldPath, errors);
+  }
+  return errors;
+}
+
+function readProfileJson(profilePath) {
+  try {
+    return JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid patch profile ${profilePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read and validate the profile. Returns null when there is no profile, otherwise
+ * `{ path, enabled: Set<id>, options: { [id]: {...} }, signing }` covering every patch in
+ * `patches`; `signing` is the `signing` section (`{}` when absent).
+ * Throws one Error listing every problem (with field paths) when the profile is invalid.
+ */
+function loadProfile(patches, { homeDir, profilePath = profilePathFor(homeDir) } = {}) {
+  if (!fs.existsSync(profilePath)) return null;
+
+  const profile = readProfileJson(profilePath);
+  const errors = validateProfile(profile, patches);
+  if (errors.length > 0) {
+    throw new Error(`Invalid patch profile ${profilePath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  const entries = profile.patches || {};
+  const enabled = new Set();
+  const options = {};
+  for (const patch of patches) {
+    const entry = entries[patch.id];
+    const { enabled: isEnabled = true, ...patchOptions } = typeof entry === 'object' ? entry : { enabled: entry !== false };
+    if (isEnabled) enabled.add(patch.id);
+    options[patch.id] = patchOptions;
+  }
+  return { path: profilePath, enabled, options, signing: profile.signing || {} };
+}
+
+// Just the profile's `signing` section (`{}` without a profile), for the standalone patch scripts.
+function loadSigningSettings({ homeDir, profilePath = profilePathFor(homeDir) } = {}) {
+  if (!fs.existsSync(profilePath)) return {};
+  const profile = readProfileJson(profilePath);
+  const errors = [];
+  if (describeType(profile) === 'object') validateSigning(profile.signing, errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid patch profile ${profilePath}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  return (describeType(profile) === 'object' && profile.signing) || {};
+}
+
+module.exports = {
+  profilePathFor,
+  validateProfile,
+  loadProfile,
+  loadSigningSettings,
+};
@@ -0,0 +1,241 @@
+/**
+ * Patch registry for `claude-patch.js`.
+ *
+ * Collects the patch modules exported by the `patch-*.js` scripts, resolves `--only` / `--except`
+ * selections and runs a set of patches against one in-memory copy of the target, so the target
+ * is read once and written once no matter how many patches are selected.
+ *
+ * See `definePatch()` in `./patch-engine` for the patch module contract.
+ */
+
+const {
+  APPLY_STATUS,
+  DETECT_STATUS,
+  writeTarget,
+  trackEdits,
+  restoreFromBackup,
+} = require('./patch-engine');
+const { loadManifestPatches } = require('./patch-manifest');
+const {
+  readJournal,
+  readTargetForPatching,
+  recordAppliedPatches,
+  revertPatches,
+  snapshotTarget,
+  restoreSnapshot,
+} = require('./backup-store');
+const { satisfies } = require('./semver');
+const { detectClaudeVersion } = require('./version-detect');
+const { findSyntaxRegression, describeSyntaxRegression } = require('./syntax-check');
+const { smokeLaunch } = require('./smoke-verify');
+const { signPatchedTarget } = require('./code-signing');
+
+// Script-based patches. Manifest patches from `patches/` run after them (sorted by file name);
+// order matters because every patch runs against the output of the previous one.
+const BUILTIN_PATCH_MODULES = [
+  '../patch-thinking',
+  '../patch-npm-deprecation-warning',
+  '../patch-task-output-format',
+  '../patch-subagent-models',
+];
+
+function loadPatches({ manifestDir } = {}) {
+  const patches = [];
+  const sources = new Map();
+
+  const add = (patch, source) => {
+    if (sources.has(patch.id)) {
+      throw new Error(`Duplicate patch id "${patch.id}" (${sources.get(patch.id)} and ${source})`);
+    }
+    sources.set(patch.id, source);
+    patches.push(patch);
+  };
+
+  for (const modulePath of BUILTIN_PATCH_MODULES) {
+    add(require(modulePath), modulePath);
+  }
+  for (const patch of loadManifestPatches(manifestDir)) {
+    add(patch, patch.source);
+  }
+
+  return patches;
+}
+
+// Accepts "a,b" strings (or arrays of them) and returns a flat list of trimmed ids.
+function parsePatchIdList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => String(v || '').split(','))
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+function selectPatches(patches, { only = [], except = [] } = {}) {
+  const knownIds = new Set(patches.map(patch => patch.id));
+  const unknown = [...only, ...except].filter(id => !knownIds.has(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown patch id(s): ${unknown.join(', ')} (available: ${[...knownIds].join(', ')})`);
+  }
+
+  return patches.filter(patch => {
+    if (only.length > 0 && !only.includes(patch.id)) return false;
+    return !except.includes(patch.id);
+  });
+}
+
+// Each patch sees its own profile options (`ctx.patchOptions[id]`) as `ctx.options`.
+function patchContext(ctx, patch) {
+  return { ...ctx, options: (ctx.patchOptions && ctx.patchOptions[patch.id]) || {} };
+}
+
+function detectPatches(content, patches, ctx = {}) {
+  return patches.map(patch => {
+    try {
+      const { status, steps, reason } = patch.detect(content, patchContext(ctx, patch));
+      return { id: patch.id, status, steps: steps || [], reason };
+    } catch (error) {
+      return { id: patch.id, status: 'failed', steps: [], error: error.message };
+    }
+  });
+}
+
+// States shown by `claude-patch.js status`.
+const PATCH_STATE = {
+  applied: 'applied',
+  applicable: 'applicable',
+  unsupportedVersion: 'unsupported-version',
+  patternDrifted: 'pattern-drifted',
+  skipped: 'skipped',
+  failed: 'failed',
+};
+
+// Turn one detect() result into a status-report state. A missing pattern on a version the patch
+// claims to support means the bundle drifted; on any other version it is simply unsupported.
+function describePatchState(patch, detection, version) {
+  if (detection.status === 'failed') return PATCH_STATE.failed;
+  if (detection.status === DETECT_STATUS.alreadyPatched) return PATCH_STATE.applied;
+  if (detection.status === DETECT_STATUS.applicable) return PATCH_STATE.applicable;
+  if (version && patch.versions && !satisfies(version, patch.versions)) return PATCH_STATE.unsupportedVersion;
+  if (detection.status === DETECT_STATUS.notFound) return PATCH_STATE.patternDrifted;
+  return PATCH_STATE.skipped;
+}
+
+// `detectPatches()` plus the status-report state of every patch.
+function reportPatchStatus(content, patches, ctx = {}) {
+  const detections = detectPatches(content, patches, ctx);
+  return detections.map((detection, i) => ({
+    ...detection,
+    state: describePatchState(patches[i], detection, ctx.version),
+  }));
+}
+
+// Runs every patch against the output of the previous one. A patch that throws, or whose output no
+// longer parses (see `./syntax-check`), is reported as 'failed' and leaves the content untouched, so
+// one broken patch never corrupts the others.
+// Patched results carry the `edits` they made (see `trackEdits()`), for the patch journal.
+function applyPatches(content, patches, ctx = {}) {
+  let current = content;
+  const results = [];
+
+  for (const patch of patches) {
+    try {
+      const { result, edits } = trackEdits(() => patch.apply(current, patchContext(ctx, patch)));
+      const entry = { id: patch.id, status: result.status, steps: result.steps || [], reason: result.reason };
+      if (result.status === APPLY_STATUS.patched) {
+        const syntaxError = findSyntaxRegression(current, result.content);
+        if (syntaxError) throw new Error(describeSyntaxRegression(syntaxError));
+        current = result.content;
+        entry.edits = edits;
+      }
+      results.push(entry);
+    } catch (error) {
+      results.push({ id: patch.id, status: 'failed', steps: [], error: error.message });
+    }
+  }
+
+  return { content: current, results };
+}
+
+/**
+ * Read `target`, run `patches` against it and, unless `dryRun`, journal and write the result.
+ * Used by `claude-patch.js apply` and the auto-reapply watcher. `output` receives the backup
+ * store's messages (anything with `log()` / `error()`). A written native binary is re-signed as
+ * `signing` (the profile's `{ method, identity }`) asks, see `./code-signing`; the outcome is
+ * returned, not printed, for the caller to report after the patch results.
+ * With `verify`, the written target is smoke-launched (see `./smoke-verify`); if it does not start
+ * and report its version, the pre-patch file and journal are put back.
+ * Returns `{ version, versionDetection, results, backupPath, created, signing, verification }`;
+ * `backupPath` is null when nothing was written. `versionDetection` is the full
+ * `detectClaudeVersion()` result, `signing` the `signTarget()` result (null for cli.js or when
+ * nothing was written), `verification` the `smokeLaunch()` result plus `restored` (null without
+ * `verify`).
+ */
+function applyPatchesToTarget(
+  target,
+  patches,
+  { ctx = {}, dryRun = false, verify = false, signing = {}, output = console } = {}
+) {
+  const originalContent = readTargetForPatching(target);
+  const versionDetection = detectClaudeVersion(target, originalContent);
+  const { version } = versionDetection;
+  const { content, results } = applyPatches(originalContent, patches, { ...ctx, kind: target.kind, version });
+
+  const patched = results.filter(result => result.status === APPLY_STATUS.patched);
+  if (dryRun || patched.length === 0) {
+    return { version, versionDetection, results, backupPath: null, created: false, signing: null, verification: null };
+  }
+
+  const snapshot = verify ? snapshotTarget(target) : null;
+  const { backupPath, created } = recordAppliedPatches(target, {
+    before: originalContent,
+    after: content,
+    patches: patched,
+    log: output.log,
+  });
+  writeTarget(target, content);
+  const signed = signPatchedTarget(target, { signing });
+
+  let verification = null;
+  if (verify) {
+    verification = { ...smokeLaunch(target, { expectedVersion: version }), restored: false };
+    if (!verification.ok) {
+      restoreSnapshot(target, snapshot);
+      verification.restored = true;
+    }
+  }
+  return { version, versionDetection, results, backupPath, created, signing: signed, verification };
+}
+
+/**
+ * `--restore` for a standalone patch script: revert just this patch through the journal, or fall
+ * back to the legacy whole-file backup (`legacySuffix`) for targets patched before the journal.
+ * A native binary that keeps other patches is re-signed as `signing` asks (see `./code-signing`);
+ * print the returned `signing` with `printSigningResult()`.
+ * Returns `{ mode: 'journal', backupPath, remaining, signing }`, `{ mode: 'legacy', backupPath }`
+ * or null.
+ */
+function restoreSinglePatch(target, patchId, { dryRun = false, legacySuffix = '.backup', signing = {} } = {}) {
+  // With a journal, a legacy backup predates it: restoring that would drop every journaled patch.
+  if (readJournal(target.path)) {
+    const { backupPath, remaining } = revertPatches(target, [patchId], { dryRun });
+    const signed = !dryRun && remaining.length > 0 ? signPatchedTarget(target, { signing }) : null;
+    return { mode: 'journal', backupPath, remaining, signing: signed };
+  }
+
+  const backupPath = restoreFromBackup(target.path, { suffix: legacySuffix, dryRun });
+  return backupPath ? { mode: 'legacy', backupPath } : null;
+}
+
+module.exports = {
+  BUILTIN_PATCH_MODULES,
+  PATCH_STATE,
+  loadPatches,
+  parsePatchIdList,
+  selectPatches,
+  detectPatches,
+  describePatchState,
+  reportPatchStatus,
+  applyPatches,
+  applyPatchesToTarget,
+  restoreSinglePatch,
+};
@@ -0,0 +1,341 @@
+/**
+ * Pattern discovery for `claude-patch.js discover`.
+ *
+ * When a release breaks a patch, the regions the patch rewrote in the last supported bundle still
+ * exist in the new one, just moved and with different minified identifiers. Discovery:
+ *
+ * 1. applies the patch to the old bundle and collects its edits (see `trackEdits()`), i.e. the
+ *    exact old search text and replacement of every patched region;
+ * 2. picks string anchors near each region (`case"thinking":`, `"Waiting for task"`,
+ *    `"task-notification"`, ...) that occur equally often in both bundles, and uses them to predict
+ *    where the region moved to;
+ * 3. turns the old region (plus a little context) into a regex in which every minified identifier
+ *    is a capture (`([\w$]+)`, repeated names as backreferences) and searches it around the
+ *    predicted offset;
+ * 4. proposes the matched text as the new search text and the old replacement with its
+ *    identifiers renamed as the new replacement.
+ *
+ * Proposals are for review only: nothing here writes a target.
+ *
+ * All offsets are byte offsets: both bundles are searched as latin1 text (1 byte per character).
+ */
+
+const { APPLY_STATUS, padRightSpaces, trackEdits } = require('./patch-engine');
+
+// Minified names are short; longer words are kept verbatim (globals, property names, messages).
+const MINIFIED_IDENTIFIER_RE = /^[A-Za-z_$][\w$]{0,3}$/;
+const JS_KEYWORDS = new Set([
+  'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'get', 'if', 'import', 'in', 'instanceof',
+  'let', 'new', 'null', 'of', 'return', 'set', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof',
+  'var', 'void', 'while', 'with', 'yield', 'NaN', 'undefined', 'Infinity',
+]);
+const TOKEN_RE = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|[A-Za-z_$][\w$]*|\d[\w.]*|[\s\S]/g;
+const ANCHOR_LITERAL_RE = /(case\s?)?("(?:[^"\\\n]|\\.){4,120}"|'(?:[^'\\\n]|\\.){4,120}')(:)?/g;
+
+const ANCHOR_WINDOW = 2000;
+const MAX_ANCHORS = 8;
+const MAX_ANCHOR_OCCURRENCES = 4;
+const SEARCH_SLACK = 2000;
+// Context around the region that goes into the skeleton regex, tried from most to least specific.
+const CONTEXT_SIZES = [120, 40, 0];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function regexSafe(text) {
+  return escapeRegExp(text).replace(/\n/g, '\\n');
+}
+
+function isWordChar(ch) {
+  return ch !== undefined && /[\w$]/.test(ch);
+}
+
+// Every occurrence of `needle` in `text`, or null once there are more than `max`.
+function occurrences(text, needle, max = MAX_ANCHOR_OCCURRENCES) {
+  const found = [];
+  for (let idx = text.indexOf(needle); idx >= 0; idx = text.indexOf(needle, idx + 1)) {
+    if (found.length === max) return null;
+    found.push(idx);
+  }
+  return found;
+}
+
+// Tokens of `text[from, to)`, each tagged with whether it is a minified identifier. Offsets are
+// relative to `text`, which is also where the neighbours of boundary tokens are looked up.
+function tokenize(text, from = 0, to = text.length) {
+  const fragment = text.slice(from, to);
+  const tokens = [];
+  let match;
+  TOKEN_RE.lastIndex = 0;
+  while ((match = TOKEN_RE.exec(fragment))) {
+    const value = match[0];
+    const index = from + match.index;
+    const previous = text[index - 1];
+    const next = text[index + value.length];
+    const isObjectKey = next === ':' && (previous === '{' || previous === ',');
+    const identifier =
+      MINIFIED_IDENTIFIER_RE.test(value) && !JS_KEYWORDS.has(value) && previous !== '.' && !isObjectKey;
+    tokens.push({ value, index, identifier });
+  }
+  return tokens;
+}
+
+/**
+ * Map the sequential edits of one `trackEdits()` run back to offsets in the content they started
+ * from. Returns `[{ label, start, end, original, replacement }]` with latin1 text.
+ */
+function editsToRegions(edits) {
+  return edits.map((edit, i) => {
+    let start = edit.offset;
+    for (let j = i - 1; j >= 0; j--) {
+      const prior = edits[j];
+      if (start >= prior.offset + prior.replacement.length) start -= prior.replacement.length - prior.original.length;
+    }
+    return {
+      label: edit.label,
+      start,
+      end: start + edit.original.length,
+      original: edit.original.toString('latin1'),
+      replacement: edit.replacement.toString('latin1'),
+    };
+  });
+}
+
+/**
+ * The regions `patch` rewrites in `content` (the last supported bundle), or `{ status }` without
+ * regions when the patch does not apply to it.
+ */
+function collectPatchedRegions(content, patch, ctx) {
+  const { result, edits } = trackEdits(() => patch.apply(content, ctx));
+  if (result.status !== APPLY_STATUS.patched) return { status: result.status, reason: result.reason, regions: [] };
+  return { status: result.status, regions: editsToRegions(edits) };
+}
+
+/**
+ * String anchors near `region` in `oldText` that occur equally often (at most
+ * MAX_ANCHOR_OCCURRENCES times) in both bundles, nearest first:
+ * `[{ text, oldOffset, newOffset, distance }]` (`distance` = region start - anchor offset).
+ */
+function findAnchors(oldText, newText, region) {
+  const from = Math.max(0, region.start - ANCHOR_WINDOW);
+  const windowText = oldText.slice(from, Math.min(oldText.length, region.end + ANCHOR_WINDOW));
+  const candidates = [];
+  const seen = new Set();
+  let match;
+  ANCHOR_LITERAL_RE.lastIndex = 0;
+  while ((match = ANCHOR_LITERAL_RE.exec(windowText))) {
+    // `case"thinking":` is a far better anchor than `"thinking"` alone.
+    const text = match[1] && match[3] ? match[0] : match[2];
+    const offset = from + match.index + (text === match[0] ? 0 : (match[1] || '').length);
+    const inside = offset < region.end && offset + text.length > region.start;
+    if (inside || seen.has(text)) continue;
+    seen.add(text);
+    candidates.push({ text, oldOffset: offset, distance: region.start - offset });
+  }
+  candidates.sort((a, b) => Math.abs(a.distance) - Math.abs(b.distance));
+
+  const anchors = [];
+  for (const candidate of candidates) {
+    if (anchors.length === MAX_ANCHORS) break;
+    const inOld = occurrences(oldText, candidate.text);
+    const inNew = inOld && occurrences(newText, candidate.text);
+    if (!inNew || inNew.length !== inOld.length) continue;
+    // Bundles embedded twice keep their order, so the n-th occurrence maps to the n-th occurrence.
+    const ordinal = inOld.indexOf(candidate.oldOffset);
+    anchors.push({ ...candidate, newOffset: inNew[ordinal] });
+  }
+  return anchors;
+}
+
+/**
+ * A regex for `oldText[start, end)` in which minified identifiers are captures. The region itself
+ * (`coreStart`..`coreEnd`) is wrapped in a capture too; `coreGroup` is its group number and
+ * `identifiers` lists each identifier capture's group number, old name and whether the region
+ * itself uses it (`inCore`).
+ */
+function buildSkeleton(oldText, start, end, coreStart, coreEnd) {
+  // Tokenized in three parts, so a token never straddles the region's edges.
+  const parts = [
+    tokenize(oldText, start, coreStart),
+    tokenize(oldText, coreStart, coreEnd),
+    tokenize(oldText, coreEnd, end),
+  ];
+  const groups = new Map();
+  const identifiers = [];
+  let groupCount = 0;
+
+  const toSource = (tokens, inCore) =>
+    tokens
+      .map(token => {
+        if (!token.identifier) return regexSafe(token.value);
+        if (groups.has(token.value)) {
+          const group = groups.get(token.value);
+          if (inCore) identifiers.find(identifier => identifier.group === group).inCore = true;
+          return `\\${group}`;
+        }
+        groups.set(token.value, ++groupCount);
+        identifiers.push({ group: groupCount, name: token.value, inCore });
+        return '([\\w$]+)';
+      })
+      .join('');
+
+  const before = toSource(parts[0], false);
+  const coreGroup = ++groupCount;
+  const core = toSource(parts[1], true);
+  const after = toSource(parts[2], false);
+  return { source: `${before}(${core})${after}`, coreGroup, identifiers };
+}
+
+// Where the region most likely sits in the new bundle.
+function predictOffset(oldText, newText, region, anchors) {
+  if (anchors.length > 0) return anchors[0].newOffset + anchors[0].distance;
+  return Math.round((region.start / oldText.length) * newText.length);
+}
+
+// Rename the old identifiers in `replacement`; returns the new text and the names left unmapped.
+function renameIdentifiers(replacement, renames) {
+  const unmapped = new Set();
+  const renamed = tokenize(replacement)
+    .map(token => {
+      if (!token.identifier) return token.value;
+      if (renames.has(token.value)) return renames.get(token.value);
+      unmapped.add(token.value);
+      return token.value;
+    })
+    .join('');
+  return { text: renamed, unmapped: [...unmapped] };
+}
+
+// The match of `regex` in `newText[from, to)` nearest to `predicted`, or null.
+function nearestMatch(newText, regex, from, to, predicted) {
+  const haystack = newText.slice(from, to);
+  const global = new RegExp(regex.source, 'gd');
+  let best = null;
+  let match;
+  while ((match = global.exec(haystack))) {
+    const offset = from + match.index;
+    if (!best || Math.abs(offset - predicted) < Math.abs(best.offset - predicted)) best = { offset, match };
+    if (match[0].length === 0) global.lastIndex++;
+  }
+  return best;
+}
+
+/**
+ * Align one old region with the new bundle. Returns
+ * `{ label, oldOffset, status, anchors, offset, search, replacement, regex, captures, unmapped, note }`,
+ * where `status` is 'unchanged' (the old text is still there), 'aligned' (found with renamed
+ * identifiers) or 'unaligned' (only `offset`, the predicted position, is known). `captures` lists
+ * the identifiers of the region that were renamed (`{ old, new }`).
+ */
+function alignRegion(oldText, newText, region, { oldKind, kind } = {}) {
+  const anchors = findAnchors(oldText, newText, region);
+  const predicted = predictOffset(oldText, newText, region, anchors);
+  const slack = SEARCH_SLACK + (anchors.length > 0 ? Math.round(Math.abs(anchors[0].distance) / 4) : newText.length);
+  const from = Math.max(0, predicted - slack);
+  const to = Math.min(newText.length, predicted + region.original.length + slack);
+  const base = {
+    label: region.label,
+    oldOffset: region.start,
+    anchors: anchors.map(({ text, distance }) => ({ text, distance })),
+  };
+
+  for (const context of CONTEXT_SIZES) {
+    // Never cut a word in half: a partial identifier would be captured as a rename.
+    let start = Math.max(0, region.start - context);
+    while (start > 0 && start < region.start && isWordChar(oldText[start - 1]) && isWordChar(oldText[start])) start--;
+    let end = Math.min(oldText.length, region.end + context);
+    while (end < oldText.length && end > region.end && isWordChar(oldText[end - 1]) && isWordChar(oldText[end])) end++;
+    const skeleton = buildSkeleton(oldText, start, end, region.start, region.end);
+    let regex;
+    try {
+      regex = new RegExp(skeleton.source, 'd');
+    } catch {
+      continue;
+    }
+    const found = nearestMatch(newText, regex, from, to, predicted);
+    if (!found) continue;
+
+    const { match } = found;
+    const search = match[skeleton.coreGroup];
+    const offset = found.offset + match.indices[skeleton.coreGroup][0] - match.index;
+    const captures = skeleton.identifiers.map(({ group, name, inCore }) => ({ old: name, new: match[group], inCore }));
+    const renames = new Map(captures.map(capture => [capture.old, capture.new]));
+    const renamed = renameIdentifiers(region.replacement, renames);
+    // Native replacements are space-padded to the length they replace; re-pad for the new search text.
+    let replacement = oldKind === 'native-binary' ? renamed.text.replace(/ +$/, '') : renamed.text;
+    let note = null;
+    if (kind === 'native-binary') {
+      replacement = padRightSpaces(replacement, search.length);
+      if (replacement === null) note = 'the renamed replacement is longer than the new search text; shorten it by hand';
+    }
+
+    return {
+      ...base,
+      status: search === region.original ? 'unchanged' : 'aligned',
+      offset,
+      search,
+      replacement,
+      regex: skeleton.source,
+      captures: captures
+        .filter(capture => capture.inCore && capture.old !== capture.new)
+        .map(capture => ({ old: capture.old, new: capture.new })),
+      unmapped: renamed.unmapped,
+      note,
+    };
+  }
+
+  return {
+    ...base,
+    status: 'unaligned',
+    offset: predicted,
+    search: null,
+    replacement: null,
+    regex: null,
+    captures: [],
+    unmapped: [],
+    note: anchors.length > 0 ? 'the region changed beyond renamed identifiers' : 'no shared string anchor near the region',
+  };
+}
+
+/**
+ * Discover updated patterns for `patch`: `oldContent` is the last bundle it supported, `newContent`
+ * the bundle it no longer finds its pattern in. `oldCtx` / `newCtx` are the patch contexts for
+ * each (kind, version, options). Returns `{ id, oldStatus, newStatus, regions }`.
+ */
+function discoverPatch(patch, { oldContent, newContent, oldCtx, newCtx }) {
+  const newStatus = patch.detect(newContent, newCtx).status;
+  const old = collectPatchedRegions(oldContent, patch, oldCtx);
+  if (old.regions.length === 0) {
+    return { id: patch.id, oldStatus: old.status, oldReason: old.reason || null, newStatus, regions: [] };
+  }
+
+  const oldText = toText(oldContent);
+  const newText = toText(newContent);
+  const regions = old.regions.map(region =>
+    alignRegion(oldText, newText, region, { oldKind: oldCtx.kind, kind: newCtx.kind })
+  );
+  return { id: patch.id, oldStatus: old.status, oldReason: null, newStatus, regions };
+}
+
+function toText(content) {
+  return Buffer.isBuffer(content) ? content.toString('latin1') : Buffer.from(content, 'utf8').toString('latin1');
+}
+
+// Regions are found in latin1 text; show a cli.js proposal as the UTF-8 it really is.
+function displayText(text, kind) {
+  if (text === null || kind === 'native-binary') return text;
+  return Buffer.from(text, 'latin1').toString('utf8');
+}
+
+module.exports = {
+  tokenize,
+  editsToRegions,
+  collectPatchedRegions,
+  findAnchors,
+  buildSkeleton,
+  alignRegion,
+  discoverPatch,
+  displayText,
+};
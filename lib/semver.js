@@ -0,0 +1,111 @@
+/**
+ * Minimal semver helpers for matching Claude Code versions against patch ranges.
+ *
+ * Claude Code versions are plain `MAJOR.MINOR.PATCH` strings, so only the subset of node-semver
+ * range syntax the patches need is supported:
+ * - comparators: `2.1.75`, `=2.1.75`, `>=2.1.75`, `>2.1.75`, `<=2.1.204`, `<2.2.0`
+ * - partial versions: `2.1` / `2.1.x` (same as `>=2.1.0 <2.2.0`), also after an operator
+ *   (`>2.1` is `>=2.2.0`, `<=2.1` is `<2.2.0`)
+ * - `*` / empty range (any version)
+ * - AND (space-separated comparators) and OR (`||`)
+ */
+
+const VERSION_RE = /^v?(\d+)\.(\d+)\.(\d+)$/;
+const COMPARATOR_RE = /^(>=|<=|>|<|=)?v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?$/;
+
+function parseVersion(version) {
+  const match = VERSION_RE.exec(String(version).trim());
+  if (!match) return null;
+  return [Number(match[1]), Number(match[2]), Number(match[3])];
+}
+
+function compareVersions(a, b) {
+  const pa = Array.isArray(a) ? a : parseVersion(a);
+  const pb = Array.isArray(b) ? b : parseVersion(b);
+  if (!pa || !pb) throw new Error(`Invalid version: ${!pa ? a : b}`);
+  for (let i = 0; i < 3; i++) {
+    if (pa[i] !== pb[i]) return pa[i] < pb[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+// Expands one comparator token into a list of [operator, [major, minor, patch]] tests. A partial
+// version stands for the versions from `lower` up to (not including) `upper`, as in node-semver:
+// `>2.1` is `>=2.2.0` and `<=2.1` is `<2.2.0`.
+function parseComparator(token) {
+  const match = COMPARATOR_RE.exec(token);
+  if (!match) throw new Error(`Invalid version comparator: "${token}"`);
+
+  const op = match[1] || '=';
+  const major = Number(match[2]);
+  const isWild = part => part === undefined || part === 'x' || part === '*';
+
+  if (!isWild(match[3]) && !isWild(match[4])) return [[op, [major, Number(match[3]), Number(match[4])]]];
+
+  const minor = isWild(match[3]) ? null : Number(match[3]);
+  const lower = [major, minor === null ? 0 : minor, 0];
+  const upper = minor === null ? [major + 1, 0, 0] : [major, minor + 1, 0];
+  switch (op) {
+    case '>':
+      return [['>=', upper]];
+    case '>=':
+      return [['>=', lower]];
+    case '<':
+      return [['<', lower]];
+    case '<=':
+      return [['<', upper]];
+    default:
+      return [['>=', lower], ['<', upper]];
+  }
+}
+
+function parseRange(range) {
+  return String(range)
+    .split('||')
+    .map(alternative => alternative.trim())
+    .map(alternative => {
+      if (alternative === '' || alternative === '*') return [];
+      // Allow `>= 2.1.0` as well as `>=2.1.0`.
+      const tokens = alternative.replace(/(>=|<=|>|<|=)\s+/g, '$1').split(/\s+/);
+      return tokens.flatMap(parseComparator);
+    });
+}
+
+function testComparator(version, [op, bound]) {
+  const cmp = compareVersions(version, bound);
+  switch (op) {
+    case '>=':
+      return cmp >= 0;
+    case '<=':
+      return cmp <= 0;
+    case '>':
+      return cmp > 0;
+    case '<':
+      return cmp < 0;
+    default:
+      return cmp === 0;
+  }
+}
+
+function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed) return false;
+  return parseRange(range).some(comparators => comparators.every(comparator => testComparator(parsed, comparator)));
+}
+
+function isValidRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  parseRange,
+  satisfies,
+  isValidRange,
+};
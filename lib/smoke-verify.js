@@ -0,0 +1,102 @@
+/**
+ * Smoke-launch verification (`claude-patch.js apply --verify`).
+ *
+ * Parsing the patched code (see `./syntax-check`) does not prove that `claude` still starts: a
+ * failed macOS re-sign gets the binary killed on launch, and a truncated write or a patch that
+ * throws at load time only shows up when it runs. `smokeLaunch()` runs the written target with
+ * `--version` in a throwaway HOME, with a timeout, and checks that it prints the version the bundle
+ * carries. The caller puts the pre-patch bytes back when it does not (see `snapshotTarget()` in
+ * `./backup-store`).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SMOKE_TIMEOUT_MS = 30000;
+const VERSION_OUTPUT_RE = /\b(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)\b/;
+const OUTPUT_PREVIEW_LENGTH = 200;
+
+// cli.js runs under the current Node; native binaries run directly.
+function launchCommand(target) {
+  if (target.kind === 'js') return { command: process.execPath, args: [target.path, '--version'] };
+  return { command: target.path, args: ['--version'] };
+}
+
+// The launch must not read or write the user's settings, or try to update itself.
+function sandboxEnv(homeDir) {
+  return {
+    ...process.env,
+    HOME: homeDir,
+    USERPROFILE: homeDir,
+    XDG_CONFIG_HOME: path.join(homeDir, '.config'),
+    XDG_CACHE_HOME: path.join(homeDir, '.cache'),
+    XDG_DATA_HOME: path.join(homeDir, '.local', 'share'),
+    CLAUDE_CONFIG_DIR: path.join(homeDir, '.claude'),
+    DISABLE_AUTOUPDATER: '1',
+    CLAUDE_CODE_DISABLE_NONESSENTIAL_TRAFFIC: '1',
+  };
+}
+
+function outputPreview(text) {
+  const oneLine = text.trim().replace(/\s+/g, ' ');
+  return oneLine.length > OUTPUT_PREVIEW_LENGTH ? `${oneLine.slice(0, OUTPUT_PREVIEW_LENGTH)}...` : oneLine;
+}
+
+// Why a finished `--version` run does not count as a working install, or null if it does.
+function launchFailure(child, expectedVersion, timeoutMs) {
+  if (child.error && child.error.code === 'ETIMEDOUT') return `did not exit within ${timeoutMs / 1000}s`;
+  if (child.error) return `could not be started (${child.error.code || child.error.message})`;
+  if (child.signal) return `was killed by ${child.signal}`;
+  if (child.status !== 0) return `exited with code ${child.status}`;
+
+  const match = child.stdout.match(VERSION_OUTPUT_RE);
+  if (!match) return 'did not print a version';
+  if (expectedVersion && match[1] !== expectedVersion) return `reported version ${match[1]}, expected ${expectedVersion}`;
+  return null;
+}
+
+/**
+ * Run `target` with `--version` in a temporary HOME. Returns `{ ok, version, reason, output }`:
+ * `version` is the version it printed (or null), `reason` why the launch failed (null when `ok`)
+ * and `output` a one-line preview of what it printed. With an `expectedVersion`, printing any other
+ * version is a failure too.
+ */
+function smokeLaunch(target, { expectedVersion = null, timeoutMs = SMOKE_TIMEOUT_MS } = {}) {
+  const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-verify-'));
+  try {
+    const { command, args } = launchCommand(target);
+    const child = spawnSync(command, args, {
+      cwd: homeDir,
+      env: sandboxEnv(homeDir),
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: timeoutMs,
+      killSignal: 'SIGKILL',
+    });
+    const stdout = child.stdout || '';
+    const match = stdout.match(VERSION_OUTPUT_RE);
+    const reason = launchFailure({ ...child, stdout }, expectedVersion, timeoutMs);
+    return {
+      ok: reason === null,
+      version: match ? match[1] : null,
+      reason,
+      output: outputPreview(`${stdout}\n${child.stderr || ''}`),
+    };
+  } finally {
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  }
+}
+
+// One line for the apply output, e.g. "`claude --version` exited with code 1 (Error: ...)".
+function describeSmokeLaunch(result) {
+  if (result.ok) return `\`claude --version\` in a sandboxed HOME printed ${result.version}`;
+  return `\`claude --version\` ${result.reason}${result.output ? ` (${result.output})` : ''}`;
+}
+
+module.exports = {
+  SMOKE_TIMEOUT_MS,
+  smokeLaunch,
+  describeSmokeLaunch,
+};
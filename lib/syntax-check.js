@@ -0,0 +1,176 @@
+/**
+ * Post-patch syntax validation.
+ *
+ * A replacement that removes the wrong span still "applies", and only shows up when `claude`
+ * crashes at startup. Before anything is written, the patched JavaScript is parsed (compile only,
+ * never run): cli.js as a whole, and for native binaries every embedded JS region an edit touched
+ * (the NUL-free run of bytes around the edit, or the whole module once a repack changed the
+ * binary's size, see ./bun-standalone). A region is only judged if its original version parses
+ * too, so code the checker cannot handle (bytecode, string tables, ...) is skipped instead of
+ * being reported as broken.
+ *
+ * Scripts are compiled with `vm.Script`; ES modules, which `vm.Script` rejects, are checked with
+ * `node --check --input-type=module` in a child process.
+ */
+
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+
+const { readStandaloneGraph } = require('./bun-standalone');
+
+const SCRIPT_NAME = 'patched.js';
+// `vm.Script` parses as a classic script; these errors mean the code is an ES module.
+const MODULE_SYNTAX_RE = /import statement outside a module|Unexpected token 'export'|import\.meta|await is only valid/;
+const MODULE_CHECK_TIMEOUT_MS = 120000;
+const CONTEXT_RADIUS = 60;
+const DIFF_CHUNK = 64 * 1024;
+
+// Line / column / index of a V8 syntax error from its `file:LINE\n<source line>\n   ^` report.
+function locateReportedError(report, code, message) {
+  const lines = report.split('\n');
+  const header = lines.findIndex(line => /:\d+$/.test(line));
+  if (header < 0 || lines.length < header + 3) return { message, line: null, column: null, index: null };
+
+  const line = Number(lines[header].slice(lines[header].lastIndexOf(':') + 1));
+  const column = Math.max(0, lines[header + 2].indexOf('^'));
+  let lineStart = 0;
+  for (let i = 1; i < line && lineStart >= 0; i++) {
+    lineStart = code.indexOf('\n', lineStart);
+    if (lineStart >= 0) lineStart++;
+  }
+  return { message, line, column, index: lineStart >= 0 ? lineStart + column : null };
+}
+
+function checkModuleSyntax(code) {
+  const child = spawnSync(process.execPath, ['--input-type=module', '--check', '-'], {
+    input: code,
+    encoding: 'utf8',
+    maxBuffer: 4 * code.length + 1024 * 1024,
+    timeout: MODULE_CHECK_TIMEOUT_MS,
+  });
+  if (child.error || child.status === null) return { ok: null, reason: 'could not run node --check' };
+  if (child.status === 0) return { ok: true };
+
+  const messageLine = child.stderr.split('\n').find(line => /^\w*Error: /.test(line));
+  const message = messageLine ? messageLine.replace(/^SyntaxError: /, '') : 'syntax error';
+  return { ok: false, ...locateReportedError(child.stderr, code, message) };
+}
+
+/**
+ * Parse `code` without running it. Returns `{ ok: true }`, `{ ok: false, message, line, column,
+ * index }` (index into `code`; position fields are null when V8 did not report one) or
+ * `{ ok: null, reason }` when the check could not run.
+ */
+function checkJsSyntax(code) {
+  try {
+    new vm.Script(code, { filename: SCRIPT_NAME });
+    return { ok: true };
+  } catch (error) {
+    if (!error || error.name !== 'SyntaxError') throw error;
+    if (!MODULE_SYNTAX_RE.test(error.message)) {
+      return { ok: false, ...locateReportedError(String(error.stack), code, error.message) };
+    }
+  }
+  return checkModuleSyntax(code);
+}
+
+// Two lines around `index`: the code (newlines shown as spaces) and a caret under the offending char.
+function formatSyntaxContext(text, index, radius = CONTEXT_RADIUS) {
+  const start = Math.max(0, index - radius);
+  const snippet = text.slice(start, Math.min(text.length, index + radius)).replace(/[\r\n\t]/g, ' ');
+  return `    ${snippet}\n    ${' '.repeat(index - start)}^`;
+}
+
+// The embedded JS regions (NUL-delimited byte runs, `{ start, end }`) in which `before` and `after` differ.
+function changedRegions(before, after) {
+  const regions = [];
+  let offset = 0;
+  while (offset < before.length) {
+    const end = Math.min(before.length, offset + DIFF_CHUNK);
+    if (before.subarray(offset, end).equals(after.subarray(offset, end))) {
+      offset = end;
+      continue;
+    }
+    let diff = offset;
+    while (before[diff] === after[diff]) diff++;
+    const start = before.lastIndexOf(0, diff) + 1;
+    const nul = before.indexOf(0, diff);
+    const regionEnd = nul < 0 ? before.length : nul;
+    regions.push({ start, end: regionEnd });
+    offset = Math.max(regionEnd, diff + 1);
+  }
+  return regions;
+}
+
+// After a repack moved the bytes around (see ./bun-standalone): the embedded modules whose
+// contents differ, as their `{ start, end }` in `after` plus `before`, the same module's range in
+// `before`. Null when nothing moved, so the byte-wise comparison applies.
+function changedModules(before, after) {
+  const beforeGraph = readStandaloneGraph(before);
+  const afterGraph = beforeGraph && readStandaloneGraph(after);
+  if (!afterGraph || beforeGraph.modules.length !== afterGraph.modules.length) return null;
+  const regions = afterGraph.modules.map((entry, i) => ({ ...entry.contents, before: beforeGraph.modules[i].contents }));
+  if (regions.every(region => region.start === region.before.start && region.end === region.before.end)) return null;
+  return regions.filter(region => !before.subarray(region.before.start, region.before.end).equals(after.subarray(region.start, region.end)));
+}
+
+function checkRegion(beforeText, afterText) {
+  const original = checkJsSyntax(beforeText);
+  if (original.ok !== true) return null;
+  const patched = checkJsSyntax(afterText);
+  return patched.ok === false ? patched : null;
+}
+
+/**
+ * Syntax errors the patches introduced into `after` (relative to `before`), or null. Strings are
+ * cli.js sources; a Buffer `before` is a native binary (`after` may be its latin1 text), checked
+ * per changed JS region. Returns `{ message, offset, line, column, region, context }`: `offset` is
+ * a byte offset into the target, `region` the embedded JS region's `{ start, end }` (null for cli.js).
+ */
+function findSyntaxRegression(before, after) {
+  if (!Buffer.isBuffer(before)) {
+    const error = checkRegion(before, after);
+    if (!error) return null;
+    const index = error.index === null ? 0 : error.index;
+    return {
+      message: error.message,
+      offset: error.index === null ? null : Buffer.byteLength(after.slice(0, index)),
+      line: error.line,
+      column: error.column,
+      region: null,
+      context: error.index === null ? null : formatSyntaxContext(after, index),
+    };
+  }
+
+  const afterBytes = Buffer.isBuffer(after) ? after : Buffer.from(after, 'latin1');
+  const regions = changedModules(before, afterBytes) || changedRegions(before, afterBytes);
+  for (const region of regions) {
+    const original = region.before || region;
+    const afterText = afterBytes.toString('latin1', region.start, region.end);
+    const error = checkRegion(before.toString('latin1', original.start, original.end), afterText);
+    if (!error) continue;
+    return {
+      message: error.message,
+      offset: error.index === null ? null : region.start + error.index,
+      line: error.line,
+      column: error.column,
+      region: { start: region.start, end: region.end },
+      context: error.index === null ? null : formatSyntaxContext(afterText, error.index),
+    };
+  }
+  return null;
+}
+
+// `Patched cli.js no longer parses: Unexpected token ')' at byte 1234 (line 3, column 40)` + context.
+function describeSyntaxRegression(error) {
+  const what = error.region ? `embedded JS (bytes ${error.region.start}-${error.region.end})` : 'cli.js';
+  const where = error.offset === null ? '' : ` at byte ${error.offset} (line ${error.line}, column ${error.column})`;
+  return `Patched ${what} no longer parses: ${error.message}${where}${error.context ? `\n${error.context}` : ''}`;
+}
+
+module.exports = {
+  checkJsSyntax,
+  formatSyntaxContext,
+  findSyntaxRegression,
+  describeSyntaxRegression,
+};
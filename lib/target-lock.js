@@ -0,0 +1,298 @@
+/**
+ * Advisory lock + running-process check for a patch target.
+ *
+ * Patching is a read-modify-write cycle on the target, its backups and its journal. Two patchers
+ * running at once (a script and the watcher, two `--all-versions` runs, ...) could interleave those
+ * cycles, so every writing command first takes `${target}.patch-lock`: a file created exclusively
+ * and holding the owner's pid, host and command. A lock whose process is gone is stale and taken
+ * over. The lock is re-entrant within one process and released when the process exits.
+ *
+ * A `claude` process running from the target keeps executing the old code: the patches only take
+ * effect after a restart, and Windows cannot replace a running executable at all. Writing
+ * commands refuse in that case unless `--force` is given (see `claimTarget()`).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { EXIT_CODES } = require('./patch-engine');
+
+const LOCK_SUFFIX = '.patch-lock';
+const PROCESS_LIST_TIMEOUT_MS = 10000;
+
+// Locks this process holds: lock path -> hold count.
+const heldLocks = new Map();
+
+function lockPathFor(targetPath) {
+  let realPath = targetPath;
+  try {
+    realPath = fs.realpathSync(targetPath);
+  } catch {
+    // Lock next to the path as given.
+  }
+  return `${realPath}${LOCK_SUFFIX}`;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function readLockOwner(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// A lock is stale when its owner on this host is gone. Locks from other hosts (shared home
+// directories) are only stale once their file is unreadable.
+function isStaleLock(owner) {
+  if (!owner || !Number.isInteger(owner.pid)) return true;
+  if (owner.hostname !== os.hostname()) return false;
+  return !isProcessAlive(owner.pid);
+}
+
+function sameHolder(a, b) {
+  if (!a || !b) return a === b;
+  return a.pid === b.pid && a.hostname === b.hostname && a.startedAt === b.startedAt;
+}
+
+// Move the stale lock of `holder` out of the way. Only one patcher's rename can succeed, and the
+// moved file is checked to still be `holder`'s before it is deleted: another patcher may have
+// taken the lock over between our read and the rename. Returns false (lock left in place) then.
+function takeOverStaleLock(lockPath, holder) {
+  const moved = `${lockPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.renameSync(lockPath, moved);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw new Error(`Cannot take over the stale lock ${lockPath}: ${error.message}`);
+  }
+  if (sameHolder(readLockOwner(moved), holder)) {
+    fs.rmSync(moved, { force: true });
+    return true;
+  }
+  // Someone else's fresh lock: put it back, unless the lock was taken again meanwhile.
+  try {
+    fs.linkSync(moved, lockPath);
+  } catch {
+    // The new holder's lock stays.
+  }
+  fs.rmSync(moved, { force: true });
+  return false;
+}
+
+function releaseAllLocks() {
+  for (const lockPath of heldLocks.keys()) fs.rmSync(lockPath, { force: true });
+  heldLocks.clear();
+}
+
+/**
+ * Take the lock for `targetPath`, waiting for nobody: throws if another live process holds it.
+ * Returns `release()`. `command` is recorded in the lock so the error can say who holds it.
+ */
+function acquireTargetLock(targetPath, { command = path.basename(process.argv[1] || 'node') } = {}) {
+  const lockPath = lockPathFor(targetPath);
+  if (heldLocks.has(lockPath)) {
+    heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+  } else {
+    const owner = { pid: process.pid, hostname: os.hostname(), command, startedAt: new Date().toISOString() };
+    for (let attempt = 0; ; attempt++) {
+      try {
+        fs.writeFileSync(lockPath, `${JSON.stringify(owner, null, 2)}\n`, { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw new Error(`Cannot create the lock file ${lockPath}: ${error.message}`);
+        const holder = readLockOwner(lockPath);
+        if (attempt > 0 || !isStaleLock(holder) || !takeOverStaleLock(lockPath, holder)) {
+          const current = readLockOwner(lockPath) || holder;
+          const who = current
+            ? `${current.command || 'a patcher'} (pid ${current.pid} on ${current.hostname}, since ${current.startedAt})`
+            : 'another patcher';
+          throw new Error(`${targetPath} is locked by ${who}. Wait for it to finish, or delete ${lockPath} if that process is gone.`);
+        }
+      }
+    }
+    if (heldLocks.size === 0) process.on('exit', releaseAllLocks);
+    heldLocks.set(lockPath, 1);
+  }
+
+  let released = false;
+  return () => {
+    if (released || !heldLocks.has(lockPath)) return;
+    released = true;
+    const count = heldLocks.get(lockPath) - 1;
+    if (count > 0) {
+      heldLocks.set(lockPath, count);
+      return;
+    }
+    heldLocks.delete(lockPath);
+    fs.rmSync(lockPath, { force: true });
+    if (heldLocks.size === 0) process.removeListener('exit', releaseAllLocks);
+  };
+}
+
+// Every process as `{ pid, exe, args }` (`exe` may be null, `args` the command line split on
+// whitespace where the platform only gives a string).
+function listProcesses() {
+  if (process.platform === 'linux' && fs.existsSync('/proc/self/exe')) {
+    return fs
+      .readdirSync('/proc')
+      .filter(entry => /^\d+$/.test(entry))
+      .map(entry => {
+        const pid = Number(entry);
+        let exe = null;
+        let args = [];
+        try {
+          exe = fs.readlinkSync(`/proc/${entry}/exe`);
+        } catch {
+          // Another user's process, or a kernel thread.
+        }
+        try {
+          args = fs.readFileSync(`/proc/${entry}/cmdline`, 'utf8').split('\0').filter(Boolean);
+        } catch {
+          // Exited meanwhile.
+        }
+        return { pid, exe, args };
+      });
+  }
+
+  if (process.platform === 'win32') {
+    const script =
+      'Get-CimInstance Win32_Process | ForEach-Object { "$($_.ProcessId)`t$($_.ExecutablePath)`t$($_.CommandLine)" }';
+    const output = execFileSync('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', script], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: PROCESS_LIST_TIMEOUT_MS,
+      windowsHide: true,
+    });
+    return output
+      .split(/\r?\n/)
+      .filter(Boolean)
+      .map(line => {
+        const [pid, exe, commandLine = ''] = line.split('\t');
+        return { pid: Number(pid), exe: exe || null, args: commandLine.split(/\s+/).map(arg => arg.replace(/^"|"$/g, '')) };
+      });
+  }
+
+  // macOS / BSD: `comm` is the executable's full path, `command` the command line.
+  const column = field => {
+    const output = execFileSync('ps', ['-axww', '-o', 'pid=', '-o', `${field}=`], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: PROCESS_LIST_TIMEOUT_MS,
+    });
+    const values = new Map();
+    for (const line of output.split('\n')) {
+      const match = line.trim().match(/^(\d+)\s+(.*)$/);
+      if (match) values.set(Number(match[1]), match[2]);
+    }
+    return values;
+  };
+  const executables = column('comm');
+  return [...column('command')].map(([pid, commandLine]) => ({
+    pid,
+    exe: executables.get(pid) || null,
+    args: commandLine.split(/\s+/),
+  }));
+}
+
+function samePath(a, b) {
+  return process.platform === 'win32' ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+/**
+ * Processes (other than this one) running `targetPath`: the native binary as their executable, or
+ * cli.js as a script argument. Returns `[{ pid, command }]`; empty when the process list cannot be read.
+ */
+function findProcessesUsingTarget(targetPath, { processes } = {}) {
+  let realPath = targetPath;
+  try {
+    realPath = fs.realpathSync(targetPath);
+  } catch {
+    // Compare the path as given.
+  }
+  const candidates = new Set([path.resolve(targetPath), realPath]);
+  // Processes usually start through a symlink (the npm bin shim -> cli.js, ~/.local/bin/claude ->
+  // versions/x.y.z), so absolute process paths are resolved too.
+  const resolved = filePath => {
+    if (!path.isAbsolute(filePath)) return filePath;
+    try {
+      return fs.realpathSync(filePath);
+    } catch {
+      return filePath;
+    }
+  };
+  const matches = filePath => {
+    if (!filePath) return false;
+    const real = resolved(filePath);
+    for (const candidate of candidates) if (samePath(filePath, candidate) || samePath(real, candidate)) return true;
+    return false;
+  };
+
+  let list;
+  try {
+    list = processes || listProcesses();
+  } catch {
+    return [];
+  }
+  // `node [options] cli.js ...`: the script is the first non-option argument. Later arguments are
+  // not checked, so a patcher given `--file cli.js` is not mistaken for Claude Code.
+  const script = args => args.slice(1).find(arg => !arg.startsWith('-'));
+  return list
+    .filter(proc => proc.pid !== process.pid)
+    .filter(proc => matches(proc.exe) || matches(proc.args[0]) || matches(script(proc.args)))
+    .map(proc => ({ pid: proc.pid, command: proc.args.join(' ') || proc.exe }));
+}
+
+/**
+ * Prepare to write `target`: take its lock and refuse if `claude` is running from it, unless
+ * `force` (then only warn through `output`). Returns `release()`; throws an Error explaining why
+ * the target is busy otherwise.
+ */
+function claimTarget(target, { force = false, output = console } = {}) {
+  // Nothing to write to; the caller reports the missing file.
+  if (!fs.existsSync(target.path)) return () => {};
+  const release = acquireTargetLock(target.path);
+  const running = findProcessesUsingTarget(target.path);
+  if (running.length === 0) return release;
+
+  const pids = running.map(proc => proc.pid).join(', ');
+  if (!force) {
+    release();
+    throw new Error(
+      `Claude Code is running from ${target.path} (pid ${pids}). Quit it first, or re-run with --force ` +
+        'to patch anyway (running sessions keep the old code until they are restarted).'
+    );
+  }
+  output.error(`⚠️  Claude Code is running from this file (pid ${pids}); restart it after patching.`);
+  return release;
+}
+
+// `claimTarget()` for a standalone script: report why the target is busy and exit.
+function claimTargetOrExit(target, { force = false, reporter }) {
+  try {
+    return claimTarget(target, { force, output: reporter });
+  } catch (error) {
+    reporter.error(`❌ ${error.message}`);
+    return reporter.exit(EXIT_CODES.targetBusy, error.message);
+  }
+}
+
+module.exports = {
+  LOCK_SUFFIX,
+  lockPathFor,
+  acquireTargetLock,
+  findProcessesUsingTarget,
+  claimTarget,
+  claimTargetOrExit,
+};
@@ -0,0 +1,172 @@
+/**
+ * Claude Code version detection from several signals, with a confidence score.
+ *
+ * The exact `VERSION:"x.y.z"` tag is the strongest signal, but repackaged builds and some native
+ * binaries format it differently (`VERSION: "x.y.z"`, prerelease suffixes) or not at all, so the
+ * detector also looks at:
+ *
+ *   signal               confidence
+ *   VERSION tag          0.95  exact `VERSION:"x.y.z"`
+ *   VERSION tag (loose)  0.85  other spacing / quotes, or a prerelease suffix (`x.y.z-dev...`)
+ *   package.json         0.9   `@anthropic-ai/claude-code` package.json next to cli.js
+ *   versions/ filename   0.8   native binaries live at ~/.local/share/claude/versions/<version>
+ *   string fingerprint   0.6   a version literal next to the build-info strings (`PACKAGE_URL`, ...)
+ *
+ * Signals that agree reinforce each other (1 - Π(1 - c)); the version with the highest combined
+ * score wins, and a dissenting signal lowers it by half of the dissent's score. Below
+ * MIN_VERSION_CONFIDENCE no version is reported, so version-scoped rules are not trusted to a guess.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const NPM_PACKAGE_NAME = '@anthropic-ai/claude-code';
+const MIN_VERSION_CONFIDENCE = 0.5;
+
+const SIGNAL_CONFIDENCE = {
+  tag: 0.95,
+  looseTag: 0.85,
+  packageJson: 0.9,
+  filename: 0.8,
+  fingerprint: 0.6,
+};
+
+const VERSION_LITERAL_RE = /^\s*:\s*(["'`])(\d+\.\d+\.\d+)(-[\w.+-]*)?\1/;
+const PLAIN_VERSION_RE = /^(\d+\.\d+\.\d+)$/;
+const NEARBY_VERSION_RE = /(["'`])(\d+\.\d+\.\d+)(?:-[\w.+-]*)?\1/;
+const FINGERPRINT_MARKERS = ['PACKAGE_URL', 'README_URL', 'FEEDBACK_CHANNEL', 'BUILD_TIME'];
+const FINGERPRINT_WINDOW = 400;
+
+// Slice [start, end) of a string or Buffer as text (latin1 for Buffers, 1 byte per char).
+function sliceText(content, start, end) {
+  const from = Math.max(0, start);
+  const to = Math.min(content.length, end);
+  return Buffer.isBuffer(content) ? content.toString('latin1', from, to) : content.slice(from, to);
+}
+
+// Every `VERSION` key followed by a version literal, in any formatting.
+function findVersionTags(content) {
+  const tags = [];
+  let idx = content.indexOf('VERSION');
+  while (idx >= 0) {
+    const start = idx + 'VERSION'.length;
+    const before = idx > 0 ? sliceText(content, idx - 1, idx) : '';
+    const match = VERSION_LITERAL_RE.exec(sliceText(content, start, start + 64));
+    // Skip identifiers that merely end in VERSION (NODE_VERSION, ...).
+    if (match && !/[\w$]/.test(before)) {
+      const exact = match[0] === `:"${match[2]}"`;
+      tags.push({ version: match[2], exact });
+    }
+    idx = content.indexOf('VERSION', start);
+  }
+  return tags;
+}
+
+function tagSignals(content) {
+  const signals = [];
+  const seen = new Set();
+  for (const { version, exact } of findVersionTags(content)) {
+    const key = `${version}:${exact}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    signals.push({
+      source: exact ? 'VERSION tag' : 'VERSION tag (loose)',
+      version,
+      confidence: exact ? SIGNAL_CONFIDENCE.tag : SIGNAL_CONFIDENCE.looseTag,
+    });
+  }
+  return signals;
+}
+
+// cli.js sits in the package root (or a subdirectory of it); walk up to the package.json.
+function packageJsonSignal(targetPath) {
+  let dir = path.dirname(targetPath);
+  for (let depth = 0; depth < 3; depth++) {
+    const packageJsonPath = path.join(dir, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+      try {
+        const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        if (pkg.name === NPM_PACKAGE_NAME && PLAIN_VERSION_RE.test(pkg.version)) {
+          return { source: 'package.json', version: pkg.version, confidence: SIGNAL_CONFIDENCE.packageJson };
+        }
+      } catch {
+        // Not a usable package.json; keep walking up.
+      }
+    }
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+function filenameSignal(targetPath) {
+  const name = path.basename(targetPath);
+  if (path.basename(path.dirname(targetPath)) !== 'versions' || !PLAIN_VERSION_RE.test(name)) return null;
+  return { source: 'versions/ filename', version: name, confidence: SIGNAL_CONFIDENCE.filename };
+}
+
+// A version literal right after one of the build-info strings that surround the VERSION tag.
+function fingerprintSignal(content) {
+  for (const marker of FINGERPRINT_MARKERS) {
+    const idx = content.indexOf(marker);
+    if (idx < 0) continue;
+    const match = NEARBY_VERSION_RE.exec(sliceText(content, idx, idx + FINGERPRINT_WINDOW));
+    if (match) return { source: 'string fingerprint', version: match[2], confidence: SIGNAL_CONFIDENCE.fingerprint };
+  }
+  return null;
+}
+
+function combine(signals) {
+  const scores = new Map();
+  for (const signal of signals) {
+    const missing = scores.has(signal.version) ? 1 - scores.get(signal.version) : 1;
+    scores.set(signal.version, 1 - missing * (1 - signal.confidence));
+  }
+
+  const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) return { version: null, confidence: 0 };
+  const [[version, score], dissent] = ranked;
+  const confidence = Math.round(score * (1 - (dissent ? dissent[1] / 2 : 0)) * 100) / 100;
+  return { version, confidence };
+}
+
+/**
+ * Detect the Claude Code version of `target` (`{ path, kind }`) whose contents are `content`.
+ * Returns `{ version, confidence, sources, signals }`: `version` is null when the best guess scores
+ * below MIN_VERSION_CONFIDENCE, `sources` names the signals behind it and `signals` lists all of them.
+ */
+function detectClaudeVersion(target, content) {
+  const signals = [...tagSignals(content)];
+  if (target && target.path) {
+    if (target.kind !== 'native-binary') signals.push(packageJsonSignal(target.path));
+    signals.push(filenameSignal(target.path));
+  }
+  // The fingerprint is only a fallback for bundles without a readable VERSION tag.
+  if (signals.every(signal => !signal || !signal.source.startsWith('VERSION'))) {
+    signals.push(fingerprintSignal(content));
+  }
+
+  const found = signals.filter(Boolean);
+  const { version, confidence } = combine(found);
+  const trusted = version && confidence >= MIN_VERSION_CONFIDENCE;
+  return {
+    version: trusted ? version : null,
+    confidence,
+    sources: trusted ? found.filter(signal => signal.version === version).map(signal => signal.source) : [],
+    signals: found,
+  };
+}
+
+// `2.1.205 (VERSION tag, package.json; confidence 1)` for progress output.
+function describeVersionDetection({ version, confidence, sources, signals }) {
+  if (version) return `${version} (${sources.join(', ')}; confidence ${confidence})`;
+  if (signals.length === 0) return 'unknown (no version signal found)';
+  const guesses = signals.map(signal => `${signal.version} from ${signal.source}`).join(', ');
+  return `unknown (conflicting or weak signals: ${guesses}; confidence ${confidence})`;
+}
+
+module.exports = {
+  MIN_VERSION_CONFIDENCE,
+  findVersionTags,
+  detectClaudeVersion,
+  describeVersionDetection,
+};
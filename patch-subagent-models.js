@@ -3,215 +3,33 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { execSync } = require('child_process');
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-const isDryRun = args.includes('--dry-run');
-const isRestore = args.includes('--restore');
-const showHelp = args.includes('--help') || args.includes('-h');
-const fileArgIndex = args.indexOf('--file');
-const fileArgPath = fileArgIndex >= 0 ? args[fileArgIndex + 1] : null;
-
-if (fileArgIndex >= 0 && !fileArgPath) {
-  console.error('❌ Error: --file requires a path argument');
-  process.exit(1);
-}
-
-// Display help
-if (showHelp) {
-  console.log('Claude Code Subagent Model Configuration Patcher v2.0.33');
-  console.log('=========================================================\n');
-  console.log('Usage: node patch-subagent-models.js [options]\n');
-  console.log('Options:');
-  console.log('  --dry-run    Preview changes without applying them');
-  console.log('  --restore    Restore from backup file');
-   console.log('  --file PATH  Patch a specific cli.js file or native claude binary (skip auto-detection)');
-  console.log('  --help, -h   Show this help message\n');
-  console.log('Configuration:');
-  console.log('  Create ~/.claude/subagent-models.json to configure models:\n');
-  console.log('  {');
-  console.log('    "Plan": "sonnet",');
-  console.log('    "Explore": "haiku",');
-  console.log('    "general-purpose": "sonnet"');
-  console.log('  }\n');
-  console.log('Examples:');
-  console.log('  node patch-subagent-models.js              # Apply patches');
-  console.log('  node patch-subagent-models.js --dry-run    # Preview changes');
-  console.log('  node patch-subagent-models.js --restore    # Restore original');
-  process.exit(0);
-}
-
-console.log('Claude Code Subagent Model Configuration Patcher v2.0.33');
-console.log('=========================================================\n');
-
-// Helper function to safely execute shell commands
-function safeExec(command) {
-  try {
-    return execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
-  } catch (error) {
-    return null;
-  }
-}
-
-function readFilePrefix(filePath, maxBytes = 4096) {
-  try {
-    const fd = fs.openSync(filePath, 'r');
-    try {
-      const buf = Buffer.allocUnsafe(maxBytes);
-      const bytesRead = fs.readSync(fd, buf, 0, maxBytes, 0);
-      if (bytesRead <= 0) return null;
-      return buf.subarray(0, bytesRead);
-    } finally {
-      fs.closeSync(fd);
-    }
-  } catch {
-    return null;
-  }
-}
-
-function detectClaudeTargetKind(filePath) {
-  if (filePath.endsWith('.js')) return 'js';
-
-  const prefix = readFilePrefix(filePath);
-  if (!prefix) return 'unknown';
-
-  if (prefix.includes(0)) return 'native-binary';
-  if (
-    prefix.length >= 4 &&
-    prefix[0] === 0x7f &&
-    prefix[1] === 0x45 &&
-    prefix[2] === 0x4c &&
-    prefix[3] === 0x46
-  ) {
-    return 'native-binary';
-  }
-  if (prefix.length >= 2 && prefix[0] === 0x4d && prefix[1] === 0x5a) return 'native-binary';
-  if (prefix.length >= 4) {
-    const m = prefix.readUInt32BE(0);
-    if (m === 0xfeedface || m === 0xfeedfacf || m === 0xcffaedfe || m === 0xcafebabe) return 'native-binary';
-  }
-
-  const asUtf8 = prefix.toString('utf8');
-  if (asUtf8.startsWith('#!')) return 'js';
-
-  return 'unknown';
-}
-
-function getNativeCandidatePaths(homeDir) {
-  const candidates = [];
-  candidates.push(path.join(homeDir, '.local', 'bin', 'claude'));
-
-  const versionsDir = path.join(homeDir, '.local', 'share', 'claude', 'versions');
-  try {
-    if (fs.existsSync(versionsDir)) {
-      const entries = fs.readdirSync(versionsDir);
-      for (const entry of entries) {
-        candidates.push(path.join(versionsDir, entry));
-      }
-    }
-  } catch {
-    // Ignore
-  }
-
-  return candidates;
-}
-
-function padRightSpaces(str, targetLen) {
-  if (str.length > targetLen) return null;
-  if (str.length === targetLen) return str;
-  return str + ' '.repeat(targetLen - str.length);
-}
-
-// Auto-detect Claude Code installation (cli.js or native claude binary)
-function getClaudeCodeTarget() {
-  const homeDir = os.homedir();
-  const attemptedPaths = [];
-
-  // Helper to check and return path if it exists
-  function checkPath(testPath, method) {
-    if (!testPath) return null;
-
-    attemptedPaths.push({ path: testPath, method });
-
-    try {
-      if (fs.existsSync(testPath)) {
-        // Resolve symlinks for global npm installs
-        try {
-          const realPath = fs.realpathSync(testPath);
-          const kind = detectClaudeTargetKind(realPath);
-          if (kind === 'unknown') return null;
-          return { path: realPath, kind, method };
-        } catch (e) {
-          const kind = detectClaudeTargetKind(testPath);
-          if (kind === 'unknown') return null;
-          return { path: testPath, kind, method };
-        }
-      }
-    } catch (error) {
-      // Path check failed, continue
-    }
-    return null;
-  }
-
-  // PRIORITY 1: Local installations
-  const localPaths = [
-    path.join(homeDir, '.claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js'),
-    path.join(homeDir, '.config', 'claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js'),
-  ];
-
-  for (const localPath of localPaths) {
-    const found = checkPath(localPath, 'local installation');
-    if (found && found.kind === 'js') return found;
-  }
-
-  // PRIORITY 2: Global npm installation via 'npm root -g'
-  const npmGlobalRoot = safeExec('npm root -g');
-  if (npmGlobalRoot) {
-    const npmGlobalPath = path.join(npmGlobalRoot, '@anthropic-ai', 'claude-code', 'cli.js');
-    const found = checkPath(npmGlobalPath, 'npm root -g');
-    if (found && found.kind === 'js') return found;
-  }
-
-  // PRIORITY 3: Derive from process.execPath
-  const nodeDir = path.dirname(process.execPath);
-  const derivedGlobalPath = path.join(nodeDir, '..', 'lib', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js');
-  const found = checkPath(derivedGlobalPath, 'derived from process.execPath');
-  if (found && found.kind === 'js') return found;
-
-  // PRIORITY 4: Unix systems - try 'which claude' to find binary
-  if (process.platform !== 'win32') {
-    const claudeBinary = safeExec('which claude');
-    if (claudeBinary) {
-      try {
-        const realBinary = fs.realpathSync(claudeBinary);
-        const binDir = path.dirname(realBinary);
-        const nodeModulesPath = path.join(binDir, '..', 'lib', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js');
-        const foundFromBinary = checkPath(nodeModulesPath, 'which claude');
-        if (foundFromBinary && foundFromBinary.kind === 'js') return foundFromBinary;
-
-        const nativeFromWhich = checkPath(realBinary, 'which claude (native)');
-        if (nativeFromWhich && nativeFromWhich.kind === 'native-binary') return nativeFromWhich;
-      } catch (e) {
-        // Failed to resolve, continue
-      }
-    }
-  }
-
-  // PRIORITY 5: Native/binary installation default paths (official installer)
-  for (const candidate of getNativeCandidatePaths(homeDir)) {
-    const native = checkPath(candidate, 'native/binary default paths');
-    if (native && native.kind === 'native-binary') return native;
-  }
-
-  // No installation found
-  getClaudeCodeTarget.attemptedPaths = attemptedPaths;
-  return null;
-}
+const {
+  parseCommonArgs,
+  resolveClaudeTarget,
+  printTargetNotFound,
+  describeTargetKind,
+  EXIT_CODES,
+  createReporter,
+  writeTarget,
+  trackEdits,
+  padRightSpaces,
+  replaceTracked,
+  mapNativePayload,
+  backupPathFor,
+  DETECT_STATUS,
+  APPLY_STATUS,
+  definePatch,
+} = require('./lib/patch-engine');
+const { recordAppliedPatches, readTargetForPatching } = require('./lib/backup-store');
+const { restoreSinglePatch } = require('./lib/patch-registry');
+const { loadSigningSettings } = require('./lib/patch-profile');
+const { signPatchedTarget, printSigningResult } = require('./lib/code-signing');
+const { detectClaudeVersion } = require('./lib/version-detect');
+const { claimTargetOrExit } = require('./lib/target-lock');
+const { findSyntaxRegression, describeSyntaxRegression } = require('./lib/syntax-check');
 
 // Read subagent-models.json for model configuration
-function getModelConfiguration() {
-  const homeDir = os.homedir();
+function getModelConfiguration(homeDir = os.homedir(), log = console.log) {
   const configPaths = [
     path.join(homeDir, '.claude', 'subagent-models.json'),
     path.join(homeDir, '.config', 'claude', 'subagent-models.json'),
@@ -223,7 +41,7 @@ function getModelConfiguration() {
         const configContent = fs.readFileSync(configPath, 'utf8');
         const config = JSON.parse(configContent);
 
-        console.log(`Found model configuration in: ${configPath}\n`);
+        log(`Found model configuration in: ${configPath}\n`);
         return config;
       } catch (error) {
         console.warn(`Warning: Could not parse ${configPath}: ${error.message}`);
@@ -234,320 +52,445 @@ function getModelConfiguration() {
   return null;
 }
 
-function resolveTarget() {
-  const overridePath = fileArgPath || process.env.CLAUDE_CODE_CLI_PATH;
-  if (overridePath) {
-    const attemptedPaths = [];
-    getClaudeCodeTarget.attemptedPaths = attemptedPaths;
-
-    const resolved = path.resolve(overridePath);
-    attemptedPaths.push({
-      path: resolved,
-      method: fileArgPath ? '--file' : 'CLAUDE_CODE_CLI_PATH',
+// Define patch patterns for v2.0.33
+function buildSubagentModelPatches(modelConfig) {
+  const patches = [];
+
+  // Patch 1: Plan agent (a3A)
+  if (modelConfig.Plan) {
+    patches.push({
+      name: 'Plan agent model',
+      searchPattern: 'a3A={agentType:"Plan",whenToUse:Sw.whenToUse,disallowedTools:Sw.disallowedTools,systemPrompt:Sw.systemPrompt,source:"built-in",tools:Sw.tools,baseDir:"built-in",model:"sonnet"}',
+      replacement: `a3A={agentType:"Plan",whenToUse:Sw.whenToUse,disallowedTools:Sw.disallowedTools,systemPrompt:Sw.systemPrompt,source:"built-in",tools:Sw.tools,baseDir:"built-in",model:"${modelConfig.Plan}"}`,
+      currentValue: 'sonnet',
+      newValue: modelConfig.Plan
     });
-
-    if (!fs.existsSync(resolved)) return null;
-    try {
-      const real = fs.realpathSync(resolved);
-      const kind = detectClaudeTargetKind(real);
-      if (kind === 'unknown') return null;
-      return { path: real, kind, method: fileArgPath ? '--file' : 'CLAUDE_CODE_CLI_PATH' };
-    } catch {
-      const kind = detectClaudeTargetKind(resolved);
-      if (kind === 'unknown') return null;
-      return { path: resolved, kind, method: fileArgPath ? '--file' : 'CLAUDE_CODE_CLI_PATH' };
-    }
   }
 
-  return getClaudeCodeTarget();
-}
-
-const target = resolveTarget();
-const targetPath = target ? target.path : null;
-const isNativeBinary = target ? target.kind === 'native-binary' : false;
-
-if (!targetPath) {
-  console.error('❌ Error: Could not find Claude Code installation\n');
-  console.error('Searched using the following methods:\n');
-
-  const attemptedPaths = getClaudeCodeTarget.attemptedPaths || [];
-
-  if (attemptedPaths.length > 0) {
-    const byMethod = {};
-    attemptedPaths.forEach(({ path, method }) => {
-      if (!byMethod[method]) byMethod[method] = [];
-      byMethod[method].push(path);
+  // Patch 2: Explore agent (Sw) - model appears at end of definition before }});
+  if (modelConfig.Explore) {
+    patches.push({
+      name: 'Explore agent model',
+      searchPattern: 'Complete the user\'s search request efficiently and report your findings clearly.`,source:"built-in",baseDir:"built-in",model:"haiku"}});var a3A;',
+      replacement: 'Complete the user\'s search request efficiently and report your findings clearly.`,source:"built-in",baseDir:"built-in",model:"' + modelConfig.Explore + '"}});var a3A;',
+      currentValue: 'haiku',
+      newValue: modelConfig.Explore
     });
+  }
 
-    Object.entries(byMethod).forEach(([method, paths]) => {
-      console.error(`  [${method}]`);
-      paths.forEach(p => console.error(`    - ${p}`));
+  // Patch 3: general-purpose agent (Y01) - this one might not have a model property by default
+  if (modelConfig['general-purpose']) {
+    patches.push({
+      name: 'general-purpose agent model',
+      searchPattern: /Y01=\{agentType:"general-purpose"[^}]*\}/,
+      isRegex: true,
+      replacePattern: (match) => {
+        // Check if it already has a model property
+        if (match.includes(',model:"')) {
+          return match.replace(/,model:"[^"]+"/g, `,model:"${modelConfig['general-purpose']}"`);
+        } else {
+          // Add model property before the closing brace
+          return match.replace(/\}$/, `,model:"${modelConfig['general-purpose']}"}`);
+        }
+      },
+      currentValue: '(inherited)',
+      newValue: modelConfig['general-purpose']
     });
   }
 
-  console.error('\n💡 Troubleshooting:');
-  console.error('  1. Verify Claude Code is installed: claude --version');
-  console.error('  2. For local install: Check ~/.claude/local or ~/.config/claude/local');
-  console.error('  3. For global install: Ensure "npm install -g @anthropic-ai/claude-code" succeeded');
-  console.error('  4. For native/binary install: Check ~/.local/bin/claude and ~/.local/share/claude/versions');
-  process.exit(1);
+  return patches;
 }
 
-console.log(`Found Claude Code at: ${targetPath}`);
-console.log(`Installation type: ${isNativeBinary ? 'native/binary' : 'npm/local (cli.js)'}\n`);
-
-const backupPath = targetPath + '.subagent-models.backup';
+// Check which configured patches can be applied
+function checkSubagentModelPatches(content, patches, log = () => {}) {
+  const patchResults = [];
+
+  for (const patch of patches) {
+    log(`Patch: ${patch.name}`);
+    log(`  ${patch.currentValue} → ${patch.newValue}`);
+
+    let canApply = false;
+    let alreadyApplied = false;
+
+    if (patch.isRegex) {
+      const regex = patch.searchPattern;
+      const match = content.match(regex);
+      if (match) {
+        const replaced = patch.replacePattern(match[0]);
+        if (match[0] !== replaced) {
+          canApply = true;
+        } else {
+          alreadyApplied = true;
+        }
+      }
+    } else if (patch.partialMatch && patch.findPattern) {
+      const match = content.match(patch.findPattern);
+      if (match) {
+        const currentModel = match[1];
+        if (currentModel !== patch.newValue) {
+          canApply = true;
+        } else {
+          alreadyApplied = true;
+        }
+      }
+    } else {
+      if (content.includes(patch.searchPattern)) {
+        canApply = true;
+      } else if (content.includes(patch.replacement)) {
+        alreadyApplied = true;
+      }
+    }
 
-// Restore from backup
-if (isRestore) {
-  if (!fs.existsSync(backupPath)) {
-    console.error('❌ Error: Backup file not found at:', backupPath);
-    console.error('\n💡 Tip: The backup is created when you first apply the patch.');
-    process.exit(1);
+    if (canApply) {
+      log('  ✅ Ready to apply');
+      patchResults.push({ ...patch, status: 'ready' });
+    } else if (alreadyApplied) {
+      log('  ⚠️  Already applied');
+      patchResults.push({ ...patch, status: 'applied' });
+    } else {
+      log('  ❌ Pattern not found - may need update for newer version');
+      patchResults.push({ ...patch, status: 'notfound' });
+    }
+    log('');
   }
 
-  console.log('Restoring from backup...');
-  fs.copyFileSync(backupPath, targetPath);
-  console.log('✅ Restored successfully!');
-  console.log('\nPlease restart Claude Code for changes to take effect.');
-  process.exit(0);
+  return patchResults;
 }
 
-// Get model configuration
-const modelConfig = getModelConfiguration();
-
-if (!modelConfig) {
-  console.log('ℹ️  No model configuration found\n');
-  console.log('To configure subagent models, create ~/.claude/subagent-models.json:\n');
-  console.log('{');
-  console.log('  "Plan": "sonnet",');
-  console.log('  "Explore": "haiku",');
-  console.log('  "general-purpose": "sonnet"');
-  console.log('}\n');
-  console.log('Valid model values: "haiku", "sonnet", "opus"\n');
-  console.log('Run with --help for more information.');
-  process.exit(0);
-}
+// Apply each patch
+function applySubagentModelPatches(content, toApply, isNativeBinary, log = () => {}) {
+  let patchedContent = content;
+  for (const patch of toApply) {
+    // Native binaries are patched as latin1 text (one char per byte).
+    const editOptions = { label: patch.name, encoding: isNativeBinary ? 'latin1' : 'utf8' };
+    if (patch.isRegex) {
+      const regex = patch.searchPattern;
+      patchedContent = replaceTracked(patchedContent, regex, (...args) => {
+        const match = args[0];
+        const replacement = patch.replacePattern(match);
+        if (!isNativeBinary) return replacement;
+        const padded = padRightSpaces(replacement, match.length);
+        if (padded === null) {
+          throw new Error(
+            `Native/binary install patch too large for in-place regex replacement (${patch.name}): ` +
+              `replacement length ${replacement.length} > match length ${match.length}`
+          );
+        }
+        return padded;
+      }, editOptions);
+    } else if (patch.partialMatch && patch.findPattern) {
+      patchedContent = replaceTracked(patchedContent, patch.findPattern, (...args) => {
+        const match = args[0];
+        const replacement = typeof patch.replacePattern === 'function' ? patch.replacePattern(...args) : patch.replacePattern;
+        if (!isNativeBinary) return replacement;
+        const padded = padRightSpaces(replacement, match.length);
+        if (padded === null) {
+          throw new Error(
+            `Native/binary install patch too large for in-place regex replacement (${patch.name}): ` +
+              `replacement length ${replacement.length} > match length ${match.length}`
+          );
+        }
+        return padded;
+      }, editOptions);
+    } else {
+      if (!isNativeBinary) {
+        patchedContent = replaceTracked(patchedContent, patch.searchPattern, patch.replacement, editOptions);
+      } else {
+        const padded = padRightSpaces(patch.replacement, patch.searchPattern.length);
+        if (padded === null) {
+          throw new Error(
+            `Native/binary install patch too large for in-place replacement (${patch.name}): ` +
+              `replacement length ${patch.replacement.length} > search length ${patch.searchPattern.length}`
+          );
+        }
+        patchedContent = replaceTracked(patchedContent, patch.searchPattern, padded, editOptions);
+      }
+    }
+    log(`✅ Applied: ${patch.name}`);
+  }
 
-console.log('Model Configuration:');
-console.log(`  Plan: ${modelConfig.Plan || '(not set)'}`);
-console.log(`  Explore: ${modelConfig.Explore || '(not set)'}`);
-console.log(`  general-purpose: ${modelConfig['general-purpose'] || '(not set)'}`);
-console.log('');
-
-// Read file
-console.log(`Reading ${isNativeBinary ? 'claude binary' : 'cli.js'}...`);
-if (!fs.existsSync(targetPath)) {
-  console.error(`❌ Error: target not found at: ${targetPath}`);
-  process.exit(1);
+  return patchedContent;
 }
 
-const fileEncoding = isNativeBinary ? 'latin1' : 'utf8';
-let content = fs.readFileSync(targetPath, fileEncoding);
-const originalContentLength = content.length;
-
-// Define patch patterns for v2.0.33
-const patches = [];
-
-// Patch 1: Plan agent (a3A)
-if (modelConfig.Plan) {
-  patches.push({
-    name: 'Plan agent model',
-    searchPattern: 'a3A={agentType:"Plan",whenToUse:Sw.whenToUse,disallowedTools:Sw.disallowedTools,systemPrompt:Sw.systemPrompt,source:"built-in",tools:Sw.tools,baseDir:"built-in",model:"sonnet"}',
-    replacement: `a3A={agentType:"Plan",whenToUse:Sw.whenToUse,disallowedTools:Sw.disallowedTools,systemPrompt:Sw.systemPrompt,source:"built-in",tools:Sw.tools,baseDir:"built-in",model:"${modelConfig.Plan}"}`,
-    currentValue: 'sonnet',
-    newValue: modelConfig.Plan
-  });
+// Native binaries: apply inside the embedded JavaScript only (see `mapNativePayload()`).
+function applySubagentModelPatchesToBinary(buf, toApply, log = () => {}) {
+  const out = mapNativePayload(buf, text => applySubagentModelPatches(text, toApply, true));
+  for (const patch of toApply) log(`✅ Applied: ${patch.name}`);
+  return out;
 }
 
-// Patch 2: Explore agent (Sw) - model appears at end of definition before }});
-if (modelConfig.Explore) {
-  patches.push({
-    name: 'Explore agent model',
-    searchPattern: 'Complete the user\'s search request efficiently and report your findings clearly.`,source:"built-in",baseDir:"built-in",model:"haiku"}});var a3A;',
-    replacement: 'Complete the user\'s search request efficiently and report your findings clearly.`,source:"built-in",baseDir:"built-in",model:"' + modelConfig.Explore + '"}});var a3A;',
-    currentValue: 'haiku',
-    newValue: modelConfig.Explore
-  });
-}
+const MODEL_OPTION = { type: 'string', enum: ['haiku', 'sonnet', 'opus'] };
 
-// Patch 3: general-purpose agent (Y01) - this one might not have a model property by default
-if (modelConfig['general-purpose']) {
-  patches.push({
-    name: 'general-purpose agent model',
-    searchPattern: /Y01=\{agentType:"general-purpose"[^}]*\}/,
-    isRegex: true,
-    replacePattern: (match) => {
-      // Check if it already has a model property
-      if (match.includes(',model:"')) {
-        return match.replace(/,model:"[^"]+"/g, `,model:"${modelConfig['general-purpose']}"`);
-      } else {
-        // Add model property before the closing brace
-        return match.replace(/\}$/, `,model:"${modelConfig['general-purpose']}"}`);
-      }
+const subagentModelsPatch = definePatch({
+  id: 'subagent-models',
+  description: 'Override built-in subagent models from ~/.claude/subagent-models.json',
+  options: {
+    models: {
+      type: 'object',
+      properties: { Plan: MODEL_OPTION, Explore: MODEL_OPTION, 'general-purpose': MODEL_OPTION },
+      description: 'Model per built-in subagent (used instead of ~/.claude/subagent-models.json)',
     },
-    currentValue: '(inherited)',
-    newValue: modelConfig['general-purpose']
-  });
-}
+  },
+  apply(source, ctx = {}) {
+    const log = typeof ctx.log === 'function' ? ctx.log : () => {};
+    const modelConfig =
+      (ctx.options && ctx.options.models) || ctx.modelConfig || getModelConfiguration(ctx.homeDir, log);
+    if (!modelConfig) {
+      return { status: APPLY_STATUS.skipped, content: source, reason: 'no ~/.claude/subagent-models.json' };
+    }
 
-// Check and apply patches
-console.log('Checking patches...\n');
+    const isNativeBinary = ctx.kind === 'native-binary';
+    const content = isNativeBinary ? source.toString('latin1') : source;
+    const patchResults = checkSubagentModelPatches(content, buildSubagentModelPatches(modelConfig), log);
+    const toApply = patchResults.filter(p => p.status === 'ready');
+    if (toApply.length === 0) {
+      const alreadyApplied = patchResults.some(p => p.status === 'applied');
+      return { status: alreadyApplied ? APPLY_STATUS.alreadyPatched : APPLY_STATUS.notFound, content: source };
+    }
 
-const patchResults = [];
+    const patchedContent = isNativeBinary
+      ? applySubagentModelPatchesToBinary(source, toApply, log)
+      : applySubagentModelPatches(content, toApply, false, log);
+    return { status: APPLY_STATUS.patched, content: patchedContent };
+  },
+});
 
-for (const patch of patches) {
-  console.log(`Patch: ${patch.name}`);
-  console.log(`  ${patch.currentValue} → ${patch.newValue}`);
+function main() {
+  // Parse command line arguments
+  const { isDryRun, isRestore, isJson, isForce, showHelp, fileArgMissing, fileArgPath } = parseCommonArgs(process.argv.slice(2));
+  const reporter = createReporter({ json: isJson, command: isRestore ? 'restore' : 'apply' });
+  reporter.set({ dryRun: isDryRun });
 
-  let canApply = false;
-  let alreadyApplied = false;
+  if (fileArgMissing) {
+    reporter.fail(EXIT_CODES.usage, '--file requires a path argument');
+  }
 
-  if (patch.isRegex) {
-    const regex = patch.searchPattern;
-    const match = content.match(regex);
-    if (match) {
-      const replaced = patch.replacePattern(match[0]);
-      if (match[0] !== replaced) {
-        canApply = true;
-      } else {
-        alreadyApplied = true;
-      }
+  // Display help
+  if (showHelp) {
+    console.log('Claude Code Subagent Model Configuration Patcher v2.0.33');
+    console.log('=========================================================\n');
+    console.log('Usage: node patch-subagent-models.js [options]\n');
+    console.log('Options:');
+    console.log('  --dry-run    Preview changes without applying them');
+    console.log('  --restore    Restore from backup file');
+     console.log('  --file PATH  Patch a specific cli.js file or native claude binary (skip auto-detection)');
+    console.log('  --json       Print a single JSON result instead of progress messages');
+    console.log('  --force      Patch even while Claude Code is running from the target');
+    console.log('  --help, -h   Show this help message\n');
+    console.log('Configuration:');
+    console.log('  Create ~/.claude/subagent-models.json to configure models:\n');
+    console.log('  {');
+    console.log('    "Plan": "sonnet",');
+    console.log('    "Explore": "haiku",');
+    console.log('    "general-purpose": "sonnet"');
+    console.log('  }\n');
+    console.log('Examples:');
+    console.log('  node patch-subagent-models.js              # Apply patches');
+    console.log('  node patch-subagent-models.js --dry-run    # Preview changes');
+    console.log('  node patch-subagent-models.js --restore    # Restore original');
+    process.exit(0);
+  }
+
+  reporter.log('Claude Code Subagent Model Configuration Patcher v2.0.33');
+  reporter.log('=========================================================\n');
+
+  const { target, attempted } = resolveClaudeTarget({ filePath: fileArgPath });
+  const targetPath = target ? target.path : null;
+  const isNativeBinary = target ? target.kind === 'native-binary' : false;
+
+  if (!targetPath) {
+    printTargetNotFound(attempted, reporter.error);
+    reporter.set({ attempted }).exit(EXIT_CODES.targetNotFound, 'Could not find Claude Code installation');
+  }
+
+  reporter.setTarget(target);
+  reporter.log(`Found Claude Code at: ${targetPath}`);
+  reporter.log(`Installation type: ${describeTargetKind(target.kind)}\n`);
+  if (!isDryRun) claimTargetOrExit(target, { force: isForce, reporter });
+
+  const backupSuffix = '.subagent-models.backup';
+
+  // Restore from backup
+  if (isRestore) {
+    reporter.log('Restoring from backup...');
+    let restored;
+    let signing;
+    try {
+      signing = loadSigningSettings();
+      restored = restoreSinglePatch(target, subagentModelsPatch.id, {
+        dryRun: isDryRun,
+        legacySuffix: backupSuffix,
+        signing,
+      });
+    } catch (error) {
+      reporter.error(`❌ Error: ${error.message}`);
+      reporter.exit(EXIT_CODES.restoreFailed, error.message);
     }
-  } else if (patch.partialMatch && patch.findPattern) {
-    const match = content.match(patch.findPattern);
-    if (match) {
-      const currentModel = match[1];
-      if (currentModel !== patch.newValue) {
-        canApply = true;
-      } else {
-        alreadyApplied = true;
-      }
+    if (!restored) {
+      reporter.error('❌ Error: Backup file not found at:', backupPathFor(targetPath, backupSuffix));
+      reporter.error('\n💡 Tip: The backup is created when you first apply the patch.');
+      reporter.exit(EXIT_CODES.restoreFailed, `Backup not found: ${backupPathFor(targetPath, backupSuffix)}`);
     }
-  } else {
-    if (content.includes(patch.searchPattern)) {
-      canApply = true;
-    } else if (content.includes(patch.replacement)) {
-      alreadyApplied = true;
+
+    reporter.set({
+      backupPath: restored.backupPath,
+      restore: { mode: restored.mode, reverted: [subagentModelsPatch.id], remaining: restored.remaining || [] },
+      signing: restored.signing || null,
+    });
+    if (restored.mode === 'journal' && restored.remaining.length > 0) {
+      reporter.log(`Other patches kept applied: ${restored.remaining.join(', ')}`);
     }
+    reporter.log(isDryRun ? '✅ Would restore (dry run, nothing changed)' : '✅ Restored successfully!');
+    printSigningResult(restored.signing, target, { signing, output: reporter });
+    reporter.log('\nPlease restart Claude Code for changes to take effect.');
+    reporter.exit(EXIT_CODES.ok);
   }
 
-  if (canApply) {
-    console.log('  ✅ Ready to apply');
-    patchResults.push({ ...patch, status: 'ready' });
-  } else if (alreadyApplied) {
-    console.log('  ⚠️  Already applied');
-    patchResults.push({ ...patch, status: 'applied' });
-  } else {
-    console.log('  ❌ Pattern not found - may need update for newer version');
-    patchResults.push({ ...patch, status: 'notfound' });
+  // Get model configuration
+  const modelConfig = getModelConfiguration(undefined, reporter.log);
+
+  if (!modelConfig) {
+    reporter.set({
+      patches: [{ id: subagentModelsPatch.id, status: APPLY_STATUS.skipped, steps: [], reason: 'no ~/.claude/subagent-models.json' }],
+    });
+    reporter.log('ℹ️  No model configuration found\n');
+    reporter.log('To configure subagent models, create ~/.claude/subagent-models.json:\n');
+    reporter.log('{');
+    reporter.log('  "Plan": "sonnet",');
+    reporter.log('  "Explore": "haiku",');
+    reporter.log('  "general-purpose": "sonnet"');
+    reporter.log('}\n');
+    reporter.log('Valid model values: "haiku", "sonnet", "opus"\n');
+    reporter.log('Run with --help for more information.');
+    reporter.exit(EXIT_CODES.ok);
   }
-  console.log('');
-}
 
-// Dry run mode
-if (isDryRun) {
-  console.log('📋 DRY RUN - No changes will be made\n');
-  console.log('Summary:');
-  patchResults.forEach(p => {
-    console.log(`- ${p.name}: ${p.status === 'ready' ? 'WOULD APPLY' : p.status === 'applied' ? 'SKIP (already applied)' : 'SKIP (not found)'}`);
-  });
+  reporter.log('Model Configuration:');
+  reporter.log(`  Plan: ${modelConfig.Plan || '(not set)'}`);
+  reporter.log(`  Explore: ${modelConfig.Explore || '(not set)'}`);
+  reporter.log(`  general-purpose: ${modelConfig['general-purpose'] || '(not set)'}`);
+  reporter.log('');
+
+  // Read file
+  reporter.log(`Reading ${isNativeBinary ? 'claude binary' : 'cli.js'}...`);
+  if (!fs.existsSync(targetPath)) {
+    reporter.error(`❌ Error: target not found at: ${targetPath}`);
+    reporter.exit(EXIT_CODES.targetNotFound, `File not found: ${targetPath}`);
+  }
 
-  const wouldApply = patchResults.filter(p => p.status === 'ready');
-  if (wouldApply.length > 0) {
-    console.log('\nRun without --dry-run to apply patches.');
+  // Native binaries are patched as latin1 text (1 byte per code unit) so lengths map to bytes.
+  const targetContent = readTargetForPatching(target);
+  const content = isNativeBinary ? targetContent.toString('latin1') : targetContent;
+  const originalContentLength = content.length;
+  const { version } = detectClaudeVersion(target, targetContent);
+  reporter.set({ version });
+
+  // Check and apply patches
+  reporter.log('Checking patches...\n');
+
+  const patchResults = checkSubagentModelPatches(content, buildSubagentModelPatches(modelConfig), reporter.log);
+  const toApply = patchResults.filter(p => p.status === 'ready');
+  const alreadyApplied = patchResults.filter(p => p.status === 'applied');
+  let plannedStatus = DETECT_STATUS.notFound;
+  if (toApply.length > 0) plannedStatus = DETECT_STATUS.applicable;
+  else if (alreadyApplied.length > 0) plannedStatus = DETECT_STATUS.alreadyPatched;
+  const report = { id: subagentModelsPatch.id, status: plannedStatus, steps: toApply.map(p => p.name) };
+  reporter.set({ patches: [report] });
+
+  // Dry run mode
+  if (isDryRun) {
+    reporter.log('📋 DRY RUN - No changes will be made\n');
+    reporter.log('Summary:');
+    patchResults.forEach(p => {
+      reporter.log(`- ${p.name}: ${p.status === 'ready' ? 'WOULD APPLY' : p.status === 'applied' ? 'SKIP (already applied)' : 'SKIP (not found)'}`);
+    });
+
+    // Nothing to apply falls through, so a dry run exits with the code a real run would.
+    if (toApply.length > 0) {
+      reporter.log('\nRun without --dry-run to apply patches.');
+      reporter.exit(EXIT_CODES.ok);
+    }
   }
-  process.exit(0);
-}
 
-// Apply patches
-const toApply = patchResults.filter(p => p.status === 'ready');
-
-if (toApply.length === 0) {
-  console.log('ℹ️  No patches to apply\n');
-  const applied = patchResults.filter(p => p.status === 'applied');
-  if (applied.length > 0) {
-    console.log('All configured patches are already applied.');
-  } else {
-    console.log('No matching patterns found. The Claude Code version may have changed.');
-    console.log('Run with --dry-run to see details.');
+  // Apply patches
+  if (toApply.length === 0) {
+    reporter.log('ℹ️  No patches to apply\n');
+    if (alreadyApplied.length > 0) {
+      reporter.log('All configured patches are already applied.');
+      reporter.exit(EXIT_CODES.ok);
+    }
+    reporter.log('No matching patterns found. The Claude Code version may have changed.');
+    if (!isDryRun) reporter.log('Run with --dry-run to see details.');
+    reporter.exit(EXIT_CODES.patternNotFound, 'Patch pattern not found');
   }
-  process.exit(0);
-}
 
-// Create backup if it doesn't exist
-if (!fs.existsSync(backupPath)) {
-  console.log('Creating backup...');
-  fs.copyFileSync(targetPath, backupPath);
-  console.log(`✅ Backup created: ${backupPath}\n`);
-}
+  reporter.log('Applying patches...\n');
+
+  let patchedContent;
+  let edits;
+  try {
+    ({ result: patchedContent, edits } = trackEdits(() =>
+      isNativeBinary
+        ? applySubagentModelPatchesToBinary(targetContent, toApply, reporter.log)
+        : applySubagentModelPatches(content, toApply, false, reporter.log)
+    ));
+  } catch (error) {
+    reporter.error(`❌ Error: ${error.message}`);
+    reporter.exit(EXIT_CODES.patchFailed, error.message);
+  }
 
-console.log('Applying patches...\n');
+  // Write file
+  reporter.log('\nWriting patched file...');
+  if (isNativeBinary && patchedContent.length !== originalContentLength) {
+    reporter.error('\n❌ Refusing to write: native/binary install patch would change file size.');
+    reporter.error(`Original length: ${originalContentLength}, patched length: ${patchedContent.length}`);
+    reporter.error('This would likely corrupt the native binary. Choose shorter replacements or use an npm/local cli.js install.');
+    reporter.exit(EXIT_CODES.patchFailed, 'Native/binary patch would change file size');
+  }
+  const syntaxError = findSyntaxRegression(targetContent, patchedContent);
+  if (syntaxError) {
+    reporter.error(`❌ ${describeSyntaxRegression(syntaxError)}`);
+    reporter.exit(EXIT_CODES.patchFailed, syntaxError.message);
+  }
 
-// Apply each patch
-let patchedContent = content;
-for (const patch of toApply) {
-  if (patch.isRegex) {
-    const regex = patch.searchPattern;
-    patchedContent = patchedContent.replace(regex, (...args) => {
-      const match = args[0];
-      const replacement = patch.replacePattern(match);
-      if (!isNativeBinary) return replacement;
-      const padded = padRightSpaces(replacement, match.length);
-      if (padded === null) {
-        throw new Error(
-          `Native/binary install patch too large for in-place regex replacement (${patch.name}): ` +
-            `replacement length ${replacement.length} > match length ${match.length}`
-        );
-      }
-      return padded;
-    });
-  } else if (patch.partialMatch && patch.findPattern) {
-    patchedContent = patchedContent.replace(patch.findPattern, (...args) => {
-      const match = args[0];
-      const replacement = typeof patch.replacePattern === 'function' ? patch.replacePattern(...args) : patch.replacePattern;
-      if (!isNativeBinary) return replacement;
-      const padded = padRightSpaces(replacement, match.length);
-      if (padded === null) {
-        throw new Error(
-          `Native/binary install patch too large for in-place regex replacement (${patch.name}): ` +
-            `replacement length ${replacement.length} > match length ${match.length}`
-        );
-      }
-      return padded;
+  let recorded;
+  let signing;
+  try {
+    signing = loadSigningSettings();
+    recorded = recordAppliedPatches(target, {
+      before: targetContent,
+      after: patchedContent,
+      patches: [{ id: subagentModelsPatch.id, edits }],
+      log: reporter.log,
     });
-  } else {
-    if (!isNativeBinary) {
-      patchedContent = patchedContent.replace(patch.searchPattern, patch.replacement);
-    } else {
-      const padded = padRightSpaces(patch.replacement, patch.searchPattern.length);
-      if (padded === null) {
-        throw new Error(
-          `Native/binary install patch too large for in-place replacement (${patch.name}): ` +
-            `replacement length ${patch.replacement.length} > search length ${patch.searchPattern.length}`
-        );
-      }
-      patchedContent = patchedContent.replace(patch.searchPattern, padded);
-    }
+    writeTarget(target, patchedContent);
+  } catch (error) {
+    reporter.error(`❌ Error: ${error.message}`);
+    reporter.exit(EXIT_CODES.error, error.message);
   }
-  console.log(`✅ Applied: ${patch.name}`);
-}
+  const { backupPath, created: backupCreated } = recorded;
+  if (backupCreated) {
+    reporter.log(`✅ Backup created: ${backupPath}`);
+  }
+  reporter.set({ backupPath });
+  report.status = APPLY_STATUS.patched;
+  reporter.log('✅ File written successfully\n');
+
+  const signed = signPatchedTarget(target, { signing });
+  reporter.set({ signing: signed });
+  printSigningResult(signed, target, { signing, output: reporter });
 
-// Write file
-console.log('\nWriting patched file...');
-if (isNativeBinary && patchedContent.length !== originalContentLength) {
-  console.error('\n❌ Refusing to write: native/binary install patch would change file size.');
-  console.error(`Original length: ${originalContentLength}, patched length: ${patchedContent.length}`);
-  console.error('This would likely corrupt the native binary. Choose shorter replacements or use an npm/local cli.js install.');
-  process.exit(1);
+  reporter.log('Summary:');
+  patchResults.forEach(p => {
+    reporter.log(`- ${p.name}: ${p.status === 'ready' ? 'APPLIED' : p.status === 'applied' ? 'SKIPPED (already applied)' : 'SKIPPED (not found)'}`);
+  });
+  reporter.log('\n🎉 Patches applied! Please restart Claude Code for changes to take effect.');
+  reporter.log('\nTo restore original behavior, run: node patch-subagent-models.js --restore');
+  reporter.exit(EXIT_CODES.ok);
 }
-fs.writeFileSync(targetPath, patchedContent, fileEncoding);
-console.log('✅ File written successfully\n');
 
-console.log('Summary:');
-patchResults.forEach(p => {
-  console.log(`- ${p.name}: ${p.status === 'ready' ? 'APPLIED' : p.status === 'applied' ? 'SKIPPED (already applied)' : 'SKIPPED (not found)'}`);
-});
-console.log('\n🎉 Patches applied! Please restart Claude Code for changes to take effect.');
-console.log('\nTo restore original behavior, run: node patch-subagent-models.js --restore');
-process.exit(0);
+module.exports = subagentModelsPatch;
+
+if (require.main === module) {
+  main();
+}
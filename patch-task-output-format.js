@@ -16,297 +16,29 @@
  */
 
 const fs = require('fs');
-const os = require('os');
-const path = require('path');
-const { execSync } = require('child_process');
-
-const args = process.argv.slice(2);
-const isDryRun = args.includes('--dry-run');
-const isRestore = args.includes('--restore');
-const showHelp = args.includes('--help') || args.includes('-h');
-const fileArgIndex = args.indexOf('--file');
-const fileArgPath = fileArgIndex >= 0 ? args[fileArgIndex + 1] : null;
-
-if (fileArgIndex >= 0 && !fileArgPath) {
-  console.error('Error: --file requires a path argument');
-  process.exit(1);
-}
-
-if (showHelp) {
-  console.log('Claude Code Task Output waiting format patcher');
-  console.log('================================================\n');
-  console.log('Usage: node patch-task-output-format.js [options]\n');
-  console.log('Options:');
-  console.log('  --dry-run    Preview changes without applying them');
-  console.log('  --restore    Restore from backup file');
-  console.log('  --file PATH  Patch a specific cli.js file or native claude binary');
-  console.log('  --help, -h   Show this help message\n');
-  console.log('Examples:');
-  console.log('  node patch-task-output-format.js');
-  console.log('  node patch-task-output-format.js --dry-run');
-  console.log('  node patch-task-output-format.js --restore');
-  console.log('  node patch-task-output-format.js --file /path/to/cli.js');
-  console.log('  node patch-task-output-format.js --file /path/to/claude');
-  process.exit(0);
-}
-
-function safeExec(command) {
-  try {
-    return execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
-  } catch {
-    return null;
-  }
-}
-
-function shellQuotePosix(str) {
-  return `'${String(str).replace(/'/g, `'"'"'`)}'`;
-}
-
-function readFilePrefix(filePath, maxBytes = 4096) {
-  try {
-    const fd = fs.openSync(filePath, 'r');
-    try {
-      const buf = Buffer.allocUnsafe(maxBytes);
-      const bytesRead = fs.readSync(fd, buf, 0, maxBytes, 0);
-      if (bytesRead <= 0) return null;
-      return buf.subarray(0, bytesRead);
-    } finally {
-      fs.closeSync(fd);
-    }
-  } catch {
-    return null;
-  }
-}
-
-function detectClaudeTargetKind(filePath) {
-  if (filePath.endsWith('.js')) return 'js';
-
-  const prefix = readFilePrefix(filePath);
-  if (!prefix) return 'unknown';
-
-  if (prefix.includes(0)) return 'native-binary';
-
-  if (
-    prefix.length >= 4 &&
-    prefix[0] === 0x7f &&
-    prefix[1] === 0x45 &&
-    prefix[2] === 0x4c &&
-    prefix[3] === 0x46
-  ) {
-    return 'native-binary';
-  }
-
-  if (prefix.length >= 2 && prefix[0] === 0x4d && prefix[1] === 0x5a) return 'native-binary';
-
-  if (prefix.length >= 4) {
-    const magic = prefix.readUInt32BE(0);
-    if (magic === 0xfeedface || magic === 0xfeedfacf || magic === 0xcffaedfe || magic === 0xcafebabe) {
-      return 'native-binary';
-    }
-  }
-
-  const asUtf8 = prefix.toString('utf8');
-  if (asUtf8.startsWith('#!')) return 'js';
-
-  return 'unknown';
-}
-
-function getNativeCandidatePaths(homeDir) {
-  const candidates = [];
-  candidates.push(path.join(homeDir, '.local', 'bin', 'claude'));
-
-  const versionsDir = path.join(homeDir, '.local', 'share', 'claude', 'versions');
-  try {
-    if (fs.existsSync(versionsDir)) {
-      const parseVersionish = entry => {
-        const m = String(entry).match(/^v?(\d+)\.(\d+)(?:\.(\d+))?/);
-        if (!m) return null;
-        return { major: Number(m[1]), minor: Number(m[2]), patch: Number(m[3] || 0) };
-      };
-      const compareVersionishDesc = (a, b) => {
-        if (a.major !== b.major) return b.major - a.major;
-        if (a.minor !== b.minor) return b.minor - a.minor;
-        return b.patch - a.patch;
-      };
-
-      const entries = fs
-        .readdirSync(versionsDir)
-        .filter(entry => !String(entry).endsWith('.backup'))
-        .sort((a, b) => {
-          const va = parseVersionish(a);
-          const vb = parseVersionish(b);
-          if (va && vb) return compareVersionishDesc(va, vb);
-          if (va) return -1;
-          if (vb) return 1;
-          return a.localeCompare(b);
-        });
-
-      for (const entry of entries) {
-        const fullPath = path.join(versionsDir, entry);
-        try {
-          if (fs.statSync(fullPath).isFile()) candidates.push(fullPath);
-        } catch {
-          // ignore
-        }
-      }
-    }
-  } catch {
-    // ignore
-  }
-
-  return candidates;
-}
-
-function resolveClaudeTarget() {
-  const attempted = [];
-  const home = os.homedir();
-
-  function checkPath(candidatePath, method) {
-    if (!candidatePath) return null;
-    attempted.push({ path: candidatePath, method });
-    try {
-      if (!fs.existsSync(candidatePath)) return null;
-      const real = fs.realpathSync(candidatePath);
-      const kind = detectClaudeTargetKind(real);
-      if (kind === 'unknown') return null;
-      return { path: real, kind, method };
-    } catch {
-      const kind = detectClaudeTargetKind(candidatePath);
-      if (kind === 'unknown') return null;
-      return { path: candidatePath, kind, method };
-    }
-  }
-
-  if (fileArgPath) {
-    const resolved = path.resolve(fileArgPath);
-    const found = checkPath(resolved, '--file');
-    resolveClaudeTarget.attempted = attempted;
-    return found;
-  }
-
-  const localPaths = [
-    path.join(home, '.claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js'),
-    path.join(home, '.claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'bin', 'claude.exe'),
-    path.join(home, '.config', 'claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js'),
-    path.join(home, '.config', 'claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'bin', 'claude.exe'),
-  ];
-  for (const candidate of localPaths) {
-    const found = checkPath(candidate, 'local installation');
-    if (found && (found.kind === 'js' || found.kind === 'native-binary')) {
-      resolveClaudeTarget.attempted = attempted;
-      return found;
-    }
-  }
-
-  const npmGlobalRoot = safeExec('npm root -g');
-  if (npmGlobalRoot) {
-    const npmGlobalPaths = [
-      path.join(npmGlobalRoot, '@anthropic-ai', 'claude-code', 'cli.js'),
-      path.join(npmGlobalRoot, '@anthropic-ai', 'claude-code', 'bin', 'claude.exe'),
-    ];
-    for (const npmGlobalPath of npmGlobalPaths) {
-      const found = checkPath(npmGlobalPath, 'npm root -g');
-      if (found && (found.kind === 'js' || found.kind === 'native-binary')) {
-        resolveClaudeTarget.attempted = attempted;
-        return found;
-      }
-    }
-  }
-
-  const nodeDir = path.dirname(process.execPath);
-  const derivedGlobalPaths = [
-    path.join(nodeDir, '..', 'lib', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js'),
-    path.join(nodeDir, '..', 'lib', 'node_modules', '@anthropic-ai', 'claude-code', 'bin', 'claude.exe'),
-  ];
-  for (const derivedGlobalPath of derivedGlobalPaths) {
-    const found = checkPath(derivedGlobalPath, 'derived from process.execPath');
-    if (found && (found.kind === 'js' || found.kind === 'native-binary')) {
-      resolveClaudeTarget.attempted = attempted;
-      return found;
-    }
-  }
-
-  const whichClaude = safeExec('command -v claude');
-  if (whichClaude) {
-    let realBinary = whichClaude;
-    try {
-      realBinary = fs.realpathSync(whichClaude);
-    } catch {
-      // ignore
-    }
-
-    if (realBinary.endsWith(path.join('@anthropic-ai', 'claude-code', 'cli.js'))) {
-      const foundDirect = checkPath(realBinary, 'command -v claude (direct cli.js)');
-      if (foundDirect && foundDirect.kind === 'js') {
-        resolveClaudeTarget.attempted = attempted;
-        return foundDirect;
-      }
-    }
-
-    const binDir = path.dirname(realBinary);
-    const derivedFromBin = path.join(binDir, '..', 'lib', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js');
-    const foundFromBin = checkPath(derivedFromBin, 'command -v claude (derived)');
-    if (foundFromBin && foundFromBin.kind === 'js') {
-      resolveClaudeTarget.attempted = attempted;
-      return foundFromBin;
-    }
-
-    const foundNative = checkPath(realBinary, 'command -v claude (native)');
-    if (foundNative && foundNative.kind === 'native-binary') {
-      resolveClaudeTarget.attempted = attempted;
-      return foundNative;
-    }
-  }
-
-  for (const candidate of getNativeCandidatePaths(home)) {
-    const found = checkPath(candidate, 'native/binary default paths');
-    if (found && found.kind === 'native-binary') {
-      resolveClaudeTarget.attempted = attempted;
-      return found;
-    }
-  }
-
-  resolveClaudeTarget.attempted = attempted;
-  return null;
-}
-
-function adHocCodesignIfNeeded(filePath, kind) {
-  if (kind !== 'native-binary') return;
-  if (process.platform !== 'darwin') return;
-
-  try {
-    execSync(`codesign --force --deep --sign - ${shellQuotePosix(filePath)}`, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      encoding: 'utf8',
-    });
-    console.log('macOS codesign: re-signed patched native binary (ad-hoc)');
-  } catch {
-    console.error('macOS codesign failed. The patched binary may be killed when executed.');
-    console.error('You can try manually:');
-    console.error(`codesign --force --deep --sign - ${shellQuotePosix(filePath)}`);
-  }
-}
-
-function backupPathFor(targetPath) {
-  return `${targetPath}.backup`;
-}
-
-function ensureBackup(targetPath) {
-  const backupPath = backupPathFor(targetPath);
-  if (fs.existsSync(backupPath)) return backupPath;
-  fs.copyFileSync(targetPath, backupPath);
-  return backupPath;
-}
-
-function restoreFromBackup(targetPath) {
-  const backupPath = backupPathFor(targetPath);
-  if (!fs.existsSync(backupPath)) {
-    console.error(`Backup not found: ${backupPath}`);
-    process.exit(1);
-  }
-  if (!isDryRun) fs.copyFileSync(backupPath, targetPath);
-  console.log(`Restored from backup: ${backupPath}`);
-}
+const {
+  parseCommonArgs,
+  resolveClaudeTarget,
+  printTargetNotFound,
+  describeTargetKind,
+  EXIT_CODES,
+  createReporter,
+  writeTarget,
+  trackEdits,
+  padRightSpaces,
+  spliceTracked,
+  mapNativePayload,
+  APPLY_STATUS,
+  definePatch,
+  reportedStatus,
+} = require('./lib/patch-engine');
+const { recordAppliedPatches, readTargetForPatching } = require('./lib/backup-store');
+const { restoreSinglePatch } = require('./lib/patch-registry');
+const { loadSigningSettings } = require('./lib/patch-profile');
+const { signPatchedTarget, printSigningResult } = require('./lib/code-signing');
+const { detectClaudeVersion } = require('./lib/version-detect');
+const { claimTargetOrExit } = require('./lib/target-lock');
+const { findSyntaxRegression, describeSyntaxRegression } = require('./lib/syntax-check');
 
 function locateTaskOutputProgressBlock(text, startIndex = 0) {
   while (true) {
@@ -328,8 +60,14 @@ function locateTaskOutputProgressBlock(text, startIndex = 0) {
 function isAlreadyPatchedBlock(block) {
   if (!block.includes('Waiting for task')) return false;
   if (/taskDescription&&[\s\S]*?taskDescription/.test(block)) return false;
-  return /(?:createElement|jsx|jsxs)\([\w$]+,\{flexDirection:"column"[\s\S]{0,300}?children:\[null,\s*[\w$]+\.(?:default\.)?(?:createElement|jsx|jsxs)\([\w$]+,[\s\S]{0,300}?Waiting for task/.test(
-    block
+  return (
+    /(?:createElement|jsx|jsxs)\([\w$]+,\{flexDirection:"column"[\s\S]{0,300}?children:\[null,\s*[\w$]+\.(?:default\.)?(?:createElement|jsx|jsxs)\([\w$]+,[\s\S]{0,300}?Waiting for task/.test(
+      block
+    ) ||
+    // createElement bundles pass the children as arguments: `createElement(T,{...},null,createElement(...))`.
+    /createElement\([\w$]+,\{flexDirection:"column"[^}]*\},null,\s*[\w$]+\.(?:default\.)?createElement\([\w$]+,[\s\S]{0,300}?Waiting for task/.test(
+      block
+    )
   );
 }
 
@@ -347,12 +85,6 @@ function patchBlock(block) {
   return next;
 }
 
-function padRightSpaces(str, targetLength) {
-  if (str.length > targetLength) return null;
-  if (str.length === targetLength) return str;
-  return str + ' '.repeat(targetLength - str.length);
-}
-
 function applyPatchToText(text, preserveLength) {
   let next = text;
   let patchedCount = 0;
@@ -380,133 +112,196 @@ function applyPatchToText(text, preserveLength) {
       throw new Error(`Refusing to patch: replacement grew (${located.block.length} -> ${patchedBlock.length}).`);
     }
 
-    next = next.slice(0, located.start) + finalBlock + next.slice(located.end);
+    next = spliceTracked(next, located.start, located.end, finalBlock, {
+      label: 'Task Output progress message',
+      // Native binaries are patched as latin1 text (one char per byte).
+      encoding: preserveLength ? 'latin1' : 'utf8',
+    });
     cursor = located.start + finalBlock.length;
     patchedCount += 1;
   }
 
-  return { patched: patchedCount > 0, alreadyPatched: patchedCount === 0 && sawPatchedBlock, next };
+  return { patchedCount, alreadyPatched: patchedCount === 0 && sawPatchedBlock, out: next };
 }
 
 function applyPatchToNativeBinary(buf) {
-  const text = buf.toString('latin1');
-  const { patched, alreadyPatched, next } = applyPatchToText(text, true);
-  if (!patched) return { patched, alreadyPatched, out: buf };
-
-  const out = Buffer.from(next, 'latin1');
-  if (out.length !== buf.length) {
-    throw new Error(`Refusing to patch native/binary: size changed (${buf.length} -> ${out.length}).`);
-  }
-
-  return { patched: true, alreadyPatched: false, out };
+  let patchedCount = 0;
+  let alreadyPatched = false;
+  const out = mapNativePayload(buf, text => {
+    const result = applyPatchToText(text, true);
+    patchedCount += result.patchedCount;
+    alreadyPatched = alreadyPatched || result.alreadyPatched;
+    return result.out;
+  });
+  if (patchedCount === 0) return { patchedCount, alreadyPatched, out: buf };
+  return { patchedCount, alreadyPatched: false, out };
 }
 
-console.log('Claude Code Task Output waiting format patcher');
-console.log('================================================\n');
-
-const target = resolveClaudeTarget();
-if (!target) {
-  console.error('Could not find Claude Code installation.');
-  console.error('Make sure `claude` is on PATH, or pass --file /path/to/cli.js (or native claude binary).');
-
-  const attempted = resolveClaudeTarget.attempted || [];
-  if (attempted.length > 0) {
-    console.error('\nSearched using the following methods:\n');
-    const byMethod = {};
-    for (const { path: attemptedPath, method } of attempted) {
-      if (!byMethod[method]) byMethod[method] = [];
-      byMethod[method].push(attemptedPath);
-    }
-    for (const [method, paths] of Object.entries(byMethod)) {
-      console.error(`[${method}]`);
-      for (const attemptedPath of paths) console.error(`  - ${attemptedPath}`);
-    }
+const taskOutputFormatPatch = definePatch({
+  id: 'task-output-format',
+  description: 'Drop the raw task description from the Task Output waiting view',
+  apply(source, ctx = {}) {
+    const { patchedCount, alreadyPatched, out } =
+      ctx.kind === 'native-binary' ? applyPatchToNativeBinary(source) : applyPatchToText(source, false);
+    if (alreadyPatched) return { status: APPLY_STATUS.alreadyPatched, content: source };
+    if (patchedCount === 0) return { status: APPLY_STATUS.notFound, content: source };
+    return { status: APPLY_STATUS.patched, content: out, steps: [`Task Output progress message x${patchedCount}`] };
+  },
+});
+
+function main() {
+  const { isDryRun, isRestore, isJson, isForce, showHelp, fileArgMissing, fileArgPath } = parseCommonArgs(process.argv.slice(2));
+  const reporter = createReporter({ json: isJson, command: isRestore ? 'restore' : 'apply' });
+  reporter.set({ dryRun: isDryRun });
+
+  if (fileArgMissing) {
+    reporter.fail(EXIT_CODES.usage, '--file requires a path argument');
   }
-  process.exit(1);
-}
 
-const targetPath = target.path;
-const targetKind = target.kind;
+  if (showHelp) {
+    console.log('Claude Code Task Output waiting format patcher');
+    console.log('================================================\n');
+    console.log('Usage: node patch-task-output-format.js [options]\n');
+    console.log('Options:');
+    console.log('  --dry-run    Preview changes without applying them');
+    console.log('  --restore    Restore from backup file');
+    console.log('  --file PATH  Patch a specific cli.js file or native claude binary');
+    console.log('  --json       Print a single JSON result instead of progress messages');
+    console.log('  --force      Patch even while Claude Code is running from the target');
+    console.log('  --help, -h   Show this help message\n');
+    console.log('Examples:');
+    console.log('  node patch-task-output-format.js');
+    console.log('  node patch-task-output-format.js --dry-run');
+    console.log('  node patch-task-output-format.js --restore');
+    console.log('  node patch-task-output-format.js --file /path/to/cli.js');
+    console.log('  node patch-task-output-format.js --file /path/to/claude');
+    process.exit(0);
+  }
 
-if (!fs.existsSync(targetPath)) {
-  console.error(`File not found: ${targetPath}`);
-  process.exit(1);
-}
+  reporter.log('Claude Code Task Output waiting format patcher');
+  reporter.log('================================================\n');
 
-if (targetKind === 'unknown') {
-  console.error(`Target is not a recognized Claude Code install: ${targetPath}`);
-  process.exit(1);
-}
+  const { target, attempted } = resolveClaudeTarget({ filePath: fileArgPath });
+  if (!target) {
+    printTargetNotFound(attempted, reporter.error);
+    reporter.set({ attempted }).exit(EXIT_CODES.targetNotFound, 'Could not find Claude Code installation');
+  }
 
-console.log(`Target: ${targetPath}`);
-console.log(`Installation type: ${targetKind === 'native-binary' ? 'native/binary' : 'npm/local (cli.js)'}\n`);
-if (isDryRun) console.log('Mode: dry-run (no files will be modified)');
+  const targetPath = target.path;
+  const targetKind = target.kind;
+  reporter.setTarget(target);
 
-if (isRestore) {
-  restoreFromBackup(targetPath);
-  process.exit(0);
-}
+  if (!fs.existsSync(targetPath)) {
+    reporter.error(`File not found: ${targetPath}`);
+    reporter.exit(EXIT_CODES.targetNotFound, `File not found: ${targetPath}`);
+  }
 
-if (targetKind === 'js') {
-  const originalText = fs.readFileSync(targetPath, 'utf8');
-  const { patched, alreadyPatched, next } = applyPatchToText(originalText, false);
+  reporter.log(`Target: ${targetPath}`);
+  reporter.log(`Installation type: ${describeTargetKind(targetKind)}\n`);
+  if (isDryRun) reporter.log('Mode: dry-run (no files will be modified)');
+  if (!isDryRun) claimTargetOrExit(target, { force: isForce, reporter });
 
-  if (alreadyPatched) {
-    console.log('Already patched (Task Output waiting view is already shortened)');
-    process.exit(0);
+  if (isRestore) {
+    let restored;
+    let signing;
+    try {
+      signing = loadSigningSettings();
+      restored = restoreSinglePatch(target, taskOutputFormatPatch.id, {
+        dryRun: isDryRun,
+        signing,
+      });
+    } catch (error) {
+      reporter.error(error.message);
+      reporter.exit(EXIT_CODES.restoreFailed, error.message);
+    }
+    if (!restored) {
+      reporter.error(`Backup not found: ${targetPath}.backup`);
+      reporter.exit(EXIT_CODES.restoreFailed, `Backup not found: ${targetPath}.backup`);
+    }
+    reporter.set({
+      backupPath: restored.backupPath,
+      restore: { mode: restored.mode, reverted: [taskOutputFormatPatch.id], remaining: restored.remaining || [] },
+      signing: restored.signing || null,
+    });
+    if (restored.mode === 'legacy') {
+      reporter.log(`Restored from backup: ${restored.backupPath}`);
+    } else {
+      reporter.log(`Reverted ${taskOutputFormatPatch.id} (original kept at ${restored.backupPath})`);
+      if (restored.remaining.length > 0) reporter.log(`   Still applied: ${restored.remaining.join(', ')}`);
+    }
+    printSigningResult(restored.signing, target, { signing, output: reporter });
+    reporter.exit(EXIT_CODES.ok);
   }
 
-  if (!patched) {
-    console.error('Patch pattern not found.');
-    console.error('The Claude Code build may have changed.');
-    console.error('Try searching for this in the target file and paste the nearby code:');
-    console.error('renderToolUseProgressMessage');
-    console.error('Waiting for task');
-    process.exit(1);
+  const originalContent = readTargetForPatching(target);
+  const { version } = detectClaudeVersion(target, originalContent);
+  reporter.set({ version });
+  let applied;
+  try {
+    applied = trackEdits(() => taskOutputFormatPatch.apply(originalContent, { kind: targetKind, version }));
+  } catch (error) {
+    reporter.error(error.message);
+    reporter.exit(EXIT_CODES.patchFailed, error.message);
   }
-
-  if (!isDryRun) {
-    const backupPath = backupPathFor(targetPath);
-    const hadBackup = fs.existsSync(backupPath);
-    ensureBackup(targetPath);
-    fs.writeFileSync(targetPath, next, 'utf8');
-    console.log(`${hadBackup ? 'Backup already exists' : 'Backup created'}: ${backupPath}`);
-    console.log('Patch applied');
-  } else {
-    console.log('Patch would apply cleanly');
+  const {
+    result: { status, content: out, steps = [] },
+    edits,
+  } = applied;
+  reporter.set({ patches: [{ id: taskOutputFormatPatch.id, status: reportedStatus(status, isDryRun), steps }] });
+
+  if (status === APPLY_STATUS.alreadyPatched) {
+    reporter.log('Already patched (Task Output waiting view is already shortened)');
+    reporter.exit(EXIT_CODES.ok);
   }
-} else if (targetKind === 'native-binary') {
-  const originalBuf = fs.readFileSync(targetPath);
-  const { patched, alreadyPatched, out } = applyPatchToNativeBinary(originalBuf);
 
-  if (alreadyPatched) {
-    console.log('Already patched (Task Output waiting view is already shortened)');
-    process.exit(0);
+  if (status !== APPLY_STATUS.patched) {
+    reporter.error('Patch pattern not found.');
+    reporter.error('The Claude Code build may have changed.');
+    reporter.error('Try searching for this in the target file and paste the nearby code:');
+    reporter.error('renderToolUseProgressMessage');
+    reporter.error('Waiting for task');
+    reporter.exit(EXIT_CODES.patternNotFound, 'Patch pattern not found');
   }
 
-  if (!patched) {
-    console.error('Patch pattern not found.');
-    console.error('The Claude Code build may have changed.');
-    console.error('Try searching for this in the target file and paste the nearby code:');
-    console.error('renderToolUseProgressMessage');
-    console.error('Waiting for task');
-    process.exit(1);
+  const syntaxError = findSyntaxRegression(originalContent, out);
+  if (syntaxError) {
+    reporter.error(describeSyntaxRegression(syntaxError));
+    reporter.exit(EXIT_CODES.patchFailed, syntaxError.message);
   }
 
   if (!isDryRun) {
-    const backupPath = backupPathFor(targetPath);
-    const hadBackup = fs.existsSync(backupPath);
-    ensureBackup(targetPath);
-    fs.writeFileSync(targetPath, out);
-    console.log(`${hadBackup ? 'Backup already exists' : 'Backup created'}: ${backupPath}`);
-    console.log('Patch applied');
-    adHocCodesignIfNeeded(targetPath, targetKind);
+    let recorded;
+    let signing;
+    try {
+      signing = loadSigningSettings();
+      recorded = recordAppliedPatches(target, {
+        before: originalContent,
+        after: out,
+        patches: [{ id: taskOutputFormatPatch.id, edits }],
+        log: reporter.log,
+      });
+      writeTarget(target, out);
+    } catch (error) {
+      reporter.error(error.message);
+      reporter.exit(EXIT_CODES.error, error.message);
+    }
+    const { backupPath, created } = recorded;
+    reporter.set({ backupPath });
+    reporter.log(`${created ? 'Backup created' : 'Backup already exists'}: ${backupPath}`);
+    reporter.log('Patch applied');
+    const signed = signPatchedTarget(target, { signing });
+    reporter.set({ signing: signed });
+    printSigningResult(signed, target, { signing, output: reporter });
   } else {
-    console.log('Patch would apply cleanly');
+    reporter.log('Patch would apply cleanly');
   }
-} else {
-  console.error(`Unsupported target kind: ${targetKind}`);
-  process.exit(1);
+
+  reporter.log('\nNext: restart Claude Code and verify Task Output waiting messages no longer print the raw task description.');
+  reporter.exit(EXIT_CODES.ok);
 }
 
-console.log('\nNext: restart Claude Code and verify Task Output waiting messages no longer print the raw task description.');
+module.exports = taskOutputFormatPatch;
+
+if (require.main === module) {
+  main();
+}
@@ -1,402 +1,33 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
-const path = require('path');
-const os = require('os');
-const { execSync } = require('child_process');
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-const isDryRun = args.includes('--dry-run');
-const isRestore = args.includes('--restore');
-const showHelp = args.includes('--help') || args.includes('-h');
-const fileArgIndex = args.indexOf('--file');
-const fileArgPath = fileArgIndex >= 0 ? args[fileArgIndex + 1] : null;
-
-if (fileArgIndex >= 0 && !fileArgPath) {
-  console.error('❌ Error: --file requires a path argument');
-  process.exit(1);
-}
-
-const supportedThinkingVersionsText =
-  '2.0.62, 2.0.71, 2.0.74, 2.0.75, 2.0.76, 2.1.1, 2.1.2, 2.1.3, 2.1.4, 2.1.6, 2.1.7, 2.1.9, 2.1.11, 2.1.12, 2.1.14, 2.1.15, 2.1.17, 2.1.19, 2.1.20, 2.1.22, 2.1.23, 2.1.27, 2.1.30, 2.1.31, 2.1.32, 2.1.33, 2.1.34, 2.1.36, 2.1.37, 2.1.38, 2.1.39, 2.1.40, 2.1.41, 2.1.42, 2.1.44, 2.1.45, 2.1.47, 2.1.48, 2.1.49, 2.1.50, 2.1.51, 2.1.52, 2.1.53, 2.1.54, 2.1.55, 2.1.56, 2.1.57, 2.1.58, 2.1.59, 2.1.60, 2.1.61, 2.1.62, 2.1.63, 2.1.64, 2.1.65, 2.1.66, 2.1.67, 2.1.68, 2.1.69, 2.1.70, 2.1.71, 2.1.72, 2.1.73, 2.1.74, 2.1.75, 2.1.76, 2.1.77, 2.1.78, 2.1.79, 2.1.80, 2.1.81, 2.1.83, 2.1.84, 2.1.85, 2.1.86, 2.1.87, 2.1.88, 2.1.89, 2.1.90, 2.1.91, 2.1.92, 2.1.94, 2.1.96, 2.1.97, 2.1.98, 2.1.101, 2.1.102, 2.1.103, 2.1.104, 2.1.105, 2.1.106, 2.1.107, 2.1.108, 2.1.109, 2.1.110, 2.1.111, 2.1.112, 2.1.113, 2.1.114, 2.1.116, 2.1.117, 2.1.118, 2.1.119, 2.1.120, 2.1.121, 2.1.122, 2.1.123, 2.1.126, 2.1.128, 2.1.129, 2.1.130, 2.1.131, 2.1.132, 2.1.133, 2.1.136, 2.1.137, 2.1.138, 2.1.139, 2.1.140, 2.1.141, 2.1.142, 2.1.143, 2.1.144, 2.1.145, 2.1.146, 2.1.147, 2.1.148, 2.1.149, 2.1.150, 2.1.152, 2.1.153, 2.1.154, 2.1.155, 2.1.156, 2.1.157, 2.1.158, 2.1.160, 2.1.161, 2.1.162, 2.1.163, 2.1.165, 2.1.166, 2.1.167, 2.1.168, 2.1.169, 2.1.170, 2.1.172, 2.1.173, 2.1.174, 2.1.175, 2.1.176, 2.1.177, 2.1.178, 2.1.179, 2.1.181, 2.1.182, 2.1.183, 2.1.185, 2.1.186, 2.1.187, 2.1.190, 2.1.191, 2.1.193, 2.1.195, 2.1.196, 2.1.197, 2.1.198, 2.1.199, 2.1.200, 2.1.201, 2.1.202, 2.1.203, 2.1.204';
-
-// Display help
-if (showHelp) {
-  console.log(`Claude Code Thinking Visibility Patcher (supports ${supportedThinkingVersionsText})`);
-  console.log('==============================================\n');
-  console.log('Usage: node patch-thinking.js [options]\n');
-  console.log('Options:');
-  console.log('  --dry-run    Preview changes without applying them');
-  console.log('  --restore    Restore from backup file');
-  console.log('  --file PATH  Patch a specific cli.js file or native claude binary (skip auto-detection)');
-  console.log('  --help, -h   Show this help message\n');
-  console.log('Examples:');
-  console.log('  node patch-thinking.js              # Apply patches');
-  console.log('  node patch-thinking.js --dry-run    # Preview changes');
-  console.log('  node patch-thinking.js --restore    # Restore original');
-  console.log('  node patch-thinking.js --file PATH  # Patch a downloaded cli.js');
-  process.exit(0);
-}
-
-console.log(`Claude Code Thinking Visibility Patcher (supports ${supportedThinkingVersionsText})`);
-console.log('==============================================\n');
-
-// Helper function to safely execute shell commands
-function safeExec(command) {
-  try {
-    return execSync(command, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
-  } catch (error) {
-    return null;
-  }
-}
-
-function shellQuotePosix(str) {
-  // Minimal safe quoting for POSIX shells (zsh/bash).
-  return `'${String(str).replace(/'/g, `'\"'\"'`)}'`;
-}
-
-function adHocCodesignIfNeeded(filePath) {
-  if (!isNativeBinary) return;
-  if (process.platform !== 'darwin') return;
-
-  // macOS hardened runtime + Developer ID binaries will be killed if modified.
-  // Re-signing ad-hoc allows the patched binary to run again.
-  try {
-    execSync(`codesign --force --deep --sign - ${shellQuotePosix(filePath)}`, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      encoding: 'utf8',
-    });
-    console.log('✅ macOS codesign: re-signed patched native binary (ad-hoc)');
-  } catch (error) {
-    console.error('⚠️  macOS codesign failed. The patched binary may be killed when executed.');
-    console.error('   You can try manually:');
-    console.error(`   codesign --force --deep --sign - ${shellQuotePosix(filePath)}`);
-  }
-}
-
-function readFilePrefix(filePath, maxBytes = 4096) {
-  try {
-    const fd = fs.openSync(filePath, 'r');
-    try {
-      const buf = Buffer.allocUnsafe(maxBytes);
-      const bytesRead = fs.readSync(fd, buf, 0, maxBytes, 0);
-      if (bytesRead <= 0) return null;
-      return buf.subarray(0, bytesRead);
-    } finally {
-      fs.closeSync(fd);
-    }
-  } catch {
-    return null;
-  }
-}
-
-function detectClaudeTargetKind(filePath) {
-  if (filePath.endsWith('.js')) return 'js';
-
-  const prefix = readFilePrefix(filePath);
-  if (!prefix) return 'unknown';
-
-  // Heuristic: NUL bytes in prefix usually means a binary (Mach-O/ELF/PE, etc.)
-  if (prefix.includes(0)) return 'native-binary';
-
-  // Detect common native binary headers.
-  // - ELF: 0x7F 'E' 'L' 'F'
-  if (
-    prefix.length >= 4 &&
-    prefix[0] === 0x7f &&
-    prefix[1] === 0x45 &&
-    prefix[2] === 0x4c &&
-    prefix[3] === 0x46
-  ) {
-    return 'native-binary';
-  }
-  // - PE/COFF: 'MZ'
-  if (prefix.length >= 2 && prefix[0] === 0x4d && prefix[1] === 0x5a) return 'native-binary';
-  // - Mach-O: FE ED FA CE / FE ED FA CF / CF FA ED FE / CA FE BA BE (fat)
-  if (prefix.length >= 4) {
-    const m = prefix.readUInt32BE(0);
-    if (m === 0xfeedface || m === 0xfeedfacf || m === 0xcffaedfe || m === 0xcafebabe) return 'native-binary';
-  }
-
-  // If it starts with a shebang, treat as script (npm-installed cli.js wrappers sometimes omit .js).
-  const asUtf8 = prefix.toString('utf8');
-  if (asUtf8.startsWith('#!')) return 'js';
-
-  return 'unknown';
-}
-
-function getNativeCandidatePaths(homeDir) {
-  const candidates = [];
-
-  candidates.push(path.join(homeDir, '.local', 'bin', 'claude'));
-
-  // Official native installer stores versioned binaries here (filenames are versions like 2.0.65).
-  const versionsDir = path.join(homeDir, '.local', 'share', 'claude', 'versions');
-  try {
-    if (fs.existsSync(versionsDir)) {
-      const parseVersionish = entry => {
-        const m = String(entry).match(/^v?(\d+)\.(\d+)(?:\.(\d+))?/);
-        if (!m) return null;
-        return { major: Number(m[1]), minor: Number(m[2]), patch: Number(m[3] || 0) };
-      };
-      const compareVersionishDesc = (a, b) => {
-        if (a.major !== b.major) return b.major - a.major;
-        if (a.minor !== b.minor) return b.minor - a.minor;
-        return b.patch - a.patch;
-      };
-
-      const entries = fs
-        .readdirSync(versionsDir)
-        .filter(entry => {
-          // Avoid accidentally patching backups created by this script or by users.
-          // Native installs often contain both `2.1.20` and `2.1.20.backup`.
-          return !String(entry).endsWith('.backup');
-        })
-        .sort((a, b) => {
-        const va = parseVersionish(a);
-        const vb = parseVersionish(b);
-        if (va && vb) return compareVersionishDesc(va, vb);
-        if (va) return -1;
-        if (vb) return 1;
-        return a.localeCompare(b);
-      });
-      for (const entry of entries) {
-        const fullPath = path.join(versionsDir, entry);
-        try {
-          if (fs.statSync(fullPath).isFile()) candidates.push(fullPath);
-        } catch {
-          // Ignore entries we can't stat
-        }
-      }
-    }
-  } catch {
-    // Ignore
-  }
-
-  return candidates;
-}
-
-// Auto-detect Claude Code installation (cli.js or native claude binary)
-function getClaudeCodeTarget() {
-  const homeDir = os.homedir();
-  const attemptedPaths = [];
-
-  // Helper to check and return path if it exists
-  function checkPath(testPath, method) {
-    if (!testPath) return null;
-
-    attemptedPaths.push({ path: testPath, method });
-
-    try {
-      if (fs.existsSync(testPath)) {
-        // Resolve symlinks for global npm installs
-        try {
-          const realPath = fs.realpathSync(testPath);
-          const kind = detectClaudeTargetKind(realPath);
-          if (kind === 'unknown') return null;
-          return { path: realPath, kind, method };
-        } catch (e) {
-          const kind = detectClaudeTargetKind(testPath);
-          if (kind === 'unknown') return null;
-          return { path: testPath, kind, method };
-        }
-      }
-    } catch (error) {
-      // Path check failed, continue
-    }
-    return null;
-  }
-
-  // PRIORITY 1: Local installations (existing behavior - user overrides)
-  const localPaths = [
-    path.join(homeDir, '.claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js'),
-    path.join(homeDir, '.claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'bin', 'claude.exe'),
-    path.join(homeDir, '.config', 'claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js'),
-    path.join(homeDir, '.config', 'claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'bin', 'claude.exe'),
-  ];
-
-  for (const localPath of localPaths) {
-    const found = checkPath(localPath, 'local installation');
-    if (found && (found.kind === 'js' || found.kind === 'native-binary')) return found;
-  }
-
-  // PRIORITY 2: Global npm installation via 'npm root -g'
-  const npmGlobalRoot = safeExec('npm root -g');
-  if (npmGlobalRoot) {
-    const npmGlobalPaths = [
-      path.join(npmGlobalRoot, '@anthropic-ai', 'claude-code', 'cli.js'),
-      path.join(npmGlobalRoot, '@anthropic-ai', 'claude-code', 'bin', 'claude.exe'),
-    ];
-    for (const npmGlobalPath of npmGlobalPaths) {
-      const found = checkPath(npmGlobalPath, 'npm root -g');
-      if (found && (found.kind === 'js' || found.kind === 'native-binary')) return found;
-    }
-  }
-
-  // PRIORITY 3: Derive from process.execPath
-  // Global modules are typically in ../lib/node_modules relative to node binary
-  const nodeDir = path.dirname(process.execPath);
-  const derivedGlobalPaths = [
-    path.join(nodeDir, '..', 'lib', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js'),
-    path.join(nodeDir, '..', 'lib', 'node_modules', '@anthropic-ai', 'claude-code', 'bin', 'claude.exe'),
-  ];
-  for (const derivedGlobalPath of derivedGlobalPaths) {
-    const found = checkPath(derivedGlobalPath, 'derived from process.execPath');
-    if (found && (found.kind === 'js' || found.kind === 'native-binary')) return found;
-  }
-
-  // PRIORITY 4: Unix systems - try 'which claude' to find binary
-  if (process.platform !== 'win32') {
-    const claudeBinary = safeExec('which claude');
-    if (claudeBinary) {
-      try {
-        // Resolve symlinks
-        const realBinary = fs.realpathSync(claudeBinary);
-
-        // Some installs (e.g. nvs) symlink `claude` directly to `cli.js`.
-        // In that case, treat it as the target file instead of deriving a lib/ path.
-        if (realBinary.endsWith(path.join('@anthropic-ai', 'claude-code', 'cli.js'))) {
-          const foundDirect = checkPath(realBinary, 'which claude (direct cli.js)');
-          if (foundDirect && foundDirect.kind === 'js') return foundDirect;
-        }
-
-        // Otherwise, navigate from bin/claude to lib/node_modules/@anthropic-ai/claude-code/cli.js
-        const binDir = path.dirname(realBinary);
-        const nodeModulesPath = path.join(binDir, '..', 'lib', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js');
-        const foundFromBinary = checkPath(nodeModulesPath, 'which claude');
-        if (foundFromBinary && foundFromBinary.kind === 'js') return foundFromBinary;
-
-        // If we didn't find a JS install, the `claude` on PATH may itself be a native/binary install.
-        const nativeFromWhich = checkPath(realBinary, 'which claude (native)');
-        if (nativeFromWhich && nativeFromWhich.kind === 'native-binary') return nativeFromWhich;
-      } catch (e) {
-        // Failed to resolve, continue
-      }
-    }
-  }
-
-  // PRIORITY 5: Native/binary installation default paths (official installer)
-  for (const candidate of getNativeCandidatePaths(homeDir)) {
-    const native = checkPath(candidate, 'native/binary default paths');
-    if (native && native.kind === 'native-binary') return native;
-  }
-
-  // No installation found, return null and include attempted paths for error reporting
-  getClaudeCodeTarget.attemptedPaths = attemptedPaths;
-  return null;
-}
-
-function resolveTarget() {
-  const overridePath = fileArgPath || process.env.CLAUDE_CODE_CLI_PATH;
-  if (overridePath) {
-    const attemptedPaths = [];
-    getClaudeCodeTarget.attemptedPaths = attemptedPaths;
-
-    const resolved = path.resolve(overridePath);
-    attemptedPaths.push({
-      path: resolved,
-      method: fileArgPath ? '--file' : 'CLAUDE_CODE_CLI_PATH',
-    });
-
-    if (!fs.existsSync(resolved)) return null;
-    try {
-      const real = fs.realpathSync(resolved);
-      const kind = detectClaudeTargetKind(real);
-      if (kind === 'unknown') return null;
-      return { path: real, kind, method: fileArgPath ? '--file' : 'CLAUDE_CODE_CLI_PATH' };
-    } catch {
-      const kind = detectClaudeTargetKind(resolved);
-      if (kind === 'unknown') return null;
-      return { path: resolved, kind, method: fileArgPath ? '--file' : 'CLAUDE_CODE_CLI_PATH' };
-    }
-  }
-
-  return getClaudeCodeTarget();
-}
-
-const target = resolveTarget();
-const targetPath = target ? target.path : null;
-const isNativeBinary = target ? target.kind === 'native-binary' : false;
-
-function padRightSpaces(str, targetLen) {
-  if (str.length > targetLen) return null;
-  if (str.length === targetLen) return str;
-  return str + ' '.repeat(targetLen - str.length);
-}
-
-function replaceOnceExact(source, search, replacement, label) {
-  if (!isNativeBinary) return source.replace(search, replacement);
-
-  const srcBuf = Buffer.isBuffer(source) ? source : Buffer.from(source, 'utf8');
-  const searchBuf = Buffer.from(search, 'utf8');
-  const replacementBuf = Buffer.from(replacement, 'utf8');
-
-  if (replacementBuf.length > searchBuf.length) {
-    throw new Error(
-      `Native/binary install patch too large for in-place replacement (${label}): ` +
-        `replacement bytes ${replacementBuf.length} > search bytes ${searchBuf.length}`
-    );
-  }
-
-  const idx = srcBuf.indexOf(searchBuf);
-  if (idx < 0) return srcBuf;
-
-  const out = Buffer.from(srcBuf);
-  replacementBuf.copy(out, idx);
-  if (replacementBuf.length < searchBuf.length) {
-    out.fill(0x20, idx + replacementBuf.length, idx + searchBuf.length);
-  }
-  return out;
-}
-
-function replaceRegexPreserveLength(source, regex, replacer, label) {
-  if (!isNativeBinary) return source.replace(regex, replacer);
-  if (Buffer.isBuffer(source)) {
-    throw new Error(`Regex patches are not supported for native/binary installs (${label})`);
-  }
-  return source.replace(regex, (...args) => {
-    const match = args[0];
-    const replacement = typeof replacer === 'function' ? replacer(...args) : replacer;
-    if (typeof replacement !== 'string') {
-      throw new Error(`Unexpected non-string regex replacement for ${label}`);
-    }
-    const padded = padRightSpaces(replacement, match.length);
-    if (padded === null) {
-      throw new Error(
-        `Native/binary install patch too large for in-place regex replacement (${label}): ` +
-          `replacement length ${replacement.length} > match length ${match.length}`
-      );
-    }
-    return padded;
-  });
-}
-
-function replaceRegexPreserveLengthNativeString(source, regex, replacer, label) {
-  if (typeof source !== 'string') {
-    throw new Error(`Expected string for native regex replacement (${label})`);
-  }
-
-  let replacedCount = 0;
-  const out = source.replace(regex, (...args) => {
-    replacedCount += 1;
-    const match = args[0];
-    const replacement = typeof replacer === 'function' ? replacer(...args) : replacer;
-    if (typeof replacement !== 'string') {
-      throw new Error(`Unexpected non-string regex replacement for ${label}`);
-    }
-    const padded = padRightSpaces(replacement, match.length);
-    if (padded === null) {
-      throw new Error(
-        `Native/binary install patch too large for in-place regex replacement (${label}): ` +
-          `replacement length ${replacement.length} > match length ${match.length}`
-      );
-    }
-    return padded;
-  });
-
-  return { out, replacedCount };
-}
+const {
+  parseCommonArgs,
+  resolveClaudeTarget,
+  printTargetNotFound,
+  describeTargetKind,
+  EXIT_CODES,
+  createReporter,
+  writeTarget,
+  readVersionTag,
+  trackEdits,
+  replaceOnceExact,
+  applyJsRegexPatchRules,
+  regexMatchesWithin,
+  applyNativeRegexPatchRules,
+  DETECT_STATUS,
+  APPLY_STATUS,
+  definePatch,
+} = require('./lib/patch-engine');
+const { recordAppliedPatches, readTargetForPatching } = require('./lib/backup-store');
+const { restoreSinglePatch } = require('./lib/patch-registry');
+const { loadSigningSettings } = require('./lib/patch-profile');
+const { signPatchedTarget, printSigningResult } = require('./lib/code-signing');
+const { detectClaudeVersion } = require('./lib/version-detect');
+const { claimTargetOrExit } = require('./lib/target-lock');
+const { findSyntaxRegression, describeSyntaxRegression } = require('./lib/syntax-check');
+const { satisfies } = require('./lib/semver');
+const { locateCaseBranches } = require('./lib/js-locator');
 
 // Lightweight native/binary regex fallback (no extraction/repack):
 // - Decode the binary as latin1 (1 byte per code unit)
@@ -423,6 +54,11 @@ const nativeThinkingVisibilityRegex_memoizedWithVerbose =
 const nativeThinkingVisibilityRegex_memoizedWithVerboseNoHide =
   /(case"thinking":\{?)(if\([^)]*\)(?:return null;|\{return null\}))([\s\S]{0,1600}?(?:createElement|jsx|jsxs)\([$\w]+,\{addMargin:[$\w]+,param:[$\w]+,isTranscriptMode:)([^,}]+)(,verbose:)([^,}]+)/g;
 
+// The memoized call-site regexes scan up to 1600 characters ahead; keep their matches inside the
+// switch branch they start in, so they cannot reach into the next branch or unrelated code.
+const redactedThinkingBranches = text => locateCaseBranches(text, '"redacted_thinking"');
+const thinkingBranches = text => locateCaseBranches(text, '"thinking"');
+
 function detectNativeRegexPatches(sourceBuf) {
   const text = Buffer.isBuffer(sourceBuf) ? sourceBuf.toString('latin1') : String(sourceBuf);
   const steps = [];
@@ -440,8 +76,8 @@ function detectNativeRegexPatches(sourceBuf) {
 
   if (/case"thinking":/.test(text)) {
     if (
-      new RegExp(nativeThinkingVisibilityRegex_memoizedWithVerbose.source).test(text) ||
-      new RegExp(nativeThinkingVisibilityRegex_memoizedWithVerboseNoHide.source).test(text) ||
+      regexMatchesWithin(text, nativeThinkingVisibilityRegex_memoizedWithVerbose, thinkingBranches(text)) ||
+      regexMatchesWithin(text, nativeThinkingVisibilityRegex_memoizedWithVerboseNoHide, thinkingBranches(text)) ||
       new RegExp(nativeThinkingCallsiteRegex_newFormat.source).test(text) ||
       new RegExp(nativeThinkingCallsiteRegex_oldFormat.source).test(text)
     ) {
@@ -452,141 +88,85 @@ function detectNativeRegexPatches(sourceBuf) {
   return steps;
 }
 
-function applyNativeRegexPatches(sourceBuf) {
-  if (!Buffer.isBuffer(sourceBuf)) {
-    throw new Error('applyNativeRegexPatches expected a Buffer');
-  }
-
-  let text = sourceBuf.toString('latin1');
-  const steps = [];
-
+// Generic native fallback rules, for builds the version-scoped rules do not cover.
+const nativeRegexFallbackRules = [
   {
-    const { out, replacedCount } = replaceRegexPreserveLengthNativeString(
-      text,
-      nativeRedactedThinkingGateRegex_memoized,
-      (_m, casePrefix) => casePrefix,
-      'native redacted_thinking call site gate (regex)'
-    );
-    if (replacedCount > 0) {
-      text = out;
-      steps.push(`native redacted_thinking call site gate (regex) x${replacedCount}`);
-    }
-  }
-
-  {
-    const { out, replacedCount } = replaceRegexPreserveLengthNativeString(
-      text,
-      nativeRedactedThinkingCallsiteRegex_noBraces,
-      (_m, casePrefix, returnExpr) => `${casePrefix}${returnExpr}`,
-      'native redacted_thinking call site (regex, no braces)'
-    );
-    if (replacedCount > 0) {
-      text = out;
-      steps.push(`native redacted_thinking call site (regex) x${replacedCount}`);
-    }
-  }
-
+    regex: nativeRedactedThinkingGateRegex_memoized,
+    replacer: (_m, casePrefix) => casePrefix,
+    label: 'native redacted_thinking call site gate (regex)',
+    step: 'native redacted_thinking call site gate (regex)',
+  },
   {
-    const { out, replacedCount } = replaceRegexPreserveLengthNativeString(
-      text,
-      nativeRedactedThinkingCallsiteRegex_withBraces,
-      (_m, casePrefix, returnExpr) => `${casePrefix}{${returnExpr}}`,
-      'native redacted_thinking call site (regex, braces)'
-    );
-    if (replacedCount > 0) {
-      text = out;
-      steps.push(`native redacted_thinking call site (regex, braces) x${replacedCount}`);
-    }
-  }
-
+    regex: nativeRedactedThinkingCallsiteRegex_noBraces,
+    replacer: (_m, casePrefix, returnExpr) => `${casePrefix}${returnExpr}`,
+    label: 'native redacted_thinking call site (regex, no braces)',
+    step: 'native redacted_thinking call site (regex)',
+  },
   {
-    const { out, replacedCount } = replaceRegexPreserveLengthNativeString(
-      text,
-      nativeThinkingVisibilityRegex_memoizedWithVerbose,
-      (
-        _m,
-        casePrefix,
-        _gate,
-        createPrefix,
-        _oldIsTranscriptMode,
-        verboseKey,
-        verboseVar,
-        hideKey,
-        _oldHideValue
-      ) => {
-        return `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}${hideKey}!1`;
-      },
-      'native thinking visibility (regex, memoized verbose)'
-    );
-    if (replacedCount > 0) {
-      text = out;
-      steps.push(`native thinking visibility (regex, memoized verbose) x${replacedCount}`);
-    }
-  }
-
+    regex: nativeRedactedThinkingCallsiteRegex_withBraces,
+    replacer: (_m, casePrefix, returnExpr) => `${casePrefix}{${returnExpr}}`,
+    label: 'native redacted_thinking call site (regex, braces)',
+    step: 'native redacted_thinking call site (regex, braces)',
+  },
   {
-    const { out, replacedCount } = replaceRegexPreserveLengthNativeString(
-      text,
-      nativeThinkingVisibilityRegex_memoizedWithVerboseNoHide,
-      (_m, casePrefix, _gate, createPrefix, _oldIsTranscriptMode, verboseKey, verboseVar) => {
-        return `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}`;
-      },
-      'native thinking visibility (regex, memoized verbose no hide)'
-    );
-    if (replacedCount > 0) {
-      text = out;
-      steps.push(`native thinking visibility (regex, memoized verbose no hide) x${replacedCount}`);
-    }
-  }
-
+    regex: nativeThinkingVisibilityRegex_memoizedWithVerbose,
+    replacer: (
+      _m,
+      casePrefix,
+      _gate,
+      createPrefix,
+      _oldIsTranscriptMode,
+      verboseKey,
+      verboseVar,
+      hideKey,
+      _oldHideValue
+    ) => {
+      return `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}${hideKey}!1`;
+    },
+    within: thinkingBranches,
+    label: 'native thinking visibility (regex, memoized verbose)',
+    step: 'native thinking visibility (regex, memoized verbose)',
+  },
   {
-    const { out, replacedCount } = replaceRegexPreserveLengthNativeString(
-      text,
-      nativeThinkingCallsiteRegex_newFormat,
-      (
-        _m,
-        casePrefix,
-        createPrefix,
-        _oldIsTranscriptMode,
-        verboseKey,
-        verboseVar,
-        hideKey,
-        _oldHideValue,
-        tail,
-        suffix
-      ) => {
-        return `${casePrefix}{return ${createPrefix}!0${verboseKey}${verboseVar}${hideKey}!1${tail}${suffix}`;
-      },
-      'native thinking call site (regex, new format)'
-    );
-    if (replacedCount > 0) {
-      text = out;
-      steps.push(`native thinking call site (regex, new format) x${replacedCount}`);
-    }
-  }
-
+    regex: nativeThinkingVisibilityRegex_memoizedWithVerboseNoHide,
+    replacer: (_m, casePrefix, _gate, createPrefix, _oldIsTranscriptMode, verboseKey, verboseVar) => {
+      return `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}`;
+    },
+    within: thinkingBranches,
+    label: 'native thinking visibility (regex, memoized verbose no hide)',
+    step: 'native thinking visibility (regex, memoized verbose no hide)',
+  },
+  {
+    regex: nativeThinkingCallsiteRegex_newFormat,
+    replacer: (
+      _m,
+      casePrefix,
+      createPrefix,
+      _oldIsTranscriptMode,
+      verboseKey,
+      verboseVar,
+      hideKey,
+      _oldHideValue,
+      tail,
+      suffix
+    ) => {
+      return `${casePrefix}{return ${createPrefix}!0${verboseKey}${verboseVar}${hideKey}!1${tail}${suffix}`;
+    },
+    label: 'native thinking call site (regex, new format)',
+    step: 'native thinking call site (regex, new format)',
+  },
   {
-    const { out, replacedCount } = replaceRegexPreserveLengthNativeString(
-      text,
-      nativeThinkingCallsiteRegex_oldFormat,
-      (_m, casePrefix, createPrefix, _oldIsTranscriptMode, verboseKey, verboseVar, suffix) => {
-        return `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}${suffix}`;
-      },
-      'native thinking call site (regex, old format)'
-    );
-    if (replacedCount > 0) {
-      text = out;
-      steps.push(`native thinking call site (regex, old format) x${replacedCount}`);
-    }
-  }
+    regex: nativeThinkingCallsiteRegex_oldFormat,
+    replacer: (_m, casePrefix, createPrefix, _oldIsTranscriptMode, verboseKey, verboseVar, suffix) => {
+      return `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}${suffix}`;
+    },
+    label: 'native thinking call site (regex, old format)',
+    step: 'native thinking call site (regex, old format)',
+  },
+];
 
-  const outBuf = Buffer.from(text, 'latin1');
-  if (outBuf.length !== sourceBuf.length) {
-    throw new Error(
-      `Refusing to patch native/binary: size changed (${sourceBuf.length} -> ${outBuf.length}).`
-    );
-  }
-  return { out: outBuf, steps };
+function applyNativeRegexPatches(sourceBuf) {
+  return applyNativeRegexPatchRules(sourceBuf, 'applyNativeRegexPatches', nativeRegexFallbackRules);
 }
 
 function detectNativeAlreadyPatched(sourceBuf) {
@@ -630,70 +210,6 @@ function detectJsAlreadyPatched(sourceText) {
   return hasPatchedThinking || hasPatchedThinkingNoHide || hasUnGatedRedacted;
 }
 
-if (!targetPath) {
-  console.error('❌ Error: Could not find Claude Code installation\n');
-  console.error('Searched using the following methods:\n');
-
-  const attemptedPaths = getClaudeCodeTarget.attemptedPaths || [];
-
-  if (attemptedPaths.length > 0) {
-    // Group by method for cleaner output
-    const byMethod = {};
-    attemptedPaths.forEach(({ path, method }) => {
-      if (!byMethod[method]) byMethod[method] = [];
-      byMethod[method].push(path);
-    });
-
-    Object.entries(byMethod).forEach(([method, paths]) => {
-      console.error(`  [${method}]`);
-      paths.forEach(p => console.error(`    - ${p}`));
-    });
-  } else {
-    console.error('  - ~/.claude/local/node_modules/@anthropic-ai/claude-code/cli.js');
-    console.error('  - ~/.config/claude/local/node_modules/@anthropic-ai/claude-code/cli.js');
-    console.error('  - Global npm installation (npm root -g)');
-    console.error('  - Native/binary installation (~/.local/bin/claude, ~/.local/share/claude/versions/*)');
-  }
-
-  console.error('\n💡 Troubleshooting:');
-  console.error('  1. Verify Claude Code is installed: claude --version');
-  console.error('  2. For local install: Check ~/.claude/local or ~/.config/claude/local');
-  console.error('  3. For global install: Ensure "npm install -g @anthropic-ai/claude-code" succeeded');
-  console.error('  4. Check that npm is in your PATH if using global install');
-  console.error('  5. For native/binary install: Check ~/.local/bin/claude and ~/.local/share/claude/versions');
-  process.exit(1);
-}
-
-console.log(`Found Claude Code at: ${targetPath}`);
-console.log(`Installation type: ${isNativeBinary ? 'native/binary' : 'npm/local (cli.js)'}\n`);
-
-const backupPath = targetPath + '.backup';
-
-// Restore from backup
-if (isRestore) {
-  if (!fs.existsSync(backupPath)) {
-    console.error('❌ Error: Backup file not found at:', backupPath);
-    process.exit(1);
-  }
-
-  console.log('Restoring from backup...');
-  fs.copyFileSync(backupPath, targetPath);
-  console.log('✅ Restored successfully!');
-  console.log('\nPlease restart Claude Code for changes to take effect.');
-  process.exit(0);
-}
-
-// Read file
-console.log(`Reading ${isNativeBinary ? 'claude binary' : 'cli.js'}...`);
-if (!fs.existsSync(targetPath)) {
-  console.error(`❌ Error: target not found at: ${targetPath}`);
-  process.exit(1);
-}
-
-const fileEncoding = 'utf8';
-let content = isNativeBinary ? fs.readFileSync(targetPath) : fs.readFileSync(targetPath, fileEncoding);
-const originalContentLength = content.length;
-
 // Patch patterns by Claude Code version.
 // We keep exact-string matching because cli.js is heavily minified and patterns are version-specific.
 
@@ -1100,2849 +616,289 @@ const applyRegexPatches_v21114 = source =>
       label: 'v2.1.14 redacted_thinking call site (regex)',
       step: 'v2.1.14 redacted_thinking call site (regex)',
     },
-    {
-      regex: thinkingCallsiteRegex_v21114,
-      replacer: thinkingCallsiteReplacer_v21114,
-      label: 'v2.1.14 thinking call site (regex)',
-      step: 'v2.1.14 thinking call site (regex)',
-    },
-  ]);
-
-const thinkingCallsiteArgsVisibilityReplacer =
-  (_m, casePrefix, _oldIsTranscriptMode, verboseKey, verboseVar, hideKey, _oldHideVar, suffix) =>
-    `${casePrefix}!0${verboseKey}${verboseVar}${hideKey}!1${suffix}`;
-
-function buildCallsiteGateAndArgsRegexPatch(version, redactedGateRegex, thinkingGateRegex, thinkingArgsRegex) {
-  const versionLabel = `v${version}`;
-  const addOpeningBraceReplacer = (_m, casePrefix) => `${casePrefix}{`;
-
-  return source =>
-    applyJsRegexPatchRules(source, [
-      {
-        regex: redactedGateRegex,
-        replacer: addOpeningBraceReplacer,
-        label: `${versionLabel} redacted_thinking call site gate (regex)`,
-        step: `${versionLabel} redacted_thinking call site gate (regex)`,
-      },
-      {
-        regex: thinkingGateRegex,
-        replacer: addOpeningBraceReplacer,
-        label: `${versionLabel} thinking call site gate (regex)`,
-        step: `${versionLabel} thinking call site gate (regex)`,
-      },
-      {
-        regex: thinkingArgsRegex,
-        replacer: thinkingCallsiteArgsVisibilityReplacer,
-        label: `${versionLabel} thinking call site args (regex)`,
-        step: `${versionLabel} thinking call site args (regex)`,
-      },
-    ]);
-}
-
-const applyRegexPatches_v21115 = buildCallsiteGateAndArgsRegexPatch(
-  '2.1.15',
-  redactedThinkingCallsiteGateRegex_v21115,
-  thinkingCallsiteGateRegex_v21115,
-  thinkingCallsiteArgsRegex_v21115
-);
-
-const applyRegexPatches_v21117 = buildCallsiteGateAndArgsRegexPatch(
-  '2.1.17',
-  redactedThinkingCallsiteGateRegex_v21117,
-  thinkingCallsiteGateRegex_v21117,
-  thinkingCallsiteArgsRegex_v21117
-);
-
-const applyRegexPatches_v21119 = buildCallsiteGateAndArgsRegexPatch(
-  '2.1.19',
-  redactedThinkingCallsiteGateRegex_v21119,
-  thinkingCallsiteGateRegex_v21119,
-  thinkingCallsiteArgsRegex_v21119
-);
-
-// Patch 2r: Force thinking visibility (v2.1.20).
-// In 2.1.20 (npm build), the call-site shape matches v2.1.19:
-// - if(!isTranscriptMode && !verbose && !T) return null
-// Patching only the call sites is sufficient:
-// - remove the short-circuit gate (so thinking isn't dropped)
-// - force isTranscriptMode=true (so renderer takes expanded branch)
-// - force hideInTranscript=false (so transcript-mode hiding can't suppress it)
-const redactedThinkingCallsiteSearchPattern_v21120 =
-  'case"redacted_thinking":{if(!D&&!H&&!T)return null;let k;if(K[21]!==Y)k=H9.createElement(i6K,{addMargin:Y}),K[21]=Y,K[22]=k;else k=K[22];return k}';
-const redactedThinkingCallsiteReplacement_v21120 =
-  'case"redacted_thinking":{let k;if(K[21]!==Y)k=H9.createElement(i6K,{addMargin:Y}),K[21]=Y,K[22]=k;else k=K[22];return k}';
-const thinkingCallsiteSearchPattern_v21120 =
-  'case"thinking":{if(!D&&!H&&!T)return null;let R=D&&!(!V||P===V)&&!T,b;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)b=H9.createElement(Ej1,{addMargin:Y,param:q,isTranscriptMode:D,verbose:H,hideInTranscript:R}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=b;else b=K[28];return b}';
-const thinkingCallsiteReplacement_v21120 =
-  'case"thinking":{let R=D&&!(!V||P===V)&&!T,b;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)b=H9.createElement(Ej1,{addMargin:Y,param:q,isTranscriptMode:!0,verbose:H,hideInTranscript:!1}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=b;else b=K[28];return b}';
-
-// Patch 2s: Force thinking visibility (v2.1.22).
-// 2.1.22 matches the same overall call-site structure as 2.1.20, but identifiers changed:
-// - createElement callee + renderer component differ
-// We still patch only the call sites:
-// - remove the short-circuit gate
-// - force isTranscriptMode=true
-// - force hideInTranscript=false
-const redactedThinkingCallsiteSearchPattern_v21122 =
-  'case"redacted_thinking":{if(!D&&!H&&!T)return null;let E;if(K[21]!==Y)E=Y9.createElement(c8K,{addMargin:Y}),K[21]=Y,K[22]=E;else E=K[22];return E}';
-const redactedThinkingCallsiteReplacement_v21122 =
-  'case"redacted_thinking":{let E;if(K[21]!==Y)E=Y9.createElement(c8K,{addMargin:Y}),K[21]=Y,K[22]=E;else E=K[22];return E}';
-const thinkingCallsiteSearchPattern_v21122 =
-  'case"thinking":{if(!D&&!H&&!T)return null;let R=D&&!(!V||P===V)&&!T,b;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)b=Y9.createElement(iM1,{addMargin:Y,param:q,isTranscriptMode:D,verbose:H,hideInTranscript:R}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=b;else b=K[28];return b}';
-const thinkingCallsiteReplacement_v21122 =
-  'case"thinking":{let R=D&&!(!V||P===V)&&!T,b;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)b=Y9.createElement(iM1,{addMargin:Y,param:q,isTranscriptMode:!0,verbose:H,hideInTranscript:!1}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=b;else b=K[28];return b}';
-
-// Patch 2t: Force thinking visibility (v2.1.23).
-// 2.1.23 matches the same overall call-site structure as 2.1.22, but identifiers changed:
-// - createElement namespace: `z9`
-// - redacted_thinking renderer: `q7K`
-// - thinking renderer: `NP1`
-// We patch only the call sites:
-// - remove the short-circuit gate
-// - force isTranscriptMode=true
-// - force hideInTranscript=false
-const redactedThinkingCallsiteSearchPattern_v21123 =
-  'case"redacted_thinking":{if(!D&&!H&&!T)return null;let C;if(K[21]!==Y)C=z9.createElement(q7K,{addMargin:Y}),K[21]=Y,K[22]=C;else C=K[22];return C}';
-const redactedThinkingCallsiteReplacement_v21123 =
-  'case"redacted_thinking":{let C;if(K[21]!==Y)C=z9.createElement(q7K,{addMargin:Y}),K[21]=Y,K[22]=C;else C=K[22];return C}';
-const thinkingCallsiteSearchPattern_v21123 =
-  'case"thinking":{if(!D&&!H&&!T)return null;let R=D&&!(!f||P===f)&&!T,x;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)x=z9.createElement(NP1,{addMargin:Y,param:q,isTranscriptMode:D,verbose:H,hideInTranscript:R}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=x;else x=K[28];return x}';
-const thinkingCallsiteReplacement_v21123 =
-  'case"thinking":{let R=D&&!(!f||P===f)&&!T,x;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)x=z9.createElement(NP1,{addMargin:Y,param:q,isTranscriptMode:!0,verbose:H,hideInTranscript:!1}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=x;else x=K[28];return x}';
-
-// Regex-based fallback for v2.1.20 (inspired by tweakcc's thinkingVisibility.ts).
-// NOTE: The caller gates this on `content.includes('VERSION:"2.1.20"')`.
-// We keep the regex itself relatively general to handle minor minifier diffs.
-const redactedThinkingCallsiteGateRegex_v21120 = /(case"redacted_thinking":\{?)(if\([^)]*\)(?:return null;|\{return null\}))/;
-
-// Unified pattern (tweakcc-style) that:
-// - removes the early-return gate `if(...)return null;`
-// - forces `isTranscriptMode:!0`
-// - forces `hideInTranscript:!1` (needed in 2.1.20 to prevent transcript hiding)
-const thinkingVisibilityRegex_v21120 =
-  /(case"thinking":\{?)(if\([^)]*\)return null;)([\s\S]{0,1200}?createElement\([$\w]+,\{addMargin:[$\w]+,param:[$\w]+,isTranscriptMode:)([^,}]+)(,verbose:)([^,}]+)(,hideInTranscript:)([^,}]+)(\}\))/;
-
-// Regex-based fallback for v2.1.22/v2.1.23/v2.1.27 share 2.1.20 structure.
-const redactedThinkingCallsiteGateRegex_v21122 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v21122 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v21123 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v21123 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v21127 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v21127 = thinkingVisibilityRegex_v21120;
-
-// In v2.1.30+, thinking call site no longer passes `verbose:` at this point.
-const redactedThinkingCallsiteGateRegex_v2130 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2130 =
-  /(case"thinking":\{?)(if\([^)]*\)return null;)([\s\S]{0,1400}?createElement\([$\w]+,\{addMargin:[$\w]+,param:[$\w]+,isTranscriptMode:)([^,}]+)(,hideInTranscript:)([^,}]+)(\}\))/;
-const redactedThinkingCallsiteGateRegex_v2131 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2131 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2132 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2132 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2133 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2133 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2134 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2134 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2136 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2136 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2137 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2137 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2138 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2138 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2139 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2139 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2140 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2140 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2141 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2141 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2142 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2142 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2144 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2144 = thinkingVisibilityRegex_v2130;
-const redactedThinkingCallsiteGateRegex_v2145 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2145 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2147 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2147 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2148 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2148 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2149 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2149 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2150 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2150 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2151 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2151 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2152 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2152 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2153 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2153 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2154 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2154 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2155 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2155 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2156 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2156 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2157 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2157 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2158 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2158 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2159 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2159 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2160 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2160 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2161 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2161 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2162 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2162 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2163 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2163 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2164 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2164 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2165 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2165 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2166 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2166 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2167 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2167 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2168 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2168 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2169 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2169 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2170 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2170 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2171 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2171 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2172 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2172 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2173 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2173 = thinkingVisibilityRegex_v21120;
-const redactedThinkingCallsiteGateRegex_v2174 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2174 = thinkingVisibilityRegex_v21120;
-// v2.1.75 keeps the same memoized call-site structure as v2.1.74.
-const redactedThinkingCallsiteGateRegex_v2175 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2175 = thinkingVisibilityRegex_v21120;
-// v2.1.76 still uses the same tweakcc-style unified call-site structure.
-const redactedThinkingCallsiteGateRegex_v2176 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2176 = thinkingVisibilityRegex_v21120;
-// v2.1.77 / v2.1.78 keep the same gate semantics, but the createElement call sits
-// inside a memo-cache branch, so the regex must not assume the call ends right after
-// hideInTranscript.
-const redactedThinkingCallsiteGateRegex_v2177 = redactedThinkingCallsiteGateRegex_v21120;
-const thinkingVisibilityRegex_v2177 =
-  /(case"thinking":\{?)(if\([^)]*\)return null;)([\s\S]{0,1600}?createElement\([$\w]+,\{addMargin:[$\w]+,param:[$\w]+,isTranscriptMode:)([^,}]+)(,verbose:)([^,}]+)(,hideInTranscript:)([^,}]+)/;
-const redactedThinkingCallsiteGateRegex_v2178 = redactedThinkingCallsiteGateRegex_v2177;
-const thinkingVisibilityRegex_v2178 = thinkingVisibilityRegex_v2177;
-const redactedThinkingCallsiteGateRegex_v2179 = redactedThinkingCallsiteGateRegex_v2177;
-const thinkingVisibilityRegex_v2179 = thinkingVisibilityRegex_v2177;
-const redactedThinkingCallsiteGateRegex_v2180 = redactedThinkingCallsiteGateRegex_v2177;
-const thinkingVisibilityRegex_v2180 = thinkingVisibilityRegex_v2177;
-// v2.1.81 keeps the same memoized call-site structure as v2.1.77 to v2.1.80.
-const redactedThinkingCallsiteGateRegex_v2181 = redactedThinkingCallsiteGateRegex_v2180;
-const thinkingVisibilityRegex_v2181 = thinkingVisibilityRegex_v2180;
-// v2.1.83 to v2.1.91 keep the same memoized call-site structure as v2.1.77 to v2.1.81.
-const redactedThinkingCallsiteGateRegex_v2183 = redactedThinkingCallsiteGateRegex_v2181;
-const thinkingVisibilityRegex_v2183 = thinkingVisibilityRegex_v2181;
-const redactedThinkingCallsiteGateRegex_v2184 = redactedThinkingCallsiteGateRegex_v2183;
-const thinkingVisibilityRegex_v2184 = thinkingVisibilityRegex_v2183;
-const redactedThinkingCallsiteGateRegex_v2185 = redactedThinkingCallsiteGateRegex_v2184;
-const thinkingVisibilityRegex_v2185 = thinkingVisibilityRegex_v2184;
-const redactedThinkingCallsiteGateRegex_v2186 = redactedThinkingCallsiteGateRegex_v2185;
-const thinkingVisibilityRegex_v2186 = thinkingVisibilityRegex_v2185;
-const redactedThinkingCallsiteGateRegex_v2187 = redactedThinkingCallsiteGateRegex_v2186;
-const thinkingVisibilityRegex_v2187 = thinkingVisibilityRegex_v2186;
-const redactedThinkingCallsiteGateRegex_v2188 = redactedThinkingCallsiteGateRegex_v2187;
-const thinkingVisibilityRegex_v2188 = thinkingVisibilityRegex_v2187;
-const redactedThinkingCallsiteGateRegex_v2189 = redactedThinkingCallsiteGateRegex_v2188;
-const thinkingVisibilityRegex_v2189 = thinkingVisibilityRegex_v2188;
-const redactedThinkingCallsiteGateRegex_v2190 = redactedThinkingCallsiteGateRegex_v2189;
-const thinkingVisibilityRegex_v2190 = thinkingVisibilityRegex_v2189;
-const redactedThinkingCallsiteGateRegex_v2191 = redactedThinkingCallsiteGateRegex_v2190;
-const thinkingVisibilityRegex_v2191 = thinkingVisibilityRegex_v2190;
-// 2.1.92 / 2.1.94 / 2.1.96 / 2.1.97 / 2.1.98 / 2.1.101-2.1.158 plus 2.1.160-2.1.165 keep the same
-// memoized thinking call-site shape as 2.1.91.
-const redactedThinkingCallsiteGateRegex_v2192 = redactedThinkingCallsiteGateRegex_v2191;
-const thinkingVisibilityRegex_v2192 = thinkingVisibilityRegex_v2191;
-const redactedThinkingCallsiteGateRegex_v2194 = redactedThinkingCallsiteGateRegex_v2192;
-const thinkingVisibilityRegex_v2194 = thinkingVisibilityRegex_v2192;
-const redactedThinkingCallsiteGateRegex_v2196 = redactedThinkingCallsiteGateRegex_v2194;
-const thinkingVisibilityRegex_v2196 = thinkingVisibilityRegex_v2194;
-const redactedThinkingCallsiteGateRegex_v2197 = redactedThinkingCallsiteGateRegex_v2196;
-const thinkingVisibilityRegex_v2197 = thinkingVisibilityRegex_v2196;
-const redactedThinkingCallsiteGateRegex_v2198 = redactedThinkingCallsiteGateRegex_v2197;
-const thinkingVisibilityRegex_v2198 = thinkingVisibilityRegex_v2197;
-const redactedThinkingCallsiteGateRegex_v21101 = redactedThinkingCallsiteGateRegex_v2198;
-const thinkingVisibilityRegex_v21101 = thinkingVisibilityRegex_v2198;
-const redactedThinkingCallsiteGateRegex_v21102 = redactedThinkingCallsiteGateRegex_v21101;
-const thinkingVisibilityRegex_v21102 = thinkingVisibilityRegex_v21101;
-const redactedThinkingCallsiteGateRegex_v21103 = redactedThinkingCallsiteGateRegex_v21102;
-const thinkingVisibilityRegex_v21103 = thinkingVisibilityRegex_v21102;
-const redactedThinkingCallsiteGateRegex_v21104 = redactedThinkingCallsiteGateRegex_v21103;
-const thinkingVisibilityRegex_v21104 = thinkingVisibilityRegex_v21103;
-const redactedThinkingCallsiteGateRegex_v21105 = redactedThinkingCallsiteGateRegex_v21104;
-const thinkingVisibilityRegex_v21105 = thinkingVisibilityRegex_v21104;
-const redactedThinkingCallsiteGateRegex_v21106 = redactedThinkingCallsiteGateRegex_v21105;
-const thinkingVisibilityRegex_v21106 = thinkingVisibilityRegex_v21105;
-const redactedThinkingCallsiteGateRegex_v21107 = redactedThinkingCallsiteGateRegex_v21106;
-const thinkingVisibilityRegex_v21107 = thinkingVisibilityRegex_v21106;
-const redactedThinkingCallsiteGateRegex_v21108 = redactedThinkingCallsiteGateRegex_v21107;
-const thinkingVisibilityRegex_v21108 = thinkingVisibilityRegex_v21107;
-const redactedThinkingCallsiteGateRegex_v21109 = redactedThinkingCallsiteGateRegex_v21108;
-const thinkingVisibilityRegex_v21109 = thinkingVisibilityRegex_v21108;
-const redactedThinkingCallsiteGateRegex_v21110 = redactedThinkingCallsiteGateRegex_v21109;
-const thinkingVisibilityRegex_v21110 = thinkingVisibilityRegex_v21109;
-const redactedThinkingCallsiteGateRegex_v21111 = redactedThinkingCallsiteGateRegex_v21110;
-const thinkingVisibilityRegex_v21111 = thinkingVisibilityRegex_v21110;
-const redactedThinkingCallsiteGateRegex_v21112 = redactedThinkingCallsiteGateRegex_v21111;
-const thinkingVisibilityRegex_v21112 = thinkingVisibilityRegex_v21111;
-const redactedThinkingCallsiteGateRegex_v21113 = redactedThinkingCallsiteGateRegex_v21112;
-const thinkingVisibilityRegex_v21113 = thinkingVisibilityRegex_v21112;
-const redactedThinkingCallsiteGateRegex_v21114new = redactedThinkingCallsiteGateRegex_v21113;
-const thinkingVisibilityRegex_v21114new = thinkingVisibilityRegex_v21113;
-const redactedThinkingCallsiteGateRegex_v21116 = redactedThinkingCallsiteGateRegex_v21114new;
-const thinkingVisibilityRegex_v21116 = thinkingVisibilityRegex_v21114new;
-const redactedThinkingCallsiteGateRegex_v21117new = redactedThinkingCallsiteGateRegex_v21116;
-const thinkingVisibilityRegex_v21117new = thinkingVisibilityRegex_v21116;
-const redactedThinkingCallsiteGateRegex_v21118 = redactedThinkingCallsiteGateRegex_v21117new;
-const thinkingVisibilityRegex_v21118 = thinkingVisibilityRegex_v21117new;
-const redactedThinkingCallsiteGateRegex_v21119new = redactedThinkingCallsiteGateRegex_v21118;
-const thinkingVisibilityRegex_v21119new = thinkingVisibilityRegex_v21118;
-const redactedThinkingCallsiteGateRegex_v21120new = redactedThinkingCallsiteGateRegex_v21119new;
-const thinkingVisibilityRegex_v21120new = thinkingVisibilityRegex_v21119new;
-const redactedThinkingCallsiteGateRegex_v21121new = redactedThinkingCallsiteGateRegex_v21120new;
-const thinkingVisibilityRegex_v21121new = thinkingVisibilityRegex_v21120new;
-const redactedThinkingCallsiteGateRegex_v21122new = redactedThinkingCallsiteGateRegex_v21121new;
-const thinkingVisibilityRegex_v21122new = thinkingVisibilityRegex_v21121new;
-const redactedThinkingCallsiteGateRegex_v21123new = redactedThinkingCallsiteGateRegex_v21122new;
-const thinkingVisibilityRegex_v21123new = thinkingVisibilityRegex_v21122new;
-const redactedThinkingCallsiteGateRegex_v21126new = redactedThinkingCallsiteGateRegex_v21123new;
-const thinkingVisibilityRegex_v21126new = thinkingVisibilityRegex_v21123new;
-const redactedThinkingCallsiteGateRegex_v21128new = redactedThinkingCallsiteGateRegex_v21126new;
-const thinkingVisibilityRegex_v21128new = thinkingVisibilityRegex_v21126new;
-const redactedThinkingCallsiteGateRegex_v21129new = redactedThinkingCallsiteGateRegex_v21128new;
-const thinkingVisibilityRegex_v21129new = thinkingVisibilityRegex_v21128new;
-const redactedThinkingCallsiteGateRegex_v21130new = redactedThinkingCallsiteGateRegex_v21129new;
-const thinkingVisibilityRegex_v21130new = thinkingVisibilityRegex_v21129new;
-const redactedThinkingCallsiteGateRegex_v21131new = redactedThinkingCallsiteGateRegex_v21130new;
-const thinkingVisibilityRegex_v21131new = thinkingVisibilityRegex_v21130new;
-const redactedThinkingCallsiteGateRegex_v21132new = redactedThinkingCallsiteGateRegex_v21131new;
-const thinkingVisibilityRegex_v21132new = thinkingVisibilityRegex_v21131new;
-const redactedThinkingCallsiteGateRegex_v21133new = redactedThinkingCallsiteGateRegex_v21132new;
-const thinkingVisibilityRegex_v21133new = thinkingVisibilityRegex_v21132new;
-const redactedThinkingCallsiteGateRegex_v21136new = redactedThinkingCallsiteGateRegex_v21133new;
-const thinkingVisibilityRegex_v21136new = thinkingVisibilityRegex_v21133new;
-const redactedThinkingCallsiteGateRegex_v21137new = redactedThinkingCallsiteGateRegex_v21136new;
-const thinkingVisibilityRegex_v21137new = thinkingVisibilityRegex_v21136new;
-const redactedThinkingCallsiteGateRegex_v21138new = redactedThinkingCallsiteGateRegex_v21137new;
-const thinkingVisibilityRegex_v21138new = thinkingVisibilityRegex_v21137new;
-const redactedThinkingCallsiteGateRegex_v21139new = redactedThinkingCallsiteGateRegex_v21138new;
-const thinkingVisibilityRegex_v21139new = thinkingVisibilityRegex_v21138new;
-const redactedThinkingCallsiteGateRegex_v21140new = redactedThinkingCallsiteGateRegex_v21139new;
-const thinkingVisibilityRegex_v21140new = thinkingVisibilityRegex_v21139new;
-const redactedThinkingCallsiteGateRegex_v21141new = redactedThinkingCallsiteGateRegex_v21140new;
-const thinkingVisibilityRegex_v21141new = thinkingVisibilityRegex_v21140new;
-const redactedThinkingCallsiteGateRegex_v21142new = redactedThinkingCallsiteGateRegex_v21141new;
-const thinkingVisibilityRegex_v21142new = thinkingVisibilityRegex_v21141new;
-const redactedThinkingCallsiteGateRegex_v21143new = redactedThinkingCallsiteGateRegex_v21142new;
-const thinkingVisibilityRegex_v21143new = thinkingVisibilityRegex_v21142new;
-const redactedThinkingCallsiteGateRegex_v21144new = redactedThinkingCallsiteGateRegex_v21143new;
-const thinkingVisibilityRegex_v21144new = thinkingVisibilityRegex_v21143new;
-const redactedThinkingCallsiteGateRegex_v21145new = redactedThinkingCallsiteGateRegex_v21144new;
-const thinkingVisibilityRegex_v21145new = thinkingVisibilityRegex_v21144new;
-const redactedThinkingCallsiteGateRegex_v21146new = redactedThinkingCallsiteGateRegex_v21145new;
-const thinkingVisibilityRegex_v21146new = thinkingVisibilityRegex_v21145new;
-const redactedThinkingCallsiteGateRegex_v21147new = redactedThinkingCallsiteGateRegex_v21146new;
-const thinkingVisibilityRegex_v21147new = thinkingVisibilityRegex_v21146new;
-const redactedThinkingCallsiteGateRegex_v21148new = redactedThinkingCallsiteGateRegex_v21147new;
-const thinkingVisibilityRegex_v21148new = thinkingVisibilityRegex_v21147new;
-const redactedThinkingCallsiteGateRegex_v21149new = redactedThinkingCallsiteGateRegex_v21148new;
-const thinkingVisibilityRegex_v21149new = thinkingVisibilityRegex_v21148new;
-const redactedThinkingCallsiteGateRegex_v21150new = redactedThinkingCallsiteGateRegex_v21149new;
-const thinkingVisibilityRegex_v21150new = thinkingVisibilityRegex_v21149new;
-const redactedThinkingCallsiteGateRegex_v21152new = redactedThinkingCallsiteGateRegex_v21150new;
-const thinkingVisibilityRegex_v21152new = thinkingVisibilityRegex_v21150new;
-const redactedThinkingCallsiteGateRegex_v21153new = redactedThinkingCallsiteGateRegex_v21152new;
-const thinkingVisibilityRegex_v21153new = thinkingVisibilityRegex_v21152new;
-const redactedThinkingCallsiteGateRegex_v21154new = redactedThinkingCallsiteGateRegex_v21153new;
-const thinkingVisibilityRegex_v21154new = thinkingVisibilityRegex_v21153new;
-const redactedThinkingCallsiteGateRegex_v21155new = redactedThinkingCallsiteGateRegex_v21154new;
-const thinkingVisibilityRegex_v21155new = thinkingVisibilityRegex_v21154new;
-const redactedThinkingCallsiteGateRegex_v21156new = redactedThinkingCallsiteGateRegex_v21155new;
-const thinkingVisibilityRegex_v21156new = thinkingVisibilityRegex_v21155new;
-const redactedThinkingCallsiteGateRegex_v21157new = redactedThinkingCallsiteGateRegex_v21156new;
-const thinkingVisibilityRegex_v21157new = thinkingVisibilityRegex_v21156new;
-const redactedThinkingCallsiteGateRegex_v21158new = redactedThinkingCallsiteGateRegex_v21157new;
-const thinkingVisibilityRegex_v21158new = thinkingVisibilityRegex_v21157new;
-const redactedThinkingCallsiteGateRegex_v21160new = redactedThinkingCallsiteGateRegex_v21158new;
-const thinkingVisibilityRegex_v21160new = thinkingVisibilityRegex_v21158new;
-const redactedThinkingCallsiteGateRegex_v21161new = redactedThinkingCallsiteGateRegex_v21160new;
-const thinkingVisibilityRegex_v21161new = thinkingVisibilityRegex_v21160new;
-const redactedThinkingCallsiteGateRegex_v21162new = redactedThinkingCallsiteGateRegex_v21161new;
-const thinkingVisibilityRegex_v21162new = thinkingVisibilityRegex_v21161new;
-const redactedThinkingCallsiteGateRegex_v21163new = redactedThinkingCallsiteGateRegex_v21162new;
-const thinkingVisibilityRegex_v21163new = thinkingVisibilityRegex_v21162new;
-const redactedThinkingCallsiteGateRegex_v21165new = redactedThinkingCallsiteGateRegex_v21163new;
-const thinkingVisibilityRegex_v21165new = thinkingVisibilityRegex_v21163new;
-// 2.1.166 and later published versions through 2.1.204 removed the hideInTranscript prop
-// from the memoized thinking call site.
-const redactedThinkingCallsiteGateRegex_v21166new = redactedThinkingCallsiteGateRegex_v21165new;
-const thinkingVisibilityRegex_v21166new =
-  /(case"thinking":\{?)(if\([^)]*\)(?:return null;|\{return null\}))([\s\S]{0,1600}?(?:createElement|jsx|jsxs)\([$\w]+,\{addMargin:[$\w]+,param:[$\w]+,isTranscriptMode:)([^,}]+)(,verbose:)([^,}]+)/;
-const redactedThinkingCallsiteGateRegex_v21167new = redactedThinkingCallsiteGateRegex_v21166new;
-const thinkingVisibilityRegex_v21167new = thinkingVisibilityRegex_v21166new;
-const redactedThinkingCallsiteGateRegex_v21168new = redactedThinkingCallsiteGateRegex_v21167new;
-const thinkingVisibilityRegex_v21168new = thinkingVisibilityRegex_v21167new;
-const redactedThinkingCallsiteGateRegex_v21169new = redactedThinkingCallsiteGateRegex_v21168new;
-const thinkingVisibilityRegex_v21169new = thinkingVisibilityRegex_v21168new;
-const redactedThinkingCallsiteGateRegex_v21170new = redactedThinkingCallsiteGateRegex_v21169new;
-const thinkingVisibilityRegex_v21170new = thinkingVisibilityRegex_v21169new;
-const redactedThinkingCallsiteGateRegex_v21172new = redactedThinkingCallsiteGateRegex_v21170new;
-const thinkingVisibilityRegex_v21172new = thinkingVisibilityRegex_v21170new;
-const redactedThinkingCallsiteGateRegex_v21173new = redactedThinkingCallsiteGateRegex_v21172new;
-const thinkingVisibilityRegex_v21173new = thinkingVisibilityRegex_v21172new;
-const redactedThinkingCallsiteGateRegex_v21174new = redactedThinkingCallsiteGateRegex_v21173new;
-const thinkingVisibilityRegex_v21174new = thinkingVisibilityRegex_v21173new;
-const redactedThinkingCallsiteGateRegex_v21175new = redactedThinkingCallsiteGateRegex_v21174new;
-const thinkingVisibilityRegex_v21175new = thinkingVisibilityRegex_v21174new;
-const redactedThinkingCallsiteGateRegex_v21176new = redactedThinkingCallsiteGateRegex_v21175new;
-const thinkingVisibilityRegex_v21176new = thinkingVisibilityRegex_v21175new;
-const redactedThinkingCallsiteGateRegex_v21177new = redactedThinkingCallsiteGateRegex_v21176new;
-const thinkingVisibilityRegex_v21177new = thinkingVisibilityRegex_v21176new;
-const redactedThinkingCallsiteGateRegex_v21178new = redactedThinkingCallsiteGateRegex_v21177new;
-const thinkingVisibilityRegex_v21178new = thinkingVisibilityRegex_v21177new;
-const redactedThinkingCallsiteGateRegex_v21179new = redactedThinkingCallsiteGateRegex_v21178new;
-const thinkingVisibilityRegex_v21179new = thinkingVisibilityRegex_v21178new;
-const redactedThinkingCallsiteGateRegex_v21181new = redactedThinkingCallsiteGateRegex_v21179new;
-const thinkingVisibilityRegex_v21181new = thinkingVisibilityRegex_v21179new;
-const redactedThinkingCallsiteGateRegex_v21182new = redactedThinkingCallsiteGateRegex_v21181new;
-const thinkingVisibilityRegex_v21182new = thinkingVisibilityRegex_v21181new;
-const redactedThinkingCallsiteGateRegex_v21183new = redactedThinkingCallsiteGateRegex_v21182new;
-const thinkingVisibilityRegex_v21183new = thinkingVisibilityRegex_v21182new;
-const redactedThinkingCallsiteGateRegex_v21185new = redactedThinkingCallsiteGateRegex_v21183new;
-const thinkingVisibilityRegex_v21185new = thinkingVisibilityRegex_v21183new;
-const redactedThinkingCallsiteGateRegex_v21186new = redactedThinkingCallsiteGateRegex_v21185new;
-const thinkingVisibilityRegex_v21186new = thinkingVisibilityRegex_v21185new;
-const redactedThinkingCallsiteGateRegex_v21187new = redactedThinkingCallsiteGateRegex_v21186new;
-const thinkingVisibilityRegex_v21187new = thinkingVisibilityRegex_v21186new;
-const redactedThinkingCallsiteGateRegex_v21190new = redactedThinkingCallsiteGateRegex_v21187new;
-const thinkingVisibilityRegex_v21190new = thinkingVisibilityRegex_v21187new;
-const redactedThinkingCallsiteGateRegex_v21191new = redactedThinkingCallsiteGateRegex_v21190new;
-const thinkingVisibilityRegex_v21191new = thinkingVisibilityRegex_v21190new;
-const redactedThinkingCallsiteGateRegex_v21193new = redactedThinkingCallsiteGateRegex_v21191new;
-const thinkingVisibilityRegex_v21193new = thinkingVisibilityRegex_v21191new;
-const redactedThinkingCallsiteGateRegex_v21195new = redactedThinkingCallsiteGateRegex_v21193new;
-const thinkingVisibilityRegex_v21195new = thinkingVisibilityRegex_v21193new;
-const redactedThinkingCallsiteGateRegex_v21196new = redactedThinkingCallsiteGateRegex_v21195new;
-const thinkingVisibilityRegex_v21196new = thinkingVisibilityRegex_v21195new;
-const redactedThinkingCallsiteGateRegex_v21197new = redactedThinkingCallsiteGateRegex_v21196new;
-const thinkingVisibilityRegex_v21197new = thinkingVisibilityRegex_v21196new;
-const redactedThinkingCallsiteGateRegex_v21198new = redactedThinkingCallsiteGateRegex_v21197new;
-const thinkingVisibilityRegex_v21198new = thinkingVisibilityRegex_v21197new;
-const redactedThinkingCallsiteGateRegex_v21199new = redactedThinkingCallsiteGateRegex_v21198new;
-const thinkingVisibilityRegex_v21199new = thinkingVisibilityRegex_v21198new;
-const redactedThinkingCallsiteGateRegex_v21200new = redactedThinkingCallsiteGateRegex_v21199new;
-const thinkingVisibilityRegex_v21200new = thinkingVisibilityRegex_v21199new;
-const redactedThinkingCallsiteGateRegex_v21201new = redactedThinkingCallsiteGateRegex_v21200new;
-const thinkingVisibilityRegex_v21201new = thinkingVisibilityRegex_v21200new;
-const redactedThinkingCallsiteGateRegex_v21202new = redactedThinkingCallsiteGateRegex_v21201new;
-const thinkingVisibilityRegex_v21202new = thinkingVisibilityRegex_v21201new;
-const redactedThinkingCallsiteGateRegex_v21203new = redactedThinkingCallsiteGateRegex_v21202new;
-const thinkingVisibilityRegex_v21203new = thinkingVisibilityRegex_v21202new;
-const redactedThinkingCallsiteGateRegex_v21204new = redactedThinkingCallsiteGateRegex_v21203new;
-const thinkingVisibilityRegex_v21204new = thinkingVisibilityRegex_v21203new;
-
-function applyJsRegexPatchRules(source, rules) {
-  let out = source;
-  const steps = [];
-
-  for (const rule of rules) {
-    const detectRegex = new RegExp(rule.regex.source, rule.regex.flags.replace(/g/g, ''));
-    if (!detectRegex.test(out)) continue;
-    out = replaceRegexPreserveLength(out, rule.regex, rule.replacer, rule.label);
-    steps.push(rule.step);
-  }
-
-  return { out, steps };
-}
-
-function applyNativeRegexPatchRules(sourceBuf, fnName, rules) {
-  if (!Buffer.isBuffer(sourceBuf)) {
-    throw new Error(`${fnName} expected a Buffer`);
-  }
-
-  let text = sourceBuf.toString('latin1');
-  const steps = [];
-
-  for (const rule of rules) {
-    const flags = rule.regex.flags.includes('g') ? rule.regex.flags : `${rule.regex.flags}g`;
-    const regex = new RegExp(rule.regex.source, flags);
-    const { out, replacedCount } = replaceRegexPreserveLengthNativeString(text, regex, rule.replacer, rule.label);
-    text = out;
-    if (replacedCount > 0) {
-      steps.push(`${rule.step} x${replacedCount}`);
-    }
-  }
-
-  const outBuf = Buffer.from(text, 'latin1');
-  if (outBuf.length !== sourceBuf.length) {
-    throw new Error(
-      `Refusing to patch native/binary: size changed (${sourceBuf.length} -> ${outBuf.length}).`
-    );
-  }
-
-  return { out: outBuf, steps };
-}
-
-function buildThinkingVisibilityRegexPatchPair(version, gateRegex, thinkingRegex, thinkingReplacer, nativeFnName) {
-  const versionLabel = `v${version}`;
-  const stripRedactedGateReplacer = (_m, casePrefix) => `${casePrefix}`;
-
-  const jsRules = [
-    {
-      regex: gateRegex,
-      replacer: stripRedactedGateReplacer,
-      label: `${versionLabel} redacted_thinking call site gate (regex)`,
-      step: `${versionLabel} redacted_thinking call site gate (regex)`,
-    },
-    {
-      regex: thinkingRegex,
-      replacer: thinkingReplacer,
-      label: `${versionLabel} thinking visibility (regex)`,
-      step: `${versionLabel} thinking visibility (regex)`,
-    },
-  ];
-
-  const nativeRules = [
-    {
-      regex: gateRegex,
-      replacer: stripRedactedGateReplacer,
-      label: `${versionLabel} redacted_thinking call site gate (native regex)`,
-      step: `${versionLabel} redacted_thinking call site gate (native regex)`,
-    },
-    {
-      regex: thinkingRegex,
-      replacer: thinkingReplacer,
-      label: `${versionLabel} thinking visibility (native regex)`,
-      step: `${versionLabel} thinking visibility (native regex)`,
-    },
-  ];
-
-  return {
-    jsFn: source => applyJsRegexPatchRules(source, jsRules),
-    nativeFn: sourceBuf => applyNativeRegexPatchRules(sourceBuf, nativeFnName, nativeRules),
-  };
-}
-
-const thinkingVisibilityReplacer_withVerbose =
-  (_m, casePrefix, _gate, createPrefix, _oldIsTranscriptMode, verboseKey, verboseVar, hideKey, _oldHideValue, suffix) =>
-    `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}${hideKey}!1${suffix}`;
-
-const thinkingVisibilityReplacer_withoutVerbose =
-  (_m, casePrefix, _gate, createPrefix, _oldIsTranscriptMode, hideKey, _oldHideValue, suffix) =>
-    `${casePrefix}${createPrefix}!0${hideKey}!1${suffix}`;
-
-const thinkingVisibilityReplacer_withVerboseLoose =
-  (_m, casePrefix, _gate, createPrefix, _oldIsTranscriptMode, verboseKey, verboseVar, hideKey, _oldHideValue) =>
-    `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}${hideKey}!1`;
-
-const thinkingVisibilityReplacer_withVerboseNoHide =
-  (_m, casePrefix, _gate, createPrefix, _oldIsTranscriptMode, verboseKey, verboseVar) =>
-    `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}`;
-
-const { jsFn: applyRegexPatches_v21120, nativeFn: applyRegexPatches_v21120_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.20',
-    redactedThinkingCallsiteGateRegex_v21120,
-    thinkingVisibilityRegex_v21120,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v21120_native'
-  );
-
-const { jsFn: applyRegexPatches_v21122, nativeFn: applyRegexPatches_v21122_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.22',
-    redactedThinkingCallsiteGateRegex_v21122,
-    thinkingVisibilityRegex_v21122,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v21122_native'
-  );
-
-const { jsFn: applyRegexPatches_v21123, nativeFn: applyRegexPatches_v21123_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.23',
-    redactedThinkingCallsiteGateRegex_v21123,
-    thinkingVisibilityRegex_v21123,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v21123_native'
-  );
-
-const { jsFn: applyRegexPatches_v21127, nativeFn: applyRegexPatches_v21127_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.27',
-    redactedThinkingCallsiteGateRegex_v21127,
-    thinkingVisibilityRegex_v21127,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v21127_native'
-  );
-
-const { jsFn: applyRegexPatches_v2130, nativeFn: applyRegexPatches_v2130_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.30',
-    redactedThinkingCallsiteGateRegex_v2130,
-    thinkingVisibilityRegex_v2130,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2130_native'
-  );
-
-const { jsFn: applyRegexPatches_v2131, nativeFn: applyRegexPatches_v2131_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.31',
-    redactedThinkingCallsiteGateRegex_v2131,
-    thinkingVisibilityRegex_v2131,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2131_native'
-  );
-
-const { jsFn: applyRegexPatches_v2132, nativeFn: applyRegexPatches_v2132_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.32',
-    redactedThinkingCallsiteGateRegex_v2132,
-    thinkingVisibilityRegex_v2132,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2132_native'
-  );
-
-const { jsFn: applyRegexPatches_v2133, nativeFn: applyRegexPatches_v2133_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.33',
-    redactedThinkingCallsiteGateRegex_v2133,
-    thinkingVisibilityRegex_v2133,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2133_native'
-  );
-
-const { jsFn: applyRegexPatches_v2134, nativeFn: applyRegexPatches_v2134_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.34',
-    redactedThinkingCallsiteGateRegex_v2134,
-    thinkingVisibilityRegex_v2134,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2134_native'
-  );
-
-const { jsFn: applyRegexPatches_v2136, nativeFn: applyRegexPatches_v2136_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.36',
-    redactedThinkingCallsiteGateRegex_v2136,
-    thinkingVisibilityRegex_v2136,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2136_native'
-  );
-
-const { jsFn: applyRegexPatches_v2137, nativeFn: applyRegexPatches_v2137_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.37',
-    redactedThinkingCallsiteGateRegex_v2137,
-    thinkingVisibilityRegex_v2137,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2137_native'
-  );
-
-const { jsFn: applyRegexPatches_v2138, nativeFn: applyRegexPatches_v2138_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.38',
-    redactedThinkingCallsiteGateRegex_v2138,
-    thinkingVisibilityRegex_v2138,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2138_native'
-  );
-
-const { jsFn: applyRegexPatches_v2139, nativeFn: applyRegexPatches_v2139_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.39',
-    redactedThinkingCallsiteGateRegex_v2139,
-    thinkingVisibilityRegex_v2139,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2139_native'
-  );
-
-const { jsFn: applyRegexPatches_v2140, nativeFn: applyRegexPatches_v2140_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.40',
-    redactedThinkingCallsiteGateRegex_v2140,
-    thinkingVisibilityRegex_v2140,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2140_native'
-  );
-
-const { jsFn: applyRegexPatches_v2141, nativeFn: applyRegexPatches_v2141_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.41',
-    redactedThinkingCallsiteGateRegex_v2141,
-    thinkingVisibilityRegex_v2141,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2141_native'
-  );
-
-const { jsFn: applyRegexPatches_v2142, nativeFn: applyRegexPatches_v2142_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.42',
-    redactedThinkingCallsiteGateRegex_v2142,
-    thinkingVisibilityRegex_v2142,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2142_native'
-  );
-
-const { jsFn: applyRegexPatches_v2144, nativeFn: applyRegexPatches_v2144_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.44',
-    redactedThinkingCallsiteGateRegex_v2144,
-    thinkingVisibilityRegex_v2144,
-    thinkingVisibilityReplacer_withoutVerbose,
-    'applyRegexPatches_v2144_native'
-  );
-
-const { jsFn: applyRegexPatches_v2145, nativeFn: applyRegexPatches_v2145_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.45',
-    redactedThinkingCallsiteGateRegex_v2145,
-    thinkingVisibilityRegex_v2145,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2145_native'
-  );
-
-const { jsFn: applyRegexPatches_v2147, nativeFn: applyRegexPatches_v2147_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.47',
-    redactedThinkingCallsiteGateRegex_v2147,
-    thinkingVisibilityRegex_v2147,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2147_native'
-  );
-
-const { jsFn: applyRegexPatches_v2148, nativeFn: applyRegexPatches_v2148_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.48',
-    redactedThinkingCallsiteGateRegex_v2148,
-    thinkingVisibilityRegex_v2148,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2148_native'
-  );
-
-const { jsFn: applyRegexPatches_v2149, nativeFn: applyRegexPatches_v2149_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.49',
-    redactedThinkingCallsiteGateRegex_v2149,
-    thinkingVisibilityRegex_v2149,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2149_native'
-  );
-
-const { jsFn: applyRegexPatches_v2150, nativeFn: applyRegexPatches_v2150_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.50',
-    redactedThinkingCallsiteGateRegex_v2150,
-    thinkingVisibilityRegex_v2150,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2150_native'
-  );
-
-const { jsFn: applyRegexPatches_v2151, nativeFn: applyRegexPatches_v2151_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.51',
-    redactedThinkingCallsiteGateRegex_v2151,
-    thinkingVisibilityRegex_v2151,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2151_native'
-  );
-
-const { jsFn: applyRegexPatches_v2152, nativeFn: applyRegexPatches_v2152_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.52',
-    redactedThinkingCallsiteGateRegex_v2152,
-    thinkingVisibilityRegex_v2152,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2152_native'
-  );
-
-const { jsFn: applyRegexPatches_v2153, nativeFn: applyRegexPatches_v2153_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.53',
-    redactedThinkingCallsiteGateRegex_v2153,
-    thinkingVisibilityRegex_v2153,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2153_native'
-  );
-
-const { jsFn: applyRegexPatches_v2154, nativeFn: applyRegexPatches_v2154_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.54',
-    redactedThinkingCallsiteGateRegex_v2154,
-    thinkingVisibilityRegex_v2154,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2154_native'
-  );
-
-const { jsFn: applyRegexPatches_v2155, nativeFn: applyRegexPatches_v2155_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.55',
-    redactedThinkingCallsiteGateRegex_v2155,
-    thinkingVisibilityRegex_v2155,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2155_native'
-  );
-
-const { jsFn: applyRegexPatches_v2156, nativeFn: applyRegexPatches_v2156_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.56',
-    redactedThinkingCallsiteGateRegex_v2156,
-    thinkingVisibilityRegex_v2156,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2156_native'
-  );
-
-const { jsFn: applyRegexPatches_v2157, nativeFn: applyRegexPatches_v2157_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.57',
-    redactedThinkingCallsiteGateRegex_v2157,
-    thinkingVisibilityRegex_v2157,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2157_native'
-  );
-
-const { jsFn: applyRegexPatches_v2158, nativeFn: applyRegexPatches_v2158_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.58',
-    redactedThinkingCallsiteGateRegex_v2158,
-    thinkingVisibilityRegex_v2158,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2158_native'
-  );
-
-const { jsFn: applyRegexPatches_v2159, nativeFn: applyRegexPatches_v2159_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.59',
-    redactedThinkingCallsiteGateRegex_v2159,
-    thinkingVisibilityRegex_v2159,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2159_native'
-  );
-
-const { jsFn: applyRegexPatches_v2160, nativeFn: applyRegexPatches_v2160_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.60',
-    redactedThinkingCallsiteGateRegex_v2160,
-    thinkingVisibilityRegex_v2160,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2160_native'
-  );
-
-const { jsFn: applyRegexPatches_v2161, nativeFn: applyRegexPatches_v2161_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.61',
-    redactedThinkingCallsiteGateRegex_v2161,
-    thinkingVisibilityRegex_v2161,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2161_native'
-  );
-
-const { jsFn: applyRegexPatches_v2162, nativeFn: applyRegexPatches_v2162_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.62',
-    redactedThinkingCallsiteGateRegex_v2162,
-    thinkingVisibilityRegex_v2162,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2162_native'
-  );
-
-const { jsFn: applyRegexPatches_v2163, nativeFn: applyRegexPatches_v2163_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.63',
-    redactedThinkingCallsiteGateRegex_v2163,
-    thinkingVisibilityRegex_v2163,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2163_native'
-  );
-
-const { jsFn: applyRegexPatches_v2164, nativeFn: applyRegexPatches_v2164_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.64',
-    redactedThinkingCallsiteGateRegex_v2164,
-    thinkingVisibilityRegex_v2164,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2164_native'
-  );
-
-const { jsFn: applyRegexPatches_v2165, nativeFn: applyRegexPatches_v2165_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.65',
-    redactedThinkingCallsiteGateRegex_v2165,
-    thinkingVisibilityRegex_v2165,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2165_native'
-  );
-
-const { jsFn: applyRegexPatches_v2166, nativeFn: applyRegexPatches_v2166_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.66',
-    redactedThinkingCallsiteGateRegex_v2166,
-    thinkingVisibilityRegex_v2166,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2166_native'
-  );
-
-const { jsFn: applyRegexPatches_v2167, nativeFn: applyRegexPatches_v2167_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.67',
-    redactedThinkingCallsiteGateRegex_v2167,
-    thinkingVisibilityRegex_v2167,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2167_native'
-  );
-
-const { jsFn: applyRegexPatches_v2168, nativeFn: applyRegexPatches_v2168_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.68',
-    redactedThinkingCallsiteGateRegex_v2168,
-    thinkingVisibilityRegex_v2168,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2168_native'
-  );
-
-const { jsFn: applyRegexPatches_v2169, nativeFn: applyRegexPatches_v2169_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.69',
-    redactedThinkingCallsiteGateRegex_v2169,
-    thinkingVisibilityRegex_v2169,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2169_native'
-  );
-
-const { jsFn: applyRegexPatches_v2170, nativeFn: applyRegexPatches_v2170_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.70',
-    redactedThinkingCallsiteGateRegex_v2170,
-    thinkingVisibilityRegex_v2170,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2170_native'
-  );
-
-const { jsFn: applyRegexPatches_v2171, nativeFn: applyRegexPatches_v2171_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.71',
-    redactedThinkingCallsiteGateRegex_v2171,
-    thinkingVisibilityRegex_v2171,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2171_native'
-  );
-
-const { jsFn: applyRegexPatches_v2172, nativeFn: applyRegexPatches_v2172_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.72',
-    redactedThinkingCallsiteGateRegex_v2172,
-    thinkingVisibilityRegex_v2172,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2172_native'
-  );
-
-const { jsFn: applyRegexPatches_v2173, nativeFn: applyRegexPatches_v2173_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.73',
-    redactedThinkingCallsiteGateRegex_v2173,
-    thinkingVisibilityRegex_v2173,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2173_native'
-  );
-
-const { jsFn: applyRegexPatches_v2174, nativeFn: applyRegexPatches_v2174_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.74',
-    redactedThinkingCallsiteGateRegex_v2174,
-    thinkingVisibilityRegex_v2174,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2174_native'
-  );
-
-const { jsFn: applyRegexPatches_v2175, nativeFn: applyRegexPatches_v2175_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.75',
-    redactedThinkingCallsiteGateRegex_v2175,
-    thinkingVisibilityRegex_v2175,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2175_native'
-  );
-
-const { jsFn: applyRegexPatches_v2176, nativeFn: applyRegexPatches_v2176_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.76',
-    redactedThinkingCallsiteGateRegex_v2176,
-    thinkingVisibilityRegex_v2176,
-    thinkingVisibilityReplacer_withVerbose,
-    'applyRegexPatches_v2176_native'
-  );
-
-const { jsFn: applyRegexPatches_v2177, nativeFn: applyRegexPatches_v2177_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.77',
-    redactedThinkingCallsiteGateRegex_v2177,
-    thinkingVisibilityRegex_v2177,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2177_native'
-  );
-
-const { jsFn: applyRegexPatches_v2178, nativeFn: applyRegexPatches_v2178_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.78',
-    redactedThinkingCallsiteGateRegex_v2178,
-    thinkingVisibilityRegex_v2178,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2178_native'
-  );
-
-const { jsFn: applyRegexPatches_v2179, nativeFn: applyRegexPatches_v2179_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.79',
-    redactedThinkingCallsiteGateRegex_v2179,
-    thinkingVisibilityRegex_v2179,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2179_native'
-  );
-
-const { jsFn: applyRegexPatches_v2180, nativeFn: applyRegexPatches_v2180_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.80',
-    redactedThinkingCallsiteGateRegex_v2180,
-    thinkingVisibilityRegex_v2180,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2180_native'
-  );
-
-const { jsFn: applyRegexPatches_v2181, nativeFn: applyRegexPatches_v2181_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.81',
-    redactedThinkingCallsiteGateRegex_v2181,
-    thinkingVisibilityRegex_v2181,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2181_native'
-  );
-
-const { jsFn: applyRegexPatches_v2183, nativeFn: applyRegexPatches_v2183_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.83',
-    redactedThinkingCallsiteGateRegex_v2183,
-    thinkingVisibilityRegex_v2183,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2183_native'
-  );
-
-const { jsFn: applyRegexPatches_v2184, nativeFn: applyRegexPatches_v2184_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.84',
-    redactedThinkingCallsiteGateRegex_v2184,
-    thinkingVisibilityRegex_v2184,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2184_native'
-  );
-
-const { jsFn: applyRegexPatches_v2185, nativeFn: applyRegexPatches_v2185_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.85',
-    redactedThinkingCallsiteGateRegex_v2185,
-    thinkingVisibilityRegex_v2185,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2185_native'
-  );
-
-const { jsFn: applyRegexPatches_v2186, nativeFn: applyRegexPatches_v2186_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.86',
-    redactedThinkingCallsiteGateRegex_v2186,
-    thinkingVisibilityRegex_v2186,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2186_native'
-  );
-
-const { jsFn: applyRegexPatches_v2187, nativeFn: applyRegexPatches_v2187_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.87',
-    redactedThinkingCallsiteGateRegex_v2187,
-    thinkingVisibilityRegex_v2187,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2187_native'
-  );
-
-const { jsFn: applyRegexPatches_v2188, nativeFn: applyRegexPatches_v2188_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.88',
-    redactedThinkingCallsiteGateRegex_v2188,
-    thinkingVisibilityRegex_v2188,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2188_native'
-  );
-
-const { jsFn: applyRegexPatches_v2189, nativeFn: applyRegexPatches_v2189_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.89',
-    redactedThinkingCallsiteGateRegex_v2189,
-    thinkingVisibilityRegex_v2189,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2189_native'
-  );
-
-const { jsFn: applyRegexPatches_v2190, nativeFn: applyRegexPatches_v2190_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.90',
-    redactedThinkingCallsiteGateRegex_v2190,
-    thinkingVisibilityRegex_v2190,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2190_native'
-  );
-
-const { jsFn: applyRegexPatches_v2191, nativeFn: applyRegexPatches_v2191_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.91',
-    redactedThinkingCallsiteGateRegex_v2191,
-    thinkingVisibilityRegex_v2191,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2191_native'
-  );
-
-const { jsFn: applyRegexPatches_v2192, nativeFn: applyRegexPatches_v2192_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.92',
-    redactedThinkingCallsiteGateRegex_v2192,
-    thinkingVisibilityRegex_v2192,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2192_native'
-  );
-
-const { jsFn: applyRegexPatches_v2194, nativeFn: applyRegexPatches_v2194_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.94',
-    redactedThinkingCallsiteGateRegex_v2194,
-    thinkingVisibilityRegex_v2194,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2194_native'
-  );
-
-const { jsFn: applyRegexPatches_v2196, nativeFn: applyRegexPatches_v2196_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.96',
-    redactedThinkingCallsiteGateRegex_v2196,
-    thinkingVisibilityRegex_v2196,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2196_native'
-  );
-
-const { jsFn: applyRegexPatches_v2197, nativeFn: applyRegexPatches_v2197_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.97',
-    redactedThinkingCallsiteGateRegex_v2197,
-    thinkingVisibilityRegex_v2197,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2197_native'
-  );
-
-const { jsFn: applyRegexPatches_v2198, nativeFn: applyRegexPatches_v2198_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.98',
-    redactedThinkingCallsiteGateRegex_v2198,
-    thinkingVisibilityRegex_v2198,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v2198_native'
-  );
-
-const { jsFn: applyRegexPatches_v21101, nativeFn: applyRegexPatches_v21101_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.101',
-    redactedThinkingCallsiteGateRegex_v21101,
-    thinkingVisibilityRegex_v21101,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21101_native'
-  );
-const { jsFn: applyRegexPatches_v21102, nativeFn: applyRegexPatches_v21102_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.102',
-    redactedThinkingCallsiteGateRegex_v21102,
-    thinkingVisibilityRegex_v21102,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21102_native'
-  );
-const { jsFn: applyRegexPatches_v21103, nativeFn: applyRegexPatches_v21103_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.103',
-    redactedThinkingCallsiteGateRegex_v21103,
-    thinkingVisibilityRegex_v21103,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21103_native'
-  );
-const { jsFn: applyRegexPatches_v21104, nativeFn: applyRegexPatches_v21104_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.104',
-    redactedThinkingCallsiteGateRegex_v21104,
-    thinkingVisibilityRegex_v21104,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21104_native'
-  );
-const { jsFn: applyRegexPatches_v21105, nativeFn: applyRegexPatches_v21105_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.105',
-    redactedThinkingCallsiteGateRegex_v21105,
-    thinkingVisibilityRegex_v21105,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21105_native'
-  );
-const { jsFn: applyRegexPatches_v21106, nativeFn: applyRegexPatches_v21106_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.106',
-    redactedThinkingCallsiteGateRegex_v21106,
-    thinkingVisibilityRegex_v21106,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21106_native'
-  );
-const { jsFn: applyRegexPatches_v21107, nativeFn: applyRegexPatches_v21107_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.107',
-    redactedThinkingCallsiteGateRegex_v21107,
-    thinkingVisibilityRegex_v21107,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21107_native'
-  );
-const { jsFn: applyRegexPatches_v21108, nativeFn: applyRegexPatches_v21108_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.108',
-    redactedThinkingCallsiteGateRegex_v21108,
-    thinkingVisibilityRegex_v21108,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21108_native'
-  );
-const { jsFn: applyRegexPatches_v21109, nativeFn: applyRegexPatches_v21109_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.109',
-    redactedThinkingCallsiteGateRegex_v21109,
-    thinkingVisibilityRegex_v21109,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21109_native'
-  );
-const { jsFn: applyRegexPatches_v21110, nativeFn: applyRegexPatches_v21110_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.110',
-    redactedThinkingCallsiteGateRegex_v21110,
-    thinkingVisibilityRegex_v21110,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21110_native'
-  );
-const { jsFn: applyRegexPatches_v21111, nativeFn: applyRegexPatches_v21111_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.111',
-    redactedThinkingCallsiteGateRegex_v21111,
-    thinkingVisibilityRegex_v21111,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21111_native'
-  );
-const { jsFn: applyRegexPatches_v21112, nativeFn: applyRegexPatches_v21112_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.112',
-    redactedThinkingCallsiteGateRegex_v21112,
-    thinkingVisibilityRegex_v21112,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21112_native'
-  );
-const { jsFn: applyRegexPatches_v21113, nativeFn: applyRegexPatches_v21113_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.113',
-    redactedThinkingCallsiteGateRegex_v21113,
-    thinkingVisibilityRegex_v21113,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21113_native'
-  );
-const { jsFn: applyRegexPatches_v21114new, nativeFn: applyRegexPatches_v21114new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.114',
-    redactedThinkingCallsiteGateRegex_v21114new,
-    thinkingVisibilityRegex_v21114new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21114new_native'
-  );
-const { jsFn: applyRegexPatches_v21116, nativeFn: applyRegexPatches_v21116_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.116',
-    redactedThinkingCallsiteGateRegex_v21116,
-    thinkingVisibilityRegex_v21116,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21116_native'
-  );
-const { jsFn: applyRegexPatches_v21117new, nativeFn: applyRegexPatches_v21117new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.117',
-    redactedThinkingCallsiteGateRegex_v21117new,
-    thinkingVisibilityRegex_v21117new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21117new_native'
-  );
-const { jsFn: applyRegexPatches_v21118, nativeFn: applyRegexPatches_v21118_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.118',
-    redactedThinkingCallsiteGateRegex_v21118,
-    thinkingVisibilityRegex_v21118,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21118_native'
-  );
-const { jsFn: applyRegexPatches_v21119new, nativeFn: applyRegexPatches_v21119new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.119',
-    redactedThinkingCallsiteGateRegex_v21119new,
-    thinkingVisibilityRegex_v21119new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21119new_native'
-  );
-const { jsFn: applyRegexPatches_v21120new, nativeFn: applyRegexPatches_v21120new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.120',
-    redactedThinkingCallsiteGateRegex_v21120new,
-    thinkingVisibilityRegex_v21120new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21120new_native'
-  );
-const { jsFn: applyRegexPatches_v21121new, nativeFn: applyRegexPatches_v21121new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.121',
-    redactedThinkingCallsiteGateRegex_v21121new,
-    thinkingVisibilityRegex_v21121new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21121new_native'
-  );
-const { jsFn: applyRegexPatches_v21122new, nativeFn: applyRegexPatches_v21122new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.122',
-    redactedThinkingCallsiteGateRegex_v21122new,
-    thinkingVisibilityRegex_v21122new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21122new_native'
-  );
-const { jsFn: applyRegexPatches_v21123new, nativeFn: applyRegexPatches_v21123new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.123',
-    redactedThinkingCallsiteGateRegex_v21123new,
-    thinkingVisibilityRegex_v21123new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21123new_native'
-  );
-const { jsFn: applyRegexPatches_v21126new, nativeFn: applyRegexPatches_v21126new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.126',
-    redactedThinkingCallsiteGateRegex_v21126new,
-    thinkingVisibilityRegex_v21126new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21126new_native'
-  );
-const { jsFn: applyRegexPatches_v21128new, nativeFn: applyRegexPatches_v21128new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.128',
-    redactedThinkingCallsiteGateRegex_v21128new,
-    thinkingVisibilityRegex_v21128new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21128new_native'
-  );
-const { jsFn: applyRegexPatches_v21129new, nativeFn: applyRegexPatches_v21129new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.129',
-    redactedThinkingCallsiteGateRegex_v21129new,
-    thinkingVisibilityRegex_v21129new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21129new_native'
-  );
-const { jsFn: applyRegexPatches_v21130new, nativeFn: applyRegexPatches_v21130new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.130',
-    redactedThinkingCallsiteGateRegex_v21130new,
-    thinkingVisibilityRegex_v21130new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21130new_native'
-  );
-const { jsFn: applyRegexPatches_v21131new, nativeFn: applyRegexPatches_v21131new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.131',
-    redactedThinkingCallsiteGateRegex_v21131new,
-    thinkingVisibilityRegex_v21131new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21131new_native'
-  );
-const { jsFn: applyRegexPatches_v21132new, nativeFn: applyRegexPatches_v21132new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.132',
-    redactedThinkingCallsiteGateRegex_v21132new,
-    thinkingVisibilityRegex_v21132new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21132new_native'
-  );
-const { jsFn: applyRegexPatches_v21133new, nativeFn: applyRegexPatches_v21133new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.133',
-    redactedThinkingCallsiteGateRegex_v21133new,
-    thinkingVisibilityRegex_v21133new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21133new_native'
-  );
-const { jsFn: applyRegexPatches_v21136new, nativeFn: applyRegexPatches_v21136new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.136',
-    redactedThinkingCallsiteGateRegex_v21136new,
-    thinkingVisibilityRegex_v21136new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21136new_native'
-  );
-const { jsFn: applyRegexPatches_v21137new, nativeFn: applyRegexPatches_v21137new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.137',
-    redactedThinkingCallsiteGateRegex_v21137new,
-    thinkingVisibilityRegex_v21137new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21137new_native'
-  );
-const { jsFn: applyRegexPatches_v21138new, nativeFn: applyRegexPatches_v21138new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.138',
-    redactedThinkingCallsiteGateRegex_v21138new,
-    thinkingVisibilityRegex_v21138new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21138new_native'
-  );
-const { jsFn: applyRegexPatches_v21139new, nativeFn: applyRegexPatches_v21139new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.139',
-    redactedThinkingCallsiteGateRegex_v21139new,
-    thinkingVisibilityRegex_v21139new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21139new_native'
-  );
-const { jsFn: applyRegexPatches_v21140new, nativeFn: applyRegexPatches_v21140new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.140',
-    redactedThinkingCallsiteGateRegex_v21140new,
-    thinkingVisibilityRegex_v21140new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21140new_native'
-  );
-const { jsFn: applyRegexPatches_v21141new, nativeFn: applyRegexPatches_v21141new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.141',
-    redactedThinkingCallsiteGateRegex_v21141new,
-    thinkingVisibilityRegex_v21141new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21141new_native'
-  );
-const { jsFn: applyRegexPatches_v21142new, nativeFn: applyRegexPatches_v21142new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.142',
-    redactedThinkingCallsiteGateRegex_v21142new,
-    thinkingVisibilityRegex_v21142new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21142new_native'
-  );
-const { jsFn: applyRegexPatches_v21143new, nativeFn: applyRegexPatches_v21143new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.143',
-    redactedThinkingCallsiteGateRegex_v21143new,
-    thinkingVisibilityRegex_v21143new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21143new_native'
-  );
-const { jsFn: applyRegexPatches_v21144new, nativeFn: applyRegexPatches_v21144new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.144',
-    redactedThinkingCallsiteGateRegex_v21144new,
-    thinkingVisibilityRegex_v21144new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21144new_native'
-  );
-const { jsFn: applyRegexPatches_v21145new, nativeFn: applyRegexPatches_v21145new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.145',
-    redactedThinkingCallsiteGateRegex_v21145new,
-    thinkingVisibilityRegex_v21145new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21145new_native'
-  );
-const { jsFn: applyRegexPatches_v21146new, nativeFn: applyRegexPatches_v21146new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.146',
-    redactedThinkingCallsiteGateRegex_v21146new,
-    thinkingVisibilityRegex_v21146new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21146new_native'
-  );
-const { jsFn: applyRegexPatches_v21147new, nativeFn: applyRegexPatches_v21147new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.147',
-    redactedThinkingCallsiteGateRegex_v21147new,
-    thinkingVisibilityRegex_v21147new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21147new_native'
-  );
-const { jsFn: applyRegexPatches_v21148new, nativeFn: applyRegexPatches_v21148new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.148',
-    redactedThinkingCallsiteGateRegex_v21148new,
-    thinkingVisibilityRegex_v21148new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21148new_native'
-  );
-const { jsFn: applyRegexPatches_v21149new, nativeFn: applyRegexPatches_v21149new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.149',
-    redactedThinkingCallsiteGateRegex_v21149new,
-    thinkingVisibilityRegex_v21149new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21149new_native'
-  );
-const { jsFn: applyRegexPatches_v21150new, nativeFn: applyRegexPatches_v21150new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.150',
-    redactedThinkingCallsiteGateRegex_v21150new,
-    thinkingVisibilityRegex_v21150new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21150new_native'
-  );
-const { jsFn: applyRegexPatches_v21152new, nativeFn: applyRegexPatches_v21152new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.152',
-    redactedThinkingCallsiteGateRegex_v21152new,
-    thinkingVisibilityRegex_v21152new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21152new_native'
-  );
-const { jsFn: applyRegexPatches_v21153new, nativeFn: applyRegexPatches_v21153new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.153',
-    redactedThinkingCallsiteGateRegex_v21153new,
-    thinkingVisibilityRegex_v21153new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21153new_native'
-  );
-const { jsFn: applyRegexPatches_v21154new, nativeFn: applyRegexPatches_v21154new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.154',
-    redactedThinkingCallsiteGateRegex_v21154new,
-    thinkingVisibilityRegex_v21154new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21154new_native'
-  );
-const { jsFn: applyRegexPatches_v21155new, nativeFn: applyRegexPatches_v21155new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.155',
-    redactedThinkingCallsiteGateRegex_v21155new,
-    thinkingVisibilityRegex_v21155new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21155new_native'
-  );
-const { jsFn: applyRegexPatches_v21156new, nativeFn: applyRegexPatches_v21156new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.156',
-    redactedThinkingCallsiteGateRegex_v21156new,
-    thinkingVisibilityRegex_v21156new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21156new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21157new, nativeFn: applyRegexPatches_v21157new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.157',
-    redactedThinkingCallsiteGateRegex_v21157new,
-    thinkingVisibilityRegex_v21157new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21157new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21158new, nativeFn: applyRegexPatches_v21158new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.158',
-    redactedThinkingCallsiteGateRegex_v21158new,
-    thinkingVisibilityRegex_v21158new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21158new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21160new, nativeFn: applyRegexPatches_v21160new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.160',
-    redactedThinkingCallsiteGateRegex_v21160new,
-    thinkingVisibilityRegex_v21160new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21160new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21161new, nativeFn: applyRegexPatches_v21161new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.161',
-    redactedThinkingCallsiteGateRegex_v21161new,
-    thinkingVisibilityRegex_v21161new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21161new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21162new, nativeFn: applyRegexPatches_v21162new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.162',
-    redactedThinkingCallsiteGateRegex_v21162new,
-    thinkingVisibilityRegex_v21162new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21162new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21163new, nativeFn: applyRegexPatches_v21163new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.163',
-    redactedThinkingCallsiteGateRegex_v21163new,
-    thinkingVisibilityRegex_v21163new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21163new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21165new, nativeFn: applyRegexPatches_v21165new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.165',
-    redactedThinkingCallsiteGateRegex_v21165new,
-    thinkingVisibilityRegex_v21165new,
-    thinkingVisibilityReplacer_withVerboseLoose,
-    'applyRegexPatches_v21165new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21166new, nativeFn: applyRegexPatches_v21166new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.166',
-    redactedThinkingCallsiteGateRegex_v21166new,
-    thinkingVisibilityRegex_v21166new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21166new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21167new, nativeFn: applyRegexPatches_v21167new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.167',
-    redactedThinkingCallsiteGateRegex_v21167new,
-    thinkingVisibilityRegex_v21167new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21167new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21168new, nativeFn: applyRegexPatches_v21168new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.168',
-    redactedThinkingCallsiteGateRegex_v21168new,
-    thinkingVisibilityRegex_v21168new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21168new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21169new, nativeFn: applyRegexPatches_v21169new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.169',
-    redactedThinkingCallsiteGateRegex_v21169new,
-    thinkingVisibilityRegex_v21169new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21169new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21170new, nativeFn: applyRegexPatches_v21170new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.170',
-    redactedThinkingCallsiteGateRegex_v21170new,
-    thinkingVisibilityRegex_v21170new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21170new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21172new, nativeFn: applyRegexPatches_v21172new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.172',
-    redactedThinkingCallsiteGateRegex_v21172new,
-    thinkingVisibilityRegex_v21172new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21172new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21173new, nativeFn: applyRegexPatches_v21173new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.173',
-    redactedThinkingCallsiteGateRegex_v21173new,
-    thinkingVisibilityRegex_v21173new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21173new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21174new, nativeFn: applyRegexPatches_v21174new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.174',
-    redactedThinkingCallsiteGateRegex_v21174new,
-    thinkingVisibilityRegex_v21174new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21174new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21175new, nativeFn: applyRegexPatches_v21175new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.175',
-    redactedThinkingCallsiteGateRegex_v21175new,
-    thinkingVisibilityRegex_v21175new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21175new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21176new, nativeFn: applyRegexPatches_v21176new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.176',
-    redactedThinkingCallsiteGateRegex_v21176new,
-    thinkingVisibilityRegex_v21176new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21176new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21177new, nativeFn: applyRegexPatches_v21177new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.177',
-    redactedThinkingCallsiteGateRegex_v21177new,
-    thinkingVisibilityRegex_v21177new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21177new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21178new, nativeFn: applyRegexPatches_v21178new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.178',
-    redactedThinkingCallsiteGateRegex_v21178new,
-    thinkingVisibilityRegex_v21178new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21178new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21179new, nativeFn: applyRegexPatches_v21179new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.179',
-    redactedThinkingCallsiteGateRegex_v21179new,
-    thinkingVisibilityRegex_v21179new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21179new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21181new, nativeFn: applyRegexPatches_v21181new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.181',
-    redactedThinkingCallsiteGateRegex_v21181new,
-    thinkingVisibilityRegex_v21181new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21181new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21182new, nativeFn: applyRegexPatches_v21182new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.182',
-    redactedThinkingCallsiteGateRegex_v21182new,
-    thinkingVisibilityRegex_v21182new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21182new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21183new, nativeFn: applyRegexPatches_v21183new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.183',
-    redactedThinkingCallsiteGateRegex_v21183new,
-    thinkingVisibilityRegex_v21183new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21183new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21185new, nativeFn: applyRegexPatches_v21185new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.185',
-    redactedThinkingCallsiteGateRegex_v21185new,
-    thinkingVisibilityRegex_v21185new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21185new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21186new, nativeFn: applyRegexPatches_v21186new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.186',
-    redactedThinkingCallsiteGateRegex_v21186new,
-    thinkingVisibilityRegex_v21186new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21186new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21187new, nativeFn: applyRegexPatches_v21187new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.187',
-    redactedThinkingCallsiteGateRegex_v21187new,
-    thinkingVisibilityRegex_v21187new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21187new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21190new, nativeFn: applyRegexPatches_v21190new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.190',
-    redactedThinkingCallsiteGateRegex_v21190new,
-    thinkingVisibilityRegex_v21190new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21190new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21191new, nativeFn: applyRegexPatches_v21191new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.191',
-    redactedThinkingCallsiteGateRegex_v21191new,
-    thinkingVisibilityRegex_v21191new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21191new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21193new, nativeFn: applyRegexPatches_v21193new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.193',
-    redactedThinkingCallsiteGateRegex_v21193new,
-    thinkingVisibilityRegex_v21193new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21193new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21195new, nativeFn: applyRegexPatches_v21195new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.195',
-    redactedThinkingCallsiteGateRegex_v21195new,
-    thinkingVisibilityRegex_v21195new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21195new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21196new, nativeFn: applyRegexPatches_v21196new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.196',
-    redactedThinkingCallsiteGateRegex_v21196new,
-    thinkingVisibilityRegex_v21196new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21196new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21197new, nativeFn: applyRegexPatches_v21197new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.197',
-    redactedThinkingCallsiteGateRegex_v21197new,
-    thinkingVisibilityRegex_v21197new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21197new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21198new, nativeFn: applyRegexPatches_v21198new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.198',
-    redactedThinkingCallsiteGateRegex_v21198new,
-    thinkingVisibilityRegex_v21198new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21198new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21199new, nativeFn: applyRegexPatches_v21199new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.199',
-    redactedThinkingCallsiteGateRegex_v21199new,
-    thinkingVisibilityRegex_v21199new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21199new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21200new, nativeFn: applyRegexPatches_v21200new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.200',
-    redactedThinkingCallsiteGateRegex_v21200new,
-    thinkingVisibilityRegex_v21200new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21200new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21201new, nativeFn: applyRegexPatches_v21201new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.201',
-    redactedThinkingCallsiteGateRegex_v21201new,
-    thinkingVisibilityRegex_v21201new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21201new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21202new, nativeFn: applyRegexPatches_v21202new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.202',
-    redactedThinkingCallsiteGateRegex_v21202new,
-    thinkingVisibilityRegex_v21202new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21202new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21203new, nativeFn: applyRegexPatches_v21203new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.203',
-    redactedThinkingCallsiteGateRegex_v21203new,
-    thinkingVisibilityRegex_v21203new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21203new_native'
-  );
-
-const { jsFn: applyRegexPatches_v21204new, nativeFn: applyRegexPatches_v21204new_native } =
-  buildThinkingVisibilityRegexPatchPair(
-    '2.1.204',
-    redactedThinkingCallsiteGateRegex_v21204new,
-    thinkingVisibilityRegex_v21204new,
-    thinkingVisibilityReplacer_withVerboseNoHide,
-    'applyRegexPatches_v21204new_native'
-  );
-
-let patch1Applied = false;
-let patch2Applied = false;
-let patch1AlreadyApplied = false;
-let patch2AlreadyApplied = false;
-const patch2PlannedSteps = [];
-
-const regexPatchRegistry = [
-  { version: '2.1.14', js: applyRegexPatches_v21114 },
-  { version: '2.1.15', js: applyRegexPatches_v21115 },
-  { version: '2.1.17', js: applyRegexPatches_v21117 },
-  { version: '2.1.19', js: applyRegexPatches_v21119 },
-  { version: '2.1.20', js: applyRegexPatches_v21120, native: applyRegexPatches_v21120_native },
-  { version: '2.1.22', js: applyRegexPatches_v21122, native: applyRegexPatches_v21122_native },
-  { version: '2.1.23', js: applyRegexPatches_v21123, native: applyRegexPatches_v21123_native },
-  {
-    version: '2.1.27',
-    js: applyRegexPatches_v21127,
-    native: applyRegexPatches_v21127_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.30',
-    js: applyRegexPatches_v2130,
-    native: applyRegexPatches_v2130_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.31',
-    js: applyRegexPatches_v2131,
-    native: applyRegexPatches_v2131_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.32',
-    js: applyRegexPatches_v2132,
-    native: applyRegexPatches_v2132_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.33',
-    js: applyRegexPatches_v2133,
-    native: applyRegexPatches_v2133_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.34',
-    js: applyRegexPatches_v2134,
-    native: applyRegexPatches_v2134_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.36',
-    js: applyRegexPatches_v2136,
-    native: applyRegexPatches_v2136_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.37',
-    js: applyRegexPatches_v2137,
-    native: applyRegexPatches_v2137_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.38',
-    js: applyRegexPatches_v2138,
-    native: applyRegexPatches_v2138_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.39',
-    js: applyRegexPatches_v2139,
-    native: applyRegexPatches_v2139_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.40',
-    js: applyRegexPatches_v2140,
-    native: applyRegexPatches_v2140_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.41',
-    js: applyRegexPatches_v2141,
-    native: applyRegexPatches_v2141_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.42',
-    js: applyRegexPatches_v2142,
-    native: applyRegexPatches_v2142_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.44',
-    js: applyRegexPatches_v2144,
-    native: applyRegexPatches_v2144_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.45',
-    js: applyRegexPatches_v2145,
-    native: applyRegexPatches_v2145_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.47',
-    js: applyRegexPatches_v2147,
-    native: applyRegexPatches_v2147_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.48',
-    js: applyRegexPatches_v2148,
-    native: applyRegexPatches_v2148_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.49',
-    js: applyRegexPatches_v2149,
-    native: applyRegexPatches_v2149_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.50',
-    js: applyRegexPatches_v2150,
-    native: applyRegexPatches_v2150_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.51',
-    js: applyRegexPatches_v2151,
-    native: applyRegexPatches_v2151_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.52',
-    js: applyRegexPatches_v2152,
-    native: applyRegexPatches_v2152_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.53',
-    js: applyRegexPatches_v2153,
-    native: applyRegexPatches_v2153_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.54',
-    js: applyRegexPatches_v2154,
-    native: applyRegexPatches_v2154_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.55',
-    js: applyRegexPatches_v2155,
-    native: applyRegexPatches_v2155_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.56',
-    js: applyRegexPatches_v2156,
-    native: applyRegexPatches_v2156_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.57',
-    js: applyRegexPatches_v2157,
-    native: applyRegexPatches_v2157_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.58',
-    js: applyRegexPatches_v2158,
-    native: applyRegexPatches_v2158_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.59',
-    js: applyRegexPatches_v2159,
-    native: applyRegexPatches_v2159_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.60',
-    js: applyRegexPatches_v2160,
-    native: applyRegexPatches_v2160_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.61',
-    js: applyRegexPatches_v2161,
-    native: applyRegexPatches_v2161_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.62',
-    js: applyRegexPatches_v2162,
-    native: applyRegexPatches_v2162_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.63',
-    js: applyRegexPatches_v2163,
-    native: applyRegexPatches_v2163_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.64',
-    js: applyRegexPatches_v2164,
-    native: applyRegexPatches_v2164_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.65',
-    js: applyRegexPatches_v2165,
-    native: applyRegexPatches_v2165_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.66',
-    js: applyRegexPatches_v2166,
-    native: applyRegexPatches_v2166_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.67',
-    js: applyRegexPatches_v2167,
-    native: applyRegexPatches_v2167_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.68',
-    js: applyRegexPatches_v2168,
-    native: applyRegexPatches_v2168_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.69',
-    js: applyRegexPatches_v2169,
-    native: applyRegexPatches_v2169_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.70',
-    js: applyRegexPatches_v2170,
-    native: applyRegexPatches_v2170_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.71',
-    js: applyRegexPatches_v2171,
-    native: applyRegexPatches_v2171_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.72',
-    js: applyRegexPatches_v2172,
-    native: applyRegexPatches_v2172_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.73',
-    js: applyRegexPatches_v2173,
-    native: applyRegexPatches_v2173_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.74',
-    js: applyRegexPatches_v2174,
-    native: applyRegexPatches_v2174_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.75',
-    js: applyRegexPatches_v2175,
-    native: applyRegexPatches_v2175_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.76',
-    js: applyRegexPatches_v2176,
-    native: applyRegexPatches_v2176_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.77',
-    js: applyRegexPatches_v2177,
-    native: applyRegexPatches_v2177_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.78',
-    js: applyRegexPatches_v2178,
-    native: applyRegexPatches_v2178_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.79',
-    js: applyRegexPatches_v2179,
-    native: applyRegexPatches_v2179_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.80',
-    js: applyRegexPatches_v2180,
-    native: applyRegexPatches_v2180_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.81',
-    js: applyRegexPatches_v2181,
-    native: applyRegexPatches_v2181_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.83',
-    js: applyRegexPatches_v2183,
-    native: applyRegexPatches_v2183_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.84',
-    js: applyRegexPatches_v2184,
-    native: applyRegexPatches_v2184_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.85',
-    js: applyRegexPatches_v2185,
-    native: applyRegexPatches_v2185_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.86',
-    js: applyRegexPatches_v2186,
-    native: applyRegexPatches_v2186_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.87',
-    js: applyRegexPatches_v2187,
-    native: applyRegexPatches_v2187_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.88',
-    js: applyRegexPatches_v2188,
-    native: applyRegexPatches_v2188_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.89',
-    js: applyRegexPatches_v2189,
-    native: applyRegexPatches_v2189_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.90',
-    js: applyRegexPatches_v2190,
-    native: applyRegexPatches_v2190_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.91',
-    js: applyRegexPatches_v2191,
-    native: applyRegexPatches_v2191_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.92',
-    js: applyRegexPatches_v2192,
-    native: applyRegexPatches_v2192_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.94',
-    js: applyRegexPatches_v2194,
-    native: applyRegexPatches_v2194_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.96',
-    js: applyRegexPatches_v2196,
-    native: applyRegexPatches_v2196_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.97',
-    js: applyRegexPatches_v2197,
-    native: applyRegexPatches_v2197_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.98',
-    js: applyRegexPatches_v2198,
-    native: applyRegexPatches_v2198_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.101',
-    js: applyRegexPatches_v21101,
-    native: applyRegexPatches_v21101_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.102',
-    js: applyRegexPatches_v21102,
-    native: applyRegexPatches_v21102_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.103',
-    js: applyRegexPatches_v21103,
-    native: applyRegexPatches_v21103_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.104',
-    js: applyRegexPatches_v21104,
-    native: applyRegexPatches_v21104_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.105',
-    js: applyRegexPatches_v21105,
-    native: applyRegexPatches_v21105_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.106',
-    js: applyRegexPatches_v21106,
-    native: applyRegexPatches_v21106_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.107',
-    js: applyRegexPatches_v21107,
-    native: applyRegexPatches_v21107_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.108',
-    js: applyRegexPatches_v21108,
-    native: applyRegexPatches_v21108_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.109',
-    js: applyRegexPatches_v21109,
-    native: applyRegexPatches_v21109_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.110',
-    js: applyRegexPatches_v21110,
-    native: applyRegexPatches_v21110_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.111',
-    js: applyRegexPatches_v21111,
-    native: applyRegexPatches_v21111_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.112',
-    js: applyRegexPatches_v21112,
-    native: applyRegexPatches_v21112_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.113',
-    js: applyRegexPatches_v21113,
-    native: applyRegexPatches_v21113_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.114',
-    js: applyRegexPatches_v21114new,
-    native: applyRegexPatches_v21114new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.116',
-    js: applyRegexPatches_v21116,
-    native: applyRegexPatches_v21116_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.117',
-    js: applyRegexPatches_v21117new,
-    native: applyRegexPatches_v21117new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.118',
-    js: applyRegexPatches_v21118,
-    native: applyRegexPatches_v21118_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.119',
-    js: applyRegexPatches_v21119new,
-    native: applyRegexPatches_v21119new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.120',
-    js: applyRegexPatches_v21120new,
-    native: applyRegexPatches_v21120new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.121',
-    js: applyRegexPatches_v21121new,
-    native: applyRegexPatches_v21121new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.122',
-    js: applyRegexPatches_v21122new,
-    native: applyRegexPatches_v21122new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.123',
-    js: applyRegexPatches_v21123new,
-    native: applyRegexPatches_v21123new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.126',
-    js: applyRegexPatches_v21126new,
-    native: applyRegexPatches_v21126new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.128',
-    js: applyRegexPatches_v21128new,
-    native: applyRegexPatches_v21128new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.129',
-    js: applyRegexPatches_v21129new,
-    native: applyRegexPatches_v21129new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.130',
-    js: applyRegexPatches_v21130new,
-    native: applyRegexPatches_v21130new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.131',
-    js: applyRegexPatches_v21131new,
-    native: applyRegexPatches_v21131new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.132',
-    js: applyRegexPatches_v21132new,
-    native: applyRegexPatches_v21132new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.133',
-    js: applyRegexPatches_v21133new,
-    native: applyRegexPatches_v21133new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.136',
-    js: applyRegexPatches_v21136new,
-    native: applyRegexPatches_v21136new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.137',
-    js: applyRegexPatches_v21137new,
-    native: applyRegexPatches_v21137new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.138',
-    js: applyRegexPatches_v21138new,
-    native: applyRegexPatches_v21138new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.139',
-    js: applyRegexPatches_v21139new,
-    native: applyRegexPatches_v21139new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.140',
-    js: applyRegexPatches_v21140new,
-    native: applyRegexPatches_v21140new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.141',
-    js: applyRegexPatches_v21141new,
-    native: applyRegexPatches_v21141new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.142',
-    js: applyRegexPatches_v21142new,
-    native: applyRegexPatches_v21142new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.143',
-    js: applyRegexPatches_v21143new,
-    native: applyRegexPatches_v21143new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.144',
-    js: applyRegexPatches_v21144new,
-    native: applyRegexPatches_v21144new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.145',
-    js: applyRegexPatches_v21145new,
-    native: applyRegexPatches_v21145new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.146',
-    js: applyRegexPatches_v21146new,
-    native: applyRegexPatches_v21146new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.147',
-    js: applyRegexPatches_v21147new,
-    native: applyRegexPatches_v21147new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.148',
-    js: applyRegexPatches_v21148new,
-    native: applyRegexPatches_v21148new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.149',
-    js: applyRegexPatches_v21149new,
-    native: applyRegexPatches_v21149new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.150',
-    js: applyRegexPatches_v21150new,
-    native: applyRegexPatches_v21150new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.152',
-    js: applyRegexPatches_v21152new,
-    native: applyRegexPatches_v21152new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.153',
-    js: applyRegexPatches_v21153new,
-    native: applyRegexPatches_v21153new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.154',
-    js: applyRegexPatches_v21154new,
-    native: applyRegexPatches_v21154new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.155',
-    js: applyRegexPatches_v21155new,
-    native: applyRegexPatches_v21155new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.156',
-    js: applyRegexPatches_v21156new,
-    native: applyRegexPatches_v21156new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.157',
-    js: applyRegexPatches_v21157new,
-    native: applyRegexPatches_v21157new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.158',
-    js: applyRegexPatches_v21158new,
-    native: applyRegexPatches_v21158new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.160',
-    js: applyRegexPatches_v21160new,
-    native: applyRegexPatches_v21160new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.161',
-    js: applyRegexPatches_v21161new,
-    native: applyRegexPatches_v21161new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.162',
-    js: applyRegexPatches_v21162new,
-    native: applyRegexPatches_v21162new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.163',
-    js: applyRegexPatches_v21163new,
-    native: applyRegexPatches_v21163new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.165',
-    js: applyRegexPatches_v21165new,
-    native: applyRegexPatches_v21165new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.166',
-    js: applyRegexPatches_v21166new,
-    native: applyRegexPatches_v21166new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.167',
-    js: applyRegexPatches_v21167new,
-    native: applyRegexPatches_v21167new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.168',
-    js: applyRegexPatches_v21168new,
-    native: applyRegexPatches_v21168new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.169',
-    js: applyRegexPatches_v21169new,
-    native: applyRegexPatches_v21169new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.170',
-    js: applyRegexPatches_v21170new,
-    native: applyRegexPatches_v21170new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.172',
-    js: applyRegexPatches_v21172new,
-    native: applyRegexPatches_v21172new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.173',
-    js: applyRegexPatches_v21173new,
-    native: applyRegexPatches_v21173new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.174',
-    js: applyRegexPatches_v21174new,
-    native: applyRegexPatches_v21174new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.175',
-    js: applyRegexPatches_v21175new,
-    native: applyRegexPatches_v21175new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.176',
-    js: applyRegexPatches_v21176new,
-    native: applyRegexPatches_v21176new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.177',
-    js: applyRegexPatches_v21177new,
-    native: applyRegexPatches_v21177new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.178',
-    js: applyRegexPatches_v21178new,
-    native: applyRegexPatches_v21178new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.179',
-    js: applyRegexPatches_v21179new,
-    native: applyRegexPatches_v21179new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.181',
-    js: applyRegexPatches_v21181new,
-    native: applyRegexPatches_v21181new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.182',
-    js: applyRegexPatches_v21182new,
-    native: applyRegexPatches_v21182new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.183',
-    js: applyRegexPatches_v21183new,
-    native: applyRegexPatches_v21183new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.185',
-    js: applyRegexPatches_v21185new,
-    native: applyRegexPatches_v21185new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.186',
-    js: applyRegexPatches_v21186new,
-    native: applyRegexPatches_v21186new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.187',
-    js: applyRegexPatches_v21187new,
-    native: applyRegexPatches_v21187new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.190',
-    js: applyRegexPatches_v21190new,
-    native: applyRegexPatches_v21190new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.191',
-    js: applyRegexPatches_v21191new,
-    native: applyRegexPatches_v21191new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.193',
-    js: applyRegexPatches_v21193new,
-    native: applyRegexPatches_v21193new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.195',
-    js: applyRegexPatches_v21195new,
-    native: applyRegexPatches_v21195new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.196',
-    js: applyRegexPatches_v21196new,
-    native: applyRegexPatches_v21196new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.197',
-    js: applyRegexPatches_v21197new,
-    native: applyRegexPatches_v21197new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.198',
-    js: applyRegexPatches_v21198new,
-    native: applyRegexPatches_v21198new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.199',
-    js: applyRegexPatches_v21199new,
-    native: applyRegexPatches_v21199new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.200',
-    js: applyRegexPatches_v21200new,
-    native: applyRegexPatches_v21200new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.201',
-    js: applyRegexPatches_v21201new,
-    native: applyRegexPatches_v21201new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.202',
-    js: applyRegexPatches_v21202new,
-    native: applyRegexPatches_v21202new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.203',
-    js: applyRegexPatches_v21203new,
-    native: applyRegexPatches_v21203new_native,
-    jsStandaloneDetect: true,
-  },
-  {
-    version: '2.1.204',
-    js: applyRegexPatches_v21204new,
-    native: applyRegexPatches_v21204new_native,
-    jsStandaloneDetect: true,
+    {
+      regex: thinkingCallsiteRegex_v21114,
+      replacer: thinkingCallsiteReplacer_v21114,
+      label: 'v2.1.14 thinking call site (regex)',
+      step: 'v2.1.14 thinking call site (regex)',
+    },
+  ]);
+
+const thinkingCallsiteArgsVisibilityReplacer =
+  (_m, casePrefix, _oldIsTranscriptMode, verboseKey, verboseVar, hideKey, _oldHideVar, suffix) =>
+    `${casePrefix}!0${verboseKey}${verboseVar}${hideKey}!1${suffix}`;
+
+function buildCallsiteGateAndArgsRegexPatch(version, redactedGateRegex, thinkingGateRegex, thinkingArgsRegex) {
+  const versionLabel = `v${version}`;
+  const addOpeningBraceReplacer = (_m, casePrefix) => `${casePrefix}{`;
+
+  return source =>
+    applyJsRegexPatchRules(source, [
+      {
+        regex: redactedGateRegex,
+        replacer: addOpeningBraceReplacer,
+        label: `${versionLabel} redacted_thinking call site gate (regex)`,
+        step: `${versionLabel} redacted_thinking call site gate (regex)`,
+      },
+      {
+        regex: thinkingGateRegex,
+        replacer: addOpeningBraceReplacer,
+        label: `${versionLabel} thinking call site gate (regex)`,
+        step: `${versionLabel} thinking call site gate (regex)`,
+      },
+      {
+        regex: thinkingArgsRegex,
+        replacer: thinkingCallsiteArgsVisibilityReplacer,
+        label: `${versionLabel} thinking call site args (regex)`,
+        step: `${versionLabel} thinking call site args (regex)`,
+      },
+    ]);
+}
+
+const applyRegexPatches_v21115 = buildCallsiteGateAndArgsRegexPatch(
+  '2.1.15',
+  redactedThinkingCallsiteGateRegex_v21115,
+  thinkingCallsiteGateRegex_v21115,
+  thinkingCallsiteArgsRegex_v21115
+);
+
+const applyRegexPatches_v21117 = buildCallsiteGateAndArgsRegexPatch(
+  '2.1.17',
+  redactedThinkingCallsiteGateRegex_v21117,
+  thinkingCallsiteGateRegex_v21117,
+  thinkingCallsiteArgsRegex_v21117
+);
+
+const applyRegexPatches_v21119 = buildCallsiteGateAndArgsRegexPatch(
+  '2.1.19',
+  redactedThinkingCallsiteGateRegex_v21119,
+  thinkingCallsiteGateRegex_v21119,
+  thinkingCallsiteArgsRegex_v21119
+);
+
+// Patch 2r: Force thinking visibility (v2.1.20).
+// In 2.1.20 (npm build), the call-site shape matches v2.1.19:
+// - if(!isTranscriptMode && !verbose && !T) return null
+// Patching only the call sites is sufficient:
+// - remove the short-circuit gate (so thinking isn't dropped)
+// - force isTranscriptMode=true (so renderer takes expanded branch)
+// - force hideInTranscript=false (so transcript-mode hiding can't suppress it)
+const redactedThinkingCallsiteSearchPattern_v21120 =
+  'case"redacted_thinking":{if(!D&&!H&&!T)return null;let k;if(K[21]!==Y)k=H9.createElement(i6K,{addMargin:Y}),K[21]=Y,K[22]=k;else k=K[22];return k}';
+const redactedThinkingCallsiteReplacement_v21120 =
+  'case"redacted_thinking":{let k;if(K[21]!==Y)k=H9.createElement(i6K,{addMargin:Y}),K[21]=Y,K[22]=k;else k=K[22];return k}';
+const thinkingCallsiteSearchPattern_v21120 =
+  'case"thinking":{if(!D&&!H&&!T)return null;let R=D&&!(!V||P===V)&&!T,b;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)b=H9.createElement(Ej1,{addMargin:Y,param:q,isTranscriptMode:D,verbose:H,hideInTranscript:R}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=b;else b=K[28];return b}';
+const thinkingCallsiteReplacement_v21120 =
+  'case"thinking":{let R=D&&!(!V||P===V)&&!T,b;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)b=H9.createElement(Ej1,{addMargin:Y,param:q,isTranscriptMode:!0,verbose:H,hideInTranscript:!1}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=b;else b=K[28];return b}';
+
+// Patch 2s: Force thinking visibility (v2.1.22).
+// 2.1.22 matches the same overall call-site structure as 2.1.20, but identifiers changed:
+// - createElement callee + renderer component differ
+// We still patch only the call sites:
+// - remove the short-circuit gate
+// - force isTranscriptMode=true
+// - force hideInTranscript=false
+const redactedThinkingCallsiteSearchPattern_v21122 =
+  'case"redacted_thinking":{if(!D&&!H&&!T)return null;let E;if(K[21]!==Y)E=Y9.createElement(c8K,{addMargin:Y}),K[21]=Y,K[22]=E;else E=K[22];return E}';
+const redactedThinkingCallsiteReplacement_v21122 =
+  'case"redacted_thinking":{let E;if(K[21]!==Y)E=Y9.createElement(c8K,{addMargin:Y}),K[21]=Y,K[22]=E;else E=K[22];return E}';
+const thinkingCallsiteSearchPattern_v21122 =
+  'case"thinking":{if(!D&&!H&&!T)return null;let R=D&&!(!V||P===V)&&!T,b;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)b=Y9.createElement(iM1,{addMargin:Y,param:q,isTranscriptMode:D,verbose:H,hideInTranscript:R}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=b;else b=K[28];return b}';
+const thinkingCallsiteReplacement_v21122 =
+  'case"thinking":{let R=D&&!(!V||P===V)&&!T,b;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)b=Y9.createElement(iM1,{addMargin:Y,param:q,isTranscriptMode:!0,verbose:H,hideInTranscript:!1}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=b;else b=K[28];return b}';
+
+// Patch 2t: Force thinking visibility (v2.1.23).
+// 2.1.23 matches the same overall call-site structure as 2.1.22, but identifiers changed:
+// - createElement namespace: `z9`
+// - redacted_thinking renderer: `q7K`
+// - thinking renderer: `NP1`
+// We patch only the call sites:
+// - remove the short-circuit gate
+// - force isTranscriptMode=true
+// - force hideInTranscript=false
+const redactedThinkingCallsiteSearchPattern_v21123 =
+  'case"redacted_thinking":{if(!D&&!H&&!T)return null;let C;if(K[21]!==Y)C=z9.createElement(q7K,{addMargin:Y}),K[21]=Y,K[22]=C;else C=K[22];return C}';
+const redactedThinkingCallsiteReplacement_v21123 =
+  'case"redacted_thinking":{let C;if(K[21]!==Y)C=z9.createElement(q7K,{addMargin:Y}),K[21]=Y,K[22]=C;else C=K[22];return C}';
+const thinkingCallsiteSearchPattern_v21123 =
+  'case"thinking":{if(!D&&!H&&!T)return null;let R=D&&!(!f||P===f)&&!T,x;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)x=z9.createElement(NP1,{addMargin:Y,param:q,isTranscriptMode:D,verbose:H,hideInTranscript:R}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=x;else x=K[28];return x}';
+const thinkingCallsiteReplacement_v21123 =
+  'case"thinking":{let R=D&&!(!f||P===f)&&!T,x;if(K[23]!==Y||K[24]!==D||K[25]!==q||K[26]!==R||K[27]!==H)x=z9.createElement(NP1,{addMargin:Y,param:q,isTranscriptMode:!0,verbose:H,hideInTranscript:!1}),K[23]=Y,K[24]=D,K[25]=q,K[26]=R,K[27]=H,K[28]=x;else x=K[28];return x}';
+
+// Regex-based fallback for v2.1.20 (inspired by tweakcc's thinkingVisibility.ts).
+// NOTE: The caller gates this on the target version (see `thinkingRegexRules`).
+// We keep the regex itself relatively general to handle minor minifier diffs.
+const redactedThinkingCallsiteGateRegex_v21120 = /(case"redacted_thinking":\{?)(if\([^)]*\)(?:return null;|\{return null\}))/;
+
+// Unified pattern (tweakcc-style) that:
+// - removes the early-return gate `if(...)return null;`
+// - forces `isTranscriptMode:!0`
+// - forces `hideInTranscript:!1` (needed in 2.1.20 to prevent transcript hiding)
+const thinkingVisibilityRegex_v21120 =
+  /(case"thinking":\{?)(if\([^)]*\)return null;)([\s\S]{0,1200}?createElement\([$\w]+,\{addMargin:[$\w]+,param:[$\w]+,isTranscriptMode:)([^,}]+)(,verbose:)([^,}]+)(,hideInTranscript:)([^,}]+)(\}\))/;
+
+// 2.1.22 through 2.1.27 and 2.1.45 through 2.1.76 share the 2.1.20 call-site shape.
+// In 2.1.30 through 2.1.44, the thinking call site does not pass `verbose:`.
+const thinkingVisibilityRegex_v2130 =
+  /(case"thinking":\{?)(if\([^)]*\)return null;)([\s\S]{0,1400}?createElement\([$\w]+,\{addMargin:[$\w]+,param:[$\w]+,isTranscriptMode:)([^,}]+)(,hideInTranscript:)([^,}]+)(\}\))/;
+
+// 2.1.77 through 2.1.165 keep the same gate semantics, but the createElement call sits inside a
+// memo-cache branch, so the regex must not assume the call ends right after hideInTranscript.
+const thinkingVisibilityRegex_v2177 =
+  /(case"thinking":\{?)(if\([^)]*\)return null;)([\s\S]{0,1600}?createElement\([$\w]+,\{addMargin:[$\w]+,param:[$\w]+,isTranscriptMode:)([^,}]+)(,verbose:)([^,}]+)(,hideInTranscript:)([^,}]+)/;
+
+// 2.1.166 and later removed the hideInTranscript prop from the memoized thinking call site.
+// 2.1.203+ emit the early return as `if(...){return null}`, and 2.1.186+ use `jsx(...)` /
+// `jsxs(...)` instead of `createElement(...)`, so the regex accepts all of those forms.
+const thinkingVisibilityRegex_v21166 =
+  /(case"thinking":\{?)(if\([^)]*\)(?:return null;|\{return null\}))([\s\S]{0,1600}?(?:createElement|jsx|jsxs)\([$\w]+,\{addMargin:[$\w]+,param:[$\w]+,isTranscriptMode:)([^,}]+)(,verbose:)([^,}]+)/;
+
+// `js(source, version)` / `native(sourceBuf, version)` for one call-site shape. The version only
+// labels the steps (`v2.1.204 thinking visibility (regex)`), so the same rule serves a whole range.
+function buildThinkingVisibilityRegexPatchPair(gateRegex, thinkingRegex, thinkingReplacer) {
+  const stripRedactedGateReplacer = (_m, casePrefix) => `${casePrefix}`;
+  const rulesFor = (version, kind) => [
+    {
+      regex: gateRegex,
+      replacer: stripRedactedGateReplacer,
+      within: redactedThinkingBranches,
+      label: `v${version} redacted_thinking call site gate (${kind})`,
+      step: `v${version} redacted_thinking call site gate (${kind})`,
+    },
+    {
+      regex: thinkingRegex,
+      replacer: thinkingReplacer,
+      within: thinkingBranches,
+      label: `v${version} thinking visibility (${kind})`,
+      step: `v${version} thinking visibility (${kind})`,
+    },
+  ];
+
+  return {
+    js: (source, version) => applyJsRegexPatchRules(source, rulesFor(version, 'regex')),
+    native: (sourceBuf, version) =>
+      applyNativeRegexPatchRules(sourceBuf, `thinking visibility regex patch (v${version})`, rulesFor(version, 'native regex')),
+  };
+}
+
+const thinkingVisibilityReplacer_withVerbose =
+  (_m, casePrefix, _gate, createPrefix, _oldIsTranscriptMode, verboseKey, verboseVar, hideKey, _oldHideValue, suffix) =>
+    `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}${hideKey}!1${suffix}`;
+
+const thinkingVisibilityReplacer_withoutVerbose =
+  (_m, casePrefix, _gate, createPrefix, _oldIsTranscriptMode, hideKey, _oldHideValue, suffix) =>
+    `${casePrefix}${createPrefix}!0${hideKey}!1${suffix}`;
+
+const thinkingVisibilityReplacer_withVerboseLoose =
+  (_m, casePrefix, _gate, createPrefix, _oldIsTranscriptMode, verboseKey, verboseVar, hideKey, _oldHideValue) =>
+    `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}${hideKey}!1`;
+
+const thinkingVisibilityReplacer_withVerboseNoHide =
+  (_m, casePrefix, _gate, createPrefix, _oldIsTranscriptMode, verboseKey, verboseVar) =>
+    `${casePrefix}${createPrefix}!0${verboseKey}${verboseVar}`;
+
+// Per-run patch state. The detect/apply helpers below operate on the module-level `content`
+// so the rule tables can stay declarative; `resetThinkingPatchState()` prepares a fresh run.
+let content = null;
+let isNativeBinary = false;
+let log = console.log;
+let targetVersion = null;
+let patch1Applied = false;
+let patch2Applied = false;
+let patch1AlreadyApplied = false;
+let patch2AlreadyApplied = false;
+const patch2PlannedSteps = [];
+
+// `version` is the detected Claude Code version (see lib/version-detect.js), if known; it picks the
+// version-scoped regex rule and also matches builds whose VERSION tag is not in the exact
+// `VERSION:"x.y.z"` form. Without it, the exact tag is used.
+function resetThinkingPatchState(source, nativeBinary, logger, version = null) {
+  content = source;
+  isNativeBinary = nativeBinary;
+  log = typeof logger === 'function' ? logger : () => {};
+  targetVersion = version || readVersionTag(source);
+  patch1Applied = false;
+  patch2Applied = false;
+  patch1AlreadyApplied = false;
+  patch2AlreadyApplied = false;
+  patch2PlannedSteps.length = 0;
+  jsRegexDetectCache.clear();
+}
+
+// Version-scoped regex rules, keyed by semver range (see lib/semver.js). A range shares one
+// call-site shape, so a release that is not listed yet but falls inside a known range is patched
+// without a new rule; add a rule (or split a range) only where the shape actually changed.
+// 2.1.14 through 2.1.19 are per-version overrides: their call sites changed with every release.
+const thinkingRegexRules = [
+  { versions: '2.1.14', js: applyRegexPatches_v21114 },
+  { versions: '2.1.15', js: applyRegexPatches_v21115 },
+  { versions: '2.1.17', js: applyRegexPatches_v21117 },
+  { versions: '2.1.19', js: applyRegexPatches_v21119 },
+  {
+    versions: '>=2.1.20 <2.1.30',
+    ...buildThinkingVisibilityRegexPatchPair(
+      redactedThinkingCallsiteGateRegex_v21120,
+      thinkingVisibilityRegex_v21120,
+      thinkingVisibilityReplacer_withVerbose
+    ),
+  },
+  {
+    versions: '>=2.1.30 <2.1.45',
+    ...buildThinkingVisibilityRegexPatchPair(
+      redactedThinkingCallsiteGateRegex_v21120,
+      thinkingVisibilityRegex_v2130,
+      thinkingVisibilityReplacer_withoutVerbose
+    ),
+  },
+  {
+    versions: '>=2.1.45 <2.1.77',
+    ...buildThinkingVisibilityRegexPatchPair(
+      redactedThinkingCallsiteGateRegex_v21120,
+      thinkingVisibilityRegex_v21120,
+      thinkingVisibilityReplacer_withVerbose
+    ),
+  },
+  {
+    versions: '>=2.1.77 <2.1.166',
+    ...buildThinkingVisibilityRegexPatchPair(
+      redactedThinkingCallsiteGateRegex_v21120,
+      thinkingVisibilityRegex_v2177,
+      thinkingVisibilityReplacer_withVerboseLoose
+    ),
+  },
+  {
+    versions: '>=2.1.166 <2.2.0',
+    ...buildThinkingVisibilityRegexPatchPair(
+      redactedThinkingCallsiteGateRegex_v21120,
+      thinkingVisibilityRegex_v21166,
+      thinkingVisibilityReplacer_withVerboseNoHide
+    ),
   },
 ];
 
-const jsRegexVersionPatches = regexPatchRegistry.map(({ version, js }) => ({ version, fn: js }));
-
-const nativeRegexVersionPatches = regexPatchRegistry
-  .filter(({ native }) => typeof native === 'function')
-  .map(({ version, native }) => ({ version, fn: native }));
+function findThinkingRegexRule(version) {
+  if (!version) return null;
+  return thinkingRegexRules.find(rule => satisfies(version, rule.versions)) || null;
+}
 
 const jsRegexDetectCache = new Map();
-function getJsRegexDetectSteps(version, applyFn) {
-  if (isNativeBinary || !content.includes(`VERSION:"${version}"`)) return [];
+function getJsRegexDetectSteps(version) {
+  const rule = findThinkingRegexRule(version);
+  if (isNativeBinary || !rule || !hasVersionTag(version)) return [];
   if (!jsRegexDetectCache.has(version)) {
-    jsRegexDetectCache.set(version, applyFn(content).steps);
+    jsRegexDetectCache.set(version, rule.js(content, version).steps);
   }
   return jsRegexDetectCache.get(version);
 }
 
-const jsRegexStandaloneDetectVersions = new Set(
-  regexPatchRegistry.filter(({ jsStandaloneDetect }) => jsStandaloneDetect).map(({ version }) => version)
-);
-
-const standaloneJsRegexVersionPatches = jsRegexVersionPatches.filter(({ version }) =>
-  jsRegexStandaloneDetectVersions.has(version)
-);
+// Versions with a hybrid rule (exact strings first, regex fallback) run their regex rule from
+// there; every other version in a known range runs it on its own.
+function getStandaloneJsRegexVersion() {
+  if (isNativeBinary || !targetVersion) return null;
+  if (jsHybridPatchRules.some(rule => rule.version === targetVersion)) return null;
+  return findThinkingRegexRule(targetVersion) ? targetVersion : null;
+}
 
 function markPatch2Detected(step) {
   patch2Applied = true;
@@ -3961,7 +917,7 @@ function detectExactPatchState(searchPattern, replacementPattern, plannedStep, a
     return 'found';
   }
   if (content.includes(replacementPattern)) {
-    console.log(`  ⚠️  Already applied (${alreadyLabel})`);
+    log(`  ⚠️  Already applied (${alreadyLabel})`);
     return 'already';
   }
   return 'none';
@@ -3973,7 +929,7 @@ function detectAnyExactPatchState(searchPatterns, replacementPattern, plannedSte
     return 'found';
   }
   if (content.includes(replacementPattern)) {
-    console.log(`  ⚠️  Already applied (${alreadyLabel})`);
+    log(`  ⚠️  Already applied (${alreadyLabel})`);
     return 'already';
   }
   return 'none';
@@ -3982,7 +938,7 @@ function detectAnyExactPatchState(searchPatterns, replacementPattern, plannedSte
 function applyExactPatch(searchPattern, replacementPattern, replaceLabel, successMessage) {
   if (!content.includes(searchPattern)) return;
   content = replaceOnceExact(content, searchPattern, replacementPattern, replaceLabel);
-  console.log(successMessage);
+  log(successMessage);
 }
 
 function applyAnyExactPatch(searchPatterns, replacementPattern, replaceLabels, successMessage) {
@@ -3992,17 +948,17 @@ function applyAnyExactPatch(searchPatterns, replacementPattern, replaceLabels, s
       ? replaceLabels[Math.min(idx, replaceLabels.length - 1)]
       : replaceLabels;
     content = replaceOnceExact(content, searchPattern, replacementPattern, replaceLabel);
-    console.log(successMessage);
+    log(successMessage);
   });
 }
 
 function hasVersionTag(version) {
-  return content.includes(`VERSION:"${version}"`);
+  return targetVersion === version || content.includes(`VERSION:"${version}"`);
 }
 
-function detectJsRegexStep(version, applyFn, regexStepNames, plannedStep) {
+function detectJsRegexStep(version, regexStepNames, plannedStep) {
   if (isNativeBinary || !hasVersionTag(version)) return;
-  const steps = getJsRegexDetectSteps(version, applyFn);
+  const steps = getJsRegexDetectSteps(version);
   if (regexStepNames.some(stepName => steps.includes(stepName))) {
     markPatch2Detected(plannedStep);
   }
@@ -4338,7 +1294,6 @@ function applyLegacyExactPatchRule(rule) {
 const jsHybridPatchRules = [
   {
     version: '2.1.14',
-    regexFn: applyRegexPatches_v21114,
     detectEntries: [
       {
         kind: 'exact',
@@ -4398,7 +1353,6 @@ const jsHybridPatchRules = [
   },
   {
     version: '2.1.15',
-    regexFn: applyRegexPatches_v21115,
     detectEntries: [
       {
         kind: 'exact',
@@ -4438,7 +1392,6 @@ const jsHybridPatchRules = [
   },
   {
     version: '2.1.17',
-    regexFn: applyRegexPatches_v21117,
     detectEntries: [
       {
         kind: 'exact',
@@ -4478,7 +1431,6 @@ const jsHybridPatchRules = [
   },
   {
     version: '2.1.19',
-    regexFn: applyRegexPatches_v21119,
     detectEntries: [
       {
         kind: 'exact',
@@ -4518,7 +1470,6 @@ const jsHybridPatchRules = [
   },
   {
     version: '2.1.20',
-    regexFn: applyRegexPatches_v21120,
     detectEntries: [
       {
         kind: 'exact',
@@ -4558,7 +1509,6 @@ const jsHybridPatchRules = [
   },
   {
     version: '2.1.22',
-    regexFn: applyRegexPatches_v21122,
     detectEntries: [
       {
         kind: 'exact',
@@ -4598,7 +1548,6 @@ const jsHybridPatchRules = [
   },
   {
     version: '2.1.23',
-    regexFn: applyRegexPatches_v21123,
     detectEntries: [
       {
         kind: 'exact',
@@ -4653,7 +1602,7 @@ function detectJsHybridPatchRule(rule) {
     );
     if (state !== 'none' || !entry.regexStepNames || !entry.regexPlannedStep) continue;
 
-    detectJsRegexStep(rule.version, rule.regexFn, entry.regexStepNames, entry.regexPlannedStep);
+    detectJsRegexStep(rule.version, entry.regexStepNames, entry.regexPlannedStep);
   }
 }
 
@@ -4667,21 +1616,17 @@ function applyJsHybridPatchRule(rule) {
     applyExactPatch(entry.searchPattern, entry.replacementPattern, entry.replaceLabel, entry.successMessage);
   }
 
-  applyJsRegexFallback(rule.version, rule.regexFn);
+  applyJsRegexFallback(rule.version);
 }
 
 function detectStandaloneJsRegexPatches() {
-  if (isNativeBinary) return;
-  for (const { version, fn } of standaloneJsRegexVersionPatches) {
-    const steps = getJsRegexDetectSteps(version, fn);
-    markPatch2DetectedSteps(steps);
-  }
+  const version = getStandaloneJsRegexVersion();
+  if (version) markPatch2DetectedSteps(getJsRegexDetectSteps(version));
 }
 
 function applyStandaloneJsRegexPatches() {
-  for (const { version, fn } of standaloneJsRegexVersionPatches) {
-    applyJsRegexFallback(version, fn);
-  }
+  const version = getStandaloneJsRegexVersion();
+  if (version) applyJsRegexFallback(version);
 }
 
 const nativeExactPatchRules = [
@@ -4725,99 +1670,101 @@ function detectNativeExactPatchRule(rule) {
 
 function applyNativeExactPatchRule(rule) {
   while (isNativeBinary && content.includes(rule.searchPattern)) {
-    content = replaceOnceExact(content, rule.searchPattern, rule.replacementPattern, rule.replaceLabel);
-    console.log(rule.successMessage);
+    // Occurrences outside the embedded JS are left alone (see `replaceOnceExact()`).
+    const next = replaceOnceExact(content, rule.searchPattern, rule.replacementPattern, rule.replaceLabel);
+    if (next === content) break;
+    content = next;
+    log(rule.successMessage);
   }
 }
 
 function getMatchedNativeRegexPatch() {
-  return nativeRegexVersionPatches.find(({ version }) => hasVersionTag(version));
+  const rule = findThinkingRegexRule(targetVersion);
+  if (!rule || !rule.native) return null;
+  return { version: targetVersion, fn: sourceBuf => rule.native(sourceBuf, targetVersion) };
 }
 
 // Check if patches can be applied
-console.log('Checking patches...\n');
-
-console.log('Patch 1: collapsed thinking banner removal (older versions)');
-if (content.includes(bannerSearchPattern_v2062)) {
-  patch1Applied = true;
-  console.log('  ✅ Pattern found (v2.0.62) - ready to apply');
-} else if (content.includes(bannerReplacement_v2062)) {
-  patch1AlreadyApplied = true;
-  console.log('  ⚠️  Already applied');
-} else {
-  console.log('  ℹ️  Not applicable / pattern not found');
-}
-
-console.log('\nPatch 2: thinking visibility');
-for (const rule of legacyExactPatchRules) {
-  detectLegacyExactPatchRule(rule);
-}
+function detectThinkingPatches() {
+  log('Checking patches...\n');
+
+  log('Patch 1: collapsed thinking banner removal (older versions)');
+  if (content.includes(bannerSearchPattern_v2062)) {
+    patch1Applied = true;
+    log('  ✅ Pattern found (v2.0.62) - ready to apply');
+  } else if (content.includes(bannerReplacement_v2062)) {
+    patch1AlreadyApplied = true;
+    log('  ⚠️  Already applied');
+  } else {
+    log('  ℹ️  Not applicable / pattern not found');
+  }
 
-for (const rule of jsHybridPatchRules) {
-  detectJsHybridPatchRule(rule);
-}
+  log('\nPatch 2: thinking visibility');
+  for (const rule of legacyExactPatchRules) {
+    detectLegacyExactPatchRule(rule);
+  }
 
-// Version-scoped JS regex detection for versions that only use regex-style matching.
-detectStandaloneJsRegexPatches();
+  for (const rule of jsHybridPatchRules) {
+    detectJsHybridPatchRule(rule);
+  }
 
-for (const rule of nativeExactPatchRules) {
-  detectNativeExactPatchRule(rule);
-}
+  // Version-scoped JS regex detection for versions that only use regex-style matching.
+  detectStandaloneJsRegexPatches();
 
-// Version-scoped native/binary regex detection (tweakcc-style unified patch).
-// This improves robustness for bun-packed native binaries whose identifiers differ from npm builds.
-// Only used when no exact-string patterns matched.
-if (isNativeBinary && patch2PlannedSteps.length === 0) {
-  const matchedNativeRegexPatch = getMatchedNativeRegexPatch();
-  if (matchedNativeRegexPatch) {
-    const { steps } = matchedNativeRegexPatch.fn(content);
-    markPatch2DetectedSteps(steps);
+  for (const rule of nativeExactPatchRules) {
+    detectNativeExactPatchRule(rule);
   }
-}
 
-// Lightweight native/binary regex fallback (for versions whose identifiers differ).
-// Only used when no exact-string patterns matched.
-if (isNativeBinary && patch2PlannedSteps.length === 0) {
-  const nativeSteps = detectNativeRegexPatches(content);
-  markPatch2DetectedSteps(nativeSteps);
-}
+  // Version-scoped native/binary regex detection (tweakcc-style unified patch).
+  // This improves robustness for bun-packed native binaries whose identifiers differ from npm builds.
+  // Only used when no exact-string patterns matched.
+  if (isNativeBinary && patch2PlannedSteps.length === 0) {
+    const matchedNativeRegexPatch = getMatchedNativeRegexPatch();
+    if (matchedNativeRegexPatch) {
+      const { steps } = matchedNativeRegexPatch.fn(content);
+      markPatch2DetectedSteps(steps);
+    }
+  }
 
-if (patch2PlannedSteps.length > 0) {
-  console.log(`  ✅ Pattern found (${patch2PlannedSteps.join(', ')}) - ready to apply`);
-} else {
-  patch2AlreadyApplied =
-    patch2KnownReplacementPatterns.some(pattern => content.includes(pattern)) ||
-    (isNativeBinary && detectNativeAlreadyPatched(content)) ||
-    (!isNativeBinary && detectJsAlreadyPatched(content));
+  // Lightweight native/binary regex fallback (for versions whose identifiers differ).
+  // Only used when no exact-string patterns matched.
+  if (isNativeBinary && patch2PlannedSteps.length === 0) {
+    const nativeSteps = detectNativeRegexPatches(content);
+    markPatch2DetectedSteps(nativeSteps);
+  }
 
-  if (patch2AlreadyApplied) {
-    console.log('  ⚠️  Already applied');
+  if (patch2PlannedSteps.length > 0) {
+    log(`  ✅ Pattern found (${patch2PlannedSteps.join(', ')}) - ready to apply`);
   } else {
-    console.log('  ❌ Pattern not found - may need update for newer version');
+    patch2AlreadyApplied =
+      patch2KnownReplacementPatterns.some(pattern => content.includes(pattern)) ||
+      (isNativeBinary && detectNativeAlreadyPatched(content)) ||
+      (!isNativeBinary && detectJsAlreadyPatched(content));
+
+    if (patch2AlreadyApplied) {
+      log('  ⚠️  Already applied');
+    } else {
+      log('  ❌ Pattern not found - may need update for newer version');
+    }
   }
-}
 
-// Dry run mode - just preview
-if (isDryRun) {
-  console.log('\n📋 DRY RUN - No changes will be made\n');
-  console.log('Summary:');
-  console.log(`- Patch 1 (banner): ${patch1Applied ? 'WOULD APPLY' : 'SKIP'}`);
-  console.log(`- Patch 2 (visibility): ${patch2Applied ? 'WOULD APPLY' : 'SKIP'}`);
-
-  if (patch1Applied || patch2Applied) {
-    console.log('\nRun without --dry-run to apply patches.');
-  }
-  process.exit(0);
+  return {
+    patch1Applied,
+    patch2Applied,
+    patch1AlreadyApplied,
+    patch2AlreadyApplied,
+    steps: [...patch2PlannedSteps],
+  };
 }
 
-// Apply patches
-function applyJsRegexFallback(version, applyFn) {
-  if (isNativeBinary || !content.includes(`VERSION:"${version}"`)) return;
-  const result = applyFn(content);
+function applyJsRegexFallback(version) {
+  const rule = findThinkingRegexRule(version);
+  if (isNativeBinary || !rule || !hasVersionTag(version)) return;
+  const result = rule.js(content, version);
   if (result.steps.length === 0) return;
   content = result.out;
   for (const step of result.steps) {
-    console.log(`✅ Patch 2 applied: ${step}`);
+    log(`✅ Patch 2 applied: ${step}`);
   }
 }
 
@@ -4830,92 +1777,267 @@ function applyMatchedNativeRegexFallback() {
   content = result.out;
   markPatch2DetectedSteps(result.steps);
   for (const step of result.steps) {
-    console.log(`✅ Patch 2 applied: ${step}`);
+    log(`✅ Patch 2 applied: ${step}`);
   }
 }
 
-if (!patch1Applied && !patch2Applied) {
-  if (patch1AlreadyApplied || patch2AlreadyApplied) {
-    console.log('\n✅ Patches already applied - nothing to do.');
-    process.exit(0);
+// Apply patches
+function applyThinkingPatches() {
+  // Apply Patch 1
+  if (patch1Applied) {
+    content = replaceOnceExact(content, bannerSearchPattern_v2062, bannerReplacement_v2062, 'Patch 1 v2.0.62 banner');
+    log('✅ Patch 1 applied: ZT2 function now returns null');
   }
-  console.error('\n❌ No patches to apply');
-  console.error('Patches may already be applied or version may have changed.');
-  console.error('Run with --dry-run to see details.');
-  process.exit(1);
-}
 
-// Create backup if it doesn't exist
-if (!fs.existsSync(backupPath)) {
-  console.log('\nCreating backup...');
-  fs.copyFileSync(targetPath, backupPath);
-  console.log(`✅ Backup created: ${backupPath}`);
-}
+  // Apply Patch 2
+  if (patch2Applied) {
+    for (const rule of legacyExactPatchRules) {
+      applyLegacyExactPatchRule(rule);
+    }
+
+    for (const rule of jsHybridPatchRules) {
+      applyJsHybridPatchRule(rule);
+    }
 
-console.log('\nApplying patches...');
+    applyStandaloneJsRegexPatches();
 
-// Apply Patch 1
-if (patch1Applied) {
-  content = replaceOnceExact(content, bannerSearchPattern_v2062, bannerReplacement_v2062, 'Patch 1 v2.0.62 banner');
-  console.log('✅ Patch 1 applied: ZT2 function now returns null');
+    for (const rule of nativeExactPatchRules) {
+      applyNativeExactPatchRule(rule);
+    }
+
+    // Version-scoped native/binary regex fallback.
+    // This mirrors the tweakcc-style unified regex (remove gate + force isTranscriptMode/hideInTranscript).
+    // Run before the generic native regex fallback so the logs are clearer and the match is tighter.
+    applyMatchedNativeRegexFallback();
+
+    // Lightweight native/binary regex fallback.
+    // Use only when the binary still contains the short-circuit gate patterns.
+    if (
+      isNativeBinary &&
+      (content.includes('case"thinking":{if(!') ||
+        content.includes('case"thinking":if(!') ||
+        content.includes('case"redacted_thinking":{if(!') ||
+        content.includes('case"redacted_thinking":if(!'))
+    ) {
+      const result = applyNativeRegexPatches(content);
+      if (result.steps.length > 0) {
+        content = result.out;
+        for (const step of result.steps) {
+          log(`✅ Patch 2 applied: ${step}`);
+        }
+      }
+    }
+  }
 }
 
-// Apply Patch 2
-if (patch2Applied) {
-  for (const rule of legacyExactPatchRules) {
-    applyLegacyExactPatchRule(rule);
+// Versions with known patterns: the exact-string rules cover everything before the first
+// version-scoped regex rule; from then on a version is supported if a regex rule's range covers it.
+const supportedThinkingVersions = ['<2.1.14', ...thinkingRegexRules.map(({ versions }) => versions)].join(' || ');
+const supportedThinkingVersionsText = [
+  '2.0.62, 2.0.71, 2.0.74, 2.0.75, 2.0.76, 2.1.1, 2.1.2, 2.1.3, 2.1.4, 2.1.6, 2.1.7, 2.1.9, 2.1.11, 2.1.12',
+  ...thinkingRegexRules.map(({ versions }) => versions),
+].join(', ');
+
+const thinkingPatch = definePatch({
+  id: 'thinking',
+  description: 'Show thinking blocks inline without ctrl+o',
+  versions: supportedThinkingVersions,
+  detect(source, ctx = {}) {
+    resetThinkingPatchState(source, ctx.kind === 'native-binary', ctx.log, ctx.version);
+    const state = detectThinkingPatches();
+    if (state.patch1Applied || state.patch2Applied) return { status: DETECT_STATUS.applicable, steps: state.steps };
+    if (state.patch1AlreadyApplied || state.patch2AlreadyApplied) return { status: DETECT_STATUS.alreadyPatched };
+    return { status: DETECT_STATUS.notFound };
+  },
+  apply(source, ctx = {}) {
+    const detected = thinkingPatch.detect(source, ctx);
+    if (detected.status !== DETECT_STATUS.applicable) return { status: detected.status, content: source };
+    applyThinkingPatches();
+    if (isNativeBinary && content.length !== source.length) {
+      throw new Error(`Refusing to patch native/binary: size changed (${source.length} -> ${content.length}).`);
+    }
+    return { status: APPLY_STATUS.patched, content, steps: detected.steps };
+  },
+});
+
+function main() {
+  // Parse command line arguments
+  const { isDryRun, isRestore, isJson, isForce, showHelp, fileArgMissing, fileArgPath } = parseCommonArgs(process.argv.slice(2));
+  const reporter = createReporter({ json: isJson, command: isRestore ? 'restore' : 'apply' });
+  reporter.set({ dryRun: isDryRun });
+
+  if (fileArgMissing) {
+    reporter.fail(EXIT_CODES.usage, '--file requires a path argument');
   }
 
-  for (const rule of jsHybridPatchRules) {
-    applyJsHybridPatchRule(rule);
+  // Display help
+  if (showHelp) {
+    console.log(`Claude Code Thinking Visibility Patcher (supports ${supportedThinkingVersionsText})`);
+    console.log('==============================================\n');
+    console.log('Usage: node patch-thinking.js [options]\n');
+    console.log('Options:');
+    console.log('  --dry-run    Preview changes without applying them');
+    console.log('  --restore    Restore from backup file');
+    console.log('  --file PATH  Patch a specific cli.js file or native claude binary (skip auto-detection)');
+    console.log('  --json       Print a single JSON result instead of progress messages');
+    console.log('  --force      Patch even while Claude Code is running from the target');
+    console.log('  --help, -h   Show this help message\n');
+    console.log('Examples:');
+    console.log('  node patch-thinking.js              # Apply patches');
+    console.log('  node patch-thinking.js --dry-run    # Preview changes');
+    console.log('  node patch-thinking.js --restore    # Restore original');
+    console.log('  node patch-thinking.js --file PATH  # Patch a downloaded cli.js');
+    process.exit(0);
   }
 
-  applyStandaloneJsRegexPatches();
+  reporter.log(`Claude Code Thinking Visibility Patcher (supports ${supportedThinkingVersionsText})`);
+  reporter.log('==============================================\n');
 
-  for (const rule of nativeExactPatchRules) {
-    applyNativeExactPatchRule(rule);
+  const { target, attempted } = resolveClaudeTarget({ filePath: fileArgPath });
+  const targetPath = target ? target.path : null;
+
+  if (!targetPath) {
+    printTargetNotFound(attempted, reporter.error);
+    reporter.set({ attempted }).exit(EXIT_CODES.targetNotFound, 'Could not find Claude Code installation');
   }
 
-  // Version-scoped native/binary regex fallback.
-  // This mirrors the tweakcc-style unified regex (remove gate + force isTranscriptMode/hideInTranscript).
-  // Run before the generic native regex fallback so the logs are clearer and the match is tighter.
-  applyMatchedNativeRegexFallback();
-
-  // Lightweight native/binary regex fallback.
-  // Use only when the binary still contains the short-circuit gate patterns.
-  if (
-    isNativeBinary &&
-    (content.includes('case"thinking":{if(!') ||
-      content.includes('case"thinking":if(!') ||
-      content.includes('case"redacted_thinking":{if(!') ||
-      content.includes('case"redacted_thinking":if(!'))
-  ) {
-    const result = applyNativeRegexPatches(content);
-    if (result.steps.length > 0) {
-      content = result.out;
-      for (const step of result.steps) {
-        console.log(`✅ Patch 2 applied: ${step}`);
-      }
+  reporter.setTarget(target);
+  reporter.log(`Found Claude Code at: ${targetPath}`);
+  reporter.log(`Installation type: ${describeTargetKind(target.kind)}\n`);
+  if (!isDryRun) claimTargetOrExit(target, { force: isForce, reporter });
+
+  // Restore from backup
+  if (isRestore) {
+    reporter.log('Restoring from backup...');
+    let restored;
+    let signing;
+    try {
+      signing = loadSigningSettings();
+      restored = restoreSinglePatch(target, thinkingPatch.id, { dryRun: isDryRun, signing });
+    } catch (error) {
+      reporter.error(`❌ Error: ${error.message}`);
+      reporter.exit(EXIT_CODES.restoreFailed, error.message);
+    }
+    if (!restored) {
+      reporter.error('❌ Error: Backup file not found at:', `${targetPath}.backup`);
+      reporter.exit(EXIT_CODES.restoreFailed, `Backup not found: ${targetPath}.backup`);
+    }
+
+    reporter.set({
+      backupPath: restored.backupPath,
+      restore: { mode: restored.mode, reverted: [thinkingPatch.id], remaining: restored.remaining || [] },
+      signing: restored.signing || null,
+    });
+    if (restored.mode === 'journal' && restored.remaining.length > 0) {
+      reporter.log(`Other patches kept applied: ${restored.remaining.join(', ')}`);
     }
+    reporter.log(isDryRun ? '✅ Would restore (dry run, nothing changed)' : '✅ Restored successfully!');
+    printSigningResult(restored.signing, target, { signing, output: reporter });
+    reporter.log('\nPlease restart Claude Code for changes to take effect.');
+    reporter.exit(EXIT_CODES.ok);
+  }
+
+  // Read file
+  reporter.log(`Reading ${target.kind === 'native-binary' ? 'claude binary' : 'cli.js'}...`);
+  if (!fs.existsSync(targetPath)) {
+    reporter.error(`❌ Error: target not found at: ${targetPath}`);
+    reporter.exit(EXIT_CODES.targetNotFound, `File not found: ${targetPath}`);
+  }
+
+  const originalContent = readTargetForPatching(target);
+  const { version } = detectClaudeVersion(target, originalContent);
+  resetThinkingPatchState(originalContent, target.kind === 'native-binary', reporter.log, version);
+  const originalContentLength = content.length;
+  reporter.set({ version });
+
+  const detection = detectThinkingPatches();
+  let plannedStatus = DETECT_STATUS.notFound;
+  if (patch1Applied || patch2Applied) plannedStatus = DETECT_STATUS.applicable;
+  else if (patch1AlreadyApplied || patch2AlreadyApplied) plannedStatus = DETECT_STATUS.alreadyPatched;
+  reporter.set({ patches: [{ id: thinkingPatch.id, status: plannedStatus, steps: detection.steps }] });
+
+  // Same exit code as a real run: a dry run only skips the write.
+  if (!patch1Applied && !patch2Applied) {
+    if (patch1AlreadyApplied || patch2AlreadyApplied) {
+      reporter.log('\n✅ Patches already applied - nothing to do.');
+      reporter.exit(EXIT_CODES.ok);
+    }
+    reporter.error('\n❌ No patches to apply');
+    reporter.error('Patches may already be applied or version may have changed.');
+    reporter.exit(EXIT_CODES.patternNotFound, 'Patch pattern not found');
   }
-}
 
-// Write file
-console.log('\nWriting patched file...');
-if (isNativeBinary && content.length !== originalContentLength) {
-  console.error('\n❌ Refusing to write: native/binary install patch would change file size.');
-  console.error(`Original length: ${originalContentLength}, patched length: ${content.length}`);
-  console.error('This would likely corrupt the native binary. Please report this as a bug.');
-  process.exit(1);
+  // Dry run mode - just preview
+  if (isDryRun) {
+    reporter.log('\n📋 DRY RUN - No changes will be made\n');
+    reporter.log('Summary:');
+    reporter.log(`- Patch 1 (banner): ${patch1Applied ? 'WOULD APPLY' : 'SKIP'}`);
+    reporter.log(`- Patch 2 (visibility): ${patch2Applied ? 'WOULD APPLY' : 'SKIP'}`);
+    reporter.log('\nRun without --dry-run to apply patches.');
+    reporter.exit(EXIT_CODES.ok);
+  }
+
+  reporter.log('\nApplying patches...');
+
+  let edits;
+  try {
+    ({ edits } = trackEdits(() => applyThinkingPatches()));
+  } catch (error) {
+    reporter.error(`❌ Error: ${error.message}`);
+    reporter.exit(EXIT_CODES.patchFailed, error.message);
+  }
+
+  // Write file
+  reporter.log('\nWriting patched file...');
+  if (isNativeBinary && content.length !== originalContentLength) {
+    reporter.error('\n❌ Refusing to write: native/binary install patch would change file size.');
+    reporter.error(`Original length: ${originalContentLength}, patched length: ${content.length}`);
+    reporter.error('This would likely corrupt the native binary. Please report this as a bug.');
+    reporter.exit(EXIT_CODES.patchFailed, 'Native/binary patch would change file size');
+  }
+  const syntaxError = findSyntaxRegression(originalContent, content);
+  if (syntaxError) {
+    reporter.error(`❌ ${describeSyntaxRegression(syntaxError)}`);
+    reporter.exit(EXIT_CODES.patchFailed, syntaxError.message);
+  }
+
+  let recorded;
+  let signing;
+  try {
+    signing = loadSigningSettings();
+    recorded = recordAppliedPatches(target, {
+      before: originalContent,
+      after: content,
+      patches: [{ id: thinkingPatch.id, edits }],
+      log: reporter.log,
+    });
+    writeTarget(target, content);
+  } catch (error) {
+    reporter.error(`❌ Error: ${error.message}`);
+    reporter.exit(EXIT_CODES.error, error.message);
+  }
+  const { backupPath, created: backupCreated } = recorded;
+  if (backupCreated) {
+    reporter.log(`✅ Backup created: ${backupPath}`);
+  }
+  reporter.set({ backupPath });
+  reporter.result.patches[0].status = APPLY_STATUS.patched;
+  reporter.log('✅ File written successfully\n');
+
+  const signed = signPatchedTarget(target, { signing });
+  reporter.set({ signing: signed });
+  printSigningResult(signed, target, { signing, output: reporter });
+
+  reporter.log('Summary:');
+  reporter.log(`- Patch 1 (banner): ${patch1Applied ? 'APPLIED' : 'SKIPPED'}`);
+  reporter.log(`- Patch 2 (visibility): ${patch2Applied ? 'APPLIED' : 'SKIPPED'}`);
+  reporter.log('\n🎉 Patches applied! Please restart Claude Code for changes to take effect.');
+  reporter.log('\nTo restore original behavior, run: node patch-thinking.js --restore');
+  reporter.exit(EXIT_CODES.ok);
 }
-fs.writeFileSync(targetPath, content, fileEncoding);
-console.log('✅ File written successfully\n');
 
-adHocCodesignIfNeeded(targetPath);
+module.exports = thinkingPatch;
 
-console.log('Summary:');
-console.log(`- Patch 1 (banner): ${patch1Applied ? 'APPLIED' : 'SKIPPED'}`);
-console.log(`- Patch 2 (visibility): ${patch2Applied ? 'APPLIED' : 'SKIPPED'}`);
-console.log('\n🎉 Patches applied! Please restart Claude Code for changes to take effect.');
-console.log('\nTo restore original behavior, run: node patch-thinking.js --restore');
-process.exit(0);
+if (require.main === module) {
+  main();
+}
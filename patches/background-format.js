@@ -0,0 +1,42 @@
+/**
+ * Background command completion format
+ *
+ * Shortens notifications like:
+ *   Background command "xxxx" completed (exit code 0)
+ *
+ * by removing the embedded raw command from the completion notification builder.
+ * Used by `claude-patch.js` and by `patch-background-command-format.js`.
+ */
+
+module.exports = {
+  id: 'background-format',
+  description: 'Drop the raw command from background command completion notifications',
+  locate: {
+    strategy: 'block',
+    markers: [/Background command "\$\{[^}]+\}" /, /\$\{[$\w]+\}"\$\{[$\w]+\}" completed/],
+    start: 'function ',
+    end: /mode:"task-notification"(?:,priority:[^)]*)?\)\}/,
+    includes: 'task-notification',
+  },
+  replacement: [
+    { pattern: /Background command "\$\{[^}]+\}" /g, replacement: 'Background command ' },
+    // v2.1.75+ moved the shared "Background command " prefix into a variable and now
+    // builds the message like `${prefix}"${command}" completed`. Remove only the raw
+    // command interpolation while keeping the shared prefix and status text intact.
+    { pattern: /(\$\{[$\w]+\})"\$\{[$\w]+\}" (?=completed|failed|was stopped)/g, replacement: '$1' },
+  ],
+  alreadyPatched: {
+    strategy: 'block',
+    markers: [
+      /Background command completed/,
+      /Background command failed/,
+      /Background command was stopped/,
+      /\$\{[$\w]+\}completed/,
+      /\$\{[$\w]+\}failed/,
+      /\$\{[$\w]+\}was stopped/,
+    ],
+    start: 'function ',
+    end: /mode:"task-notification"(?:,priority:[^)]*)?\)\}/,
+    includes: 'task-notification',
+  },
+};
@@ -0,0 +1,77 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { writeFileAtomic, assertReplaceable } = require('../lib/atomic-write');
+
+const isRoot = typeof process.getuid === 'function' && process.getuid() === 0;
+
+describe('writeFileAtomic', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.chmodSync(dir, 0o755);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const leftovers = () => fs.readdirSync(dir).filter(name => name.endsWith('.tmp'));
+
+  it('replaces the file and keeps its mode bits', () => {
+    const filePath = path.join(dir, 'claude');
+    fs.writeFileSync(filePath, 'old');
+    fs.chmodSync(filePath, 0o751);
+
+    writeFileAtomic(filePath, Buffer.from('new bytes'));
+    assert.equal(fs.readFileSync(filePath, 'utf8'), 'new bytes');
+    assert.equal(fs.statSync(filePath).mode & 0o7777, 0o751);
+    assert.deepEqual(leftovers(), []);
+  });
+
+  it('encodes strings and creates missing files', () => {
+    const filePath = path.join(dir, 'cli.js');
+    writeFileAtomic(filePath, 'café', { encoding: 'latin1' });
+    assert.deepEqual([...fs.readFileSync(filePath)], [0x63, 0x61, 0x66, 0xe9]);
+  });
+
+  it('replaces the file a symlink points to and keeps the link', () => {
+    const realPath = path.join(dir, 'versions-2.1.204');
+    const linkPath = path.join(dir, 'claude-link');
+    fs.writeFileSync(realPath, 'old');
+    fs.symlinkSync(realPath, linkPath);
+
+    writeFileAtomic(linkPath, 'patched');
+    assert.ok(fs.lstatSync(linkPath).isSymbolicLink());
+    assert.equal(fs.readFileSync(realPath, 'utf8'), 'patched');
+  });
+
+  it('fails cleanly and leaves the target alone when it cannot be replaced', () => {
+    const target = path.join(dir, 'busy');
+    fs.mkdirSync(target);
+    fs.writeFileSync(path.join(target, 'inside'), 'x');
+
+    assert.throws(() => writeFileAtomic(target, 'data'), /^Error: Cannot write .*busy: .*The file was not changed\.$/);
+    assert.ok(fs.statSync(target).isDirectory());
+    assert.deepEqual(leftovers(), []);
+
+    assert.throws(() => writeFileAtomic(path.join(dir, 'missing', 'cli.js'), 'data'), /no such directory/);
+  });
+
+  it('refuses a directory it may not write to', { skip: isRoot && 'root can write to any directory' }, () => {
+    const locked = path.join(dir, 'locked');
+    fs.mkdirSync(locked);
+    const filePath = path.join(locked, 'cli.js');
+    fs.writeFileSync(filePath, 'old');
+    fs.chmodSync(locked, 0o555);
+    try {
+      assert.throws(() => assertReplaceable(filePath), /permission denied .*must be writable/);
+      assert.throws(() => writeFileAtomic(filePath, 'new'), /permission denied/);
+      assert.equal(fs.readFileSync(filePath, 'utf8'), 'old');
+    } finally {
+      fs.chmodSync(locked, 0o755);
+    }
+  });
+});
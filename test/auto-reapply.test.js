@@ -0,0 +1,127 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { APPLY_STATUS, definePatch, replaceOnceExact } = require('../lib/patch-engine');
+const { lockPathFor } = require('../lib/target-lock');
+const {
+  watchStatePathFor,
+  watchLogPathFor,
+  readWatchState,
+  reapplyChangedTargets,
+  takePendingNotices,
+  formatNotice,
+  shellHookSnippet,
+} = require('../lib/auto-reapply');
+const { nativeBinary } = require('./helpers');
+
+const CLI = version => `const VERSION_INFO={VERSION:"${version}"};var banner="start";console.log(banner);\n`;
+const quiet = { log: () => {}, error: () => {} };
+
+const banner = definePatch({
+  id: 'banner',
+  apply: content => {
+    const out = replaceOnceExact(content, 'var banner="start"', 'var banner="other"', 'banner');
+    return { status: out === content ? APPLY_STATUS.alreadyPatched : APPLY_STATUS.patched, content: out };
+  },
+});
+
+describe('reapplyChangedTargets', () => {
+  let homeDir;
+  let cliPath;
+  let versionsDir;
+  const savedCliPath = process.env.CLAUDE_CODE_CLI_PATH;
+
+  before(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+    cliPath = path.join(homeDir, '.claude', 'local', 'node_modules', '@anthropic-ai', 'claude-code', 'cli.js');
+    versionsDir = path.join(homeDir, '.local', 'share', 'claude', 'versions');
+    fs.mkdirSync(path.dirname(cliPath), { recursive: true });
+    fs.mkdirSync(versionsDir, { recursive: true });
+    fs.writeFileSync(cliPath, CLI('2.1.204'));
+    // Keep auto-detection inside the temp HOME, away from any real install on PATH.
+    process.env.CLAUDE_CODE_CLI_PATH = cliPath;
+  });
+  after(() => {
+    if (savedCliPath === undefined) delete process.env.CLAUDE_CODE_CLI_PATH;
+    else process.env.CLAUDE_CODE_CLI_PATH = savedCliPath;
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  const pass = () => reapplyChangedTargets({ homeDir, patches: [banner], output: quiet });
+  const logLines = () => fs.readFileSync(watchLogPathFor(homeDir), 'utf8').trim().split('\n');
+
+  it('patches new and changed files once, logs them and queues notices', () => {
+    assert.deepEqual(pass(), [{ path: fs.realpathSync(cliPath), version: '2.1.204', patched: ['banner'], problems: [] }]);
+    assert.match(fs.readFileSync(cliPath, 'utf8'), /var banner="other"/);
+    assert.deepEqual(pass(), [], 'our own write does not trigger the next pass');
+
+    const newVersion = path.join(versionsDir, '2.1.205');
+    fs.writeFileSync(newVersion, nativeBinary(CLI('2.1.205'), 'elf'));
+    const [entry] = pass();
+    assert.deepEqual(entry, { path: fs.realpathSync(newVersion), version: '2.1.205', patched: ['banner'], problems: [] });
+    assert.ok(fs.readFileSync(newVersion).includes('var banner="other"'));
+
+    const lines = logLines();
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /^\S+ {2}.*2\.1\.205 {2}2\.1\.205 {2}patched: banner$/);
+
+    const notices = takePendingNotices(homeDir);
+    assert.deepEqual(
+      notices.map(notice => [notice.version, notice.patched]),
+      [['2.1.204', ['banner']], ['2.1.205', ['banner']]]
+    );
+    assert.deepEqual(takePendingNotices(homeDir), [], 'notices are cleared once taken');
+    assert.equal(
+      formatNotice(notices[1]),
+      `🔁 claude-patch: re-applied banner to Claude Code 2.1.205 (${entry.path}) after an update`
+    );
+  });
+
+  it('retries a busy target on every pass but reports it once', () => {
+    const busy = path.join(versionsDir, '2.1.206');
+    fs.writeFileSync(busy, nativeBinary(CLI('2.1.206'), 'elf'));
+    fs.writeFileSync(
+      lockPathFor(busy),
+      JSON.stringify({ pid: process.ppid, hostname: os.hostname(), command: 'other.js', startedAt: 'then' })
+    );
+
+    const logged = logLines().length;
+    for (let i = 0; i < 3; i++) {
+      const [entry] = pass();
+      assert.match(entry.error, /2\.1\.206 is locked by other\.js/);
+    }
+    assert.equal(logLines().length, logged + 1);
+    const [notice] = takePendingNotices(homeDir);
+    const couldNot = /^⚠️ {2}claude-patch: could not re-apply patches to Claude Code \(.*2\.1\.206\): .*locked/;
+    assert.match(formatNotice(notice), couldNot);
+    assert.deepEqual(Object.keys(readWatchState(homeDir).busy), [fs.realpathSync(busy)]);
+
+    fs.rmSync(lockPathFor(busy));
+    assert.deepEqual(pass().map(entry => entry.patched), [['banner']]);
+    assert.deepEqual(readWatchState(homeDir).busy, {});
+    assert.equal(takePendingNotices(homeDir).length, 1);
+    assert.deepEqual(fs.readdirSync(path.dirname(watchStatePathFor(homeDir))).sort(), [
+      'local',
+      'patch-watch.json',
+      'patch-watch.log',
+    ]);
+  });
+});
+
+describe('shellHookSnippet', () => {
+  it('runs one quiet watcher pass before every claude launch', () => {
+    assert.equal(
+      shellHookSnippet('/opt/patches/claude-patch.js', ['--except', 'thinking']),
+      [
+        '# claude-code-patches: re-apply patches after `claude update`',
+        'claude() {',
+        "  node '/opt/patches/claude-patch.js' watch --once --quiet '--except' 'thinking'",
+        '  command claude "$@"',
+        '}',
+      ].join('\n')
+    );
+  });
+});
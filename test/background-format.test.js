@@ -0,0 +1,30 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { loadPatches } = require('../lib/patch-registry');
+const { listFixtures, readFixture, fixtureTargets, contentText, patchContext, assertPatchRoundTrip } = require('./helpers');
+
+// The manifest patch from `patches/background-format.js`, compiled the way `claude-patch.js` loads it.
+const backgroundFormatPatch = loadPatches().find(patch => patch.id === 'background-format');
+
+describe('background-format', () => {
+  for (const fixture of listFixtures('background-format')) {
+    describe(fixture, () => {
+      for (const target of fixtureTargets(readFixture(fixture))) {
+        it(`patches ${target.name}, idempotently`, () => {
+          const ctx = patchContext(target.kind, target.content);
+          const patched = contentText(assertPatchRoundTrip(backgroundFormatPatch, target.content, ctx));
+          assert.doesNotMatch(patched, /"\$\{q\}"/);
+          for (const state of ['completed', 'failed', 'was stopped']) assert.ok(patched.includes(state), state);
+        });
+      }
+    });
+  }
+
+  it('keeps the shared prefix variable of 2.1.75+ bundles', () => {
+    const content = readFixture('background-format/prefix-variable.txt');
+    const { content: patched } = backgroundFormatPatch.apply(content, patchContext('js', content));
+    assert.match(patched, /let w="Background command ",/);
+    assert.match(patched, /`\$\{w\}completed \(exit code \$\{Y\}\)`/);
+  });
+});
@@ -0,0 +1,312 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const {
+  APPLY_STATUS,
+  definePatch,
+  replaceOnceExact,
+  trackEdits,
+  backupPathFor,
+  restoreFromBackup,
+} = require('../lib/patch-engine');
+const {
+  backupDirFor,
+  hashContent,
+  readJournal,
+  recordAppliedPatches,
+  revertPatches,
+  restoreOriginal,
+} = require('../lib/backup-store');
+const { applyPatchesToTarget } = require('../lib/patch-registry');
+
+const CLI = 'const VERSION_INFO={VERSION:"2.1.204"};var banner="start";var footer="end";console.log(banner,footer);\n';
+const quiet = { log: () => {}, error: () => {} };
+
+function renamePatch(id, from, to) {
+  return definePatch({
+    id,
+    apply: content => {
+      if (!content.includes(from)) return { status: APPLY_STATUS.alreadyPatched, content };
+      return { status: APPLY_STATUS.patched, content: replaceOnceExact(content, from, to, id) };
+    },
+  });
+}
+
+// `banner` grows the text, so every edit after it moves; `footer` is further along the same line.
+// `keyword` searches text that overlaps what `banner` replaced, but only changes bytes it left alone.
+const PATCHES = {
+  banner: renamePatch('banner', 'var banner="start"', 'var banner="a much longer banner"'),
+  footer: renamePatch('footer', 'var footer="end"', 'var footer="fin"'),
+  keyword: renamePatch('keyword', 'var banner="a much', 'let banner="a much'),
+};
+const WITH = {
+  banner: CLI.replace('"start"', '"a much longer banner"'),
+  footer: CLI.replace('"end"', '"fin"'),
+};
+
+describe('revertPatches', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const patchedTarget = (name, runs) => {
+    const target = { path: path.join(dir, name), kind: 'js' };
+    fs.writeFileSync(target.path, CLI);
+    for (const ids of runs) {
+      const { results } = applyPatchesToTarget(target, ids.map(id => PATCHES[id]), { output: quiet });
+      assert.deepEqual(results.map(result => result.status), ids.map(() => APPLY_STATUS.patched));
+    }
+    return target;
+  };
+
+  for (const [first, second] of [['banner', 'footer'], ['footer', 'banner']]) {
+    for (const runs of [[['banner', 'footer']], [['banner'], ['footer']]]) {
+      it(`reverts ${first} then ${second} after ${runs.length === 1 ? 'one run' : 'two runs'}`, () => {
+        const target = patchedTarget(`${first}-${runs.length}.js`, runs);
+        const both = CLI.replace('"start"', '"a much longer banner"').replace('"end"', '"fin"');
+        assert.equal(fs.readFileSync(target.path, 'utf8'), both);
+
+        assert.deepEqual(revertPatches(target, [first]).remaining, [second]);
+        assert.equal(fs.readFileSync(target.path, 'utf8'), WITH[second]);
+        assert.deepEqual(readJournal(target.path).patches.map(entry => entry.id), [second]);
+
+        assert.deepEqual(revertPatches(target, [second]).remaining, []);
+        assert.equal(fs.readFileSync(target.path, 'utf8'), CLI);
+        assert.equal(readJournal(target.path), null);
+      });
+    }
+  }
+
+  it('reverts patches whose search text overlapped, in both orders', () => {
+    const patched = CLI.replace('var banner="start"', 'let banner="a much longer banner"');
+    const orders = [
+      ['banner', 'keyword', CLI.replace('var banner', 'let banner')],
+      ['keyword', 'banner', WITH.banner],
+    ];
+    for (const [first, second, left] of orders) {
+      const target = patchedTarget(`keyword-${first}.js`, [['banner'], ['keyword']]);
+      assert.equal(fs.readFileSync(target.path, 'utf8'), patched);
+      assert.equal(readJournal(target.path).patches.some(entry => entry.entangledWith), false);
+
+      assert.deepEqual(revertPatches(target, [first]).remaining, [second]);
+      assert.equal(fs.readFileSync(target.path, 'utf8'), left);
+      revertPatches(target, [second]);
+      assert.equal(fs.readFileSync(target.path, 'utf8'), CLI);
+    }
+  });
+
+  it('re-applies a reverted patch on top of the one that stayed', () => {
+    const target = patchedTarget('reapply.js', [['banner', 'footer']]);
+    revertPatches(target, ['banner']);
+    applyPatchesToTarget(target, [PATCHES.banner], { output: quiet });
+    assert.deepEqual(readJournal(target.path).patches.map(entry => entry.id), ['footer', 'banner']);
+
+    assert.deepEqual(restoreOriginal(target).reverted, ['footer', 'banner']);
+    assert.equal(fs.readFileSync(target.path, 'utf8'), CLI);
+  });
+
+  it('leaves the target alone on a dry run and refuses patches that are not applied', () => {
+    const target = patchedTarget('dry-run.js', [['banner', 'footer']]);
+    const before = fs.readFileSync(target.path, 'utf8');
+    assert.deepEqual(revertPatches(target, ['footer'], { dryRun: true }).remaining, ['banner']);
+    assert.equal(fs.readFileSync(target.path, 'utf8'), before);
+
+    assert.throws(() => revertPatches(target, ['thinking']), {
+      message: 'Not recorded as applied: thinking (applied: banner, footer)',
+    });
+  });
+});
+
+describe('patch journal records', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const decode = record => ({
+    ...record,
+    original: Buffer.from(record.original, 'base64').toString(),
+    replacement: Buffer.from(record.replacement, 'base64').toString(),
+  });
+
+  it('stores each captured edit, trimmed to the bytes it changed, in current-content offsets', () => {
+    const target = { path: path.join(dir, 'records.js'), kind: 'js' };
+    fs.writeFileSync(target.path, CLI);
+    const { edits } = trackEdits(() => PATCHES.banner.apply(CLI, { kind: 'js' }));
+    assert.deepEqual(edits, [
+      {
+        offset: CLI.indexOf('var banner'),
+        original: Buffer.from('var banner="start"'),
+        replacement: Buffer.from('var banner="a much longer banner"'),
+        label: 'banner',
+      },
+    ]);
+
+    recordAppliedPatches(target, { before: CLI, after: WITH.banner, patches: [{ id: 'banner', edits }] });
+    const banner = {
+      patch: 'banner',
+      label: 'banner',
+      offset: CLI.indexOf('start'),
+      original: 'start',
+      replacement: 'a much longer banner',
+    };
+    assert.deepEqual(readJournal(target.path).edits.map(decode), [banner]);
+
+    // The footer edit is recorded where it sits after the banner grew the line.
+    const both = WITH.banner.replace('"end"', '"fin"');
+    const { edits: footerEdits } = trackEdits(() => PATCHES.footer.apply(WITH.banner, { kind: 'js' }));
+    recordAppliedPatches(target, { before: WITH.banner, after: both, patches: [{ id: 'footer', edits: footerEdits }] });
+    const journal = readJournal(target.path);
+    assert.deepEqual(journal.edits.map(decode), [
+      banner,
+      { patch: 'footer', label: 'footer', offset: both.indexOf('fin'), original: 'end', replacement: 'fin' },
+    ]);
+    assert.equal(journal.originalHash, hashContent(CLI));
+    assert.equal(journal.currentHash, hashContent(both));
+  });
+
+  it('falls back to a whole-file diff when the edits do not reproduce the written content', () => {
+    const target = { path: path.join(dir, 'untracked.js'), kind: 'js' };
+    fs.writeFileSync(target.path, CLI);
+    recordAppliedPatches(target, { before: CLI, after: WITH.footer, patches: [{ id: 'footer', edits: [] }] });
+    assert.deepEqual(readJournal(target.path).edits.map(decode), [
+      { patch: 'footer', label: 'whole-file diff', offset: CLI.indexOf('end'), original: 'end', replacement: 'fin' },
+    ]);
+  });
+
+  it('entangles patches that rewrote the same bytes and only reverts them together', () => {
+    const target = { path: path.join(dir, 'entangled.js'), kind: 'js' };
+    fs.writeFileSync(target.path, CLI);
+    const shout = renamePatch('shout', 'a much longer banner', 'A MUCH LONGER BANNER');
+    applyPatchesToTarget(target, [PATCHES.banner, PATCHES.footer], { output: quiet });
+    applyPatchesToTarget(target, [shout], { output: quiet });
+
+    const journal = readJournal(target.path);
+    assert.deepEqual(
+      journal.patches.map(({ id, entangledWith }) => [id, entangledWith]),
+      [['banner', ['shout']], ['footer', undefined], ['shout', ['banner']]]
+    );
+    assert.equal(journal.edits.length, 2, 'the overlapping edits are merged into one record');
+
+    assert.throws(() => revertPatches(target, ['banner']), {
+      message: 'banner changed the same code as shout; revert them together',
+    });
+    assert.throws(() => revertPatches(target, ['shout']), {
+      message: 'shout changed the same code as banner; revert them together',
+    });
+
+    assert.deepEqual(revertPatches(target, ['shout', 'banner']).remaining, ['footer']);
+    assert.equal(fs.readFileSync(target.path, 'utf8'), WITH.footer);
+    assert.equal(readJournal(target.path).patches[0].entangledWith, undefined);
+  });
+});
+
+describe('stale patch journal', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const UPDATED = CLI.replace('2.1.204', '2.1.205');
+
+  it('refuses to restore over a target that was updated or modified since', () => {
+    const target = { path: path.join(dir, 'updated.js'), kind: 'js' };
+    fs.writeFileSync(target.path, CLI);
+    applyPatchesToTarget(target, [PATCHES.banner], { output: quiet });
+
+    fs.writeFileSync(target.path, UPDATED);
+    assert.throws(() => revertPatches(target, ['banner']), /^Error: Claude Code was updated \(2\.1\.204 -> 2\.1\.205\)/);
+    assert.throws(() => restoreOriginal(target), /would downgrade the install/);
+
+    fs.writeFileSync(target.path, `${WITH.banner}// edited\n`);
+    assert.throws(() => restoreOriginal(target), {
+      message:
+        `${target.path} changed since patches were applied (updated or modified by another tool); ` +
+        'refusing to use the stale patch journal',
+    });
+    assert.equal(fs.readFileSync(target.path, 'utf8'), `${WITH.banner}// edited\n`);
+  });
+
+  it('starts a new journal when patches are applied to the updated target', () => {
+    const target = { path: path.join(dir, 'reapplied.js'), kind: 'js' };
+    fs.writeFileSync(target.path, CLI);
+    applyPatchesToTarget(target, [PATCHES.banner, PATCHES.footer], { output: quiet });
+
+    fs.writeFileSync(target.path, UPDATED);
+    const { created, results } = applyPatchesToTarget(target, [PATCHES.footer], { output: quiet });
+    assert.equal(created, true);
+    assert.equal(results[0].status, APPLY_STATUS.patched);
+    const journal = readJournal(target.path);
+    assert.deepEqual(journal.patches.map(entry => entry.id), ['footer']);
+    assert.equal(journal.originalVersion, '2.1.205');
+    assert.equal(journal.originalHash, hashContent(UPDATED));
+
+    restoreOriginal(target);
+    assert.equal(fs.readFileSync(target.path, 'utf8'), UPDATED);
+  });
+});
+
+describe('stale backups', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const OLD = CLI.replace('2.1.204', '2.1.150');
+
+  it('refuses to restore a legacy backup from another version', () => {
+    const targetPath = path.join(dir, 'legacy.js');
+    fs.writeFileSync(targetPath, WITH.banner);
+    fs.writeFileSync(backupPathFor(targetPath), OLD);
+    assert.throws(() => restoreFromBackup(targetPath), {
+      message:
+        `Backup ${targetPath}.backup is from Claude Code 2.1.150 but ${targetPath} is 2.1.204; ` +
+        'restoring it would downgrade the install. Re-apply the patches instead, or delete the stale backup.',
+    });
+    assert.equal(fs.readFileSync(targetPath, 'utf8'), WITH.banner);
+
+    fs.writeFileSync(backupPathFor(targetPath), CLI);
+    assert.equal(restoreFromBackup(targetPath, { dryRun: true }), `${targetPath}.backup`);
+    assert.equal(fs.readFileSync(targetPath, 'utf8'), WITH.banner);
+    assert.equal(restoreFromBackup(targetPath), `${targetPath}.backup`);
+    assert.equal(fs.readFileSync(targetPath, 'utf8'), CLI);
+  });
+
+  it('discards the backups of the previous version when apply starts a new journal', () => {
+    const target = { path: path.join(dir, 'updated.js'), kind: 'js' };
+    fs.writeFileSync(target.path, OLD);
+    const { backupPath: oldBackup } = applyPatchesToTarget(target, [PATCHES.banner], { output: quiet });
+    fs.writeFileSync(`${target.path}.backup`, OLD);
+    fs.writeFileSync(`${target.path}.subagent-models.backup`, CLI);
+
+    // `claude update` replaces the patched file.
+    fs.writeFileSync(target.path, CLI);
+    const lines = [];
+    const { backupPath } = applyPatchesToTarget(target, [PATCHES.banner], { output: { log: line => lines.push(line) } });
+
+    assert.deepEqual(fs.readdirSync(backupDirFor(target.path)), [path.basename(backupPath)]);
+    assert.equal(fs.existsSync(oldBackup), false);
+    assert.equal(fs.existsSync(`${target.path}.backup`), false);
+    assert.ok(fs.existsSync(`${target.path}.subagent-models.backup`), 'a legacy backup of the same version is kept');
+    assert.deepEqual(lines, [
+      `🗑️  Discarded stale backup from 2.1.150: ${oldBackup}`,
+      `🗑️  Discarded stale backup from 2.1.150: ${target.path}.backup`,
+    ]);
+  });
+});
@@ -0,0 +1,209 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const {
+  APPLY_STATUS,
+  definePatch,
+  findJsPayloadRegions,
+  replaceOnceExact,
+  trackEdits,
+} = require('../lib/patch-engine');
+const { compileManifest } = require('../lib/patch-manifest');
+const { revertPatches } = require('../lib/backup-store');
+const { applyPatchesToTarget } = require('../lib/patch-registry');
+const { findSyntaxRegression } = require('../lib/syntax-check');
+const { readStandaloneGraph, findModuleContaining, spliceStandaloneModule } = require('../lib/bun-standalone');
+const { bunStandaloneBinary, nativeBinary, replayEdits } = require('./helpers');
+
+const FORMATS = ['elf', 'macho', 'appended'];
+const CLI = 'const VERSION_INFO={VERSION:"2.1.204"};var banner="start";console.log(banner);\n';
+const MODULES = [
+  { name: '/$bunfs/root/cli', contents: CLI },
+  { name: '/$bunfs/root/chunk-1.js', contents: 'export const chunk="one";\n' },
+];
+
+function moduleText(content, graph, index) {
+  const { start, end } = graph.modules[index].contents;
+  return content.toString('latin1', start, end);
+}
+
+// Grow `banner`'s value by `extra` bytes.
+function growBanner(image, extra) {
+  const start = image.indexOf('"start"');
+  return spliceStandaloneModule(image, start, start + 7, Buffer.from(`"${'x'.repeat(5 + extra)}"`));
+}
+
+describe('readStandaloneGraph', () => {
+  for (const format of FORMATS) {
+    it(`reads the module graph of a ${format} image`, () => {
+      const image = bunStandaloneBinary(MODULES, format);
+      const graph = readStandaloneGraph(image);
+      assert.equal(graph.format, format);
+      assert.equal(graph.entryPointId, 0);
+      assert.deepEqual(
+        graph.modules.map(entry => entry.name),
+        MODULES.map(entry => entry.name)
+      );
+      assert.equal(moduleText(image, graph, 0), CLI);
+      assert.equal(graph.modules[1].moduleFormat, 1);
+    });
+  }
+
+  it('finds nothing in binaries without a module graph', () => {
+    assert.equal(readStandaloneGraph(nativeBinary(CLI, 'elf')), null);
+    assert.equal(readStandaloneGraph(nativeBinary(CLI, 'macho')), null);
+    assert.equal(readStandaloneGraph(Buffer.from(CLI)), null);
+  });
+});
+
+describe('spliceStandaloneModule', () => {
+  for (const format of FORMATS) {
+    for (const extra of [3, 40000]) {
+      it(`grows a module by ${extra} bytes in a ${format} image`, () => {
+        const image = bunStandaloneBinary(MODULES, format);
+        const { content, edits } = growBanner(image, extra);
+        const graph = readStandaloneGraph(content);
+
+        assert.equal(moduleText(content, graph, 0), CLI.replace('"start"', `"${'x'.repeat(5 + extra)}"`));
+        assert.equal(moduleText(content, graph, 1), MODULES[1].contents);
+        assert.ok(replayEdits(image, edits).equals(content), 'the edits reproduce the result');
+        // Sections take over their padding first, then grow by whole pages.
+        const growth = content.length - image.length;
+        if (format === 'appended') assert.equal(growth, extra);
+        else if (extra < 1000) assert.equal(growth, 0);
+        else assert.equal(growth % 0x1000, 0);
+      });
+    }
+  }
+
+  it('moves the ELF sections and section headers behind the segment', () => {
+    const image = bunStandaloneBinary(MODULES, 'elf');
+    const { content } = growBanner(image, 40000);
+    const shoff = Number(content.readBigUInt64LE(0x28));
+    const comment = shoff + 3 * 64;
+    const commentOffset = Number(content.readBigUInt64LE(comment + 24));
+    assert.equal(content.toString('latin1', commentOffset, commentOffset + 18), 'GCC: (fixture) 1.0');
+    const segment = 0x40 + 56;
+    const growth = content.length - image.length;
+    assert.equal(Number(content.readBigUInt64LE(segment + 32)), Number(image.readBigUInt64LE(segment + 32)) + growth);
+  });
+
+  it('moves __LINKEDIT and the load commands pointing into it', () => {
+    const image = bunStandaloneBinary(MODULES, 'macho');
+    const { content } = growBanner(image, 40000);
+    const growth = content.length - image.length;
+    assert.equal(growth % 0x4000, 0);
+
+    // __TEXT, __BUN, __LINKEDIT, LC_SYMTAB, LC_CODE_SIGNATURE (see bunStandaloneBinary()).
+    const linkedit = 32 + 72 + (72 + 80);
+    assert.equal(Number(content.readBigUInt64LE(linkedit + 40)), Number(image.readBigUInt64LE(linkedit + 40)) + growth);
+    assert.equal(Number(content.readBigUInt64LE(linkedit + 24)), Number(image.readBigUInt64LE(linkedit + 24)) + growth);
+    const symtab = linkedit + 72;
+    const stroff = content.readUInt32LE(symtab + 16);
+    assert.equal(content.toString('latin1', stroff + 1, stroff + 6), '_main');
+    const signature = content.readUInt32LE(symtab + 24 + 8);
+    assert.equal(content.toString('latin1', signature, signature + 7), 'fixture');
+  });
+
+  it('only splices inside a module', () => {
+    const image = bunStandaloneBinary(MODULES, 'elf');
+    const graph = readStandaloneGraph(image);
+    const { end } = graph.modules[0].contents;
+    assert.equal(findModuleContaining(graph, end - 2, end + 2), null);
+    assert.throws(() => spliceStandaloneModule(image, end - 2, end + 2, Buffer.from('grown')), /not inside an embedded module/);
+    assert.throws(() => spliceStandaloneModule(nativeBinary(CLI, 'elf'), 300, 305, Buffer.from('grown')), /no Bun module graph/);
+  });
+});
+
+describe('findJsPayloadRegions', () => {
+  it('keeps the JS modules of a module graph only', () => {
+    const asset = { name: '/$bunfs/root/notes.txt', contents: 'var banner="start";\n', loader: 13 };
+    const image = bunStandaloneBinary([...MODULES, asset], 'elf');
+    const graph = readStandaloneGraph(image);
+    assert.deepEqual(
+      findJsPayloadRegions(image),
+      graph.modules.slice(0, 2).map(entry => ({ ...entry.contents, name: entry.name }))
+    );
+
+    const { result, edits } = trackEdits(() => replaceOnceExact(image, 'var banner="start"', 'var banner="other"', 'banner'));
+    assert.equal(moduleText(result, graph, 0), CLI.replace('"start"', '"other"'));
+    assert.equal(moduleText(result, graph, 2), asset.contents);
+    assert.equal(edits[0].offset, graph.modules[0].contents.start + CLI.indexOf('var banner'));
+  });
+
+  it('falls back to the bundle around the VERSION tag, then to the whole file', () => {
+    const image = Buffer.concat([Buffer.from('var banner="start"\0', 'latin1'), nativeBinary(CLI, 'elf')]);
+    const [region] = findJsPayloadRegions(image);
+    assert.equal(image.toString('latin1', region.start, region.end), CLI);
+    assert.equal(replaceOnceExact(image, 'var banner="start"', 'var banner="other"', 'banner').indexOf('var banner="start"'), 0);
+
+    const untagged = Buffer.from('\0var banner="start"\0', 'latin1');
+    assert.deepEqual(findJsPayloadRegions(untagged), [{ start: 0, end: untagged.length, name: null }]);
+  });
+});
+
+describe('growing native replacements', () => {
+  it('lets replaceOnceExact() grow a Bun module, and refuses elsewhere', () => {
+    const image = bunStandaloneBinary(MODULES, 'macho');
+    const { result, edits } = trackEdits(() => replaceOnceExact(image, 'var banner="start"', 'var banner=process.env.BANNER||"start"', 'banner'));
+    const graph = readStandaloneGraph(result);
+    assert.match(moduleText(result, graph, 0), /var banner=process\.env\.BANNER\|\|"start";/);
+    assert.ok(replayEdits(image, edits).equals(result));
+    assert.equal(findSyntaxRegression(image, result), null);
+
+    assert.throws(
+      () => replaceOnceExact(nativeBinary(CLI, 'elf'), 'var banner="start"', 'var banner=process.env.BANNER', 'banner'),
+      /too large for in-place replacement \(banner\).*cannot be repacked/
+    );
+  });
+
+  it('grows manifest replacements and still catches broken syntax', () => {
+    const image = bunStandaloneBinary(MODULES, 'elf');
+    const ctx = { kind: 'native-binary', version: '2.1.204' };
+    const grow = compileManifest({
+      id: 'banner-env',
+      locate: { strategy: 'regex', pattern: 'var banner="(\\w+)"' },
+      replacement: 'var banner=process.env.BANNER||"$1"',
+    });
+    const applied = grow.apply(image, ctx);
+    assert.equal(applied.status, APPLY_STATUS.patched);
+    assert.match(moduleText(applied.content, readStandaloneGraph(applied.content), 0), /process\.env\.BANNER\|\|"start"/);
+
+    const broken = compileManifest({ id: 'broken', locate: { strategy: 'exact', text: 'console.log(banner)' }, replacement: 'console.log(banner))))' });
+    const regression = findSyntaxRegression(image, broken.apply(image, ctx).content);
+    assert.match(regression.message, /Unexpected token/);
+  });
+});
+
+describe('journaling a grown binary', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reverts a patch that repacked the binary', () => {
+    const target = { path: path.join(dir, 'claude'), kind: 'native-binary' };
+    const image = bunStandaloneBinary(MODULES, 'elf');
+    fs.writeFileSync(target.path, image);
+    const grow = definePatch({
+      id: 'banner-env',
+      apply: content => ({
+        status: APPLY_STATUS.patched,
+        content: replaceOnceExact(content, 'var banner="start"', `var banner=process.env.BANNER||"${'s'.repeat(5000)}"`, 'banner'),
+      }),
+    });
+
+    const { results } = applyPatchesToTarget(target, [grow], { output: { log: () => {}, error: () => {} } });
+    assert.equal(results[0].status, APPLY_STATUS.patched);
+    assert.ok(fs.statSync(target.path).size > image.length);
+
+    revertPatches(target, ['banner-env']);
+    assert.ok(fs.readFileSync(target.path).equals(image));
+  });
+});
@@ -0,0 +1,152 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+
+const { readJournal } = require('../lib/backup-store');
+const { nativeBinary, readFixture } = require('./helpers');
+
+const CLI_PATH = path.join(__dirname, '..', 'claude-patch.js');
+// Two patches' code in one bundle, so a single run can apply both.
+const BUNDLE = readFixture('background-format/prefix-variable.txt') + readFixture('task-output-format/jsx.txt');
+
+describe('claude-patch.js patch selection', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (command, ...args) => {
+    const result = spawnSync(process.execPath, [CLI_PATH, command, '--no-profile', '--json', ...args], {
+      encoding: 'utf8',
+      env: { ...process.env, HOME: dir, USERPROFILE: dir },
+      timeout: 60000,
+    });
+    return { status: result.status, report: JSON.parse(result.stdout) };
+  };
+  const writeBundle = name => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, BUNDLE);
+    return file;
+  };
+
+  it('lists the patches --only and --except select, in registry order', () => {
+    const ids = (...args) => run('list', ...args).report.patches.map(patch => patch.id);
+    assert.deepEqual(ids('--only', 'background-format,thinking'), ['thinking', 'background-format']);
+    assert.deepEqual(ids('--only=thinking', '--only', 'subagent-models'), ['thinking', 'subagent-models']);
+    assert.deepEqual(ids('--except', 'thinking,subagent-models', '--except=npm-deprecation-warning'), [
+      'task-output-format',
+      'background-format',
+    ]);
+  });
+
+  it('rejects unknown ids and options without a value as usage errors', () => {
+    const unknown = run('list', '--only', 'thinkng');
+    assert.equal(unknown.status, 2);
+    assert.equal(unknown.report.error.code, 'usage');
+    assert.match(unknown.report.error.message, /^Unknown patch id\(s\): thinkng \(available: thinking, /);
+
+    const missing = run('apply', '--only');
+    assert.equal(missing.status, 2);
+    assert.equal(missing.report.error.message, '--only requires a value');
+  });
+
+  it('applies the selected patches in one write, journaled together', () => {
+    const file = writeBundle('cli.js');
+    const { status, report } = run('apply', '--file', file, '--only', 'background-format,task-output-format');
+    assert.equal(status, 0);
+    assert.deepEqual(
+      report.patches.map(({ id, status: patchStatus }) => [id, patchStatus]),
+      [
+        ['task-output-format', 'patched'],
+        ['background-format', 'patched'],
+      ]
+    );
+
+    const journal = readJournal(file);
+    assert.deepEqual(journal.patches.map(entry => entry.id), ['task-output-format', 'background-format']);
+    assert.equal(new Set(journal.patches.map(entry => entry.appliedAt)).size, 1, 'one run, one write');
+    assert.deepEqual(fs.readdirSync(`${file}.backups`), [journal.originalHash]);
+    assert.equal(fs.readFileSync(`${file}.backups/${journal.originalHash}`, 'utf8'), BUNDLE);
+  });
+
+  it('leaves out what --except names', () => {
+    const file = writeBundle('except.js');
+    const except = 'thinking,npm-deprecation-warning,subagent-models,task-output-format';
+    const { status, report } = run('apply', '--file', file, '--except', except);
+    assert.equal(status, 0);
+    assert.deepEqual(report.patches.map(patch => patch.id), ['background-format']);
+    assert.deepEqual(readJournal(file).patches.map(entry => entry.id), ['background-format']);
+  });
+});
+
+describe('claude-patch.js --all-versions', () => {
+  let home;
+  let versionsDir;
+  before(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-versions-'));
+    versionsDir = path.join(home, '.local', 'share', 'claude', 'versions');
+    fs.mkdirSync(versionsDir, { recursive: true });
+    // Two versions the thinking patch has rules for, and one whose bundle has no thinking code.
+    const install = (version, fixture) => {
+      fs.writeFileSync(path.join(versionsDir, version), nativeBinary(readFixture(fixture), 'elf'));
+    };
+    install('2.1.20', 'thinking/2.1.20-exact.txt');
+    install('2.1.22', 'thinking/2.1.22-verbose.txt');
+    install('2.1.204', 'background-format/prefix-variable.txt');
+  });
+  after(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  const run = (...args) => {
+    const result = spawnSync(process.execPath, [CLI_PATH, ...args, '--all-versions', '--no-profile', '--only', 'thinking'], {
+      encoding: 'utf8',
+      env: { ...process.env, HOME: home, USERPROFILE: home },
+      timeout: 60000,
+    });
+    return { status: result.status, stdout: result.stdout };
+  };
+
+  it('patches every version with its own rules and journal, past a version that fails', () => {
+    const untouched = fs.readFileSync(path.join(versionsDir, '2.1.204'));
+    const { status, stdout } = run('apply', '--json');
+    const report = JSON.parse(stdout);
+    assert.equal(status, 4);
+    assert.equal(report.error.message, '1 of 3 versions failed: 2.1.204');
+
+    const byVersion = Object.fromEntries(report.targets.map(result => [path.basename(result.target.path), result]));
+    assert.deepEqual(Object.keys(byVersion), ['2.1.204', '2.1.22', '2.1.20']);
+    assert.deepEqual(byVersion['2.1.204'].patches, [{ id: 'thinking', status: 'not-found', steps: [] }]);
+    assert.equal(byVersion['2.1.204'].error.code, 'pattern-not-found');
+    for (const version of ['2.1.22', '2.1.20']) {
+      const [patch] = byVersion[version].patches;
+      assert.equal(byVersion[version].ok, true);
+      assert.equal(patch.status, 'patched');
+      assert.ok(patch.steps.length > 0);
+      assert.ok(patch.steps.every(step => step.startsWith(`v${version} `)), `${version} used its own rules`);
+
+      const file = path.join(versionsDir, version);
+      const journal = readJournal(file);
+      assert.deepEqual(journal.patches.map(entry => entry.id), ['thinking']);
+      assert.equal(byVersion[version].backupPath, path.join(`${file}.backups`, journal.originalHash));
+    }
+
+    assert.deepEqual(fs.readFileSync(path.join(versionsDir, '2.1.204')), untouched);
+    assert.equal(readJournal(path.join(versionsDir, '2.1.204')), null);
+  });
+
+  it('summarizes each version in one table row, after the apply above', () => {
+    const { status, stdout } = run('status');
+    assert.equal(status, 0);
+    const table = stdout.slice(stdout.indexOf('Summary:'));
+    assert.match(table, /^ {2}2\.1\.204 +pattern-drifted +✅ ok$/m);
+    assert.match(table, /^ {2}2\.1\.22 +applied +✅ ok$/m);
+    assert.match(table, /^ {2}2\.1\.20 +applied +✅ ok$/m);
+  });
+});
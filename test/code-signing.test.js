@@ -0,0 +1,248 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { APPLY_STATUS, definePatch, replaceOnceExact } = require('../lib/patch-engine');
+const { readJournal, revertPatches, restoreOriginal } = require('../lib/backup-store');
+const { applyPatchesToTarget, restoreSinglePatch } = require('../lib/patch-registry');
+const { validateProfile } = require('../lib/patch-profile');
+const {
+  SIGNING_STATUS,
+  executableFormat,
+  findPeSignature,
+  peChecksum,
+  stripPeSignature,
+  planSigning,
+  signTarget,
+  describeSigning,
+  printSigningResult,
+} = require('../lib/code-signing');
+const { nativeBinary, peBinary } = require('./helpers');
+
+const CLI = 'const VERSION_INFO={VERSION:"2.1.204"};var banner="start";var footer="end";console.log(banner,footer);\n';
+const quiet = { log: () => {}, error: () => {} };
+
+// Same-length replacements, so the certificate table stays at the end of the file.
+function renamePatch(id, from, to) {
+  return definePatch({
+    id,
+    apply: content => {
+      const out = replaceOnceExact(content, from, to, id);
+      return { status: out === content ? APPLY_STATUS.alreadyPatched : APPLY_STATUS.patched, content: out };
+    },
+  });
+}
+
+describe('planSigning', () => {
+  it('picks a signer per format, method and platform', () => {
+    assert.deepEqual(planSigning('pe', { platform: 'linux' }), { method: 'strip', signer: 'pe-strip' });
+    assert.deepEqual(planSigning('pe', { method: 'strip', platform: 'win32' }), { method: 'strip', signer: 'pe-strip' });
+    assert.deepEqual(planSigning('pe', { method: 'adhoc', platform: 'win32' }), {
+      method: 'adhoc',
+      status: SIGNING_STATUS.failed,
+      reason: 'signing.method "adhoc" does not apply to PE binaries (use "strip", "auto" or "none")',
+    });
+    assert.equal(planSigning('pe', { method: 'identity', identity: 'Me', platform: 'win32' }).status, SIGNING_STATUS.failed);
+    assert.deepEqual(planSigning('macho', { platform: 'darwin' }), { method: 'adhoc', signer: 'codesign' });
+    assert.deepEqual(planSigning('macho', { method: 'identity', identity: 'Me', platform: 'darwin' }), {
+      method: 'identity',
+      signer: 'codesign',
+    });
+    assert.equal(planSigning('macho', { method: 'identity', platform: 'darwin' }).status, SIGNING_STATUS.failed);
+    assert.equal(planSigning('macho', { platform: 'linux' }).status, SIGNING_STATUS.skipped);
+    assert.equal(planSigning('elf', { platform: 'linux' }).status, SIGNING_STATUS.notNeeded);
+    assert.equal(planSigning('pe', { method: 'none' }).status, SIGNING_STATUS.skipped);
+  });
+});
+
+describe('stripPeSignature', () => {
+  it('drops the certificate table and fixes the checksum', () => {
+    const signed = peBinary(CLI, { signed: true });
+    assert.equal(executableFormat(signed), 'pe');
+    assert.ok(findPeSignature(signed));
+
+    const stripped = stripPeSignature(signed);
+    assert.equal(findPeSignature(stripped), null);
+    assert.ok(stripped.equals(peBinary(CLI)), 'same bytes as the unsigned build');
+    assert.equal(stripped.readUInt32LE(0x98 + 64), peChecksum(stripped, 0x98 + 64));
+
+    const unsigned = peBinary(CLI);
+    assert.equal(stripPeSignature(unsigned), unsigned);
+  });
+});
+
+describe('signTarget', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeTarget = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return { path: filePath, kind: 'native-binary' };
+  };
+
+  it('strips and verifies PE targets, and leaves ELF targets alone', () => {
+    const pe = writeTarget('claude.exe', peBinary(CLI, { signed: true }));
+    assert.deepEqual(signTarget(pe, { platform: 'linux' }), {
+      format: 'pe',
+      method: 'strip',
+      status: SIGNING_STATUS.stripped,
+      verified: true,
+      reason: null,
+    });
+    assert.ok(fs.readFileSync(pe.path).equals(peBinary(CLI)));
+
+    // A Mach-O method is refused rather than silently turned into a strip.
+    const adhoc = writeTarget('adhoc.exe', peBinary(CLI, { signed: true }));
+    const refused = signTarget(adhoc, { signing: { method: 'adhoc' }, platform: 'win32' });
+    assert.equal(refused.status, SIGNING_STATUS.failed);
+    assert.equal(describeSigning(refused), `adhoc failed: ${refused.reason}`);
+    assert.ok(fs.readFileSync(adhoc.path).equals(peBinary(CLI, { signed: true })), 'the binary is left as written');
+
+    const elf = writeTarget('claude', nativeBinary(CLI, 'elf'));
+    assert.equal(signTarget(elf, { platform: 'linux' }).status, SIGNING_STATUS.notNeeded);
+    assert.equal(signTarget({ path: elf.path, kind: 'js' }), null);
+  });
+
+  it('runs and verifies codesign for Mach-O targets on macOS', () => {
+    const macho = writeTarget('claude-macho', nativeBinary(CLI, 'macho'));
+    const calls = [];
+    const run = (command, args) => {
+      calls.push([command, ...args].join(' '));
+      return '';
+    };
+
+    const signing = { method: 'identity', identity: 'Developer ID Application: Me' };
+    const signed = signTarget(macho, { signing, platform: 'darwin', run });
+    assert.equal(signed.status, SIGNING_STATUS.signed);
+    assert.equal(describeSigning(signed), 'signed with the profile identity (verified)');
+    assert.deepEqual(calls, [
+      `codesign --force --sign Developer ID Application: Me ${macho.path}`,
+      `codesign --verify --strict ${macho.path}`,
+    ]);
+
+    // codesign --verify failing with `stderr`.
+    const verifyFails = stderr => (command, args) => {
+      if (args[0] !== '--verify') return '';
+      throw Object.assign(new Error('Command failed'), { stderr: `${macho.path}: ${stderr}\n` });
+    };
+    const failed = signTarget(macho, { platform: 'darwin', run: verifyFails('invalid signature (code or signature have been modified)') });
+    assert.equal(failed.status, SIGNING_STATUS.failed);
+    assert.equal(failed.verified, false);
+
+    const stripped = signTarget(macho, {
+      signing: { method: 'strip' },
+      platform: 'darwin',
+      run: verifyFails('code object is not signed at all'),
+    });
+    assert.equal(stripped.status, SIGNING_STATUS.stripped);
+  });
+});
+
+describe('printSigningResult', () => {
+  const print = (result, signing) => {
+    const lines = [];
+    const output = { log: line => lines.push(`log ${line}`), error: line => lines.push(`error ${line}`) };
+    printSigningResult(result, { path: '/opt/claude' }, { signing, output });
+    return lines;
+  };
+
+  it('prints one line per outcome and the manual codesign command after a Mach-O failure', () => {
+    assert.deepEqual(print(null), []);
+    const elf = { format: 'elf', method: 'auto', status: SIGNING_STATUS.notNeeded, reason: 'ELF binaries are not signed' };
+    assert.deepEqual(print(elf), []);
+    assert.deepEqual(print({ format: 'pe', method: 'strip', status: SIGNING_STATUS.stripped, verified: true }), [
+      'log ✅ Signing: invalidated signature removed (verified)',
+    ]);
+    const skipped = { format: 'macho', method: 'none', status: SIGNING_STATUS.skipped, reason: 'signing.method is "none"' };
+    assert.deepEqual(print(skipped), []);
+    assert.deepEqual(print({ ...skipped, method: 'adhoc', reason: 'codesign is only available on macOS' }), [
+      'error ⚠️  Signing: skipped: codesign is only available on macOS. ' +
+        'Re-sign the binary on a Mac before running it there.',
+    ]);
+    const failed = { format: 'macho', method: 'adhoc', status: SIGNING_STATUS.failed, reason: 'the signature did not verify' };
+    const lines = print(failed, {});
+    assert.equal(
+      lines[0],
+      'error ⚠️  Signing: adhoc failed: the signature did not verify. The patched binary may be killed when executed.'
+    );
+    assert.equal(lines[1], 'error    You can try manually:');
+    assert.match(lines[2], /codesign --force --deep --sign - /);
+  });
+});
+
+describe('signing patched PE targets', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('journals the stripped signature, so patches still revert byte for byte', () => {
+    const target = { path: path.join(dir, 'claude.exe'), kind: 'native-binary' };
+    const original = peBinary(CLI, { signed: true });
+    fs.writeFileSync(target.path, original);
+    const banner = renamePatch('banner', 'var banner="start"', 'var banner="other"');
+    const footer = renamePatch('footer', 'var footer="end"', 'var footer="fin"');
+
+    // The outcome is returned for the caller to print after its results, not printed here.
+    const lines = [];
+    const record = line => lines.push(line);
+    const first = applyPatchesToTarget(target, [banner], { output: { log: record, error: record } });
+    assert.equal(first.signing.status, SIGNING_STATUS.stripped);
+    assert.deepEqual(lines.filter(line => line.includes('Signing')), []);
+    assert.equal(findPeSignature(fs.readFileSync(target.path)), null);
+    assert.equal(readJournal(target.path).signature.method, 'strip');
+
+    // The second run patches the content the journal describes, then strips again.
+    const second = applyPatchesToTarget(target, [footer], { output: quiet });
+    assert.equal(second.results[0].status, APPLY_STATUS.patched);
+    assert.equal(second.signing.status, SIGNING_STATUS.stripped);
+    assert.deepEqual(readJournal(target.path).patches.map(entry => entry.id), ['banner', 'footer']);
+
+    const restored = restoreSinglePatch(target, 'banner');
+    assert.deepEqual(restored.remaining, ['footer']);
+    assert.equal(restored.signing.status, SIGNING_STATUS.stripped);
+    const content = fs.readFileSync(target.path);
+    assert.equal(findPeSignature(content), null);
+    assert.ok(content.includes('var banner="start";var footer="fin"'));
+
+    restoreOriginal(target);
+    assert.ok(fs.readFileSync(target.path).equals(original), 'the original signed image is back');
+    assert.equal(readJournal(target.path), null);
+  });
+
+  it('keeps the signature with signing.method "none"', () => {
+    const target = { path: path.join(dir, 'unsigned.exe'), kind: 'native-binary' };
+    fs.writeFileSync(target.path, peBinary(CLI, { signed: true }));
+    const { signing } = applyPatchesToTarget(target, [renamePatch('banner', 'var banner="start"', 'var banner="other"')], {
+      signing: { method: 'none' },
+      output: quiet,
+    });
+    assert.equal(signing.status, SIGNING_STATUS.skipped);
+    assert.ok(findPeSignature(fs.readFileSync(target.path)));
+    assert.equal(readJournal(target.path).signature, undefined);
+    assert.deepEqual(revertPatches(target, ['banner']).remaining, []);
+  });
+});
+
+describe('profile signing section', () => {
+  it('validates the method and requires an identity for "identity"', () => {
+    assert.deepEqual(validateProfile({ signing: { method: 'adhoc' } }, []), []);
+    assert.deepEqual(validateProfile({ signing: { method: 'gpg' } }, []), [
+      'signing.method: must be one of "auto", "adhoc", "identity", "strip", "none", got "gpg"',
+    ]);
+    assert.deepEqual(validateProfile({ signing: { method: 'identity' } }, []), [
+      'signing.identity: required when signing.method is "identity"',
+    ]);
+  });
+});
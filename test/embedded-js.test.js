@@ -0,0 +1,137 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { APPLY_STATUS, applyNativeRegexPatchRules, trackEdits } = require('../lib/patch-engine');
+const { readStandaloneGraph } = require('../lib/bun-standalone');
+const {
+  MANIFEST_NAME,
+  moduleFileName,
+  extractEmbeddedModules,
+  injectEmbeddedModules,
+  createInjectPatch,
+} = require('../lib/embedded-js');
+const { bunStandaloneBinary, nativeBinary, replayEdits } = require('./helpers');
+
+const CLI = 'const VERSION_INFO={VERSION:"2.1.204"};var banner="start";console.log(banner);\n';
+const MODULES = [
+  { name: '/$bunfs/root/cli', contents: CLI },
+  { name: '/$bunfs/root/chunk-1.js', contents: 'export const chunk="one";\n' },
+  { name: '/$bunfs/root/chunk-2.js', contents: 'export const next="two";\n' },
+];
+
+function moduleText(content, name) {
+  const { start, end } = readStandaloneGraph(content).modules.find(entry => entry.name === name).contents;
+  return content.toString('latin1', start, end);
+}
+
+describe('moduleFileName', () => {
+  it('maps module names to relative file names', () => {
+    assert.equal(moduleFileName('/$bunfs/root/cli'), 'root/cli.js');
+    assert.equal(moduleFileName('B:/~BUN/root/chunk-1.js'), 'root/chunk-1.js');
+    assert.equal(moduleFileName('/$bunfs/root/../../etc/passwd.json'), 'root/etc/passwd.json');
+  });
+});
+
+describe('extract and inject', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes every module and their offsets', () => {
+    const image = bunStandaloneBinary(MODULES, 'elf');
+    const out = path.join(dir, 'extract');
+    const manifest = extractEmbeddedModules(image, out, { source: { path: '/opt/claude', version: '2.1.204' } });
+
+    assert.equal(manifest.entryPoint, '/$bunfs/root/cli');
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(out, MANIFEST_NAME), 'utf8')), manifest);
+    for (const entry of manifest.modules) {
+      const written = fs.readFileSync(path.join(out, entry.file));
+      assert.ok(written.equals(image.subarray(entry.offset, entry.offset + entry.length)), entry.name);
+    }
+    assert.equal(fs.readFileSync(path.join(out, 'root', 'cli.js'), 'latin1'), CLI);
+    assert.throws(() => extractEmbeddedModules(nativeBinary(CLI, 'elf'), out), /No Bun module graph found/);
+  });
+
+  it('pads shorter modules, repacks longer ones and is idempotent', () => {
+    const image = bunStandaloneBinary(MODULES, 'macho');
+    const out = path.join(dir, 'inject');
+    extractEmbeddedModules(image, out);
+    fs.writeFileSync(path.join(out, 'root', 'cli.js'), CLI.replace('"start"', 'process.env.BANNER||"start"'));
+    fs.writeFileSync(path.join(out, 'root', 'chunk-1.js'), 'export const chunk=1;\n');
+    fs.rmSync(path.join(out, 'root', 'chunk-2.js'));
+
+    const { result, edits } = trackEdits(() => injectEmbeddedModules(image, out));
+    assert.deepEqual(
+      result.injected.map(entry => [entry.file, entry.to - entry.from]),
+      [['root/cli.js', 20], ['root/chunk-1.js', -4]]
+    );
+    assert.match(moduleText(result.content, '/$bunfs/root/cli'), /var banner=process\.env\.BANNER\|\|"start";/);
+    assert.equal(moduleText(result.content, '/$bunfs/root/chunk-1.js'), 'export const chunk=1;\n    ');
+    assert.equal(moduleText(result.content, '/$bunfs/root/chunk-2.js'), MODULES[2].contents);
+    assert.ok(replayEdits(image, edits).equals(result.content));
+
+    const again = injectEmbeddedModules(result.content, out);
+    assert.deepEqual(again.injected, []);
+    assert.equal(again.alreadyInjected.length, 2);
+  });
+
+  it('refuses modules that changed since the extract', () => {
+    const out = path.join(dir, 'stale');
+    extractEmbeddedModules(bunStandaloneBinary(MODULES, 'elf'), out);
+    fs.appendFileSync(path.join(out, 'root', 'cli.js'), '// edited\n');
+    const updated = bunStandaloneBinary([{ ...MODULES[0], contents: CLI.replace('2.1.204', '2.1.205') }, ...MODULES.slice(1)], 'elf');
+    assert.throws(() => injectEmbeddedModules(updated, out), /root\/cli changed since it was extracted/);
+  });
+
+  it('runs as the inject patch', () => {
+    const image = bunStandaloneBinary(MODULES, 'elf');
+    const out = path.join(dir, 'patch');
+    extractEmbeddedModules(image, out);
+    const patch = createInjectPatch(out);
+    const ctx = { kind: 'native-binary' };
+
+    assert.equal(patch.apply(image, ctx).status, APPLY_STATUS.skipped);
+    fs.writeFileSync(path.join(out, 'root', 'chunk-2.js'), 'export const next="three";\n');
+    const applied = patch.apply(image, ctx);
+    assert.equal(applied.status, APPLY_STATUS.patched);
+    assert.deepEqual(applied.steps, ['root/chunk-2.js (25 -> 27 bytes)']);
+    assert.equal(patch.apply(applied.content, ctx).status, APPLY_STATUS.alreadyPatched);
+    assert.throws(() => patch.apply(CLI, { kind: 'js' }), /only works on native binaries/);
+  });
+});
+
+describe('applyNativeRegexPatchRules', () => {
+  const rule = (regex, replacer) => ({ regex, replacer, label: 'rule', step: 'rule' });
+
+  it('runs each rule inside one embedded module at a time', () => {
+    const image = bunStandaloneBinary(MODULES, 'elf');
+    const across = applyNativeRegexPatchRules(image, 'test', [rule(/"one"[\s\S]{0,200}?"two"/g, '"one"')]);
+    assert.deepEqual(across.steps, []);
+    assert.ok(across.out.equals(image));
+
+    const { result, edits } = trackEdits(() =>
+      applyNativeRegexPatchRules(image, 'test', [rule(/export const (\w+)=/g, (_m, name) => `export const ${name}_renamed=`)])
+    );
+    assert.deepEqual(result.steps, ['rule x2']);
+    assert.equal(moduleText(result.out, '/$bunfs/root/chunk-1.js'), 'export const chunk_renamed="one";\n');
+    assert.equal(moduleText(result.out, '/$bunfs/root/chunk-2.js'), 'export const next_renamed="two";\n');
+    assert.ok(replayEdits(image, edits).equals(result.out));
+  });
+
+  it('runs on the bundle of binaries without a module graph', () => {
+    const image = nativeBinary(CLI, 'elf');
+    const { result, edits } = trackEdits(() =>
+      applyNativeRegexPatchRules(image, 'test', [rule(/var banner="start"/g, 'var banner="x"')])
+    );
+    assert.deepEqual(result.steps, ['rule x1']);
+    assert.ok(result.out.includes('var banner="x"    ;'));
+    assert.equal(edits[0].offset, image.indexOf('var banner'));
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * Shared helpers for the patch tests.
+ *
+ * Fixtures in `fixtures/<patch id>/` are trimmed snippets of real bundle shapes (plain text, so the
+ * test runner does not pick them up as tests). Each one carries its `VERSION:"x.y.z"` tag, so
+ * version-scoped rules see the version they were written for. Native installs are simulated by
+ * embedding a fixture in a synthetic ELF or Mach-O image (see `nativeBinary()`); images that carry
+ * a real Bun module graph, for the repacking code, come from `bunStandaloneBinary()`, and signed
+ * Windows images, for the signing step, from `peBinary()`.
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { APPLY_STATUS, DETECT_STATUS } = require('../lib/patch-engine');
+const { detectClaudeVersion } = require('../lib/version-detect');
+const { findSyntaxRegression } = require('../lib/syntax-check');
+const { peChecksum } = require('../lib/code-signing');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const NATIVE_FORMATS = ['elf', 'macho'];
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+// Every fixture name in `fixtures/<dir>/`, e.g. `thinking/2.1.22-verbose.txt`.
+function listFixtures(dir) {
+  return fs
+    .readdirSync(path.join(FIXTURES_DIR, dir))
+    .filter(name => name.endsWith('.txt'))
+    .sort()
+    .map(name => `${dir}/${name}`);
+}
+
+// Just enough of each header for `detectClaudeTargetKind()`; the rest of the image is padding.
+function nativeHeader(format) {
+  const header = Buffer.alloc(64);
+  if (format === 'elf') {
+    header.set([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x01]); // \x7fELF, 64-bit, little endian
+  } else if (format === 'macho') {
+    header.writeUInt32BE(0xcffaedfe, 0); // MH_MAGIC_64, little endian
+    header.writeUInt32LE(0x0100000c, 4); // CPU_TYPE_ARM64
+  } else {
+    throw new Error(`Unknown native format: ${format}`);
+  }
+  return header;
+}
+
+// A synthetic native binary: header, padding, the embedded JS bundle (UTF-8, as Bun embeds it),
+// then trailing data.
+function nativeBinary(js, format) {
+  return Buffer.concat([
+    nativeHeader(format),
+    Buffer.alloc(192),
+    Buffer.from(js, 'utf8'),
+    Buffer.from('\0\0\0\0---- end of embedded bundle ----\0', 'latin1'),
+  ]);
+}
+
+// PE32+ header offsets used by `peBinary()`.
+const PE_OPTIONAL_HEADER = 0x98;
+const PE_CHECKSUM = PE_OPTIONAL_HEADER + 64;
+const PE_SECURITY_DIRECTORY = PE_OPTIONAL_HEADER + 112 + 4 * 8;
+
+// A minimal PE32+ image (headers only, no sections) embedding `js`, with its header checksum set.
+// `signed` appends an Authenticode certificate table and points the security directory at it, as
+// signtool does.
+function peBinary(js, { signed = false } = {}) {
+  const headers = Buffer.alloc(0x200);
+  headers.write('MZ', 0, 'latin1');
+  headers.writeUInt32LE(0x80, 0x3c); // e_lfanew
+  headers.write('PE\0\0', 0x80, 'latin1');
+  headers.writeUInt16LE(0x8664, 0x84); // x86-64
+  headers.writeUInt16LE(240, 0x94); // SizeOfOptionalHeader
+  headers.writeUInt16LE(0x20b, PE_OPTIONAL_HEADER); // PE32+
+  headers.writeUInt32LE(16, PE_OPTIONAL_HEADER + 108); // NumberOfRvaAndSizes
+  const trailer = Buffer.from('\0\0\0\0---- end of embedded bundle ----\0', 'latin1');
+  const body = Buffer.concat([headers, Buffer.from(js, 'latin1'), trailer]);
+  let image = Buffer.concat([body, Buffer.alloc(alignUp(body.length, 8) - body.length)]);
+
+  if (signed) {
+    const certificate = Buffer.alloc(264);
+    certificate.writeUInt32LE(certificate.length, 0); // dwLength
+    certificate.writeUInt16LE(0x0200, 4); // WIN_CERT_REVISION_2_0
+    certificate.writeUInt16LE(0x0002, 6); // WIN_CERT_TYPE_PKCS_SIGNED_DATA
+    certificate.write('fixture signature', 8, 'latin1');
+    image.writeUInt32LE(image.length, PE_SECURITY_DIRECTORY);
+    image.writeUInt32LE(certificate.length, PE_SECURITY_DIRECTORY + 4);
+    image = Buffer.concat([image, certificate]);
+  }
+  image.writeUInt32LE(peChecksum(image, PE_CHECKSUM), PE_CHECKSUM);
+  return image;
+}
+
+// A Bun module graph holding `modules` (`[{ name, contents, loader? }]`, the first one is the
+// entry point; `loader` defaults to 1, js).
+// `legacy` uses the older 24-byte Offsets and 4-pointer module records.
+function bunModuleGraph(modules, { legacy = false } = {}) {
+  const parts = [];
+  let size = 0;
+  const blob = bytes => {
+    const pointer = [size, bytes.length];
+    parts.push(bytes, Buffer.alloc(1));
+    size += bytes.length + 1;
+    return pointer;
+  };
+  const pointerCount = legacy ? 4 : 6;
+  const records = Buffer.alloc(modules.length * (pointerCount * 8 + 4));
+  modules.forEach((module, i) => {
+    const name = blob(Buffer.from(module.name, 'latin1'));
+    const pointers = [name, blob(Buffer.from(module.contents, 'latin1')), blob(Buffer.from('{"version":3}')), [0, 0], [0, 0], name];
+    const record = i * (pointerCount * 8 + 4);
+    pointers.slice(0, pointerCount).forEach(([offset, length], p) => {
+      records.writeUInt32LE(offset, record + p * 8);
+      records.writeUInt32LE(length, record + p * 8 + 4);
+    });
+    const loader = module.loader === undefined ? 1 : module.loader;
+    records.set([1, loader, 1, 0], record + pointerCount * 8); // utf8, loader, esm, server
+  });
+
+  const data = Buffer.concat([...parts, records]);
+  const offsets = Buffer.alloc(legacy ? 24 : 32);
+  offsets.writeBigUInt64LE(BigInt(data.length), 0);
+  offsets.writeUInt32LE(size, 8);
+  offsets.writeUInt32LE(records.length, 12);
+  if (!legacy) offsets.writeUInt32LE(data.length, 20); // empty exec-argv pointer at the end of the data
+  return Buffer.concat([data, offsets, Buffer.from('\n---- Bun! ----\n', 'latin1')]);
+}
+
+function alignUp(value, alignment) {
+  return Math.ceil(value / alignment) * alignment;
+}
+
+/**
+ * A minimal Bun standalone executable embedding `modules` (see `bunModuleGraph()`):
+ * - 'elf': `.bun` section at the end of the RW segment, then `.comment`, `.shstrtab` and the
+ *   section headers
+ * - 'macho': arm64, `__TEXT`, `__BUN,__bun` and `__LINKEDIT` (symbol strings and a code signature)
+ * - 'appended': the legacy layout, graph + u64 byte count after an ELF header
+ * Sections are framed as `[u64 length][graph]` and padded to the page size, like Bun does.
+ */
+function bunStandaloneBinary(modules, format) {
+  if (format === 'appended') {
+    const graph = bunModuleGraph(modules, { legacy: true });
+    const image = Buffer.concat([nativeHeader('elf'), Buffer.alloc(4032), graph, Buffer.alloc(8)]);
+    image.writeBigUInt64LE(BigInt(image.length), image.length - 8);
+    return image;
+  }
+
+  const graph = bunModuleGraph(modules);
+  const section = Buffer.alloc(8 + graph.length);
+  section.writeBigUInt64LE(BigInt(graph.length), 0);
+  graph.copy(section, 8);
+
+  if (format === 'elf') {
+    const page = 0x1000;
+    const bunOffset = 2 * page;
+    const segmentSize = alignUp(section.length, page);
+    const comment = Buffer.from('GCC: (fixture) 1.0\0', 'latin1');
+    const shstrtab = Buffer.from('\0.text\0.bun\0.comment\0.shstrtab\0', 'latin1');
+    const commentOffset = bunOffset + segmentSize;
+    const shstrtabOffset = commentOffset + comment.length;
+    const shoff = alignUp(shstrtabOffset + shstrtab.length, 8);
+    const image = Buffer.alloc(shoff + 5 * 64);
+
+    image.set([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x01]);
+    image.writeUInt16LE(2, 0x10); // ET_EXEC
+    image.writeUInt16LE(0x3e, 0x12); // x86-64
+    image.writeBigUInt64LE(0x40n, 0x20); // e_phoff
+    image.writeBigUInt64LE(BigInt(shoff), 0x28);
+    image.writeUInt16LE(56, 0x36);
+    image.writeUInt16LE(2, 0x38);
+    image.writeUInt16LE(64, 0x3a);
+    image.writeUInt16LE(5, 0x3c);
+    image.writeUInt16LE(4, 0x3e); // e_shstrndx
+
+    const segment = (i, flags, offset, vaddr, filesz) => {
+      const pos = 0x40 + i * 56;
+      image.writeUInt32LE(1, pos); // PT_LOAD
+      image.writeUInt32LE(flags, pos + 4);
+      for (const [field, value] of [[8, offset], [16, vaddr], [24, vaddr], [32, filesz], [40, filesz], [48, page]]) {
+        image.writeBigUInt64LE(BigInt(value), pos + field);
+      }
+    };
+    segment(0, 5, page, 0x401000, page); // R+X
+    segment(1, 6, bunOffset, 0x602000, segmentSize); // RW
+
+    const sectionHeader = (i, name, type, flags, addr, offset, size) => {
+      const pos = shoff + i * 64;
+      image.writeUInt32LE(name, pos);
+      image.writeUInt32LE(type, pos + 4);
+      for (const [field, value] of [[8, flags], [16, addr], [24, offset], [32, size], [48, 1]]) {
+        image.writeBigUInt64LE(BigInt(value), pos + field);
+      }
+    };
+    sectionHeader(1, 1, 1, 0x6, 0x401000, page, 0x10); // .text
+    sectionHeader(2, 7, 1, 0x3, 0x602000, bunOffset, section.length); // .bun
+    sectionHeader(3, 12, 1, 0, 0, commentOffset, comment.length); // .comment
+    sectionHeader(4, 21, 3, 0, 0, shstrtabOffset, shstrtab.length); // .shstrtab
+
+    image.write('TEXT', page, 'latin1');
+    section.copy(image, bunOffset);
+    comment.copy(image, commentOffset);
+    shstrtab.copy(image, shstrtabOffset);
+    return image;
+  }
+
+  if (format === 'macho') {
+    const page = 0x4000;
+    const bunSize = alignUp(section.length, page);
+    const linkedit = page + bunSize;
+    const image = Buffer.alloc(linkedit + 0x100);
+    image.writeUInt32LE(0xfeedfacf, 0);
+    image.writeUInt32LE(0x0100000c, 4); // CPU_TYPE_ARM64
+    image.writeUInt32LE(2, 12); // MH_EXECUTE
+    image.writeUInt32LE(5, 16); // ncmds
+
+    let pos = 32;
+    const segment = (name, vmaddr, fileoff, filesize, sections = []) => {
+      const cmdsize = 72 + 80 * sections.length;
+      image.writeUInt32LE(0x19, pos);
+      image.writeUInt32LE(cmdsize, pos + 4);
+      image.write(name, pos + 8, 'latin1');
+      for (const [field, value] of [[24, vmaddr], [32, filesize], [40, fileoff], [48, filesize]]) {
+        image.writeBigUInt64LE(BigInt(value), pos + field);
+      }
+      image.writeUInt32LE(sections.length, pos + 64);
+      sections.forEach((sect, i) => {
+        const header = pos + 72 + i * 80;
+        image.write(sect.name, header, 'latin1');
+        image.write(name, header + 16, 'latin1');
+        image.writeBigUInt64LE(BigInt(vmaddr), header + 32);
+        image.writeBigUInt64LE(BigInt(sect.size), header + 40);
+        image.writeUInt32LE(fileoff, header + 48);
+      });
+      pos += cmdsize;
+    };
+    const base = 0x100000000;
+    segment('__TEXT', base, 0, page);
+    segment('__BUN', base + page, page, bunSize, [{ name: '__bun', size: section.length }]);
+    segment('__LINKEDIT', base + linkedit, linkedit, 0x100);
+    // LC_SYMTAB: no symbols, a string table; LC_CODE_SIGNATURE: a stand-in blob.
+    image.writeUInt32LE(0x02, pos);
+    image.writeUInt32LE(24, pos + 4);
+    image.writeUInt32LE(linkedit, pos + 8);
+    image.writeUInt32LE(linkedit, pos + 16);
+    image.writeUInt32LE(0x10, pos + 20);
+    pos += 24;
+    image.writeUInt32LE(0x1d, pos);
+    image.writeUInt32LE(16, pos + 4);
+    image.writeUInt32LE(linkedit + 0x40, pos + 8);
+    image.writeUInt32LE(0x20, pos + 12);
+    pos += 16;
+    image.writeUInt32LE(pos - 32, 20); // sizeofcmds
+
+    section.copy(image, page);
+    image.write('\0_main\0strings\0', linkedit, 'latin1');
+    image.write('fixture code signature blob', linkedit + 0x40, 'latin1');
+    return image;
+  }
+
+  throw new Error(`Unknown Bun standalone format: ${format}`);
+}
+
+// Replays `trackEdits()`-style sequential edits on `content`, checking each one's original bytes.
+function replayEdits(content, edits) {
+  let out = content;
+  for (const edit of edits) {
+    const end = edit.offset + edit.original.length;
+    assert.ok(out.subarray(edit.offset, end).equals(edit.original), `edit at ${edit.offset} replaces what it claims to`);
+    out = Buffer.concat([out.subarray(0, edit.offset), edit.replacement, out.subarray(end)]);
+  }
+  return out;
+}
+
+// The fixture as cli.js text and as every synthetic native binary: `[{ name, kind, content }]`.
+function fixtureTargets(js) {
+  return [
+    { name: 'cli.js', kind: 'js', content: js },
+    ...NATIVE_FORMATS.map(format => ({ name: format, kind: 'native-binary', content: nativeBinary(js, format) })),
+  ];
+}
+
+function contentText(content) {
+  return Buffer.isBuffer(content) ? content.toString('latin1') : content;
+}
+
+// The patch context `claude-patch.js` would build for `content`.
+function patchContext(kind, content, extra = {}) {
+  const { version } = detectClaudeVersion(null, content);
+  return { kind, version, log: () => {}, options: {}, ...extra };
+}
+
+/**
+ * Assert that `patch` applies to `content`, that the result still parses, that it is detected as
+ * already patched and that applying it again changes nothing. Native results must keep their size and header.
+ * Returns the patched content.
+ */
+function assertPatchRoundTrip(patch, content, ctx) {
+  const detected = patch.detect(content, ctx);
+  assert.equal(detected.status, DETECT_STATUS.applicable, `detect: ${JSON.stringify(detected)}`);
+
+  const applied = patch.apply(content, ctx);
+  assert.equal(applied.status, APPLY_STATUS.patched, `apply: ${applied.status} ${applied.reason || ''}`);
+  assert.notEqual(contentText(applied.content), contentText(content));
+  if (ctx.kind === 'native-binary') {
+    assert.ok(Buffer.isBuffer(applied.content), 'native results stay Buffers');
+    assert.equal(applied.content.length, content.length, 'native patches preserve the size');
+    assert.ok(applied.content.subarray(0, 64).equals(content.subarray(0, 64)), 'native header is untouched');
+  }
+  assert.equal(findSyntaxRegression(content, applied.content), null, 'patched JS still parses');
+
+  assert.equal(patch.detect(applied.content, ctx).status, DETECT_STATUS.alreadyPatched);
+  const again = patch.apply(applied.content, ctx);
+  assert.equal(again.status, APPLY_STATUS.alreadyPatched);
+  assert.equal(contentText(again.content), contentText(applied.content));
+  return applied.content;
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  NATIVE_FORMATS,
+  readFixture,
+  listFixtures,
+  nativeBinary,
+  bunStandaloneBinary,
+  peBinary,
+  replayEdits,
+  fixtureTargets,
+  contentText,
+  patchContext,
+  assertPatchRoundTrip,
+};
@@ -0,0 +1,103 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const {
+  scanJs,
+  findMatchingBracket,
+  findEnclosingBracket,
+  locateCaseBranches,
+  locateObjectLiteral,
+  locateCallExpression,
+} = require('../lib/js-locator');
+const { readFixture, listFixtures, fixtureTargets, contentText } = require('./helpers');
+
+// Where the fixture's JS starts inside each target: 0 for cli.js, past the header in native images.
+const bundleOffset = (target, js) => contentText(target.content).indexOf(js);
+const slice = (target, span) => contentText(target.content).slice(span.start, span.end);
+
+describe('scanJs', () => {
+  it('skips strings, templates, regexes and comments and tracks nesting', () => {
+    const text = 'f("(",`a${g(1)}b`,/[)]/g,x/2)/*)*/;// )\n}';
+    const tokens = [];
+    scanJs(text, 0, (i, token, depth) => {
+      tokens.push(`${token}@${depth}`);
+    });
+    assert.deepEqual(tokens, [
+      'f@0', '(@0', ',@1', 'g@2', '(@2', '1@3', ')@2', ',@1', ',@1', 'x@1', '/@1', '2@1', ')@0', ';@0', '}@-1',
+    ]);
+  });
+});
+
+describe('findMatchingBracket / findEnclosingBracket', () => {
+  it('pairs brackets across literals and reports what cannot be paired', () => {
+    const text = 'a({b:"}",c:[1,2]},`)`)';
+    assert.equal(findMatchingBracket(text, 1), text.length - 1);
+    assert.equal(findMatchingBracket(text, 2), text.indexOf('}', 10));
+    assert.equal(findMatchingBracket('(a]', 0), -1, 'closed by another kind');
+    assert.equal(findMatchingBracket('(a,(b)', 0), -1, 'never closed');
+    assert.equal(findMatchingBracket(text, 0), -1, 'not a bracket');
+
+    assert.deepEqual(findEnclosingBracket(text, text.indexOf('c:'), '{'), { start: 2, end: text.indexOf('}', 10) + 1 });
+    assert.equal(findEnclosingBracket('x={a:1};b', 8, '{'), null);
+    assert.throws(() => findEnclosingBracket(text, 3, 'x'), { message: 'Not an opening bracket: x' });
+  });
+});
+
+describe('locateCaseBranches', () => {
+  const fixtures = listFixtures('thinking').filter(name => readFixture(name).includes('case"thinking":'));
+
+  for (const name of fixtures) {
+    const js = readFixture(name);
+    for (const target of fixtureTargets(js)) {
+      it(`finds the thinking branch in ${name} (${target.name})`, () => {
+        const [branch, ...rest] = locateCaseBranches(target.content, '"thinking"');
+        assert.deepEqual(rest, [], 'case"redacted_thinking": is not a match');
+        assert.equal(branch.start, contentText(target.content).indexOf('case"thinking":'));
+        assert.equal(branch.bodyStart, branch.start + 'case"thinking":'.length);
+
+        // The branch ends at `default` or at the switch's closing brace; a braced body is all of it.
+        const body = slice(target, { start: branch.bodyStart, end: branch.end });
+        if (body.startsWith('{')) assert.equal(findMatchingBracket(body, 0), body.length - 1);
+        assert.match(contentText(target.content).slice(branch.end), /^(default:|})/);
+      });
+    }
+  }
+
+  it('returns no branch when the label is missing', () => {
+    assert.deepEqual(locateCaseBranches(readFixture('thinking/2.1.204-direct-return.txt'), '"tool_use"'), []);
+    assert.deepEqual(locateCaseBranches('switch(a){mycase"thinking":1}', '"thinking"'), []);
+  });
+});
+
+describe('locateObjectLiteral / locateCallExpression', () => {
+  const needle = 'key:"npm-deprecation-warning"';
+  const callees = {
+    'npm-deprecation-warning/comma-expression.txt': 'K9',
+    'npm-deprecation-warning/member-call-nested.txt': 'A.notify.add',
+    'npm-deprecation-warning/statement.txt': 'K9',
+  };
+
+  for (const name of listFixtures('npm-deprecation-warning')) {
+    const js = readFixture(name);
+    for (const target of fixtureTargets(js)) {
+      it(`finds the notification call in ${name} (${target.name})`, () => {
+        const offset = bundleOffset(target, js);
+        const object = locateObjectLiteral(target.content, needle);
+        assert.equal(object.needleIndex, offset + js.indexOf(needle));
+        assert.equal(object.start, offset + js.lastIndexOf('{', js.indexOf(needle)));
+        assert.equal(findMatchingBracket(target.content, object.start), object.end - 1);
+
+        const call = locateCallExpression(target.content, object.start);
+        assert.equal(slice(target, call), `${callees[name]}(${slice(target, object)})`);
+        assert.equal(call.openParen, object.start - 1);
+      });
+    }
+  }
+
+  it('returns null when nothing is found', () => {
+    assert.equal(locateObjectLiteral('var a={key:"other"};', needle), null);
+    assert.equal(locateObjectLiteral(`K9({timeoutMs:1,${needle}`, needle), null, 'an object that is never closed');
+    assert.equal(locateCallExpression('return({a:1})', 'return({'.length - 1), null, 'parens that are not a call');
+    assert.equal(locateCallExpression('x={a:1}', 3), null, 'no parens');
+  });
+});
@@ -0,0 +1,33 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { detectClaudeTargetKind, readTarget } = require('../lib/patch-engine');
+const { detectClaudeVersion } = require('../lib/version-detect');
+const { NATIVE_FORMATS, readFixture, nativeBinary } = require('./helpers');
+
+// The synthetic binaries only stand in for real ones if the target detection treats them alike.
+describe('synthetic native fixtures', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const format of NATIVE_FORMATS) {
+    it(`detects the ${format} image as a native binary with its embedded version`, () => {
+      const filePath = path.join(dir, `claude-${format}`);
+      fs.writeFileSync(filePath, nativeBinary(readFixture('thinking/2.1.204-direct-return.txt'), format));
+
+      const kind = detectClaudeTargetKind(filePath);
+      assert.equal(kind, 'native-binary');
+      const content = readTarget({ path: filePath, kind });
+      assert.ok(Buffer.isBuffer(content));
+      assert.equal(detectClaudeVersion({ path: filePath, kind }, content).version, '2.1.204');
+    });
+  }
+});
@@ -0,0 +1,88 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+
+const npmDeprecationWarningPatch = require('../patch-npm-deprecation-warning');
+const { listFixtures, readFixture, fixtureTargets, contentText, patchContext, assertPatchRoundTrip } = require('./helpers');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'patch-npm-deprecation-warning.js');
+
+describe('npm-deprecation-warning', () => {
+  for (const fixture of listFixtures('npm-deprecation-warning')) {
+    describe(fixture, () => {
+      for (const target of fixtureTargets(readFixture(fixture))) {
+        it(`patches ${target.name}, idempotently`, () => {
+          const ctx = patchContext(target.kind, target.content);
+          const patched = contentText(assertPatchRoundTrip(npmDeprecationWarningPatch, target.content, ctx));
+          assert.doesNotMatch(patched, /npm-deprecation-warning/);
+          assert.doesNotMatch(patched, /switched from npm to native installer/);
+        });
+      }
+    });
+  }
+
+  it('removes a comma-expression call without leaving an empty operand', () => {
+    const content = readFixture('npm-deprecation-warning/comma-expression.txt');
+    const { content: patched } = npmDeprecationWarningPatch.apply(content, patchContext('js', content));
+    assert.match(patched, /Lq\("tengu_npm_warning",\{\}\)\)\}/);
+  });
+
+  it('replaces a call that is not part of a comma expression with `void 0`', () => {
+    const content = readFixture('npm-deprecation-warning/statement.txt');
+    const { content: patched } = npmDeprecationWarningPatch.apply(content, patchContext('js', content));
+    assert.match(patched, /return void 0,1\}/);
+  });
+
+  it('keeps the code after a call whose arguments contain escaped quotes and parentheses', () => {
+    const content = readFixture('npm-deprecation-warning/member-call-nested.txt');
+    const { content: patched } = npmDeprecationWarningPatch.apply(content, patchContext('js', content));
+    assert.match(patched, /return;void 0,A\.done=!0\}/);
+  });
+
+  it('removes extra notifications listed in the profile options', () => {
+    const content = `${readFixture('npm-deprecation-warning/statement.txt')}function tip(){return K9({key:"ide-tip",text:"Try the IDE extension"}),2}\n`;
+    const ctx = patchContext('js', content, { options: { extraNotifications: ['ide-tip'] } });
+    const patched = contentText(assertPatchRoundTrip(npmDeprecationWarningPatch, content, ctx));
+    assert.doesNotMatch(patched, /ide-tip|Try the IDE extension/);
+    assert.deepEqual(npmDeprecationWarningPatch.apply(content, ctx).steps, [
+      'npm deprecation warning call x1',
+      'ide-tip notification call x1',
+    ]);
+  });
+});
+
+describe('patch-npm-deprecation-warning.js --json', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (...args) =>
+    spawnSync(process.execPath, [SCRIPT_PATH, '--json', ...args], {
+      encoding: 'utf8',
+      env: { ...process.env, HOME: dir, USERPROFILE: dir },
+      timeout: 60000,
+    });
+
+  it('reports the planned steps as applicable on a dry run and the applied ones as patched', () => {
+    const file = path.join(dir, 'cli.js');
+    const content = readFixture('npm-deprecation-warning/statement.txt');
+    fs.writeFileSync(file, content);
+
+    const dryRun = run('--file', file, '--dry-run');
+    assert.equal(dryRun.status, 0, dryRun.stderr);
+    const steps = ['npm deprecation warning call x1'];
+    assert.deepEqual(JSON.parse(dryRun.stdout).patches, [{ id: 'npm-deprecation-warning', status: 'applicable', steps }]);
+    assert.equal(fs.readFileSync(file, 'utf8'), content);
+
+    const applied = run('--file', file);
+    assert.equal(applied.status, 0, applied.stderr);
+    assert.deepEqual(JSON.parse(applied.stdout).patches, [{ id: 'npm-deprecation-warning', status: 'patched', steps }]);
+  });
+});
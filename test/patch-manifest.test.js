@@ -0,0 +1,64 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { APPLY_STATUS } = require('../lib/patch-engine');
+const { compileManifest } = require('../lib/patch-manifest');
+
+const SOURCE = 'patches/my-tweak.json';
+const MANIFEST = {
+  id: 'my-tweak',
+  description: 'Say goodbye',
+  versions: '>=2.1',
+  locate: { strategy: 'exact', text: 'hello' },
+  replacement: 'goodbye',
+};
+
+describe('compileManifest', () => {
+  it('compiles a valid manifest into a patch that honours its version range', () => {
+    const patch = compileManifest(MANIFEST, SOURCE);
+    assert.equal(patch.versions, '>=2.1');
+    assert.deepEqual(patch.apply('say("hello")', { version: '2.1.0' }), {
+      status: APPLY_STATUS.patched,
+      content: 'say("goodbye")',
+      steps: ['my-tweak x1'],
+    });
+    assert.deepEqual(patch.apply('say("hello")', { version: '2.0.76' }), {
+      status: APPLY_STATUS.skipped,
+      content: 'say("hello")',
+      reason: 'version 2.0.76 is outside >=2.1',
+    });
+  });
+
+  it('names the file and field of every invalid setting', () => {
+    const CASES = [
+      [null, 'manifest must be an object'],
+      [{ ...MANIFEST, id: 'My Tweak' }, 'id must be a lowercase id (letters, digits, dashes)'],
+      [{ ...MANIFEST, description: 1 }, 'description must be a string'],
+      [{ ...MANIFEST, versions: '~2.1' }, 'versions is not a valid version range: "~2.1"'],
+      [{ ...MANIFEST, versions: 2.1 }, 'versions is not a valid version range: 2.1'],
+      [{ ...MANIFEST, locate: 'hello' }, 'locate must be an object'],
+      [{ ...MANIFEST, locate: { strategy: 'fuzzy', text: 'hello' } }, 'locate.strategy must be one of exact, regex, block'],
+      [{ ...MANIFEST, locate: { strategy: 'exact', text: '' } }, 'locate.text must be a non-empty string'],
+      [{ ...MANIFEST, locate: { strategy: 'regex', pattern: '(' } }, /locate\.pattern is not a valid regular expression/],
+      [{ ...MANIFEST, locate: { strategy: 'block', markers: [] } }, 'locate.markers must be a non-empty array of patterns'],
+      [{ ...MANIFEST, replacement: undefined }, 'replacement must be a string'],
+      [
+        { ...MANIFEST, locate: { strategy: 'regex', pattern: 'h(ello)' }, replacement: 1 },
+        'replacement must be a string or a replacer function',
+      ],
+      [
+        { ...MANIFEST, locate: { strategy: 'block', markers: ['hello'], end: '\\)' }, replacement: 'bye' },
+        'replacement must be a non-empty array of { pattern, replacement } rewrites',
+      ],
+      [
+        { ...MANIFEST, locate: { strategy: 'block', markers: ['hello'], end: '\\)' }, replacement: [{ pattern: 'hello' }] },
+        'replacement[0].replacement must be a string or a replacer function',
+      ],
+      [{ ...MANIFEST, alreadyPatched: [{ strategy: 'exact' }] }, 'alreadyPatched[0].text must be a non-empty string'],
+    ];
+    for (const [manifest, message] of CASES) {
+      const expected = typeof message === 'string' ? `${SOURCE}: ${message}` : new RegExp(`^${SOURCE}: ${message.source}`);
+      assert.throws(() => compileManifest(manifest, SOURCE), { message: expected });
+    }
+  });
+});
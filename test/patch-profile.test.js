@@ -0,0 +1,116 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { loadPatches } = require('../lib/patch-registry');
+const { profilePathFor, validateProfile, loadProfile, loadSigningSettings } = require('../lib/patch-profile');
+
+const PATCHES = loadPatches();
+
+describe('validateProfile', () => {
+  const errorsFor = profile => validateProfile(profile, PATCHES);
+
+  it('accepts booleans, objects and the patches\' options', () => {
+    assert.deepEqual(
+      errorsFor({
+        patches: {
+          thinking: true,
+          'background-format': { enabled: false },
+          'npm-deprecation-warning': { extraNotifications: ['other-key'] },
+          'subagent-models': { models: { Plan: 'sonnet', 'general-purpose': 'opus' } },
+        },
+        signing: { method: 'strip' },
+      }),
+      []
+    );
+    assert.deepEqual(errorsFor({}), []);
+  });
+
+  it('reports unknown fields and patch ids with their path', () => {
+    assert.deepEqual(errorsFor({ patch: {} }), ['patch: unknown field (expected: patches, signing)']);
+    const available = 'thinking, npm-deprecation-warning, task-output-format, subagent-models, background-format';
+    assert.deepEqual(errorsFor({ patches: { thinkng: true } }), [`patches.thinkng: unknown patch id (available: ${available})`]);
+    assert.deepEqual(errorsFor({ patches: { 'subagent-models': { model: {} } } }), [
+      'patches.subagent-models.model: unknown field (expected one of: enabled, models)',
+    ]);
+  });
+
+  it('reports wrong types, nested fields and array items with their path', () => {
+    assert.deepEqual(errorsFor([]), ['(root): expected object, got array']);
+    assert.deepEqual(errorsFor({ patches: true }), ['patches: expected object, got boolean']);
+    assert.deepEqual(errorsFor({ patches: { thinking: 'yes' } }), ['patches.thinking: expected boolean or object, got string']);
+    assert.deepEqual(errorsFor({ patches: { thinking: { enabled: 'no' } } }), [
+      'patches.thinking.enabled: expected boolean, got string',
+    ]);
+    assert.deepEqual(errorsFor({ patches: { 'subagent-models': { models: { Plan: 'gpt', Explore: 1 } } } }), [
+      'patches.subagent-models.models.Plan: must be one of "haiku", "sonnet", "opus", got "gpt"',
+      'patches.subagent-models.models.Explore: expected string, got number',
+    ]);
+    assert.deepEqual(errorsFor({ patches: { 'npm-deprecation-warning': { extraNotifications: [1, 'ok', null] } } }), [
+      'patches.npm-deprecation-warning.extraNotifications[0]: expected string, got number',
+      'patches.npm-deprecation-warning.extraNotifications[2]: expected string, got null',
+    ]);
+  });
+
+  it('checks the signing block', () => {
+    assert.deepEqual(errorsFor({ signing: 'adhoc' }), ['signing: expected object, got string']);
+    assert.deepEqual(errorsFor({ signing: { method: 'adhoc', key: 'x' } }), [
+      'signing.key: unknown field (expected one of: method, identity)',
+    ]);
+    assert.deepEqual(errorsFor({ signing: { method: 'identity', identity: 7 } }), [
+      'signing.identity: expected string, got number',
+    ]);
+    assert.deepEqual(errorsFor({ signing: { method: 'identity' } }), [
+      'signing.identity: required when signing.method is "identity"',
+    ]);
+  });
+});
+
+describe('loadProfile', () => {
+  let homeDir;
+  before(() => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  const writeProfile = profile => {
+    fs.mkdirSync(path.dirname(profilePathFor(homeDir)), { recursive: true });
+    fs.writeFileSync(profilePathFor(homeDir), typeof profile === 'string' ? profile : JSON.stringify(profile));
+  };
+
+  it('resolves the enabled set, options and signing section', () => {
+    assert.equal(loadProfile(PATCHES, { homeDir }), null);
+    assert.deepEqual(loadSigningSettings({ homeDir }), {});
+
+    writeProfile({
+      patches: { thinking: false, 'subagent-models': { models: { Plan: 'haiku' } }, 'background-format': { enabled: false } },
+      signing: { method: 'none' },
+    });
+    const profile = loadProfile(PATCHES, { homeDir });
+    assert.deepEqual([...profile.enabled], ['npm-deprecation-warning', 'task-output-format', 'subagent-models']);
+    assert.deepEqual(profile.options['subagent-models'], { models: { Plan: 'haiku' } });
+    assert.deepEqual(profile.options['background-format'], {});
+    assert.deepEqual(profile.signing, { method: 'none' });
+    assert.deepEqual(loadSigningSettings({ homeDir }), { method: 'none' });
+  });
+
+  it('lists every problem in one error', () => {
+    writeProfile({ patches: { thinking: 'yes', 'subagent-models': { models: { Plan: 'gpt' } } } });
+    assert.throws(
+      () => loadProfile(PATCHES, { homeDir }),
+      {
+        message:
+          `Invalid patch profile ${profilePathFor(homeDir)}:\n` +
+          '  - patches.thinking: expected boolean or object, got string\n' +
+          '  - patches.subagent-models.models.Plan: must be one of "haiku", "sonnet", "opus", got "gpt"',
+      }
+    );
+
+    writeProfile('{ "patches": ');
+    assert.throws(() => loadProfile(PATCHES, { homeDir }), /^Error: Invalid patch profile .*patches\.json: Unexpected end/);
+  });
+});
@@ -0,0 +1,149 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { definePatch, replaceOnceExact, APPLY_STATUS } = require('../lib/patch-engine');
+const { compileManifest } = require('../lib/patch-manifest');
+const {
+  PATCH_STATE,
+  loadPatches,
+  parsePatchIdList,
+  selectPatches,
+  applyPatches,
+  describePatchState,
+  reportPatchStatus,
+} = require('../lib/patch-registry');
+
+const greeting = compileManifest(
+  {
+    id: 'greeting',
+    versions: '>=2.1.0 <2.2.0',
+    locate: { strategy: 'exact', text: 'hello' },
+    replacement: 'goodbye',
+    alreadyPatched: { strategy: 'exact', text: 'goodbye' },
+  },
+  'patches/greeting.json'
+);
+const unranged = compileManifest({ id: 'unranged', locate: { strategy: 'exact', text: 'hello' }, replacement: 'hi' });
+const broken = definePatch({
+  id: 'broken',
+  apply() {
+    throw new Error('boom');
+  },
+});
+const unconfigured = definePatch({
+  id: 'unconfigured',
+  versions: '>=2.1.0',
+  apply: content => ({ status: APPLY_STATUS.skipped, content, reason: 'no settings' }),
+});
+
+describe('parsePatchIdList / selectPatches', () => {
+  const PATCHES = loadPatches();
+  const ids = patches => patches.map(patch => patch.id);
+
+  it('splits repeated and comma-separated ids', () => {
+    assert.deepEqual(parsePatchIdList('thinking, background-format,'), ['thinking', 'background-format']);
+    assert.deepEqual(parsePatchIdList(['thinking', 'task-output-format,subagent-models']), [
+      'thinking',
+      'task-output-format',
+      'subagent-models',
+    ]);
+    assert.deepEqual(parsePatchIdList(undefined), []);
+  });
+
+  it('keeps the registry order for --only and drops --except', () => {
+    assert.deepEqual(ids(selectPatches(PATCHES)), ids(PATCHES));
+    assert.deepEqual(ids(selectPatches(PATCHES, { only: ['background-format', 'thinking'] })), ['thinking', 'background-format']);
+    assert.deepEqual(ids(selectPatches(PATCHES, { except: ['thinking', 'subagent-models'] })), [
+      'npm-deprecation-warning',
+      'task-output-format',
+      'background-format',
+    ]);
+    assert.deepEqual(ids(selectPatches(PATCHES, { only: ['thinking'], except: ['thinking'] })), []);
+  });
+
+  it('rejects unknown ids in either list', () => {
+    const available = 'thinking, npm-deprecation-warning, task-output-format, subagent-models, background-format';
+    assert.throws(() => selectPatches(PATCHES, { only: ['thinkng'], except: ['bogus'] }), {
+      message: `Unknown patch id(s): thinkng, bogus (available: ${available})`,
+    });
+  });
+});
+
+describe('applyPatches', () => {
+  const rename = (id, from, to) =>
+    definePatch({
+      id,
+      apply: content =>
+        content.includes(from)
+          ? { status: APPLY_STATUS.patched, content: replaceOnceExact(content, from, to, id) }
+          : { status: APPLY_STATUS.notFound, content },
+    });
+
+  it('runs each patch on the output of the previous one and isolates the one that fails', () => {
+    const content = 'var a="one";var b="two";var c="three";\n';
+    const unparsable = definePatch({
+      id: 'unparsable',
+      apply: source => ({ status: APPLY_STATUS.patched, content: replaceOnceExact(source, 'var b=', 'var b=(', 'unparsable') }),
+    });
+    const { content: out, results } = applyPatches(content, [
+      rename('first', '"one"', '"uno"'),
+      broken,
+      unparsable,
+      rename('second', '"uno";var b', '"eins";var b'),
+      rename('missing', '"four"', '"vier"'),
+    ]);
+
+    assert.equal(out, 'var a="eins";var b="two";var c="three";\n');
+    assert.deepEqual(
+      results.map(({ id, status }) => [id, status]),
+      [
+        ['first', APPLY_STATUS.patched],
+        ['broken', 'failed'],
+        ['unparsable', 'failed'],
+        ['second', APPLY_STATUS.patched],
+        ['missing', APPLY_STATUS.notFound],
+      ]
+    );
+    assert.equal(results[1].error, 'boom');
+    assert.match(results[2].error, /^Patched cli.js no longer parses: Unexpected token/);
+    assert.deepEqual(results[3].edits.map(edit => edit.label), ['second']);
+  });
+});
+
+describe('reportPatchStatus / describePatchState', () => {
+  // [patch, content, version, detect status, state]
+  const CASES = [
+    [greeting, 'say("hello")', '2.1.5', 'applicable', PATCH_STATE.applicable],
+    [greeting, 'say("goodbye")', '2.1.5', 'already-patched', PATCH_STATE.applied],
+    [greeting, 'say("hey")', '2.1.5', 'not-found', PATCH_STATE.patternDrifted],
+    [greeting, 'say("hey")', '2.2.0', 'skipped', PATCH_STATE.unsupportedVersion],
+    [greeting, 'say("hello")', '2.0.76', 'skipped', PATCH_STATE.unsupportedVersion],
+    [greeting, 'say("hey")', null, 'not-found', PATCH_STATE.patternDrifted],
+    [unranged, 'say("hey")', '9.0.0', 'not-found', PATCH_STATE.patternDrifted],
+    [unconfigured, 'say("hello")', '2.1.5', 'skipped', PATCH_STATE.skipped],
+    [unconfigured, 'say("hello")', '2.0.76', 'skipped', PATCH_STATE.unsupportedVersion],
+    [broken, 'say("hello")', '2.1.5', 'failed', PATCH_STATE.failed],
+  ];
+
+  for (const [patch, content, version, status, state] of CASES) {
+    it(`${patch.id} on ${content} (${version || 'no version'}) is ${state}`, () => {
+      const [report] = reportPatchStatus(content, [patch], { kind: 'js', version });
+      assert.equal(report.status, status);
+      assert.equal(report.state, state);
+      assert.equal(describePatchState(patch, report, version), state);
+    });
+  }
+
+  it('reports every patch against the same content', () => {
+    const reports = reportPatchStatus('say("hello")', [greeting, broken, unranged], { kind: 'js', version: '2.1.5' });
+    assert.deepEqual(
+      reports.map(({ id, state }) => [id, state]),
+      [
+        ['greeting', PATCH_STATE.applicable],
+        ['broken', PATCH_STATE.failed],
+        ['unranged', PATCH_STATE.applicable],
+      ]
+    );
+    assert.equal(reports[1].error, 'boom');
+  });
+});
@@ -0,0 +1,153 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+
+const { APPLY_STATUS, DETECT_STATUS } = require('../lib/patch-engine');
+const { loadPatches } = require('../lib/patch-registry');
+const { discoverPatch } = require('../lib/pattern-discovery');
+const { readFixture, nativeBinary, patchContext, contentText } = require('./helpers');
+
+const CLI_PATH = path.join(__dirname, '..', 'claude-patch.js');
+const thinking = loadPatches().find(patch => patch.id === 'thinking');
+
+// The 2.1.204 fixture as a later release would ship it: a version no thinking rule covers, code
+// inserted before the function and every minified identifier renamed.
+const OLD = readFixture('thinking/2.1.204-direct-return.txt');
+const DRIFTED = [
+  ['2.1.204', '2.2.0'],
+  ['function render(K,W,H,A)', 'var pad="padding";function draw(O,J,H,A)'],
+  ['!K&&!W', '!O&&!J'],
+  ['q.jsx(Zr', 'Y.jsx(Zr'],
+  ['q.jsx(Tk', 'Y.jsx(Pq'],
+  ['isTranscriptMode:K,verbose:W', 'isTranscriptMode:O,verbose:J'],
+].reduce((text, [from, to]) => text.split(from).join(to), OLD);
+
+const REDACTED_SEARCH = 'case"redacted_thinking":{if(!O&&!J)return null;';
+const THINKING_SEARCH =
+  'case"thinking":{if(!O&&!J)return null;let z=1;return Y.jsx(Pq,{addMargin:H,param:A,isTranscriptMode:O,verbose:J';
+
+const discover = (oldContent, newContent, kind) =>
+  discoverPatch(thinking, {
+    oldContent,
+    newContent,
+    oldCtx: patchContext(kind, oldContent),
+    newCtx: patchContext(kind, newContent),
+  });
+
+describe('discoverPatch', () => {
+  it('aligns every region the patch rewrote with the drifted bundle', () => {
+    assert.equal(thinking.detect(DRIFTED, patchContext('js', DRIFTED)).status, DETECT_STATUS.notFound);
+
+    const discovery = discover(OLD, DRIFTED, 'js');
+    assert.equal(discovery.oldStatus, APPLY_STATUS.patched);
+    assert.equal(discovery.newStatus, DETECT_STATUS.notFound);
+    const [redacted, visibility] = discovery.regions;
+
+    assert.deepEqual(redacted, {
+      label: 'v2.1.204 redacted_thinking call site gate (regex)',
+      oldOffset: OLD.indexOf('case"redacted_thinking":'),
+      anchors: [{ text: 'case"thinking":', distance: -78 }],
+      status: 'aligned',
+      offset: DRIFTED.indexOf(REDACTED_SEARCH),
+      search: REDACTED_SEARCH,
+      replacement: 'case"redacted_thinking":{',
+      regex: '(case"redacted_thinking":\\{if\\(!([\\w$]+)&&!([\\w$]+)\\)return null;)',
+      captures: [
+        { old: 'K', new: 'O' },
+        { old: 'W', new: 'J' },
+      ],
+      unmapped: [],
+      note: null,
+    });
+
+    assert.equal(visibility.label, 'v2.1.204 thinking visibility (regex)');
+    assert.deepEqual(visibility.anchors, [{ text: 'case"redacted_thinking":', distance: 78 }]);
+    assert.equal(visibility.status, 'aligned');
+    assert.equal(visibility.offset, DRIFTED.indexOf(THINKING_SEARCH));
+    assert.equal(visibility.search, THINKING_SEARCH);
+    assert.equal(
+      visibility.replacement,
+      'case"thinking":{let z=1;return Y.jsx(Pq,{addMargin:H,param:A,isTranscriptMode:!0,verbose:J'
+    );
+    // The skeleton keeps the surrounding code; identifiers become captures, repeats backreferences.
+    assert.equal(
+      visibility.regex,
+      'return null;return ([\\w$]+)\\.jsx\\(([\\w$]+),\\{addMargin:([\\w$]+)\\}\\)\\}' +
+        '(case"thinking":\\{if\\(!([\\w$]+)&&!([\\w$]+)\\)return null;let ([\\w$]+)=1;' +
+        'return \\1\\.jsx\\(([\\w$]+),\\{addMargin:\\3,param:([\\w$]+),isTranscriptMode:\\5,verbose:\\6)' +
+        '\\}\\)\\}\\}\\}\\n'
+    );
+    assert.deepEqual(visibility.captures, [
+      { old: 'q', new: 'Y' },
+      { old: 'K', new: 'O' },
+      { old: 'W', new: 'J' },
+      { old: 'Tk', new: 'Pq' },
+    ]);
+    assert.equal(new RegExp(visibility.regex).exec(DRIFTED)[4], THINKING_SEARCH);
+  });
+
+  it('pads native proposals to the length of the new search text', () => {
+    const discovery = discover(nativeBinary(OLD, 'elf'), nativeBinary(DRIFTED, 'macho'), 'native-binary');
+    const [redacted, visibility] = discovery.regions;
+    assert.equal(contentText(nativeBinary(DRIFTED, 'macho')).indexOf(REDACTED_SEARCH), redacted.offset);
+    assert.equal(redacted.replacement, 'case"redacted_thinking":{'.padEnd(REDACTED_SEARCH.length));
+    assert.equal(visibility.search, THINKING_SEARCH);
+    assert.equal(visibility.replacement.length, THINKING_SEARCH.length);
+  });
+
+  it('reports regions it cannot align and bundles the patch does not apply to', () => {
+    const rewritten = DRIFTED.replace('let z=1;return', 'const z=1;if(z)return');
+    const [, visibility] = discover(OLD, rewritten, 'js').regions;
+    assert.equal(visibility.status, 'unaligned');
+    assert.equal(visibility.search, null);
+    assert.equal(visibility.regex, null);
+    assert.equal(visibility.note, 'the region changed beyond renamed identifiers');
+
+    const patched = thinking.apply(OLD, patchContext('js', OLD)).content;
+    const discovery = discover(patched, DRIFTED, 'js');
+    assert.equal(discovery.oldStatus, APPLY_STATUS.alreadyPatched);
+    assert.deepEqual(discovery.regions, []);
+  });
+});
+
+describe('claude-patch.js discover', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+    fs.writeFileSync(path.join(dir, 'old.js'), OLD);
+    fs.writeFileSync(path.join(dir, 'new.js'), DRIFTED);
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (...args) =>
+    spawnSync(process.execPath, [CLI_PATH, 'discover', '--no-profile', ...args], {
+      encoding: 'utf8',
+      env: { ...process.env, HOME: dir, USERPROFILE: dir },
+      timeout: 60000,
+    });
+
+  it('prints the anchors, the proposal and the regex for each region', () => {
+    const result = run('--from', path.join(dir, 'old.js'), '--file', path.join(dir, 'new.js'), '--only', 'thinking');
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /🔎 thinking \(new bundle: not-found\)/);
+    assert.match(result.stdout, /anchors: {5}case"thinking": \(-78\)\n/);
+    assert.match(result.stdout, /anchors: {5}case"redacted_thinking": \(\+78\)\n/);
+    assert.ok(result.stdout.includes('(renamed K→O, W→J)'));
+    assert.ok(result.stdout.includes(`search:      ${JSON.stringify(REDACTED_SEARCH)}\n`));
+    assert.ok(result.stdout.includes('regex:       "(case\\"redacted_thinking\\":'));
+  });
+
+  it('reports the same discovery as JSON', () => {
+    const result = run('--from', path.join(dir, 'old.js'), '--file', path.join(dir, 'new.js'), '--only', 'thinking', '--json');
+    assert.equal(result.status, 0, result.stderr);
+    const report = JSON.parse(result.stdout);
+    assert.deepEqual(report.from, { path: path.join(dir, 'old.js'), kind: 'js', version: '2.1.204' });
+    assert.equal(report.version, '2.2.0');
+    assert.deepEqual(report.patches, [discover(OLD, DRIFTED, 'js')]);
+  });
+});
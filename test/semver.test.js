@@ -0,0 +1,69 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { parseVersion, compareVersions, parseRange, satisfies, isValidRange } = require('../lib/semver');
+
+describe('parseVersion / compareVersions', () => {
+  it('parses plain versions and orders them numerically', () => {
+    assert.deepEqual(parseVersion('v2.1.204'), [2, 1, 204]);
+    assert.equal(parseVersion('2.1'), null);
+    assert.equal(parseVersion('2.1.204-dev.1'), null);
+    assert.equal(compareVersions('2.1.9', '2.1.10'), -1);
+    assert.equal(compareVersions('2.10.0', '2.9.99'), 1);
+    assert.equal(compareVersions([2, 1, 0], '2.1.0'), 0);
+    assert.throws(() => compareVersions('2.1', '2.1.0'), { message: 'Invalid version: 2.1' });
+  });
+});
+
+describe('parseRange', () => {
+  it('expands partial versions to their lower and upper bounds', () => {
+    assert.deepEqual(parseRange('2.1'), [[['>=', [2, 1, 0]], ['<', [2, 2, 0]]]]);
+    assert.deepEqual(parseRange('2.x'), [[['>=', [2, 0, 0]], ['<', [3, 0, 0]]]]);
+    assert.deepEqual(parseRange('>2.1 <=2'), [[['>=', [2, 2, 0]], ['<', [3, 0, 0]]]]);
+    assert.deepEqual(parseRange('>= 2.1.75 || <2.1'), [[['>=', [2, 1, 75]]], [['<', [2, 1, 0]]]]);
+    assert.deepEqual(parseRange('*'), [[]]);
+  });
+
+  it('rejects what is not a comparator', () => {
+    assert.throws(() => parseRange('~2.1.0'), { message: 'Invalid version comparator: "~2.1.0"' });
+    assert.throws(() => parseRange('>=2.1.0 - 2.2.0'), { message: 'Invalid version comparator: "-"' });
+    assert.equal(isValidRange('2.1.x || >=2.2.0'), true);
+    assert.equal(isValidRange('latest'), false);
+  });
+});
+
+describe('satisfies', () => {
+  // [version, range, expected]: the partial-version rows match node-semver.
+  const CASES = [
+    ['2.1.75', '2.1.75', true],
+    ['2.1.75', '=2.1.75', true],
+    ['2.1.76', '>=2.1.75 <=2.1.204', true],
+    ['2.1.205', '>=2.1.75 <=2.1.204', false],
+    ['2.1.5', '2.1', true],
+    ['2.1.5', '2.1.x', true],
+    ['2.2.0', '2.1.*', false],
+    ['2.1.5', '>2.1', false],
+    ['2.2.0', '>2.1', true],
+    ['2.1.0', '>=2.1', true],
+    ['2.0.99', '>=2.1', false],
+    ['2.1.5', '<2.1', false],
+    ['2.0.99', '<2.1', true],
+    ['2.1.5', '<=2.1', true],
+    ['2.2.0', '<=2.1', false],
+    ['2.9.0', '<=2', true],
+    ['3.0.0', '<=2', false],
+    ['3.0.0', '>2', true],
+    ['2.9.9', '>2', false],
+    ['2.0.62', '<2.1.14 || >=2.1.75', true],
+    ['2.1.20', '<2.1.14 || >=2.1.75', false],
+    ['2.1.20', '*', true],
+    ['2.1.20', '', true],
+    ['not-a-version', '*', false],
+  ];
+
+  for (const [version, range, expected] of CASES) {
+    it(`${version} ${expected ? 'satisfies' : 'does not satisfy'} "${range}"`, () => {
+      assert.equal(satisfies(version, range), expected);
+    });
+  }
+});
@@ -0,0 +1,107 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { APPLY_STATUS, definePatch, replaceTracked } = require('../lib/patch-engine');
+const { journalPathFor } = require('../lib/backup-store');
+const { applyPatchesToTarget } = require('../lib/patch-registry');
+const { smokeLaunch, describeSmokeLaunch } = require('../lib/smoke-verify');
+
+// A stand-in cli.js: prints its version for `--version`, and where it thinks HOME is.
+const CLI = [
+  '#!/usr/bin/env node',
+  'const VERSION_INFO={VERSION:"2.1.204"};',
+  'var banner="start";',
+  'if(process.argv.includes("--version")){console.log(`${VERSION_INFO.VERSION} (Claude Code)`);console.error(process.env.HOME)}',
+  '',
+].join('\n');
+
+function patchReplacing(id, search, replacement) {
+  return definePatch({
+    id,
+    apply: content => ({ status: APPLY_STATUS.patched, content: replaceTracked(content, search, replacement) }),
+  });
+}
+
+describe('smokeLaunch', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeCli = (name, text) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, text);
+    return { path: filePath, kind: 'js' };
+  };
+
+  it('runs --version in a temporary HOME and checks the version', () => {
+    const result = smokeLaunch(writeCli('ok.js', CLI), { expectedVersion: '2.1.204' });
+    assert.equal(result.ok, true, result.reason);
+    assert.equal(result.version, '2.1.204');
+    assert.ok(!result.output.includes(os.homedir()), 'HOME is not the real one');
+    assert.match(describeSmokeLaunch(result), /printed 2\.1\.204/);
+  });
+
+  it('fails on another version, a crash and a hang', () => {
+    const target = writeCli('ok2.js', CLI);
+    assert.equal(smokeLaunch(target, { expectedVersion: '2.1.205' }).reason, 'reported version 2.1.204, expected 2.1.205');
+
+    const crash = smokeLaunch(writeCli('crash.js', 'throw new Error("boom");\n'));
+    assert.equal(crash.ok, false);
+    assert.equal(crash.reason, 'exited with code 1');
+    assert.match(describeSmokeLaunch(crash), /Error: boom/);
+
+    const hang = smokeLaunch(writeCli('hang.js', 'setInterval(() => {}, 1000);\n'), { timeoutMs: 500 });
+    assert.equal(hang.reason, 'did not exit within 0.5s');
+  });
+});
+
+describe('applyPatchesToTarget with verify', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps a patched file that starts', () => {
+    const target = { path: path.join(dir, 'good.js'), kind: 'js' };
+    fs.writeFileSync(target.path, CLI);
+
+    const { verification } = applyPatchesToTarget(target, [patchReplacing('banner', '"start"', '"patched"')], {
+      verify: true,
+      output: { log: () => {}, error: () => {} },
+    });
+    assert.equal(verification.ok, true, verification.reason);
+    assert.equal(verification.restored, false);
+    assert.match(fs.readFileSync(target.path, 'utf8'), /"patched"/);
+    assert.ok(fs.existsSync(journalPathFor(target.path)));
+  });
+
+  it('puts the pre-patch file and journal back when the patched file does not start', () => {
+    const target = { path: path.join(dir, 'bad.js'), kind: 'js' };
+    fs.writeFileSync(target.path, CLI);
+    const output = { log: () => {}, error: () => {} };
+
+    applyPatchesToTarget(target, [patchReplacing('banner', '"start"', '"patched"')], { output });
+    const previous = fs.readFileSync(target.path);
+    const journalBefore = fs.readFileSync(journalPathFor(target.path));
+
+    // Parses fine, but throws as soon as it runs.
+    const breaking = patchReplacing('breaking', 'var banner=', 'null.x;var banner=');
+    const { results, verification } = applyPatchesToTarget(target, [breaking], { verify: true, output });
+    assert.equal(results[0].status, APPLY_STATUS.patched);
+    assert.equal(verification.ok, false);
+    assert.equal(verification.restored, true);
+    assert.match(verification.reason, /exited with code 1/);
+    assert.ok(fs.readFileSync(target.path).equals(previous));
+    assert.ok(fs.readFileSync(journalPathFor(target.path)).equals(journalBefore));
+  });
+});
@@ -0,0 +1,63 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+
+const subagentModelsPatch = require('../patch-subagent-models');
+const { readFixture, fixtureTargets, contentText, patchContext, assertPatchRoundTrip } = require('./helpers');
+
+// Native installs are patched in place, so the round trip only swaps in models with shorter names.
+const MODELS = { Plan: 'opus', Explore: 'opus' };
+const SCRIPT_PATH = path.join(__dirname, '..', 'patch-subagent-models.js');
+
+describe('subagent-models', () => {
+  for (const target of fixtureTargets(readFixture('subagent-models/2.0.33.txt'))) {
+    it(`patches ${target.name}, idempotently`, () => {
+      const ctx = patchContext(target.kind, target.content, { options: { models: MODELS } });
+      const patched = contentText(assertPatchRoundTrip(subagentModelsPatch, target.content, ctx));
+      assert.match(patched, /agentType:"Plan",[^}]*model:"opus"/);
+      assert.match(patched, /model:"opus"\}\}\);var a3A;/);
+    });
+  }
+
+  it('adds a model to the general-purpose agent on npm installs', () => {
+    const content = readFixture('subagent-models/2.0.33.txt');
+    const ctx = patchContext('js', content, { options: { models: { 'general-purpose': 'haiku' } } });
+    const { content: patched } = subagentModelsPatch.apply(content, ctx);
+    assert.match(patched, /Y01=\{agentType:"general-purpose",[^}]*,model:"haiku"\}/);
+  });
+
+  it('is skipped without a model configuration', () => {
+    const content = readFixture('subagent-models/2.0.33.txt');
+    const result = subagentModelsPatch.apply(content, patchContext('js', content, { homeDir: '/nonexistent' }));
+    assert.equal(result.status, 'skipped');
+  });
+});
+
+describe('patch-subagent-models.js', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+    fs.mkdirSync(path.join(dir, '.claude'));
+    fs.writeFileSync(path.join(dir, '.claude', 'subagent-models.json'), JSON.stringify(MODELS));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('exits with pattern-not-found on a dry run, as a real run does', () => {
+    const file = path.join(dir, 'no-agents.js');
+    fs.writeFileSync(file, 'var RB={VERSION:"2.0.33"};function f(){return 1}');
+    for (const args of [['--dry-run'], []]) {
+      const result = spawnSync(process.execPath, [SCRIPT_PATH, '--json', '--file', file, ...args], {
+        encoding: 'utf8',
+        env: { ...process.env, HOME: dir, USERPROFILE: dir },
+        timeout: 60000,
+      });
+      assert.equal(result.status, 4);
+      assert.equal(JSON.parse(result.stdout).patches[0].status, 'not-found');
+    }
+  });
+});
@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { APPLY_STATUS, definePatch, replaceTracked } = require('../lib/patch-engine');
+const { applyPatches } = require('../lib/patch-registry');
+const {
+  checkJsSyntax,
+  findSyntaxRegression,
+  describeSyntaxRegression,
+} = require('../lib/syntax-check');
+const { nativeBinary } = require('./helpers');
+
+const CLI = '#!/usr/bin/env node\nfunction a(){return 1}\nfunction b(x){if(x){return a()}return 2}\n';
+const BROKEN = CLI.replace('if(x){return a()}', 'if(x){return a()');
+
+describe('checkJsSyntax', () => {
+  it('accepts valid scripts and reports the position of a syntax error', () => {
+    assert.deepEqual(checkJsSyntax(CLI), { ok: true });
+
+    const code = 'var a=1;\nvar b=(2;\n';
+    const result = checkJsSyntax(code);
+    assert.equal(result.ok, false);
+    assert.equal(result.line, 2);
+    assert.equal(result.index, code.lastIndexOf(';'));
+  });
+
+  it('checks ES modules as modules', () => {
+    assert.deepEqual(checkJsSyntax('import fs from "fs";\nexport const a = fs;\n'), { ok: true });
+    const result = checkJsSyntax('import fs from "fs";\nexport const a = (fs;\n');
+    assert.equal(result.ok, false);
+    assert.equal(result.line, 2);
+  });
+});
+
+describe('findSyntaxRegression', () => {
+  it('returns null when the patched cli.js still parses', () => {
+    assert.equal(findSyntaxRegression(CLI, CLI.replace('return 2', 'return 3')), null);
+  });
+
+  it('reports the offset and context of a syntax error in cli.js', () => {
+    const error = findSyntaxRegression(CLI, BROKEN);
+    assert.ok(error);
+    assert.equal(error.region, null);
+    assert.equal(error.line, 3);
+    assert.equal(error.offset, BROKEN.indexOf('return 2'));
+    assert.match(describeSyntaxRegression(error), /^Patched cli\.js no longer parses: Unexpected token 'return' at byte 73 \(line 3, column 30\)\n.*return a\(\)return 2.*\n *\^$/);
+  });
+
+  it('ignores cli.js sources that did not parse before patching', () => {
+    assert.equal(findSyntaxRegression('var a=(;', 'var a=(;;'), null);
+  });
+
+  it('checks only the embedded JS region a native edit touched', () => {
+    const before = nativeBinary(CLI, 'elf');
+    const after = nativeBinary(BROKEN + ' ', 'elf');
+    const error = findSyntaxRegression(before, after);
+    assert.ok(error);
+    assert.equal(error.region.start, before.indexOf('#!'));
+    assert.equal(error.offset, error.region.start + BROKEN.indexOf('return 2'));
+    assert.match(describeSyntaxRegression(error), /^Patched embedded JS \(bytes \d+-\d+\) no longer parses/);
+
+    assert.equal(findSyntaxRegression(before, nativeBinary(CLI.replace('return 2', 'return 3'), 'elf')), null);
+    // The header region does not parse as JS, so edits there are not judged.
+    const header = Buffer.from(before);
+    header[8] = 0x41;
+    assert.equal(findSyntaxRegression(before, header), null);
+  });
+
+  it('accepts the latin1 text of a native binary as the patched content', () => {
+    const before = nativeBinary(CLI, 'macho');
+    assert.ok(findSyntaxRegression(before, nativeBinary(BROKEN + ' ', 'macho').toString('latin1')));
+  });
+});
+
+describe('applyPatches', () => {
+  it('fails a patch whose output no longer parses and keeps the content from before it', () => {
+    const breaking = definePatch({
+      id: 'breaking',
+      apply: content => ({ status: APPLY_STATUS.patched, content: replaceTracked(content, 'return a()}', 'return a()') }),
+    });
+    const fine = definePatch({
+      id: 'fine',
+      apply: content => ({ status: APPLY_STATUS.patched, content: replaceTracked(content, 'return 2', 'return 3') }),
+    });
+
+    const { content, results } = applyPatches(CLI, [breaking, fine], { kind: 'js' });
+    assert.equal(results[0].status, 'failed');
+    assert.match(results[0].error, /no longer parses/);
+    assert.equal(results[1].status, APPLY_STATUS.patched);
+    assert.equal(content, CLI.replace('return 2', 'return 3'));
+  });
+});
@@ -0,0 +1,147 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+
+const {
+  lockPathFor,
+  acquireTargetLock,
+  findProcessesUsingTarget,
+  claimTarget,
+} = require('../lib/target-lock');
+
+const quiet = { log: () => {}, error: () => {} };
+
+describe('acquireTargetLock', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const makeTarget = name => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, 'cli');
+    return filePath;
+  };
+  const writeLock = (filePath, pid) =>
+    fs.writeFileSync(lockPathFor(filePath), JSON.stringify({ pid, hostname: os.hostname(), command: 'other.js', startedAt: 'then' }));
+
+  it('records the owner, is re-entrant and removes the lock on the last release', () => {
+    const filePath = makeTarget('cli.js');
+    const release = acquireTargetLock(filePath, { command: 'test' });
+    const owner = JSON.parse(fs.readFileSync(lockPathFor(filePath), 'utf8'));
+    assert.equal(owner.pid, process.pid);
+    assert.equal(owner.command, 'test');
+
+    const inner = acquireTargetLock(filePath);
+    inner();
+    inner();
+    assert.ok(fs.existsSync(lockPathFor(filePath)), 'still held by the outer claim');
+    release();
+    assert.ok(!fs.existsSync(lockPathFor(filePath)));
+  });
+
+  it('refuses a lock held by another live process', () => {
+    const filePath = makeTarget('busy.js');
+    writeLock(filePath, process.ppid);
+    assert.throws(() => acquireTargetLock(filePath), /busy\.js is locked by other\.js \(pid \d+ on .*, since then\)/);
+    fs.rmSync(lockPathFor(filePath));
+  });
+
+  it('takes over a lock whose process is gone', () => {
+    const filePath = makeTarget('stale.js');
+    writeLock(filePath, spawnSync(process.execPath, ['-e', '']).pid);
+    const release = acquireTargetLock(filePath);
+    assert.equal(JSON.parse(fs.readFileSync(lockPathFor(filePath), 'utf8')).pid, process.pid);
+    release();
+  });
+
+  it('leaves a stale lock alone that another patcher took over first', () => {
+    const filePath = makeTarget('raced.js');
+    writeLock(filePath, spawnSync(process.execPath, ['-e', '']).pid);
+    // The other patcher replaces the stale lock between our read and our rename.
+    const renameSync = fs.renameSync;
+    fs.renameSync = (from, to) => {
+      writeLock(filePath, process.ppid);
+      return renameSync(from, to);
+    };
+    try {
+      assert.throws(() => acquireTargetLock(filePath), /raced\.js is locked by other\.js \(pid \d+/);
+    } finally {
+      fs.renameSync = renameSync;
+    }
+    assert.equal(JSON.parse(fs.readFileSync(lockPathFor(filePath), 'utf8')).pid, process.ppid, 'the fresh lock is back');
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('raced.js.')), ['raced.js.patch-lock']);
+    fs.rmSync(lockPathFor(filePath));
+  });
+});
+
+describe('findProcessesUsingTarget', () => {
+  it('matches the executable or the node script, not other arguments', () => {
+    const target = path.join(os.tmpdir(), 'no-such-dir', 'claude');
+    const processes = [
+      { pid: 1, exe: target, args: ['claude', '--resume'] },
+      { pid: 2, exe: '/usr/bin/node', args: ['node', '--max-old-space-size=4096', target] },
+      { pid: 3, exe: '/usr/bin/node', args: ['node', 'claude-patch.js', '--file', target] },
+      { pid: 4, exe: '/bin/zsh', args: ['-zsh'] },
+      { pid: process.pid, exe: target, args: [target] },
+    ];
+    assert.deepEqual(
+      findProcessesUsingTarget(target, { processes }).map(proc => proc.pid),
+      [1, 2]
+    );
+  });
+});
+
+describe('claimTarget', () => {
+  let dir;
+  let child;
+  let linked;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    if (child) child.kill();
+    if (linked) linked.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('refuses a target Claude Code is running from unless forced', async () => {
+    const filePath = path.join(dir, 'cli.js');
+    fs.writeFileSync(filePath, 'setTimeout(() => {}, 30000);\n');
+    child = spawn(process.execPath, [filePath], { stdio: 'ignore' });
+    for (let i = 0; i < 50 && findProcessesUsingTarget(filePath).length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    assert.throws(() => claimTarget({ path: filePath, kind: 'js' }, { output: quiet }), /running from .*--force/);
+    assert.ok(!fs.existsSync(lockPathFor(filePath)), 'a refused claim releases the lock');
+
+    const warnings = [];
+    const release = claimTarget({ path: filePath, kind: 'js' }, { force: true, output: { error: line => warnings.push(line) } });
+    assert.match(warnings[0], new RegExp(`pid ${child.pid}`));
+    release();
+  });
+
+  it('sees a Claude Code started through a symlink', async () => {
+    const filePath = path.join(dir, 'versions-cli.js');
+    const link = path.join(dir, 'claude');
+    fs.writeFileSync(filePath, 'setTimeout(() => {}, 30000);\n');
+    fs.symlinkSync(filePath, link);
+    linked = spawn(process.execPath, [link], { stdio: 'ignore' });
+    for (let i = 0; i < 50 && findProcessesUsingTarget(filePath).length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    assert.deepEqual(
+      findProcessesUsingTarget(filePath).map(proc => proc.pid),
+      [linked.pid]
+    );
+    assert.throws(() => claimTarget({ path: filePath, kind: 'js' }, { output: quiet }), /running from .*--force/);
+  });
+});
@@ -0,0 +1,164 @@
+const assert = require('node:assert/strict');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const { resolveClaudeTarget } = require('../lib/patch-engine');
+
+const CLI = '#!/usr/bin/env node\nconst VERSION_INFO={VERSION:"2.1.204"};\n';
+const EXE = Buffer.from('MZ\x90\0\x03\0\0\0', 'latin1');
+const HOME = 'C:\\Users\\dev';
+const ENV = {
+  USERPROFILE: HOME,
+  AppData: 'C:/Users/dev/AppData/Roaming/',
+  LOCALAPPDATA: '"C:\\Users\\dev\\AppData\\Local"',
+};
+const NPM_PACKAGE = '@anthropic-ai\\claude-code';
+
+// Just the `fs` calls target resolution makes, over `files` (path -> contents, or `{ symlink }`).
+// Paths compare the way `pathApi` does: case-insensitively for Windows.
+function fakeFileSystem(files, pathApi = path.win32) {
+  const key = filePath => {
+    const normalized = pathApi.normalize(filePath).replace(/[\\/]+$/, '');
+    return pathApi === path.win32 ? normalized.toLowerCase() : normalized;
+  };
+  const entries = new Map(
+    Object.entries(files).map(([filePath, value]) => [key(filePath), { path: pathApi.normalize(filePath), value }])
+  );
+  const lookup = filePath => {
+    let entry = entries.get(key(filePath));
+    while (entry && entry.value.symlink) entry = entries.get(key(entry.value.symlink));
+    return entry || null;
+  };
+  const isDirectory = dirPath => [...entries.keys()].some(entryKey => entryKey.startsWith(key(dirPath) + pathApi.sep));
+  const missing = filePath => Object.assign(new Error(`ENOENT: no such file or directory, '${filePath}'`), { code: 'ENOENT' });
+  const open = [];
+
+  return {
+    existsSync: filePath => Boolean(lookup(filePath)) || isDirectory(filePath),
+    realpathSync(filePath) {
+      const entry = lookup(filePath);
+      if (entry) return entry.path;
+      if (isDirectory(filePath)) return pathApi.normalize(filePath);
+      throw missing(filePath);
+    },
+    statSync(filePath) {
+      const entry = lookup(filePath);
+      if (!entry && !isDirectory(filePath)) throw missing(filePath);
+      return { isFile: () => Boolean(entry), isDirectory: () => !entry };
+    },
+    readdirSync(dirPath) {
+      const prefix = key(dirPath) + pathApi.sep;
+      const names = [...entries]
+        .filter(([entryKey]) => entryKey.startsWith(prefix))
+        .map(([, entry]) => entry.path.slice(prefix.length).split(pathApi.sep)[0]);
+      return [...new Set(names)];
+    },
+    openSync(filePath) {
+      const entry = lookup(filePath);
+      if (!entry) throw missing(filePath);
+      return open.push(Buffer.from(entry.value)) - 1;
+    },
+    readSync: (fd, buf, offset, length, position) => open[fd].copy(buf, offset, position, position + length),
+    closeSync: () => {},
+  };
+}
+
+// `exec` answering from `outputs` (command -> stdout), recording every command it was asked to run.
+function fakeExec(outputs = {}) {
+  const calls = [];
+  const exec = command => {
+    calls.push(command);
+    return outputs[command] || null;
+  };
+  return { exec, calls };
+}
+
+function resolveWindows(files, { outputs, env = ENV, execPath = 'C:\\Program Files\\nodejs\\node.exe' } = {}) {
+  const { exec, calls } = fakeExec(outputs);
+  const result = resolveClaudeTarget({ platform: 'win32', env, homeDir: HOME, fs: fakeFileSystem(files), exec, execPath });
+  return { ...result, calls };
+}
+
+describe('resolveClaudeTarget on Windows', () => {
+  it('finds the npm wrapper binary under %APPDATA%\\npm when npm is not on PATH', () => {
+    const exe = `C:\\Users\\dev\\AppData\\Roaming\\npm\\node_modules\\${NPM_PACKAGE}\\bin\\claude.exe`;
+    const { target, attempted, calls } = resolveWindows({ [exe]: EXE });
+
+    assert.deepEqual(target, { path: exe, kind: 'native-binary', method: 'Windows global package directories' });
+    assert.deepEqual(calls, ['npm root -g']);
+    assert.ok(attempted.some(entry => entry.path === `C:\\Users\\dev\\.claude\\local\\node_modules\\${NPM_PACKAGE}\\cli.js`));
+    assert.ok(attempted.some(entry => entry.path === `C:\\Program Files\\nodejs\\node_modules\\${NPM_PACKAGE}\\cli.js`));
+  });
+
+  it('checks `npm root -g` and %LOCALAPPDATA% layouts, and skips unset variables', () => {
+    const roaming = `D:\\npm-global\\node_modules\\${NPM_PACKAGE}\\cli.js`;
+    const fromNpm = resolveWindows({ [roaming]: CLI }, { outputs: { 'npm root -g': 'D:/npm-global/node_modules' } });
+    assert.deepEqual(fromNpm.target, { path: roaming, kind: 'js', method: 'npm root -g' });
+
+    const pnpm = `C:\\Users\\dev\\AppData\\Local\\pnpm\\global\\5\\node_modules\\${NPM_PACKAGE}\\cli.js`;
+    const { target, attempted } = resolveWindows({ [pnpm]: CLI });
+    assert.equal(target.path, pnpm);
+    assert.ok(!attempted.some(entry => entry.path.includes('NVM_SYMLINK') || entry.path.startsWith('node_modules')));
+  });
+
+  it('falls back to `where claude`, taking each match in turn', () => {
+    const cli = `C:\\tools\\npm\\node_modules\\${NPM_PACKAGE}\\cli.js`;
+    const files = { 'C:\\tools\\npm\\claude': '#!/bin/sh\n', 'C:\\tools\\npm\\claude.cmd': '@ECHO off\r\n', [cli]: CLI };
+    const outputs = { 'where claude': 'C:\\tools\\npm\\claude\r\nC:\\tools\\npm\\claude.cmd\r\n' };
+    const { target, calls } = resolveWindows(files, { outputs });
+
+    assert.deepEqual(target, { path: cli, kind: 'js', method: 'where claude (derived)' });
+    assert.deepEqual(calls, ['npm root -g', 'where claude']);
+
+    const exe = 'C:\\Tools\\Claude\\claude.exe';
+    const native = resolveWindows({ [exe]: EXE }, { outputs: { 'where claude': 'c:\\tools\\claude\\CLAUDE.EXE' } });
+    assert.deepEqual(native.target, { path: exe, kind: 'native-binary', method: 'where claude (native)' });
+  });
+
+  it('finds the native installer launcher, then its newest version', () => {
+    const versions = `${HOME}\\.local\\share\\claude\\versions`;
+    const files = {
+      [`${versions}\\2.1.9`]: EXE,
+      [`${versions}\\2.1.10`]: EXE,
+      [`${versions}\\2.1.11.backup`]: EXE,
+    };
+    const { target } = resolveWindows(files);
+    assert.deepEqual(target, { path: `${versions}\\2.1.10`, kind: 'native-binary', method: 'native/binary default paths' });
+
+    const launcher = `${HOME}\\.local\\bin\\claude.exe`;
+    assert.equal(resolveWindows({ ...files, [launcher]: EXE }).target.path, launcher);
+  });
+
+  it('resolves --file against Windows paths', () => {
+    const exe = 'C:\\Claude\\claude.exe';
+    const { exec, calls } = fakeExec();
+    const { target } = resolveClaudeTarget({
+      platform: 'win32',
+      env: {},
+      fs: fakeFileSystem({ [exe]: EXE }),
+      exec,
+      filePath: 'C:/Claude/claude.exe',
+    });
+    assert.deepEqual(target, { path: exe, kind: 'native-binary', method: '--file' });
+    assert.deepEqual(calls, []);
+  });
+});
+
+describe('resolveClaudeTarget on POSIX', () => {
+  it('keeps the command -v tier and follows symlinks into the package', () => {
+    const cli = `/opt/nvs/node/22/lib/node_modules/${NPM_PACKAGE.replace('\\', '/')}/cli.js`;
+    const files = { '/usr/local/bin/claude': { symlink: cli }, [cli]: CLI };
+    const { exec, calls } = fakeExec({ 'command -v claude': '/usr/local/bin/claude' });
+    const { target } = resolveClaudeTarget({
+      platform: 'linux',
+      env: {},
+      homeDir: '/home/dev',
+      fs: fakeFileSystem(files, path.posix),
+      exec,
+      execPath: '/usr/bin/node',
+    });
+
+    assert.deepEqual(target, { path: cli, kind: 'js', method: 'command -v claude (direct cli.js)' });
+    assert.deepEqual(calls, ['npm root -g', 'command -v claude']);
+  });
+});
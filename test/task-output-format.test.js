@@ -0,0 +1,30 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const taskOutputFormatPatch = require('../patch-task-output-format');
+const { listFixtures, readFixture, fixtureTargets, contentText, patchContext, assertPatchRoundTrip } = require('./helpers');
+
+describe('task-output-format', () => {
+  for (const fixture of listFixtures('task-output-format')) {
+    describe(fixture, () => {
+      for (const target of fixtureTargets(readFixture(fixture))) {
+        it(`patches ${target.name}, idempotently`, () => {
+          const ctx = patchContext(target.kind, target.content);
+          const patched = contentText(assertPatchRoundTrip(taskOutputFormatPatch, target.content, ctx));
+          assert.doesNotMatch(patched, /taskDescription/);
+          assert.match(patched, /Waiting for task \(esc to give additional instructions\)/);
+        });
+      }
+    });
+  }
+
+  it('patches every Task Output block of a bundle embedded twice', () => {
+    const js = readFixture('task-output-format/jsx.txt');
+    const content = `${js}${js}`;
+    const patched = contentText(assertPatchRoundTrip(taskOutputFormatPatch, content, patchContext('js', content)));
+    assert.equal(patched.match(/children:\[null,/g).length, 2);
+    assert.deepEqual(taskOutputFormatPatch.apply(content, patchContext('js', content)).steps, [
+      'Task Output progress message x2',
+    ]);
+  });
+});
@@ -0,0 +1,174 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+
+const thinkingPatch = require('../patch-thinking');
+const { APPLY_STATUS } = require('../lib/patch-engine');
+const { applyPatchesToTarget, restoreSinglePatch } = require('../lib/patch-registry');
+const { readFixture, fixtureTargets, contentText, patchContext, assertPatchRoundTrip } = require('./helpers');
+
+// One fixture per `thinkingRegexRules` shape, with the step labels its version's rule must report.
+// Before 2.1.20 only the call site is rewritten; later rules also drop the `return null` gate.
+const CASES = [
+  { fixture: 'thinking/2.1.19-call-site.txt', js: ['v2.1.19 thinking call site (regex)'] },
+  { fixture: 'thinking/2.1.22-verbose.txt', js: ['v2.1.22 redacted_thinking call site', 'v2.1.22 thinking visibility'] },
+  { fixture: 'thinking/2.1.30-no-verbose.txt', js: ['v2.1.30 redacted_thinking call site gate', 'v2.1.30 thinking visibility'] },
+  { fixture: 'thinking/2.1.50-verbose.txt', js: ['v2.1.50 redacted_thinking call site gate', 'v2.1.50 thinking visibility'] },
+  { fixture: 'thinking/2.1.77-memoized.txt', js: ['v2.1.77 redacted_thinking call site gate', 'v2.1.77 thinking visibility'] },
+  { fixture: 'thinking/2.1.166-no-hide.txt', js: ['v2.1.166 redacted_thinking call site gate', 'v2.1.166 thinking visibility'] },
+  { fixture: 'thinking/2.1.204-direct-return.txt', js: ['v2.1.204 redacted_thinking call site gate', 'v2.1.204 thinking visibility'] },
+];
+
+// One fixture per exact-string rule group (`legacyExactPatchRules`, the exact half of
+// `jsHybridPatchRules` and `nativeExactPatchRules`), with the steps it must plan. Groups with two
+// renderer variants alternate between the collapsed-banner and the null-gate one.
+const EXACT_CASES = [
+  { fixture: 'thinking/2.0.62-exact.txt', steps: ['v2.0.62 call site'] },
+  { fixture: 'thinking/2.0.71-exact-null-gate.txt', steps: ['v2.0.71 thinking renderer'] },
+  ...[
+    ['2.0.74', 'collapsed-banner'],
+    ['2.0.76', 'null-gate'],
+    ['2.1.1', 'collapsed-banner'],
+    ['2.1.2', 'null-gate'],
+    ['2.1.3', 'collapsed-banner'],
+    ['2.1.6', 'collapsed-banner'],
+    ['2.1.7', 'null-gate'],
+    ['2.1.9', 'collapsed-banner'],
+    ['2.1.11', 'null-gate'],
+    ['2.1.12', 'collapsed-banner'],
+    ['2.1.14', 'null-gate'],
+  ].map(([version, variant]) => ({
+    fixture: `thinking/${version}-exact-${variant}.txt`,
+    steps: [`v${version} redacted_thinking call site`, `v${version} thinking call site`, `v${version} thinking renderer`],
+  })),
+  { fixture: 'thinking/2.1.4-exact-null-gate.txt', steps: ['v2.1.4 redacted_thinking call site', 'v2.1.4 thinking renderer'] },
+  ...['2.1.15', '2.1.17', '2.1.19', '2.1.20', '2.1.23'].map(version => ({
+    fixture: `thinking/${version}-exact.txt`,
+    steps: [`v${version} redacted_thinking call site`, `v${version} thinking call site`],
+  })),
+  {
+    fixture: 'thinking/2.1.17-native-exact.txt',
+    steps: ['v2.1.17 redacted_thinking call site (native)', 'v2.1.17 thinking call site (native)'],
+    nativeOnly: true,
+  },
+];
+const quiet = { log: () => {}, error: () => {} };
+const SCRIPT_PATH = path.join(__dirname, '..', 'patch-thinking.js');
+
+// The `case"thinking":` branch of a patched bundle.
+function thinkingBranch(text) {
+  return text.slice(text.indexOf('case"thinking":'));
+}
+
+describe('thinking', () => {
+  for (const { fixture, js } of CASES) {
+    describe(fixture, () => {
+      for (const target of fixtureTargets(readFixture(fixture))) {
+        it(`patches ${target.name}, idempotently`, () => {
+          const ctx = patchContext(target.kind, target.content);
+          const patched = contentText(assertPatchRoundTrip(thinkingPatch, target.content, ctx));
+
+          const branch = thinkingBranch(patched);
+          assert.match(branch, /isTranscriptMode:!0/);
+          if (js.length > 1) assert.doesNotMatch(branch.slice(0, 40), /return null/);
+        });
+      }
+
+      it('uses the rule for its version', () => {
+        const content = readFixture(fixture);
+        const { steps } = thinkingPatch.apply(content, patchContext('js', content));
+        for (const label of js) {
+          assert.ok(
+            steps.some(step => step.startsWith(label)),
+            `expected a "${label}" step, got ${JSON.stringify(steps)}`
+          );
+        }
+      });
+    });
+  }
+
+  describe('exact-version rules', () => {
+    let dir;
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+    });
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    for (const { fixture, steps, nativeOnly } of EXACT_CASES) {
+      const targets = fixtureTargets(readFixture(fixture)).filter(target => !nativeOnly || target.kind === 'native-binary');
+      for (const target of targets) {
+        it(`detects, applies and restores ${fixture} (${target.name})`, () => {
+          const ctx = patchContext(target.kind, target.content);
+          assert.deepEqual(thinkingPatch.detect(target.content, ctx).steps, steps);
+          assertPatchRoundTrip(thinkingPatch, target.content, ctx);
+
+          const file = { path: path.join(dir, `${path.basename(fixture, '.txt')}-${target.name}`), kind: target.kind };
+          fs.writeFileSync(file.path, target.content);
+          const { results } = applyPatchesToTarget(file, [thinkingPatch], { output: quiet });
+          assert.equal(results[0].status, APPLY_STATUS.patched);
+          assert.equal(restoreSinglePatch(file, 'thinking').mode, 'journal');
+          assert.ok(fs.readFileSync(file.path).equals(Buffer.from(target.content)), 'the original is back byte for byte');
+        });
+      }
+    }
+  });
+
+  it('leaves a bundle without a thinking branch alone', () => {
+    const content = 'var RB={VERSION:"2.1.204"};function f(){return 1}';
+    const result = thinkingPatch.apply(content, patchContext('js', content));
+    assert.equal(result.status, 'not-found');
+    assert.equal(result.content, content);
+  });
+});
+
+describe('patch-thinking.js', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (...args) => {
+    const result = spawnSync(process.execPath, [SCRIPT_PATH, '--json', ...args], {
+      encoding: 'utf8',
+      env: { ...process.env, HOME: dir, USERPROFILE: dir },
+      timeout: 60000,
+    });
+    return { status: result.status, report: JSON.parse(result.stdout) };
+  };
+
+  it('exits with pattern-not-found on a dry run, as a real run does', () => {
+    const file = path.join(dir, 'no-thinking.js');
+    fs.writeFileSync(file, 'var RB={VERSION:"2.1.204"};function f(){return 1}');
+    for (const args of [['--dry-run'], []]) {
+      const { status, report } = run('--file', file, ...args);
+      assert.equal(status, 4);
+      assert.equal(report.error.code, 'pattern-not-found');
+      assert.equal(report.patches[0].status, 'not-found');
+    }
+  });
+
+  it('leaves the target alone on --restore --dry-run', () => {
+    const file = path.join(dir, 'cli.js');
+    const original = readFixture('thinking/2.1.204-direct-return.txt');
+    fs.writeFileSync(file, original);
+    assert.equal(run('--file', file).status, 0);
+    const patched = fs.readFileSync(file, 'utf8');
+
+    const dryRun = run('--file', file, '--restore', '--dry-run');
+    assert.equal(dryRun.status, 0);
+    assert.equal(dryRun.report.dryRun, true);
+    assert.equal(dryRun.report.restore.mode, 'journal');
+    assert.equal(fs.readFileSync(file, 'utf8'), patched);
+
+    assert.equal(run('--file', file, '--restore').status, 0);
+    assert.equal(fs.readFileSync(file, 'utf8'), original);
+  });
+});
@@ -0,0 +1,87 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+
+const { findVersionTags, detectClaudeVersion, describeVersionDetection } = require('../lib/version-detect');
+const { nativeBinary } = require('./helpers');
+
+const CLI = '#!/usr/bin/env node\nconst NODE_VERSION="18.0.0";const VERSION_INFO={VERSION:"2.1.204"};console.log(1);\n';
+
+describe('findVersionTags', () => {
+  it('finds exact and loosely formatted tags, not identifiers ending in VERSION', () => {
+    const text = 'NODE_VERSION:"18.0.0",{VERSION:"2.1.204"},{VERSION: \'2.1.205-dev.3\'}';
+    assert.deepEqual(findVersionTags(text), [
+      { version: '2.1.204', exact: true },
+      { version: '2.1.205', exact: false },
+    ]);
+  });
+});
+
+describe('detectClaudeVersion', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patch-test-'));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads the cli.js header, reinforced by the package.json next to it', () => {
+    const cliPath = path.join(dir, 'npm', 'cli.js');
+    fs.mkdirSync(path.dirname(cliPath));
+    const bare = detectClaudeVersion({ path: cliPath, kind: 'js' }, CLI);
+    assert.deepEqual(bare, {
+      version: '2.1.204',
+      confidence: 0.95,
+      sources: ['VERSION tag'],
+      signals: [{ source: 'VERSION tag', version: '2.1.204', confidence: 0.95 }],
+    });
+
+    const pkg = { name: '@anthropic-ai/claude-code', version: '2.1.204' };
+    fs.writeFileSync(path.join(dir, 'npm', 'package.json'), JSON.stringify(pkg));
+    const withPackage = detectClaudeVersion({ path: cliPath, kind: 'js' }, CLI);
+    assert.deepEqual(withPackage.sources, ['VERSION tag', 'package.json']);
+    assert.ok(withPackage.confidence > bare.confidence);
+    assert.equal(
+      describeVersionDetection(withPackage),
+      `2.1.204 (VERSION tag, package.json; confidence ${withPackage.confidence})`
+    );
+  });
+
+  it('reads the tag inside a native binary', () => {
+    const content = nativeBinary(CLI.replace('VERSION:"2.1.204"', 'VERSION: "2.1.205-dev.1"'), 'macho');
+    const detection = detectClaudeVersion({ path: path.join(dir, 'claude'), kind: 'native-binary' }, content);
+    assert.equal(detection.version, '2.1.205');
+    assert.deepEqual(detection.sources, ['VERSION tag (loose)']);
+    assert.equal(detection.confidence, 0.85);
+  });
+
+  it('uses the file name under the versions directory', () => {
+    const target = { path: path.join(dir, '.local', 'share', 'claude', 'versions', '2.1.206'), kind: 'native-binary' };
+    const untagged = detectClaudeVersion(target, Buffer.from('\0\0no tag here\0'));
+    assert.deepEqual(untagged.sources, ['versions/ filename']);
+    assert.equal(untagged.version, '2.1.206');
+    assert.equal(untagged.confidence, 0.8);
+
+    // A disagreeing file name lowers the tag's confidence but does not win.
+    const renamed = detectClaudeVersion(target, nativeBinary(CLI, 'elf'));
+    assert.equal(renamed.version, '2.1.204');
+    assert.equal(renamed.confidence, 0.57);
+    assert.equal(renamed.signals.length, 2);
+  });
+
+  it('falls back to the build-info fingerprint, then to no version', () => {
+    const fingerprinted = 'var info={PACKAGE_URL:"@anthropic-ai/claude-code",README_URL:"https://example.invalid",v:"2.1.207"};';
+    const detection = detectClaudeVersion({ path: path.join(dir, 'bundle.js'), kind: 'js' }, fingerprinted);
+    assert.deepEqual(detection.sources, ['string fingerprint']);
+    assert.equal(detection.version, '2.1.207');
+    assert.equal(detection.confidence, 0.6);
+
+    const nothing = detectClaudeVersion({ path: path.join(dir, 'other.js'), kind: 'js' }, 'console.log("no version");');
+    assert.deepEqual(nothing, { version: null, confidence: 0, sources: [], signals: [] });
+    assert.equal(describeVersionDetection(nothing), 'unknown (no version signal found)');
+    assert.equal(detectClaudeVersion(null, 'console.log(1);').version, null);
+  });
+});